@@ -30,13 +30,34 @@ const sourceFiles = [
   'audioTranscriber.js',
   'core/ScrollManager.js',
   'core/EventCoordinator.js',
+  'core/MessageIdentity.js',
+  'core/SelectorHealth.js',
   'chatManager.js',
+  'core/LiveChatModel.js',
+  'core/ChatExporter.js',
+  'core/ConversationArchive.js',
   'product-extractor.js',
   'core/openai/image-filter-utils.js',
   'core/openai/timestamp-utils.js',
+  'core/openai/UsageTracker.js',
+  'core/openai/RequestScheduler.js',
   'core/openai/ApiClient.js',
+  'core/openai/PiiRedactor.js',
   'core/openai/MessagePreprocessor.js',
+  'core/openai/ToolRegistry.js',
+  'core/openai/PromptTemplates.js',
+  'core/openai/ExperimentManager.js',
+  'core/openai/KnowledgeBase.js',
+  'core/openai/SafetyGate.js',
+  'core/openai/LanguageManager.js',
+  'core/openai/ReplyEnvelope.js',
+  'core/openai/ThreadCompactor.js',
   'core/openai/AssistantHandler.js',
+  'core/providers/ProviderAdapter.js',
+  'core/providers/OpenAIAdapter.js',
+  'core/providers/AnthropicAdapter.js',
+  'core/providers/LocalHttpAdapter.js',
+  'core/openai/CompletionHandler.js',
   'openai-manager.js',
   'ui.js',
   'main.js',
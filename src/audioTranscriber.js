@@ -166,6 +166,7 @@ class AudioTranscriber {
       if (!messageId) {
         messageId = this.generateMessageId(messageRow);
         messageRow.dataset.messageId = messageId;
+        this.messageIdToTimestamp.set(messageId, Date.now());
         this.debugLog(`Observer: ID assigned: ${messageId}. Timestamp generated: ${Date.now()}`);
       }
 
@@ -240,17 +241,13 @@ class AudioTranscriber {
   }
 
   /**
-   * Generates a unique ID for a message
+   * ID of a message row, the same one the extraction gives it (see MessageIdentity)
    * @param {Element} element - Message element
-   * @returns {string} Generated ID
+   * @returns {string} Message ID
    */
   generateMessageId(element) {
-    const timestamp = Date.now();
-    const randomPart = Math.random().toString(36).substring(2, 10);
-    const textContent = element.textContent?.trim().substring(0, 20) || '';
-    const cleanText = textContent.replace(/[^a-zA-Z0-9]/g, '_');
-
-    return `msg_${randomPart}_${cleanText}_${timestamp}`;
+    return window.messageIdentity?.getRowId(element) ||
+      `msg_${Math.random().toString(36).substring(2, 10)}_${Date.now()}`;
   }
 
   /**
@@ -271,11 +268,11 @@ class AudioTranscriber {
       }
     }
 
-    // 2. Pattern msg_THREADID_MESSAGENUMBER
+    // 2. Pattern msg_THREADID_MESSAGENUMBER (stable IDs end in a hash, not a number)
     const parts = messageId.split('_');
-    if (parts.length >= 3) {
+    if (parts.length >= 3 && /^\d+$/.test(parts[parts.length - 1])) {
       const potentialTimestamp = parseInt(parts[parts.length - 1], 10);
-      if (!isNaN(potentialTimestamp) && potentialTimestamp > 0) {
+      if (potentialTimestamp > 0) {
         return potentialTimestamp;
       }
     }
@@ -499,11 +496,17 @@ class AudioTranscriber {
 
       // Transcription API
       logEntry.steps.push({ name: 'api_call', time: Date.now() });
+      // The language detected for the chat, so a Portuguese buyer is not transcribed as Spanish
+      const chatId = this.currentChatId || window.chatManager?.currentChatId;
+      const language = window.languageManager
+        ? window.languageManager.getTranscriptionLanguage(chatId)
+        : CONFIG.audioTranscription.language;
+      logEntry.language = language || 'auto';
       let transcription;
       if (window.apiClient && typeof window.apiClient.transcribeAudio === 'function') {
-        transcription = await window.apiClient.transcribeAudio(audioBlob);
+        transcription = await window.apiClient.transcribeAudio(audioBlob, { language });
       } else {
-        transcription = await this.transcribeAudio(audioBlob);
+        transcription = await this.transcribeAudio(audioBlob, language);
       }
       if (!transcription) throw new Error('Transcription failed or returned empty');
 
@@ -604,20 +607,25 @@ class AudioTranscriber {
   /**
    * Transcribes audio using the Whisper API
    * @param {Blob} audioBlob - The audio blob
+   * @param {string|null} [language] - ISO-639-1 code of the audio
    * @returns {Promise<string>} The audio transcription
    */
-  async transcribeAudio(audioBlob) {
+  async transcribeAudio(audioBlob, language = null) {
     if (!window.apiClient || typeof window.apiClient.transcribeAudio !== 'function') {
       // Fallback implementation if ApiClient is not available
+      const profile = CONFIG.getActiveEndpointProfile();
       const formData = new FormData();
       formData.append('file', audioBlob, 'audio.mp4');
-      formData.append('model', 'whisper-1');
+      formData.append('model', profile.transcriptionModel);
+      if (language) formData.append('language', language);
+
+      const headers = {};
+      if (profile.authScheme === 'bearer' && profile.apiKey) headers['Authorization'] = `Bearer ${profile.apiKey}`;
+      if (profile.authScheme === 'api-key' && profile.apiKey) headers['api-key'] = profile.apiKey;
 
-      const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
+      const response = await fetch(`${profile.baseUrl}/audio/transcriptions`, {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${CONFIG.AI.apiKey}`
-        },
+        headers,
         body: formData
       });
 
@@ -629,7 +637,7 @@ class AudioTranscriber {
       return data.text;
     } else {
       // Use ApiClient if available
-      return await window.apiClient.transcribeAudio(audioBlob);
+      return await window.apiClient.transcribeAudio(audioBlob, { language });
     }
   }
 
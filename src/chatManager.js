@@ -19,13 +19,39 @@ class ChatManager {
     this.chatHistory = new Map(); // Conversation history by ID
     this.lastProcessedMessageCount = 0; // Counter of processed messages
     this.isProcessingChat = false; // Anti-concurrency flag
+    this.messageRows = new Map(); // Message ID -> row element of the last extraction (inline translations)
     this.respondedChats = new Set(); // Avoids duplicate responses in auto mode
     this.isResponding = false; // New anti-reentrancy flag
+    this.activeGeneration = null; // Response being generated/streamed {chatId, controller, chars, cancelReason}
+    this.streamWriteInterval = 150; // Minimum ms between streamed writes to the input field
+    this.staleCheckInterval = 2000; // Ms between checks for new buyer messages while generating
 
 
     // Configure URL monitoring for manual chat changes
     this._setupUrlChangeDetection();
 
+    // A message from the other side makes the reply being generated stale (LiveChatModel)
+    window.eventCoordinator?.on('messageAdded', ({ chatId, message }) => {
+      const generation = this.activeGeneration;
+      if (!generation || generation.chatId !== chatId || message.sentByUs ||
+        generation.controller.signal.aborted) {
+        return;
+      }
+      logger.log(`New message in chat ${chatId} while the reply was generated`);
+      this.cancelResponseGeneration('newMessages');
+    });
+
+    // So does an edit or an unsend on their side (reactions do not change what to answer)
+    window.eventCoordinator?.on('messageUpdated', ({ chatId, message, change }) => {
+      const generation = this.activeGeneration;
+      if (!generation || generation.chatId !== chatId || message.sentByUs || change === 'reactions' ||
+        generation.controller.signal.aborted) {
+        return;
+      }
+      logger.log(`Message ${change} in chat ${chatId} while the reply was generated`);
+      this.cancelResponseGeneration('newMessages');
+    });
+
     // Initializes the audio association system (if available)
     if (window.audioTranscriber && typeof window.audioTranscriber.init === 'function') {
       window.audioTranscriber.init();
@@ -45,14 +71,21 @@ class ChatManager {
     this._lastUrl = window.location.href;
 
     // Periodically check URL changes that indicate manual chat changes
-    setInterval(() => {
-      const currentUrl = window.location.href;
+    setInterval(() => this._checkUrlChange(), 1000); // Check every second
+  }
 
-      if (this._lastUrl !== currentUrl) {
-        this._lastUrl = currentUrl;
-        this._handleUrlChange(currentUrl);
-      }
-    }, 1000); // Check every second
+  /**
+   * Handles the URL change if there was one since the last check
+   * (also called right before a reply is inserted, so it does not wait for the next tick)
+   * @private
+   */
+  _checkUrlChange() {
+    const currentUrl = window.location.href;
+
+    if (this._lastUrl !== currentUrl) {
+      this._lastUrl = currentUrl;
+      this._handleUrlChange(currentUrl);
+    }
   }
 
   /**
@@ -75,6 +108,12 @@ class ChatManager {
           this.currentChatId = newChatId;
           console.log(`[ChatManager] Chat change detected: ${oldChatId} -> ${newChatId}`);
 
+          // A reply still being generated belongs to the previous chat
+          this.cancelGenerationForOtherChat(newChatId);
+
+          // The live capture of the previous chat stops with it
+          window.liveChatModel?.detach();
+
           // NEW: Reset transcription state for the new chat
           if (window.audioTranscriber && typeof window.audioTranscriber.resetForNewChat === 'function') {
             window.audioTranscriber.resetForNewChat(newChatId);
@@ -99,14 +138,14 @@ class ChatManager {
 
     try {
       // Get chat list container
-      const chatContainer = domUtils.findElement(CONFIG.selectors.chatList.container);
+      const chatContainer = selectorHealth.find('chatList.container');
       if (!chatContainer) {
         logger.error('Chat list container not found');
         return 0;
       }
 
       // Get all chat elements
-      const chatItems = domUtils.findAllElements(CONFIG.selectors.chatList.chatItem, chatContainer);
+      const chatItems = selectorHealth.findAll('chatList.chatItem', chatContainer);
       logger.debug(`Found ${chatItems.length} chat elements`);
 
       // Clear the pending chat queue
@@ -134,6 +173,7 @@ class ChatManager {
               element: chatItem
             });
 
+            window.piiRedactor?.registerContactName(chatId, userName);
             logger.debug(`Chat added to queue: ${userName} (${chatId}), time: ${messageTime}`);
           } else {
             logger.debug(`Chat ignored with non-numeric ID: ${chatId}`);
@@ -196,6 +236,24 @@ class ChatManager {
     }
   }
 
+  /**
+   * Gives the contact's name to the PII redactor, so it is replaced before any provider call.
+   * The avatar of their messages carries the name; the chat list name is used otherwise.
+   * @param {string} chatId - Chat ID
+   * @param {HTMLElement} chatContainer - Active chat container
+   * @param {boolean} isSeller - Whether we are the seller in this chat
+   */
+  registerContactName(chatId, chatContainer, isSeller) {
+    if (!window.piiRedactor || !chatId) return;
+    try {
+      const avatar = chatContainer && domUtils.findElement(CONFIG.selectors.activeChat.senderAvatar, chatContainer);
+      const name = avatar?.getAttribute('alt') || window.piiRedactor.getMapping(chatId).contactName;
+      window.piiRedactor.registerContactName(chatId, name, isSeller ? 'seller' : 'buyer');
+    } catch (error) {
+      logger.debug(`Error registering contact name: ${error.message}`);
+    }
+  }
+
   /**
    * Extracts the chat ID from the element
    * @param {HTMLElement} chatElement - Chat DOM element
@@ -370,6 +428,7 @@ class ChatManager {
         nextChat.element.click();
 
         this.currentChatId = nextChat.chatId;
+        this.cancelGenerationForOtherChat(nextChat.chatId);
 
         // Wait for chat to load
         await new Promise(resolve => setTimeout(resolve, 4000));
@@ -458,7 +517,8 @@ class ChatManager {
         role: chatData.chatData.isSeller ? 'seller' : 'buyer',
         messages: chatData.chatData.messages,
         productDetails: chatData.chatData.productDetails,
-        forceNewGeneration: true // NEW: Add flag to force new generation
+        forceNewGeneration: true, // NEW: Add flag to force new generation
+        ...this.beginResponseGeneration(this.currentChatId)
       };
 
       window.logManager.step(window.logManager.phases.GENERATION, 'CONTEXT_BUILT',
@@ -473,9 +533,13 @@ class ChatManager {
 
       // Log before calling openaiManager
       window.logManager.step(window.logManager.phases.GENERATION, 'API_CALL',
-        'Calling openaiManager.generateResponse(context) with forceNewGeneration=true');
+        'Calling openaiManager.generateReply(context) with forceNewGeneration=true');
+
+      const envelope = await window.openaiManager.generateReply(context);
+      const response = envelope.reply;
 
-      const response = await window.openaiManager.generateResponse(context);
+      // Drop the reply if it was cancelled, the chat changed or the buyer wrote again meanwhile
+      this.assertGenerationCurrent(context.chatId);
 
       // Log after receiving the response
       window.logManager.step(window.logManager.phases.GENERATION, 'RESPONSE_RECEIVED',
@@ -483,13 +547,15 @@ class ChatManager {
         { responsePreview: response?.substring(0, 100) });
 
       if (response && typeof response === 'string' && response.trim()) {
-        showSimpleAlert('Response generated successfully!', 'success', 5000);
-        this.insertResponseInInputField(response);
+        showSimpleAlert(envelope.structured
+          ? `Response generated · ${this.describeEnvelope(envelope)}`
+          : 'Response generated successfully!', envelope.needsHuman ? 'warning' : 'success', 5000);
+        this.insertResponseInInputField(response, context.chatId, { gateContext: { ...context, envelope } });
         window.logManager.phase(window.logManager.phases.GENERATION,
           'Response generated and inserted into the input field');
 
         // Log to history (new line)
-        this.logResponseToHistory(context, context.role, response, false);
+        this.logResponseToHistory(context, context.role, response, false, this.getEnvelopeDetails(envelope));
         return true;
       } else {
         window.logManager.phase(window.logManager.phases.GENERATION, 'ERROR',
@@ -499,16 +565,115 @@ class ChatManager {
         return false;
       }
     } catch (error) {
+      if (error.name === 'AbortError') {
+        const message = this.getCancellationMessage(this.activeGeneration?.cancelReason);
+        window.logManager.phase(window.logManager.phases.GENERATION, message);
+        showSimpleAlert(message, 'info', 3000);
+        this.endResponseGeneration({ cancelled: true });
+        return false;
+      }
+
       window.logManager.phase(window.logManager.phases.GENERATION, 'ERROR',
         `Error generating response: ${error.message}`, error);
 
       showSimpleAlert(`Error generating response: ${error.message}`, 'error');
       return false;
     } finally {
+      this.endResponseGeneration();
       this.isResponding = false;
     }
   }
 
+  /**
+   * Generates draft variants for the current chat (used by the floating button in manual mode).
+   * Nothing is inserted: the UI shows the drafts and calls applyDraftVariant with the chosen one.
+   * @returns {Promise<{context: Object, variants: Array}|null>} Drafts, or null if none were generated
+   */
+  async generateVariantsForCurrentChat() {
+    if (this.isResponding) {
+      logger.warn('Already generating a response. Please wait.');
+      return null;
+    }
+
+    if (!this.currentChatId) {
+      showSimpleAlert('No active chat detected. Please select a chat first.', 'error');
+      return null;
+    }
+
+    this.isResponding = true;
+    try {
+      window.logManager.phase(window.logManager.phases.GENERATION, 'Extracting data for draft variants');
+
+      const chatData = await this.extractCurrentChatData();
+      if (!chatData || !chatData.success) {
+        logger.error('Failed to extract chat data for draft variants');
+        return null;
+      }
+
+      const context = {
+        chatId: this.currentChatId,
+        role: chatData.chatData.isSeller ? 'seller' : 'buyer',
+        messages: chatData.chatData.messages,
+        productDetails: chatData.chatData.productDetails
+      };
+
+      // Variants are not streamed; the generation is only tracked so it can be cancelled
+      this.beginResponseGeneration(context.chatId);
+      const variants = await window.openaiManager.generateVariants(context);
+      this.assertGenerationCurrent(context.chatId);
+
+      if (!variants || variants.length === 0) {
+        showSimpleAlert('No drafts generated.', 'warning');
+        return null;
+      }
+
+      window.logManager.step(window.logManager.phases.GENERATION, 'VARIANTS_RECEIVED',
+        `${variants.length} draft variants received`, { styles: variants.map(v => v.style) });
+      return { context, variants };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        showSimpleAlert(this.getCancellationMessage(this.activeGeneration?.cancelReason), 'info', 3000);
+        this.endResponseGeneration({ cancelled: true });
+        return null;
+      }
+      logger.error(`Error generating draft variants: ${error.message}`, {}, error);
+      showSimpleAlert(`Error generating drafts: ${error.message}`, 'error');
+      return null;
+    } finally {
+      this.endResponseGeneration();
+      this.isResponding = false;
+    }
+  }
+
+  /**
+   * Inserts the draft chosen in the picker and records the choice in the response history
+   * @param {Object} context - Context returned by generateVariantsForCurrentChat
+   * @param {Object} variant - Chosen variant {style, label, text}
+   * @param {Array} variants - All variants that were offered
+   * @returns {boolean} True if the draft was inserted
+   */
+  applyDraftVariant(context, variant, variants = []) {
+    if (!variant || !variant.text) return false;
+
+    // The picker stays open while the user browses; never insert into another conversation
+    if (this.currentChatId !== context.chatId) {
+      showSimpleAlert('The chat changed since the drafts were generated. Generate them again.', 'warning');
+      return false;
+    }
+
+    const inserted = this.insertResponseInInputField(variant.text, context.chatId, { gateContext: context });
+    if (inserted) {
+      this.logResponseToHistory(context, context.role, variant.text, false, {
+        draft: {
+          style: variant.style,
+          label: variant.label,
+          offered: variants.map(v => v.style)
+        }
+      });
+    }
+    return inserted;
+  }
+
   /**
    * Extracts data from the current chat without generating a response.
    * Now separated from processCurrentChat to avoid automatic response generation.
@@ -524,7 +689,7 @@ class ChatManager {
 
     try {
       // Get chat container
-      const chatContainer = await domUtils.waitForElement(CONFIG.selectors.activeChat.container);
+      const chatContainer = await selectorHealth.waitFor('activeChat.container');
 
       // Declare before assigning
       let productDetails = null;
@@ -542,7 +707,7 @@ class ChatManager {
       }
 
       // Get the messages container
-      const messagesWrapper = await domUtils.waitForElement(CONFIG.selectors.activeChat.messageWrapper);
+      const messagesWrapper = await selectorHealth.waitFor('activeChat.messageWrapper');
 
       // NEW INTEGRATION: Use ScrollManager to manage scroll depending on thread type
       // Determine if it's a new or existing thread
@@ -552,8 +717,12 @@ class ChatManager {
 
       // Extract messages depending on thread type
       let messages = [];
+      const liveHistory = this._getLiveHistory(messagesWrapper);
 
-      if (window.scrollManager) {
+      if (liveHistory) {
+        // Already extracted and observed since: no scroll needed
+        messages = liveHistory;
+      } else if (window.scrollManager) {
         if (isNewThread) {
           // For new threads: perform a full scroll to the beginning
           logger.log('New thread: performing complete scroll to beginning');
@@ -630,6 +799,7 @@ class ChatManager {
       // Determine if we are seller or buyer
       const isSeller = this.determineIfSeller(chatContainer);
       logger.log(`Role in chat: ${isSeller ? 'seller' : 'buyer'}`);
+      this.registerContactName(this.currentChatId, chatContainer, isSeller);
 
       // Store in history
       const chatData = {
@@ -639,6 +809,8 @@ class ChatManager {
         lastUpdated: new Date()
       };
       this.chatHistory.set(this.currentChatId, chatData);
+      window.chatExporter?.record(this.currentChatId, chatData);
+      window.conversationArchive?.archiveChat(this.currentChatId, chatData);
 
       // Return extracted data along with success status
       return { success: true, chatData };
@@ -666,7 +838,7 @@ class ChatManager {
     if (autoRespond) {
       try {
         logger.debug(`AUTO mode detected - Preventively clearing input field`);
-        const inputField = document.querySelector(CONFIG.selectors.activeChat.messageInput);
+        const inputField = selectorHealth.find('activeChat.messageInput');
         if (inputField) {
           const isContentEditable = inputField.getAttribute('contenteditable') === 'true';
           if (isContentEditable) {
@@ -700,7 +872,7 @@ class ChatManager {
     // --- BEGIN: Improved scroll/thread logic from new version ---
     try {
       logger.log('Processing current chat with improved scroll/thread logic');
-      const chatContainer = document.querySelector(CONFIG.selectors.activeChat.container);
+      const chatContainer = selectorHealth.find('activeChat.container');
       if (!chatContainer) {
         logger.error('Active chat container not found');
         this.isResponding = false;
@@ -721,7 +893,7 @@ class ChatManager {
 
       // Prepare messages extraction with scroll logic
       let messages = [];
-      const messagesWrapper = chatContainer.querySelector(CONFIG.selectors.activeChat.messageWrapper);
+      const messagesWrapper = selectorHealth.find('activeChat.messageWrapper', chatContainer);
 
       if (!messagesWrapper) {
         logger.error('Messages wrapper not found');
@@ -729,7 +901,11 @@ class ChatManager {
         return false;
       }
 
-      if (isNewThread && window.scrollManager) {
+      const liveHistory = this._getLiveHistory(messagesWrapper);
+
+      if (liveHistory) {
+        messages = liveHistory;
+      } else if (isNewThread && window.scrollManager) {
         logger.debug('New thread: performing complete scroll to beginning');
         await window.scrollManager.scrollToBeginning({
           onScroll: () => {
@@ -793,6 +969,7 @@ class ChatManager {
           logger.warn('Error determining seller/buyer: ' + e.message);
         }
       }
+      this.registerContactName(chatId, chatContainer, isSeller);
 
       // Store in chatHistory for compatibility with old flow
       this.chatHistory.set(chatId, {
@@ -801,6 +978,8 @@ class ChatManager {
         isSeller,
         lastUpdated: new Date()
       });
+      window.chatExporter?.record(chatId, this.chatHistory.get(chatId));
+      window.conversationArchive?.archiveChat(chatId, this.chatHistory.get(chatId));
 
       // Step 2: Optionally generate response if autoRespond is true
       if (autoRespond) {
@@ -829,8 +1008,13 @@ class ChatManager {
           this.isResponding = false;
           return true;
         } catch (responseError) {
-          logger.error(`Error during automatic response generation: ${responseError.message}`);
           this.isResponding = false;
+          // The buyer wrote again while the reply was generated: answer the whole conversation instead
+          if (responseError.cancelReason === 'newMessages' && this.currentChatId === chatId) {
+            logger.log(`New messages in chat ${chatId} during generation, generating the reply again`);
+            return this.processCurrentChat(true);
+          }
+          logger.error(`Error during automatic response generation: ${responseError.message}`);
           return false;
         }
       } else {
@@ -994,6 +1178,25 @@ class ChatManager {
     }
   }
 
+  /**
+   * History of the open chat from its live model, when it is observed since its last extraction.
+   * Publishes chatHistoryExtracted again (with live: true) so audio association and language detection
+   * see the messages captured since.
+   * @param {HTMLElement} messagesWrapper - Current message wrapper
+   * @returns {{messages: Array, timeBlocks: Array}|null} Null when a full extraction is needed
+   * @private
+   */
+  _getLiveHistory(messagesWrapper) {
+    const snapshot = window.liveChatModel?.getSnapshot(this.currentChatId, messagesWrapper);
+    if (!snapshot) return null;
+
+    logger.log(`Using the live model of chat ${this.currentChatId} (${snapshot.messages.length} messages), no extraction needed`);
+    if (window.eventCoordinator) {
+      window.eventCoordinator.emit('chatHistoryExtracted', { ...snapshot, chatId: this.currentChatId, live: true });
+    }
+    return snapshot;
+  }
+
   /**
    * Extracts the complete chat history - IMPROVED VERSION with support for time blocks
    * @param {HTMLElement} messagesWrapper - Message container
@@ -1010,43 +1213,39 @@ class ChatManager {
     }
 
     this.isProcessingChat = true;
+    this.messageRows.clear();
     logger.debug('Starting chat history extraction...');
 
     const messages = [];
-    const timeBlocks = []; // Array to record time blocks
-    let currentTimeBlock = null; // Current time block
+    const systemMessages = []; // Texts of the system rows (listing marked as sold, call ended...)
+    let timeBlocks = []; // Array to record time blocks
     let messageElements = [];
 
     try {
-      // 1) Get selectors from CONFIG or use fallback
-      const selectors = window.CONFIG?.selectors?.activeChat || {
-        messageWrapper: 'div.x4k7w5x > div > div > div, div[role="main"] > div > div > div:last-child > div',
-        messageRow: 'div[role="row"]',
-        senderAvatar: 'img.x1rg5ohu[alt]:not([alt="Open photo"])'
-      };
-
-      // 2) Get all message rows
-      messageElements = domUtils.findAllElements(selectors.messageRow, messagesWrapper);
+      // 1) Get all message rows
+      messageElements = selectorHealth.findAll('activeChat.messageRow', messagesWrapper);
       logger.log(`Analyzing ${messageElements.length} messages in the current DOM`);
 
       if (messageElements.length === 0) {
-        logger.warn('No message rows found with selector:', selectors.messageRow);
+        logger.warn('No message rows found with selector:', CONFIG.selectors.activeChat.messageRow);
         return [];
       }
 
-      // NEW: Find date separators before processing messages
-      const dateSeparators = this.findDateSeparators();
+      // 2) Process each message row, filed under the date divider above it
+      ({ timeBlocks } = this.walkMessageRows(messageElements, (el, row, blockIndex) => {
+        // SKIP if it is a separator or system message
+        if (row.message) {
+          const messageData = row.message;
+          messages.push(messageData);
+          this.messageRows.set(messageData.id, el);
+          el.dataset.messageId = messageData.id;
 
-      // Convert separators to time blocks
-      dateSeparators.forEach((separator, idx) => {
-        timeBlocks.push({
-          timestamp: separator.timestamp,
-          element: separator.element,
-          text: separator.text,
-          index: idx,
-          messages: [] // Will be filled during processing
-        });
-      });
+          logger.debug(`${messageData.content.type} – ${row.text.substring(0, 30)}${row.text.length > 30 ? '…' : ''}`);
+        } else {
+          if (row.kind === 'system') systemMessages.push(row.text);
+          logger.debug(`Omitted message ${row.kind === 'divider' ? 'SEPARATOR' : 'SYSTEM'}`);
+        }
+      }));
 
       // For debugging
       if (timeBlocks.length > 0) {
@@ -1056,80 +1255,9 @@ class ChatManager {
         });
       }
 
-      // 3) Process each message row
-      let currentBlockIndex = 0; // For tracking the current block while processing messages
-
-      messageElements.forEach((el, idx) => {
-        // Extract and clean unique text
-        const nodes = Array.from(el.querySelectorAll('span[dir="auto"], div[dir="auto"]'));
-        const texts = [...new Set(
-          nodes.map(n => n.textContent.trim())
-            .filter(t => t && t.toLowerCase() !== 'enter')
-        )];
-        const text = texts.join(' ').trim();
-
-        // Determine special types
-        const isDiv = this.isDividerElement(el);
-        const isSys = !isDiv && this.isSystemMessage(text);
-        const isReply = !isDiv && !isSys && !!this.detectQuotedMessage(el);
-
-        // --- UPDATED: Time block handling ---
-        // If we have time blocks and this element is a separator
-        if (timeBlocks.length > 0 && isDiv) {
-          // See if this element matches any of our separators
-          for (let i = 0; i < timeBlocks.length; i++) {
-            if (timeBlocks[i].element === el || el.contains(timeBlocks[i].element) || timeBlocks[i].element.contains(el)) {
-              currentBlockIndex = i; // Update the index of the current block
-              break;
-            }
-          }
-        }
-
-        // Determine sender
-        let sentByUs = false, type = 'UNKNOWN';
-        if (isDiv) type = 'DIVIDER 📅';
-        else if (isSys) type = 'SYSTEM 🤖';
-        else if (isReply) {
-          sentByUs = this.isMessageSentByUs(el);
-          type = sentByUs ? 'OWN REPLY 📣✅' : 'EXTERNAL REPLY 📣❌';
-        } else {
-          sentByUs = this.isMessageSentByUs(el);
-          type = sentByUs ? 'OWN ✅' : 'EXTERNAL ❌';
-        }
-
-        // SKIP if it is a separator or system message
-        if (!isDiv && !isSys) {
-          const messageData = {
-            id: `msg_${this.currentChatId}_${idx}`,
-            sentByUs,
-            content: {
-              text,
-              type: "unknown",
-              media: {}
-            },
-            // UPDATED: Assign the index of the current time block
-            timeBlockIndex: timeBlocks.length > 0 ? currentBlockIndex : null
-          };
-
-          // Detect and add multimedia content
-          this.detectAndAddImageContent(el, messageData);
-          this.detectAndAddAudioContent(el, messageData);
-          this.detectAndAddVideoContent(el, messageData);
-          this.detectAndAddFileContent(el, messageData);
-          this.detectAndAddLocationContent(el, messageData);
-
-          messages.push(messageData);
-
-          // Also add to the time block array if it exists
-          if (timeBlocks.length > 0 && currentBlockIndex < timeBlocks.length) {
-            timeBlocks[currentBlockIndex].messages.push(messageData);
-          }
-
-          logger.debug(`#${idx + 1}: ${messageData.content.type} – ${text.substring(0, 30)}${text.length > 30 ? '…' : ''}`);
-        } else {
-          logger.debug(`#${idx + 1}: Omitted message ${isDiv ? 'SEPARATOR' : 'SYSTEM'}`);
-        }
-      });
+      // Group chats: who sent each message, and their names redacted like the contact's
+      const participants = this.assignSenderNames(messages);
+      window.piiRedactor?.registerParticipants(this.currentChatId, participants);
 
       this.lastProcessedMessageCount = messages.length;
       logger.log(`Extraction completed: ${messages.length} messages found in ${timeBlocks.length} time blocks`);
@@ -1150,12 +1278,18 @@ class ChatManager {
       // Emit extraction completed event with time blocks
       const result = {
         messages: messages,
-        timeBlocks: timeBlocks
+        timeBlocks: timeBlocks,
+        systemMessages
       };
 
+      // New rows are captured from here on without extracting again (see LiveChatModel)
+      window.liveChatModel?.seed(this.currentChatId, messagesWrapper, messageElements, result);
+
       if (window.eventCoordinator) {
-        window.eventCoordinator.emit('chatHistoryExtracted', result);
+        window.eventCoordinator.emit('chatHistoryExtracted', { ...result, chatId: this.currentChatId });
       }
+      // Runs after the emit above, which gives the chat its detected language
+      this.showInlineTranslations(this.currentChatId, messages);
 
       return result;
 
@@ -1166,7 +1300,165 @@ class ChatManager {
       this.isProcessingChat = false;
     }
 
-    return { messages: messages, timeBlocks: timeBlocks };
+    return { messages: messages, timeBlocks: timeBlocks, systemMessages };
+  }
+
+  /**
+   * Parses message rows in document order, giving each message its ID and the time block of the
+   * date divider above it (null before the first divider, so loading older history does not change it).
+   * The extraction and MessageIdentity.getRowId both walk the rows here, so a row gets the same ID
+   * whichever of them meets it first.
+   * @param {Array<HTMLElement>} messageElements - Message rows in document order
+   * @param {Function} [visit] - (el, row, blockIndex) for each parsed row; returning true stops the walk
+   * @param {string} [chatId] - Chat the IDs belong to (the current one by default)
+   * @returns {{timeBlocks: Array}} Time blocks, each holding the messages walked under it
+   */
+  walkMessageRows(messageElements, visit = null, chatId = this.currentChatId) {
+    const timeBlocks = this.findDateSeparators().map((separator, idx) => ({
+      timestamp: separator.timestamp,
+      element: separator.element,
+      text: separator.text,
+      index: idx,
+      messages: [] // Filled while walking
+    }));
+    const nextId = messageIdentity.createSequence(chatId);
+    let currentBlockIndex = null;
+
+    for (const el of messageElements) {
+      const blockIndex = currentBlockIndex;
+      const row = this.parseMessageRow(el, blockIndex,
+        message => nextId(message, blockIndex === null ? null : timeBlocks[blockIndex]));
+
+      // A divider opens the block of the messages below it
+      if (row.kind === 'divider') {
+        const index = timeBlocks.findIndex(block =>
+          block.element === el || el.contains(block.element) || block.element.contains(el));
+        if (index !== -1) currentBlockIndex = index;
+      }
+
+      if (row.message && blockIndex !== null) timeBlocks[blockIndex].messages.push(row.message);
+      if (visit && visit(el, row, blockIndex) === true) break;
+    }
+
+    return { timeBlocks };
+  }
+
+  /**
+   * Parses one message row (full extraction and live capture)
+   * @param {HTMLElement} el - Message row (div[role="row"])
+   * @param {number|null} [timeBlockIndex] - Time block the message belongs to
+   * @param {Function} [identify] - Gives the ID from the parsed message (see MessageIdentity); null leaves it unset
+   * @returns {{kind: string, text: string, message: Object|null}} kind is 'divider', 'system' or 'message';
+   *   message is only set for 'message'
+   */
+  parseMessageRow(el, timeBlockIndex = null, identify = null) {
+    // Extract and clean unique text (reaction pills and the "Edited" label are not part of it)
+    const reactionPills = this.findReactionPills(el);
+    const senderHeader = domUtils.findElement(CONFIG.selectors.activeChat.senderName, el);
+    const nodes = Array.from(el.querySelectorAll('span[dir="auto"], div[dir="auto"]'))
+      .filter(n => !reactionPills.some(pill => pill.contains(n)) && !senderHeader?.contains(n));
+    const texts = [...new Set(
+      nodes.map(n => n.textContent.trim())
+        .filter(t => t && t.toLowerCase() !== 'enter')
+    )];
+    const edited = this.hasEditedLabel(el);
+    const text = texts.filter(t => !this.isEditedLabel(t)).join(' ').trim();
+
+    // Determine special types
+    if (this.isDividerElement(el)) return { kind: 'divider', text, message: null };
+    const unsent = this.parseUnsentMessage(text);
+    if (!unsent && this.isSystemMessage(text)) return { kind: 'system', text, message: null };
+
+    const messageData = {
+      id: null,
+      sentByUs: unsent ? unsent.byUs : this.isMessageSentByUs(el),
+      content: {
+        text: unsent ? '' : text,
+        type: unsent ? 'unsent' : "unknown",
+        media: {}
+      },
+      // UPDATED: Assign the index of the current time block
+      timeBlockIndex
+    };
+
+    // Their sender, when the row shows it (see assignSenderNames for the rest of a run)
+    const senderName = unsent ? unsent.name : (!messageData.sentByUs && this.getMessageSenderName(el, senderHeader));
+    if (senderName) messageData.senderName = senderName;
+
+    if (unsent) {
+      // Tombstone: the message was retracted, only who did it is left
+      messageData.content.unsent = true;
+    } else {
+      if (edited) messageData.content.edited = true;
+
+      // Detect and add multimedia content
+      this.detectAndAddImageContent(el, messageData);
+      this.detectAndAddAudioContent(el, messageData);
+      this.detectAndAddVideoContent(el, messageData);
+      this.detectAndAddFileContent(el, messageData);
+      this.detectAndAddLocationContent(el, messageData);
+      this.detectAndAddReactions(el, messageData, reactionPills);
+    }
+
+    // The ID depends on the content, so it is given once everything is read
+    if (identify) {
+      messageData.id = identify(messageData);
+
+      // Register that we are waiting for this audio for when it is detected
+      if (messageData.id && messageData.content.audioMarkerId && window.audioTranscriber) {
+        window.audioTranscriber.expectingAudioForMessageId = messageData.id;
+        window.audioTranscriber.expectingAudioTimestamp = Date.now();
+      }
+    }
+
+    return { kind: 'message', text, message: messageData };
+  }
+
+  /**
+   * Shows a translation into the user's language under the other person's last messages,
+   * when the chat is in another language (see LanguageManager)
+   * @param {string} chatId - Chat ID
+   * @param {Array} messages - Extracted messages
+   * @returns {Promise<void>}
+   */
+  async showInlineTranslations(chatId, messages) {
+    const languageManager = window.languageManager;
+    if (!languageManager || !chatId || !languageManager.getSettings().translateIncoming ||
+      !languageManager.needsTranslation(chatId)) {
+      return;
+    }
+
+    const incoming = messages
+      .filter(message => !message.sentByUs && languageManager.getMessageText(message) && this.messageRows.has(message.id))
+      .slice(-languageManager.getSettings().maxInlineTranslations);
+    if (!incoming.length) return;
+
+    const rows = incoming.map(message => this.messageRows.get(message.id));
+    const from = languageManager.getLanguageName(languageManager.getChatLanguage(chatId));
+    try {
+      const translations = await languageManager.translate(
+        incoming.map(message => languageManager.getMessageText(message)),
+        languageManager.getUserLanguage(),
+        chatId
+      );
+
+      translations.forEach((translation, index) => {
+        const row = rows[index];
+        // The chat may have changed, or Messenger re-rendered the row, while translating
+        if (!translation || chatId !== this.currentChatId || !row.isConnected) return;
+
+        let note = row.querySelector('.fb-chat-monitor-translation');
+        if (!note) {
+          note = document.createElement('div');
+          note.className = 'fb-chat-monitor-translation';
+          row.appendChild(note);
+        }
+        note.textContent = translation;
+        note.title = `Translated from ${from}`;
+      });
+    } catch (error) {
+      logger.warn(`Could not translate the messages of chat ${chatId}: ${error.message}`);
+    }
   }
 
   /**
@@ -1399,14 +1691,9 @@ class ChatManager {
       messageData.content.audioMarkerId = audioMarkerId;
 
       // Add to the DOM as a data attribute to facilitate later association
+      // (parseMessageRow registers the message as expecting audio once it has its ID)
       if (audioButton) {
         audioButton.setAttribute('data-audio-marker-id', audioMarkerId);
-
-        // Register that we are waiting for this audio for when it is detected
-        if (window.audioTranscriber) {
-          window.audioTranscriber.expectingAudioForMessageId = messageData.id;
-          window.audioTranscriber.expectingAudioTimestamp = Date.now();
-        }
       }
 
       /*window.logManager.step(window.logManager.phases.EXTRACTION, 'AUDIO_MARKER', 
@@ -1426,6 +1713,65 @@ class ChatManager {
     });
   }
 
+  /**
+   * Reaction pills of a message row
+   * @param {HTMLElement} container - Message row
+   * @returns {Array<HTMLElement>}
+   */
+  findReactionPills(container) {
+    const selectors = CONFIG.selectors.activeChat.messageReactions || [];
+    const pills = selectors.length ? Array.from(container.querySelectorAll(selectors.join(', '))) : [];
+    // Keep the outermost pill when selectors match nested elements
+    return pills.filter(pill => !pills.some(other => other !== pill && other.contains(pill)));
+  }
+
+  /**
+   * Emoji reactions of a message: who reacted with what
+   * @param {HTMLElement} container - Message row
+   * @param {Object} messageData - Message data to update (content.reactions: [{emoji, by}],
+   *   by is 'us', the name of the person, or null when Messenger does not say)
+   * @param {Array<HTMLElement>} [pills] - Reaction pills, when already found
+   */
+  detectAndAddReactions(container, messageData, pills = this.findReactionPills(container)) {
+    const reactions = [];
+
+    pills.forEach(pill => {
+      const label = pill.getAttribute('aria-label') || '';
+      const named = this.parseReactionLabel(label);
+      if (named.length) {
+        reactions.push(...named);
+        return;
+      }
+
+      // Counters only ("2 reactions; see who reacted to this"): the emojis are images or text
+      const emojis = [
+        ...Array.from(pill.querySelectorAll('img[alt]')).map(img => img.alt.trim()),
+        ...(pill.textContent.match(/\p{Extended_Pictographic}\uFE0F?/gu) || [])
+      ].filter(Boolean);
+      [...new Set(emojis)].forEach(emoji => reactions.push({ emoji, by: null }));
+    });
+
+    if (reactions.length) {
+      messageData.content.reactions = reactions;
+    }
+  }
+
+  /**
+   * Reads the reactions of a pill label, e.g. "Ana reacted with ❤; You reacted with 👍"
+   * @param {string} label - aria-label of a reaction pill
+   * @returns {Array<{emoji: string, by: string}>} Empty if the label names nobody
+   */
+  parseReactionLabel(label) {
+    return label.split(/[;\n]/).map(part => part.trim()).map(part => {
+      let match = part.match(/^(?:You reacted with|Reaccionaste con)\s+(.+)$/i);
+      if (match) return { emoji: match[1].trim(), by: 'us' };
+
+      match = part.match(/^(.+?)\s+(?:reacted with|reaccionó con)\s+(.+)$/i);
+      if (match) return { emoji: match[2].trim(), by: match[1].trim() };
+      return null;
+    }).filter(Boolean);
+  }
+
   /**
    * Extracts audio duration if available
    * @param {HTMLElement} container - Message container
@@ -1841,6 +2187,42 @@ class ChatManager {
     }
   }
 
+  /**
+   * Reads an "unsent a message" tombstone
+   * @param {string} messageText - Text of the row
+   * @returns {{byUs: boolean}|null} Who unsent it, or null if the row is not a tombstone
+   */
+  parseUnsentMessage(messageText) {
+    if (!messageText) return null;
+
+    if (/^(You unsent a message|Anulaste el envío de un mensaje)\.?$/i.test(messageText)) {
+      return { byUs: true };
+    }
+    const match = messageText.match(/^(.{1,80}) (unsent a message|anuló el envío de un mensaje)\.?$/i);
+    if (match) {
+      return { byUs: false, name: match[1].trim() };
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} text - Text of a node
+   * @returns {boolean} True for the label Messenger shows under an edited message
+   */
+  isEditedLabel(text) {
+    return /^(Edited|Editado)$/i.test(text);
+  }
+
+  /**
+   * Whether a message row shows the "Edited" label (with or without dir="auto")
+   * @param {HTMLElement} container - Message row
+   * @returns {boolean}
+   */
+  hasEditedLabel(container) {
+    return Array.from(container.querySelectorAll('span, div'))
+      .some(node => node.children.length === 0 && this.isEditedLabel(node.textContent.trim()));
+  }
+
   /**
    * Determines if a message is a system message - IMPROVED VERSION
    * @param {string} messageText - Message text to check
@@ -2023,6 +2405,20 @@ class ChatManager {
     return isSystem;
   }
 
+  /**
+   * Listing status a system message announces ("You marked the listing as sold.", "Marcó este artículo como pendiente")
+   * @param {string} messageText - System message text
+   * @returns {string|null} 'sold', 'pending' or 'available'; null for other system messages
+   */
+  getListingStatusChange(messageText) {
+    const text = (messageText || '').trim();
+    if (/ marked the listing as sold\.?$|^(Marcaste|.*marcó) este artículo como vendido\.?$/i.test(text)) return 'sold';
+    if (/^[A-ZÁÉÍÓÚÑ][a-záéíóúñ]+ sold .+\.$|^Vendió .+\.$/.test(text)) return 'sold';
+    if (/ marked the listing as pending\.?$|^(Marcaste|.*marcó) este artículo como pendiente\.?$/i.test(text)) return 'pending';
+    if (/ marked the listing as available\.?$|^(Marcaste|.*marcó) este artículo como disponible\.?$/i.test(text)) return 'available';
+    return null;
+  }
+
   /**
    * Determines if an element is a divider (date, separator, etc.) - IMPROVED VERSION
    * @param {HTMLElement} element - Element to check
@@ -2287,6 +2683,58 @@ class ChatManager {
     }
   }
 
+  /**
+   * Name of the person who sent a row of the other side: the name header Messenger shows above the first
+   * message of each sender in group chats, the screen reader heading ("Ana sent"), or the avatar
+   * Messenger puts on the last message of a run
+   * @param {HTMLElement} row - Message row
+   * @param {HTMLElement|null} [header] - Name header of the row, when already looked up
+   * @returns {string|null} Null when the row does not show it
+   */
+  getMessageSenderName(row, header = domUtils.findElement(CONFIG.selectors.activeChat.senderName, row)) {
+    const headerText = (header?.textContent || '').trim();
+    if (headerText && !/^(you sent|enviaste|you|tú)$/i.test(headerText)) {
+      const name = headerText.replace(/\s+(sent|envió)$/i, '').trim();
+      if (name) return name;
+    }
+
+    // Photos also use the avatar classes: avatars are small and outside media links
+    const avatar = domUtils.findAllElements(CONFIG.selectors.activeChat.senderAvatar, row).find(img =>
+      !img.closest('a[href*="/messenger_media/"]') && !(parseInt(img.getAttribute('width'), 10) > 60));
+    return avatar?.getAttribute('alt').trim() || null;
+  }
+
+  /**
+   * Gives a sender to the other side's messages that do not show one, from the run they belong to:
+   * Messenger names the first message of a run (group chats) and puts the avatar on the last one.
+   * A run ends at our messages and at time blocks.
+   * @param {Array} messages - Messages in order (updated in place)
+   * @returns {Array<string>} Names of the other participants, in order of appearance
+   */
+  assignSenderNames(messages) {
+    const runs = [];
+    messages.forEach((message, index) => {
+      const previous = messages[index - 1];
+      if (message.sentByUs) return;
+      if (!previous || previous.sentByUs || previous.timeBlockIndex !== message.timeBlockIndex) runs.push([]);
+      runs[runs.length - 1].push(message);
+    });
+
+    runs.forEach(run => {
+      // Forward from the name header, then backward from the avatar
+      [run, [...run].reverse()].forEach(ordered => {
+        let name = null;
+        ordered.forEach(message => {
+          name = message.senderName || name;
+          if (name) message.senderName = name;
+        });
+      });
+    });
+
+    return [...new Set(messages.filter(message => !message.sentByUs && message.senderName)
+      .map(message => message.senderName))];
+  }
+
   /**
    * Handles the generation and potentially sending of a response based on the chat context
    * @param {Object} context - Chat context that includes messages, product information, etc.
@@ -2307,8 +2755,15 @@ class ChatManager {
       const operationMode = window.CONFIG?.operationMode || 'manual';
       logger.log(`[ChatManager] Configured operation mode (for sending): ${operationMode}`);
 
-      // Assume window.openaiManager is the primary (and likely only) AI service provider,
-      // and it implements the OpenAI Assistants API.
+      // Do not spend past the caps: enforceCaps() also pauses auto mode
+      if (operationMode === 'auto' && window.usageTracker?.enforceCaps()) {
+        const refusalReason = 'spend cap reached';
+        logger.warn(`[ChatManager] Reply for chat ${context.chatId} not generated: ${refusalReason}`);
+        return { text: '', envelope: null, error: true, refusalReason };
+      }
+
+      // window.openaiManager is the single entry point for every AI provider
+      // (OpenAI Assistants, Chat Completions, Anthropic, local HTTP). It always returns plain text.
       const assistantService = window.openaiManager;
 
       let assistantServiceAvailable = false;
@@ -2318,7 +2773,10 @@ class ChatManager {
         assistantServiceAvailable = assistantService.isReady();
       }
 
-      logger.debug(`[ChatManager] OpenAI Assistant Service (via window.openaiManager) Available: ${assistantServiceAvailable}`);
+      const providerLabel = typeof assistantService?.getProviderLabel === 'function'
+        ? assistantService.getProviderLabel()
+        : 'AI';
+      logger.debug(`[ChatManager] AI service (${providerLabel}, via window.openaiManager) Available: ${assistantServiceAvailable}`);
       if (assistantService && typeof assistantService.isReady === 'function') {
         // Log current state of openaiManager, isReady() call will auto-correct isInitialized if needed.
         logger.debug(`[ChatManager] window.openaiManager details: apiKey=${!!assistantService.apiKey}, isInitialized=${assistantService.isInitialized}, isReady=${assistantService.isReady()}`);
@@ -2328,23 +2786,49 @@ class ChatManager {
 
 
       if (assistantServiceAvailable) {
-        logger.log('[ChatManager] Using OpenAI Assistant...');
+        logger.log(`[ChatManager] Using ${providerLabel}...`);
         console.log('[ChatManager] Payload to assistant →', context);
-        showSimpleAlert('Consulting the OpenAI Assistant...', 'info');
+        showSimpleAlert(`Consulting ${providerLabel}...`, 'info');
 
-        // Get response as plain text
-        const responseText = await assistantService.generateResponse(context);
+        // Get the reply envelope, streamed into the input field while it is generated
+        const envelope = await assistantService.generateReply({
+          ...context,
+          ...this.beginResponseGeneration(context.chatId)
+        });
+        // A late reply is never inserted into another chat, nor when the buyer wrote again meanwhile
+        this.assertGenerationCurrent(context.chatId);
+        this.endResponseGeneration();
+
+        const replyText = envelope.reply || '';
+        const envelopeDetails = this.getEnvelopeDetails(envelope);
+
+        // Auto mode only sends replies the assistant is confident about
+        const refusalReason = this.getAutoSendRefusal(envelope);
+        if (refusalReason) {
+          logger.warn(`[ChatManager] Reply for chat ${context.chatId} not sent automatically: ${refusalReason}`);
+          logger.notify(`Reply not sent automatically: ${refusalReason}`, 'warning');
+          this.logResponseToHistory(context, context.role, replyText, false, { ...envelopeDetails, refused: refusalReason });
+          return { text: replyText, envelope, error: true, refusalReason };
+        }
 
-        // Always treat as simple plain text
-        const replyText = typeof responseText === 'string'
-          ? responseText
-          : (responseText.toString() || "No response received");
+        // Replies about to be sent automatically go through the safety gate; blocked ones stay as drafts
+        const gateResult = await this.checkSafetyGate(replyText, context, envelope);
+        if (!gateResult.allowed) {
+          const blockedReason = gateResult.reasons.join('; ');
+          this.insertResponseInInputField(replyText, context.chatId, { draftOnly: true });
+          showSimpleAlert(`Reply kept as a draft, not sent: ${blockedReason}`, 'warning', 10000);
+          logger.notify(`Reply not sent automatically (safety gate): ${blockedReason}`, 'warning');
+          this.logResponseToHistory(context, context.role, replyText, false, { ...envelopeDetails, blocked: blockedReason });
+          return { text: replyText, envelope, error: true, refusalReason: `Safety gate: ${blockedReason}` };
+        }
 
-        this.insertResponseInInputField(replyText);
-        showSimpleAlert('Response inserted. Review and send.', 'info');
+        this.insertResponseInInputField(replyText, context.chatId, { gateContext: { ...context, envelope } });
+        showSimpleAlert(envelope.structured
+          ? `Response inserted · ${this.describeEnvelope(envelope)}`
+          : 'Response inserted. Review and send.', 'info');
         // Registrar en historial (nueva línea)
-        this.logResponseToHistory(context, context.role, replyText, CONFIG.operationMode === 'auto');
-        return { text: replyText };
+        this.logResponseToHistory(context, context.role, replyText, CONFIG.operationMode === 'auto', envelopeDetails);
+        return { text: replyText, envelope };
       }
       // NO AI SERVICE AVAILABLE
       else {
@@ -2360,6 +2844,15 @@ class ChatManager {
         return { text: helpText, error: true, refusalReason: "No AI service configured" };
       }
     } catch (error) {
+      if (error.name === 'AbortError') {
+        const cancelReason = this.activeGeneration?.cancelReason || 'user';
+        logger.log(`[ChatManager] Response generation for chat ${context?.chatId} cancelled (${cancelReason})`);
+        showSimpleAlert(this.getCancellationMessage(cancelReason), 'info', 3000);
+        this.endResponseGeneration({ cancelled: true });
+        error.cancelReason = cancelReason;
+        throw error;
+      }
+      this.endResponseGeneration();
       logger.error(`[ChatManager] Critical error in handleResponse: ${error.message}`, {}, error);
       // Avoid duplicate alerts if a more specific one was already shown
       if (!error.message.includes("API Error:") &&
@@ -2372,14 +2865,334 @@ class ChatManager {
     }
   }
 
+  //===================================================================
+  // RESPONSE STREAMING
+  //===================================================================
+
+  /**
+   * Starts tracking a response generation so it can be streamed into the input and cancelled.
+   * The returned onDelta/signal pair is passed to openaiManager.generateResponse in the context.
+   * The signal is the cancellation token of the chat: it aborts when the user cancels, when another
+   * chat is opened, or when the buyer sends new messages before the reply is ready.
+   * Progress is published through eventCoordinator ('responseStreamStarted', 'responseStreamProgress',
+   * 'responseStreamEnded') so the UI can follow it.
+   * @param {string} chatId - Chat the response is generated for
+   * @returns {{onDelta: Function|null, signal: AbortSignal}} Streaming hooks
+   */
+  beginResponseGeneration(chatId) {
+    // Only one generation is tracked at a time: one that is replaced could never be inserted
+    const previous = this.activeGeneration;
+    if (previous) {
+      if (!previous.controller.signal.aborted) {
+        this.cancelResponseGeneration(previous.chatId === chatId ? 'user' : 'chatChanged');
+      }
+      if (previous.timer) clearTimeout(previous.timer);
+      clearInterval(previous.staleTimer);
+    }
+
+    const controller = new AbortController();
+    const generation = {
+      chatId,
+      controller,
+      chars: 0,
+      lastWrite: 0,
+      pendingText: null,
+      timer: null,
+      cancelReason: null,
+      lastIncoming: this.getLastIncomingMessageSignature(),
+      staleTimer: null
+    };
+    this.activeGeneration = generation;
+    generation.staleTimer = setInterval(() => {
+      this._checkUrlChange();
+      this._checkForNewMessages(generation);
+    }, this.staleCheckInterval);
+
+    window.eventCoordinator?.emit('responseStreamStarted', { chatId });
+
+    if (window.CONFIG?.AI?.streamResponses === false) {
+      return { onDelta: null, signal: controller.signal };
+    }
+
+    const writeToInput = () => {
+      generation.timer = null;
+      generation.lastWrite = Date.now();
+      const text = generation.pendingText;
+      generation.pendingText = null;
+
+      // Never type into another conversation if the user switched chats meanwhile
+      if (text === null || controller.signal.aborted || this.currentChatId !== chatId) return;
+
+      const inputField = selectorHealth.find('activeChat.messageInput');
+      if (inputField) insertTextDirectly(inputField, text);
+    };
+
+    const onDelta = (delta, fullText) => {
+      if (controller.signal.aborted) return;
+      generation.chars = fullText.length;
+      generation.pendingText = fullText;
+      window.eventCoordinator?.emit('responseStreamProgress', { chatId, chars: generation.chars });
+
+      // Messenger re-renders the input on every insertion, so writes are throttled
+      if (generation.timer) return;
+      const wait = Math.max(0, this.streamWriteInterval - (Date.now() - generation.lastWrite));
+      generation.timer = setTimeout(writeToInput, wait);
+    };
+
+    return { onDelta, signal: controller.signal };
+  }
+
+  /**
+   * Stops tracking the current generation
+   * @param {Object} result - {cancelled, chars}
+   * @private
+   */
+  endResponseGeneration(result = {}) {
+    const generation = this.activeGeneration;
+    if (!generation) return;
+
+    if (generation.timer) clearTimeout(generation.timer);
+    clearInterval(generation.staleTimer);
+    this.activeGeneration = null;
+
+    window.eventCoordinator?.emit('responseStreamEnded', {
+      chatId: generation.chatId,
+      chars: generation.chars,
+      cancelled: !!result.cancelled
+    });
+  }
+
+  /**
+   * Cancels the response being generated and clears any partial text typed into the input.
+   * Aborting the signal also cancels the assistant run on the server.
+   * @param {string} [reason='user'] - 'user', 'chatChanged' or 'newMessages'
+   * @returns {boolean} True if there was a generation to cancel
+   */
+  cancelResponseGeneration(reason = 'user') {
+    const generation = this.activeGeneration;
+    if (!generation) return false;
+
+    logger.log(`Cancelling response generation for chat ${generation.chatId} (${reason})`);
+    generation.cancelReason = generation.cancelReason || reason;
+    generation.controller.abort();
+
+    if (generation.chars > 0 && this.currentChatId === generation.chatId) {
+      const inputField = selectorHealth.find('activeChat.messageInput');
+      if (inputField) this.forceCleanInputField(inputField);
+    }
+    return true;
+  }
+
+  /**
+   * Whether a response is currently being generated
+   * @returns {boolean}
+   */
+  isGeneratingResponse() {
+    return !!this.activeGeneration;
+  }
+
+  /**
+   * Cancels the generation if it belongs to a chat other than the one being opened
+   * @param {string} chatId - Chat that is open now
+   * @returns {boolean} True if a generation was cancelled
+   */
+  cancelGenerationForOtherChat(chatId) {
+    const generation = this.activeGeneration;
+    if (!generation || generation.chatId === chatId || generation.controller.signal.aborted) return false;
+    return this.cancelResponseGeneration('chatChanged');
+  }
+
+  /**
+   * Throws an AbortError unless the generation for the chat is still wanted: not cancelled,
+   * the chat is still open and the buyer has not written since it started.
+   * URL and messages are checked right away instead of waiting for the next interval.
+   * @param {string} chatId - Chat the reply was generated for
+   * @throws {DOMException} AbortError
+   */
+  assertGenerationCurrent(chatId) {
+    this._checkUrlChange();
+
+    const generation = this.activeGeneration;
+    if (generation?.chatId === chatId) {
+      this._checkForNewMessages(generation);
+      if (this.currentChatId !== chatId) this.cancelResponseGeneration('chatChanged');
+    }
+
+    if (!generation || generation.chatId !== chatId || generation.controller.signal.aborted) {
+      throw new DOMException('Generation cancelled', 'AbortError');
+    }
+  }
+
+  /**
+   * Cancels the generation as stale if the buyer sent a message after it started
+   * (polling fallback to the messageAdded listener, for chats without live capture)
+   * @param {Object} generation - Active generation
+   * @returns {boolean} True if it was cancelled
+   * @private
+   */
+  _checkForNewMessages(generation) {
+    if (generation.controller.signal.aborted || this.currentChatId !== generation.chatId) return false;
+
+    const lastIncoming = this.getLastIncomingMessageSignature();
+    if (!lastIncoming || lastIncoming === generation.lastIncoming) return false;
+
+    logger.log(`New message in chat ${generation.chatId} while the reply was generated`);
+    return this.cancelResponseGeneration('newMessages');
+  }
+
+  /**
+   * Identifies the last message from the other side in the open chat (text, audio or media link)
+   * @returns {string|null} Signature, or null if none is rendered
+   */
+  getLastIncomingMessageSignature() {
+    const container = selectorHealth.find('activeChat.container');
+    if (!container) return null;
+
+    const contentSelector = [].concat(CONFIG.selectors.activeChat.messageContent).join(', ');
+    const rows = selectorHealth.findAll('activeChat.messageRow', container);
+
+    // Only the bottom of the chat matters; older rows are loaded or unloaded while scrolling
+    for (let i = rows.length - 1; i >= Math.max(0, rows.length - 20); i--) {
+      const row = rows[i];
+      if (this.isMessageSentByUs(row)) continue;
+
+      const signature = row.querySelector(contentSelector)?.textContent?.trim() ||
+        row.querySelector('audio[src]')?.getAttribute('src') ||
+        row.querySelector('a[href*="/messenger_media/"]')?.getAttribute('href');
+      if (signature) return signature;
+    }
+    return null;
+  }
+
+  /**
+   * Alert text for a cancelled generation
+   * @param {string} [reason] - Cancel reason of the generation
+   * @returns {string}
+   */
+  getCancellationMessage(reason) {
+    switch (reason) {
+      case 'chatChanged':
+        return 'Reply discarded: the chat changed while it was generated';
+      case 'newMessages':
+        return 'Reply discarded: new messages arrived while it was generated';
+      default:
+        return 'Response generation cancelled';
+    }
+  }
+
+  //===================================================================
+  // STRUCTURED REPLIES
+  //===================================================================
+
+  /**
+   * Reason to keep a reply from being sent in auto mode (CONFIG.AI.structuredReplies)
+   * @param {Object} envelope - Reply envelope from openaiManager.generateReply
+   * @returns {string|null} Refusal reason, or null if the reply can be sent
+   */
+  getAutoSendRefusal(envelope) {
+    if (window.CONFIG?.operationMode !== 'auto') return null;
+    if (!envelope || !envelope.reply) return 'Empty reply';
+
+    const settings = window.CONFIG?.AI?.structuredReplies || {};
+    if (settings.enabled === false) return null;
+
+    if (!envelope.structured) {
+      return settings.requireInAutoMode ? 'Could not generate a valid structured response' : null;
+    }
+    if (envelope.needsHuman && settings.refuseNeedsHuman !== false) {
+      return 'The assistant asked for human review';
+    }
+    const minConfidence = typeof settings.minConfidence === 'number' ? settings.minConfidence : 0.6;
+    if (envelope.confidence !== null && envelope.confidence < minConfidence) {
+      return `Low confidence (${Math.round(envelope.confidence * 100)}% < ${Math.round(minConfidence * 100)}%)`;
+    }
+    return null;
+  }
+
+  /**
+   * Runs the safety gate on a reply that would be sent automatically
+   * @param {string} text - Reply text
+   * @param {Object} context - Chat context ({chatId, role, productDetails})
+   * @param {Object} [envelope] - Reply envelope (offer amount)
+   * @returns {Promise<{allowed: boolean, reasons: Array<string>}>} Always allowed when nothing would be sent
+   */
+  async checkSafetyGate(text, context, envelope = null) {
+    const willSend = window.CONFIG?.operationMode === 'auto' && CONFIG.autoSendMessages;
+    if (!willSend || !window.safetyGate) return { allowed: true, reasons: [] };
+
+    try {
+      return await window.safetyGate.check(text, {
+        chatId: context?.chatId,
+        role: context?.role,
+        productDetails: context?.productDetails,
+        envelope
+      });
+    } catch (error) {
+      // Never send when the gate itself fails
+      logger.error(`Safety gate error: ${error.message}`, {}, error);
+      return { allowed: false, reasons: [`Safety gate error: ${error.message}`] };
+    }
+  }
+
+  /**
+   * Short description of an envelope for alerts, e.g. "offer (85%) · offer: 120 · needs review"
+   * @param {Object} envelope - Reply envelope
+   * @returns {string}
+   */
+  describeEnvelope(envelope) {
+    const parts = [];
+    if (envelope.intent) {
+      parts.push(envelope.confidence !== null
+        ? `${envelope.intent} (${Math.round(envelope.confidence * 100)}%)`
+        : envelope.intent);
+    }
+    if (envelope.offerAmount !== null && envelope.offerAmount !== undefined) parts.push(`offer: ${envelope.offerAmount}`);
+    if (envelope.needsHuman) parts.push('needs review');
+    if (envelope.actions?.length) parts.push(`suggested: ${envelope.actions.join(', ')}`);
+    return parts.join(' · ');
+  }
+
+  /**
+   * Envelope fields kept in the response history
+   * @param {Object} envelope - Reply envelope
+   * @returns {Object} History details ({} for plain-text replies)
+   */
+  getEnvelopeDetails(envelope) {
+    if (!envelope || !envelope.structured) return {};
+    return {
+      envelope: {
+        intent: envelope.intent,
+        confidence: envelope.confidence,
+        offerAmount: envelope.offerAmount,
+        needsHuman: envelope.needsHuman,
+        actions: envelope.actions
+      }
+    };
+  }
+
   /**
    * Inserts the generated response directly into the chat input field and sends it if configured
    * @param {string} text - Text of the response to insert
+   * @param {string} [chatId] - Chat the response was generated for; nothing is inserted into another chat
+   * @param {Object} [options]
+   * @param {boolean} [options.draftOnly=false] - Insert without sending, also in auto mode
+   * @param {Object} [options.gateContext] - Chat context for the safety gate ({chatId, role, productDetails, envelope})
    * @returns {boolean} - True if it was inserted correctly
    */
-  insertResponseInInputField(text) {
+  insertResponseInInputField(text, chatId = null, options = {}) {
+    const { draftOnly = false, gateContext = null } = options;
     try {
-      const inputField = document.querySelector(CONFIG.selectors.activeChat.messageInput);
+      // The insertion below is delayed, so the chat is checked again right before typing
+      const isTargetChatOpen = () => {
+        if (!chatId) return true;
+        this._checkUrlChange();
+        if (this.currentChatId === chatId) return true;
+        logger.warn(`Reply for chat ${chatId} not inserted: chat ${this.currentChatId} is open now`);
+        return false;
+      };
+      if (!isTargetChatOpen()) return false;
+
+      const inputField = selectorHealth.find('activeChat.messageInput');
       if (!inputField) {
         logger.error('Message input field not found');
         return false;
@@ -2387,6 +3200,7 @@ class ChatManager {
 
       // Verify if we are in AUTO mode to apply greater protection
       const isAutoMode = window.CONFIG?.operationMode === 'auto';
+      const sendAfterInsert = isAutoMode && !draftOnly;
       logger.debug(`Operation mode when inserting response: ${isAutoMode ? 'AUTO' : 'MANUAL'}`);
 
       // PHASE 1: Previous cleaning with delay to ensure Facebook is ready
@@ -2410,7 +3224,7 @@ class ChatManager {
           if (isAutoMode) {
             logger.debug('AUTO mode detected, applying additional pause to ensure complete cleaning');
             setTimeout(() => {
-              this.insertTextAndPotentiallySend(inputField, text, isAutoMode);
+              if (isTargetChatOpen()) this.insertTextAndPotentiallySend(inputField, text, sendAfterInsert, gateContext || { chatId });
             }, 500);
             return true;
           }
@@ -2418,7 +3232,7 @@ class ChatManager {
 
         // PHASE 5: Insert the text after a small delay so that the cleaning takes effect
         setTimeout(() => {
-          this.insertTextAndPotentiallySend(inputField, text, isAutoMode);
+          if (isTargetChatOpen()) this.insertTextAndPotentiallySend(inputField, text, sendAfterInsert, gateContext || { chatId });
         }, 100);
       }, isAutoMode ? 300 : 0); // Greater delay in AUTO mode
 
@@ -2434,8 +3248,9 @@ class ChatManager {
    * @param {HTMLElement} inputField - Input field
    * @param {string} text - Text to insert
    * @param {boolean} isAutoMode - If we are in automatic mode
+   * @param {Object} [gateContext] - Chat context for the safety gate, checked right before sending
    */
-  insertTextAndPotentiallySend(inputField, text, isAutoMode) {
+  insertTextAndPotentiallySend(inputField, text, isAutoMode, gateContext = null) {
     try {
       logger.debug('Inserting text in input field');
       domUtils.insertTextIntoField(inputField, text);
@@ -2449,7 +3264,16 @@ class ChatManager {
         const sendDelay = CONFIG.sendMessageDelay || 2000; // Minimum 2 seconds by default
         logger.debug(`Waiting ${sendDelay}ms before sending so that Facebook processes the text...`);
 
-        setTimeout(() => {
+        setTimeout(async () => {
+          // Last line of defence for every path that sends: the result is cached when handleResponse checked it
+          const gateResult = await this.checkSafetyGate(text, gateContext, gateContext?.envelope);
+          if (!gateResult.allowed) {
+            const blockedReason = gateResult.reasons.join('; ');
+            logger.warn(`Automatic sending blocked by the safety gate: ${blockedReason}`);
+            showSimpleAlert(`Reply kept as a draft, not sent: ${blockedReason}`, 'warning', 10000);
+            return;
+          }
+
           // Verify once more that the inserted text is what we want to send
           const finalText = inputField.getAttribute('contenteditable') === 'true' ?
             (inputField.textContent || '') :
@@ -2485,17 +3309,15 @@ class ChatManager {
 
       logger.debug(`Initiating message sending attempt (${isAfterInsert ? 'after inserting text' : 'direct'})`);
 
-      // Strategy 1: Click on the send button with improved selectors
+      // Strategy 1: Click on the send button (ranked CONFIG selectors, then the generic ones)
       const sendButtonSelectors = [
-        ...CONFIG.selectors.activeChat.sendButton,
         'div[aria-label="Press enter to send"]',
         'div[aria-label="Pulsa Intro para enviar"]', // Doubt: Should this be translated?
         'div[role="button"][tabindex="0"][style*="transform: translateY(0px)"]',
         'div.xjbqb8w:not([style*="opacity: 0"])',
         'div.x1i10hfl[role="button"]:not(.x1hc1fzr)'
       ];
-      logger.debug(`Searching for send button with ${sendButtonSelectors.length} selectors...`);
-      const sendButton = domUtils.findElement(sendButtonSelectors);
+      const sendButton = selectorHealth.find('activeChat.sendButton') || domUtils.findElement(sendButtonSelectors);
 
       if (sendButton) {
         const rect = sendButton.getBoundingClientRect();
@@ -2540,7 +3362,7 @@ class ChatManager {
       }
 
       // Strategy 2: Simulate Enter key in the field
-      const inputField = document.querySelector(CONFIG.selectors.activeChat.messageInput);
+      const inputField = selectorHealth.find('activeChat.messageInput');
       if (inputField) {
         logger.debug('Simulating Enter key in the input field...');
 
@@ -2658,8 +3480,9 @@ class ChatManager {
  * @param {Object} context - Chat context
  * @param {string} response - Generated response
  * @param {boolean} sent - If the response was sent
+ * @param {Object} details - Extra fields for the entry (e.g. the draft chosen in the picker)
  */
-  logResponseToHistory(context, role, response, sent = false) {
+  logResponseToHistory(context, role, response, sent = false, details = {}) {
     try {
       // Get current history
       const history = storageUtils.get('RESPONSE_LOGS', []);
@@ -2674,7 +3497,8 @@ class ChatManager {
           username: context.username || ''
         },
         response: response,
-        sent: sent
+        sent: sent,
+        ...details
       };
 
       // Add to the beginning to show the most recent ones first
@@ -19,10 +19,169 @@ Object.assign(CONFIG, {
     maxTokens: 2048,
     temperature: 0.7,
     useAssistantAPI: true,
-    provider: 'openai',
+    streamResponses: true, // Type replies into the input as they are generated (needs the 'fetch' transport)
+    // Request queue of ApiClient (see core/openai/RequestScheduler.js)
+    requestQueue: {
+      maxConcurrent: 3,             // Requests in flight at once
+      maxConcurrentLow: 1,          // Of which background work (transcriptions)
+      timeout: 60000,               // Per request (ms); streams only time out until the first byte
+      transcriptionTimeout: 120000
+    },
+    // JSON reply envelope {reply, intent, confidence, offerAmount, needsHuman, actions} (see core/openai/ReplyEnvelope.js)
+    structuredReplies: {
+      enabled: true,
+      minConfidence: 0.6,       // Auto mode does not send replies below this confidence
+      refuseNeedsHuman: true,   // Auto mode does not send replies flagged for human review
+      requireInAutoMode: false  // Auto mode does not send plain-text (unparseable) replies
+    },
+    // Checks run before a reply is sent automatically (see core/openai/SafetyGate.js).
+    // A blocked reply stays in the input field as a draft.
+    safetyGate: {
+      enabled: true,
+      moderation: true,       // OpenAI moderation endpoint; a failed check blocks the reply
+      maxLength: 600,         // Characters (0 = no limit)
+      checkFloorPrice: true,  // No prices below the listing floor price (seller chats)
+      rules: {
+        phoneNumbers: true,
+        shipFirst: true,
+        offPlatformPayment: true
+      },
+      blocklist: []           // Text (case-insensitive) or /regex/flags, e.g. the home address
+    },
+    // Per-chat language detection and translations (see core/openai/LanguageManager.js)
+    language: {
+      enabled: true,
+      replyInBuyerLanguage: true,
+      translateIncoming: true,   // Inline translation under the other person's messages
+      translateDrafts: true,     // Translation of the generated reply
+      userLanguage: '',          // Language to translate into ('' = browser language)
+      minConfidence: 0.5,
+      maxInlineTranslations: 10  // Last incoming messages translated per chat
+    },
+    // Personal data replaced by placeholders ([BUYER_NAME], [PHONE_1]...) before any provider call
+    // and restored in the replies (see core/openai/PiiRedactor.js). The mapping stays in local storage.
+    privacy: {
+      redactPII: true,
+      names: true,
+      emails: true,
+      phones: true,
+      addresses: true,
+      locations: true         // Shared locations, coordinates and map links
+    },
+    // Local functions assistants can call during a run (see core/openai/ToolRegistry.js)
+    tools: {
+      enabled: true,
+      // Used by proposeMeetingTimes: days are 0 (Sunday) to 6, hours are [start, end)
+      meetingAvailability: {
+        days: [1, 2, 3, 4, 5, 6],
+        hours: [10, 19],
+        slotMinutes: 60,
+        daysAhead: 3,
+        minNoticeMinutes: 120,
+        pickupArea: ''
+      }
+    },
+    // Token and cost accounting (see core/openai/UsageTracker.js)
+    usage: {
+      enabled: true,
+      currency: 'USD',
+      // Spend caps in currency units; 0 = no cap. Reaching one pauses auto mode
+      caps: { daily: 0, monthly: 0 },
+      // USD per 1M tokens (input/output) or per minute of audio. Dated model names match by prefix
+      pricing: {
+        'gpt-4o-mini': { input: 0.15, output: 0.6 },
+        'gpt-4o': { input: 2.5, output: 10 },
+        'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+        'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+        'gpt-4.1': { input: 2, output: 8 },
+        'gpt-4-turbo': { input: 10, output: 30 },
+        'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+        'claude-3-5-haiku': { input: 0.8, output: 4 },
+        'claude-3-5-sonnet': { input: 3, output: 15 },
+        'whisper-1': { perMinute: 0.006 }
+      },
+      // Estimated input tokens per image for each CONFIG.images.quality (already included in
+      // the prompt tokens reported by the API, kept to show how much of the bill images are)
+      imageTokens: { low: 85, medium: 425, high: 765 }
+    },
+    // Draft picker: in manual mode the floating button asks for one candidate per style
+    draftVariants: {
+      enabled: true,
+      styles: [
+        { id: 'short', label: 'Short', instruction: 'One or two sentences, straight to the point.' },
+        { id: 'friendly', label: 'Friendly', instruction: 'Warm and conversational, showing interest in the other person.' },
+        { id: 'firm', label: 'Firm', instruction: 'Polite but firm about price and conditions, without unnecessary concessions.' }
+      ]
+    },
+    provider: 'openai', // 'openai', 'anthropic' or 'local-http' (see core/providers)
+    // Settings for the non-OpenAI providers (OpenAI itself uses the endpoint profiles below)
+    providers: {
+      anthropic: {
+        baseUrl: 'https://api.anthropic.com/v1',
+        apiKey: null,
+        model: 'claude-3-5-sonnet-latest',
+        version: '2023-06-01',
+        transport: 'gm'
+      },
+      'local-http': {
+        url: 'http://localhost:5000/generate',
+        apiKey: null,
+        model: '',
+        responsePath: 'reply', // Dot path of the reply text in the JSON response
+        transport: 'gm'
+      }
+    },
+    // OpenAI-compatible endpoints. Each profile sets its own base URL, auth header scheme and models.
+    // authScheme: 'bearer' (Authorization: Bearer <key>), 'api-key' (api-key: <key>) or 'none'
+    // transport: 'fetch' (page fetch) or 'gm' (GM_xmlhttpRequest, avoids CORS/mixed content on localhost)
+    endpoint: {
+      activeProfile: 'openai',
+      profiles: {
+        openai: {
+          name: 'OpenAI',
+          baseUrl: 'https://api.openai.com/v1',
+          authScheme: 'bearer',
+          apiKey: null,           // null = use CONFIG.AI.apiKey
+          models: ['gpt-4o', 'gpt-4o-mini'],
+          transcriptionModel: 'whisper-1',
+          transport: 'fetch'
+        },
+        local: {
+          name: 'Local server',
+          baseUrl: 'http://localhost:8080/v1',
+          authScheme: 'none',
+          apiKey: null,
+          models: ['local-model'],
+          transcriptionModel: 'whisper-1',
+          transport: 'gm'
+        }
+      }
+    },
     assistants: {
       seller: { id: null, name: "Seller Assistant", instructions: "..." },
       buyer: { id: null, name: "Buyer Assistant", instructions: "..." }
+    },
+    // {{placeholders}} rendered in the instructions at run time (see core/openai/PromptTemplates.js)
+    promptTemplates: {
+      profile: {
+        sellerName: '',  // {{sellerName}}; defaults to the seller name of the listing
+        pickupArea: ''   // {{pickupArea}} when the listing has none
+      },
+      // Sent as additional_instructions on every run (appended to the system prompt in completions mode)
+      additionalInstructions: { seller: '', buyer: '' }
+    },
+
+    // A/B experiments (see ExperimentManager); defined in the Assistants tab
+    experiments: {
+      abandonAfterHours: 48 // No answer to our last reply for this long counts as abandoned
+    },
+
+    // Policy documents (see KnowledgeBase): file_search on OpenAI, keyword snippets elsewhere
+    knowledge: {
+      enabled: true,
+      maxSnippets: 3,         // Snippets injected by the keyword fallback
+      maxSnippetLength: 700,  // Characters per snippet
+      syncDelay: 5000         // Wait after the last edit before re-syncing (ms)
     }
   },
 
@@ -52,7 +211,7 @@ Object.assign(CONFIG, {
   audioTranscription: {
     enabled: true,
     model: 'whisper-1',
-    language: 'es',
+    language: 'es', // Used until the chat language is detected (see AI.language); '' lets the endpoint detect it
     cacheResults: true,
     maxCacheSize: 100, // Maximum number of transcriptions in cache
     autoTranscribe: true // Whether to automatically transcribe detected audios
@@ -63,6 +222,15 @@ Object.assign(CONFIG, {
   autoSendMessages: true,
   sendMessageDelay: 2000,
 
+  // Selector statistics and fallbacks (see SelectorHealth)
+  selectorHealth: {
+    enabled: true,
+    autoPromote: true, // Move a working fallback to the front of its list
+    promoteAfter: 5, // Consecutive misses of the first selector before a fallback is promoted
+    staleAfter: 20, // Consecutive misses before a selector that used to match is flagged
+    alertAfter: 3 // Consecutive empty lookups before a critical selector raises a warning
+  },
+
   // DOM selectors for Facebook/Messenger
   selectors: {
     // Chat list
@@ -110,6 +278,11 @@ Object.assign(CONFIG, {
       messageRow: 'div[role="row"]',
       // Selector for the sender's avatar (used in isMessageSentByUs)
       senderAvatar: 'img.x1rg5ohu[alt]:not([alt="Open photo"])',
+      // Name shown above the first message of each sender in group chats, and the screen reader heading
+      senderName: [
+        'h4 span[dir="auto"]',
+        'h5 > span'
+      ],
       // Refined selectors for text content
       messageContent: [
         // Looks for div[dir="auto"] inside the specific span
@@ -188,6 +361,14 @@ Object.assign(CONFIG, {
         'div[aria-label*="GIF"]'
       ],
 
+      // Reaction pills under a message (their aria-label says who reacted with what)
+      messageReactions: [
+        'div[role="button"][aria-label*="reacted" i]',
+        'div[role="button"][aria-label*="reaccion" i]',
+        'div[aria-label*="see who reacted" i]',
+        'div[aria-label*="ver quién reaccionó" i]'
+      ],
+
       sellerIndicators: [
         'div[aria-label="Mark as sold"], div[aria-label="Marcar como vendido"]',
         'div[aria-label="Mark as pending"], div[aria-label="Marcar como pendiente"]',
@@ -274,6 +455,46 @@ Object.assign(CONFIG, {
         this.images.quality = storage.FB_CHAT_IMAGE_QUALITY;
       }
 
+      if (storage.FB_CHAT_ENDPOINT_PROFILES) {
+        this.applyStoredEndpointProfiles(storage.FB_CHAT_ENDPOINT_PROFILES);
+      }
+
+      if (storage.FB_CHAT_PROVIDER) {
+        this.applyStoredProvider(storage.FB_CHAT_PROVIDER, storage.FB_CHAT_PROVIDER_SETTINGS);
+      }
+
+      if (storage.FB_CHAT_USE_ASSISTANT_API !== undefined) {
+        this.AI.useAssistantAPI = storage.FB_CHAT_USE_ASSISTANT_API !== false && storage.FB_CHAT_USE_ASSISTANT_API !== 'false';
+      }
+
+      if (storage.FB_CHAT_STRUCTURED_REPLIES) {
+        this.applyStoredStructuredReplies(storage.FB_CHAT_STRUCTURED_REPLIES);
+      }
+
+      if (storage.FB_CHAT_USAGE_CAPS) {
+        this.applyStoredUsageCaps(storage.FB_CHAT_USAGE_CAPS);
+      }
+
+      if (storage.FB_CHAT_PROMPT_TEMPLATES) {
+        this.applyStoredPromptTemplates(storage.FB_CHAT_PROMPT_TEMPLATES);
+      }
+
+      if (storage.FB_CHAT_SAFETY_GATE) {
+        this.applyStoredSafetyGate(storage.FB_CHAT_SAFETY_GATE);
+      }
+
+      if (storage.FB_CHAT_PRIVACY) {
+        this.applyStoredPrivacy(storage.FB_CHAT_PRIVACY);
+      }
+
+      if (storage.FB_CHAT_LANGUAGE) {
+        this.applyStoredLanguage(storage.FB_CHAT_LANGUAGE);
+      }
+
+      if (storage.FB_CHAT_DRAFT_VARIANTS !== undefined) {
+        this.AI.draftVariants.enabled = storage.FB_CHAT_DRAFT_VARIANTS !== false && storage.FB_CHAT_DRAFT_VARIANTS !== 'false';
+      }
+
       if (typeof logger !== 'undefined') logger.log('Configuration loaded from storage');
       return this;
     } catch (error) {
@@ -294,6 +515,248 @@ Object.assign(CONFIG, {
     return true;
   },
 
+  /**
+   * Returns the active endpoint profile, always with every field filled in
+   * @returns {Object} Profile ({key, name, baseUrl, authScheme, apiKey, models, transcriptionModel, transport})
+   */
+  getActiveEndpointProfile() {
+    const endpoint = this.AI.endpoint || {};
+    const profiles = endpoint.profiles || {};
+    const key = profiles[endpoint.activeProfile] ? endpoint.activeProfile : 'openai';
+    const profile = profiles[key] || {};
+    return {
+      key,
+      name: profile.name || key,
+      baseUrl: (profile.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+      authScheme: profile.authScheme || 'bearer',
+      apiKey: profile.apiKey || (key === 'openai' ? this.AI.apiKey : null),
+      models: Array.isArray(profile.models) ? profile.models : [],
+      transcriptionModel: profile.transcriptionModel || 'whisper-1',
+      transport: profile.transport || 'fetch'
+    };
+  },
+
+  /**
+   * Merges endpoint profiles read from storage into CONFIG.AI.endpoint
+   * @param {Object|string} stored - {activeProfile, profiles} (object or JSON string)
+   */
+  applyStoredEndpointProfiles(stored) {
+    try {
+      const data = typeof stored === 'string' ? JSON.parse(stored) : stored;
+      if (!data || typeof data !== 'object') return;
+      Object.entries(data.profiles || {}).forEach(([key, profile]) => {
+        this.AI.endpoint.profiles[key] = { ...(this.AI.endpoint.profiles[key] || {}), ...profile };
+      });
+      if (data.activeProfile && this.AI.endpoint.profiles[data.activeProfile]) {
+        this.AI.endpoint.activeProfile = data.activeProfile;
+      }
+    } catch (e) {
+      if (typeof logger !== 'undefined') logger.error(`Error parsing endpoint profiles from storage: ${e.message}`);
+    }
+  },
+
+  saveEndpointProfile(key, profile, activate = true) {
+    if (!key || typeof key !== 'string' || !profile || typeof profile !== 'object') {
+      if (typeof logger !== 'undefined') logger.error('Invalid endpoint profile');
+      return false;
+    }
+    if (profile.authScheme && !['bearer', 'api-key', 'none'].includes(profile.authScheme)) {
+      if (typeof logger !== 'undefined') logger.error(`Invalid auth scheme: ${profile.authScheme}`);
+      return false;
+    }
+    this.AI.endpoint.profiles[key] = { ...(this.AI.endpoint.profiles[key] || {}), ...profile };
+    if (activate) this.AI.endpoint.activeProfile = key;
+
+    // Keep the selected model inside the profile's model list
+    const models = this.AI.endpoint.profiles[this.AI.endpoint.activeProfile].models || [];
+    if (models.length && !models.includes(this.AI.model)) {
+      this.AI.model = models[0];
+      this.saveToStorage('FB_CHAT_MODEL', this.AI.model);
+    }
+
+    this.saveToStorage('FB_CHAT_ENDPOINT_PROFILES', JSON.stringify(this.AI.endpoint));
+    if (typeof logger !== 'undefined') logger.log(`Endpoint profile saved: ${key}${activate ? ' (active)' : ''}`);
+    return true;
+  },
+
+  /**
+   * Applies the provider and provider settings read from storage
+   * @param {string} provider - Provider name
+   * @param {Object|string} settings - Settings per provider (object or JSON string)
+   */
+  applyStoredProvider(provider, settings) {
+    if (provider) this.AI.provider = provider;
+    if (!settings) return;
+    try {
+      const data = typeof settings === 'string' ? JSON.parse(settings) : settings;
+      Object.entries(data || {}).forEach(([name, values]) => {
+        this.AI.providers[name] = { ...(this.AI.providers[name] || {}), ...values };
+      });
+    } catch (e) {
+      if (typeof logger !== 'undefined') logger.error(`Error parsing provider settings from storage: ${e.message}`);
+    }
+  },
+
+  saveProvider(provider, settings = null) {
+    if (!['openai', 'anthropic', 'local-http'].includes(provider)) {
+      if (typeof logger !== 'undefined') logger.error(`Invalid provider: ${provider}`);
+      return false;
+    }
+    this.AI.provider = provider;
+    if (settings && provider !== 'openai') {
+      this.AI.providers[provider] = { ...(this.AI.providers[provider] || {}), ...settings };
+    }
+    this.saveToStorage('FB_CHAT_PROVIDER', provider);
+    this.saveToStorage('FB_CHAT_PROVIDER_SETTINGS', JSON.stringify(this.AI.providers));
+    if (typeof logger !== 'undefined') logger.log(`AI provider changed to: ${provider}`);
+    return true;
+  },
+
+  saveUseAssistantAPI(enabled) {
+    this.AI.useAssistantAPI = !!enabled;
+    this.saveToStorage('FB_CHAT_USE_ASSISTANT_API', this.AI.useAssistantAPI);
+    if (typeof logger !== 'undefined') logger.log(`Response engine changed to: ${this.AI.useAssistantAPI ? 'Assistants API' : 'Chat Completions'}`);
+    return true;
+  },
+
+  applyStoredStructuredReplies(stored) {
+    try {
+      const settings = typeof stored === 'string' ? JSON.parse(stored) : stored;
+      if (settings && typeof settings === 'object') {
+        this.AI.structuredReplies = { ...this.AI.structuredReplies, ...settings };
+      }
+    } catch (error) {
+      if (typeof logger !== 'undefined') logger.error(`Error loading structured reply settings: ${error.message}`);
+    }
+  },
+
+  saveStructuredReplies(settings) {
+    const merged = { ...this.AI.structuredReplies, ...settings };
+    const minConfidence = parseFloat(merged.minConfidence);
+    merged.minConfidence = isNaN(minConfidence) ? 0.6 : Math.min(Math.max(minConfidence, 0), 1);
+    this.AI.structuredReplies = merged;
+    this.saveToStorage('FB_CHAT_STRUCTURED_REPLIES', JSON.stringify(merged));
+    if (typeof logger !== 'undefined') logger.log(`Structured replies ${merged.enabled ? 'enabled' : 'disabled'} (min confidence: ${merged.minConfidence})`);
+    return true;
+  },
+
+  applyStoredSafetyGate(stored) {
+    try {
+      const settings = typeof stored === 'string' ? JSON.parse(stored) : stored;
+      if (settings && typeof settings === 'object') {
+        this.AI.safetyGate = {
+          ...this.AI.safetyGate,
+          ...settings,
+          rules: { ...this.AI.safetyGate.rules, ...(settings.rules || {}) }
+        };
+      }
+    } catch (error) {
+      if (typeof logger !== 'undefined') logger.error(`Error loading safety gate settings: ${error.message}`);
+    }
+  },
+
+  saveSafetyGate(settings) {
+    if (!settings || typeof settings !== 'object') return false;
+    this.applyStoredSafetyGate(settings);
+    const maxLength = parseInt(this.AI.safetyGate.maxLength, 10);
+    this.AI.safetyGate.maxLength = isNaN(maxLength) || maxLength < 0 ? 0 : maxLength;
+    this.AI.safetyGate.blocklist = (this.AI.safetyGate.blocklist || []).map(term => String(term).trim()).filter(Boolean);
+    this.saveToStorage('FB_CHAT_SAFETY_GATE', JSON.stringify(this.AI.safetyGate));
+    if (typeof logger !== 'undefined') logger.log(`Safety gate ${this.AI.safetyGate.enabled ? 'enabled' : 'disabled'} (${this.AI.safetyGate.blocklist.length} blocklist entries)`);
+    return true;
+  },
+
+  applyStoredPrivacy(stored) {
+    try {
+      const settings = typeof stored === 'string' ? JSON.parse(stored) : stored;
+      if (settings && typeof settings === 'object') {
+        this.AI.privacy = { ...this.AI.privacy, ...settings };
+      }
+    } catch (error) {
+      if (typeof logger !== 'undefined') logger.error(`Error loading privacy settings: ${error.message}`);
+    }
+  },
+
+  savePrivacy(settings) {
+    if (!settings || typeof settings !== 'object') return false;
+    this.applyStoredPrivacy(settings);
+    this.saveToStorage('FB_CHAT_PRIVACY', JSON.stringify(this.AI.privacy));
+    if (typeof logger !== 'undefined') logger.log(`Personal data redaction ${this.AI.privacy.redactPII ? 'enabled' : 'disabled'}`);
+    return true;
+  },
+
+  applyStoredLanguage(stored) {
+    try {
+      const settings = typeof stored === 'string' ? JSON.parse(stored) : stored;
+      if (settings && typeof settings === 'object') {
+        this.AI.language = { ...this.AI.language, ...settings };
+      }
+    } catch (error) {
+      if (typeof logger !== 'undefined') logger.error(`Error loading language settings: ${error.message}`);
+    }
+  },
+
+  saveLanguage(settings) {
+    if (!settings || typeof settings !== 'object') return false;
+    this.applyStoredLanguage(settings);
+    this.AI.language.userLanguage = String(this.AI.language.userLanguage || '').trim().toLowerCase().slice(0, 2);
+    this.saveToStorage('FB_CHAT_LANGUAGE', JSON.stringify(this.AI.language));
+    if (typeof logger !== 'undefined') logger.log(`Language detection ${this.AI.language.enabled ? 'enabled' : 'disabled'} (translations into ${this.AI.language.userLanguage || 'the browser language'})`);
+    return true;
+  },
+
+  applyStoredUsageCaps(stored) {
+    try {
+      const caps = typeof stored === 'string' ? JSON.parse(stored) : stored;
+      if (caps && typeof caps === 'object') {
+        this.AI.usage.caps = { ...this.AI.usage.caps, ...caps };
+      }
+    } catch (error) {
+      if (typeof logger !== 'undefined') logger.error(`Error loading spend caps: ${error.message}`);
+    }
+  },
+
+  saveUsageCaps(caps) {
+    const normalize = value => {
+      const amount = parseFloat(value);
+      return isNaN(amount) || amount < 0 ? 0 : amount;
+    };
+    this.AI.usage.caps = {
+      daily: normalize(caps.daily),
+      monthly: normalize(caps.monthly)
+    };
+    this.saveToStorage('FB_CHAT_USAGE_CAPS', JSON.stringify(this.AI.usage.caps));
+    if (typeof logger !== 'undefined') logger.log(`Spend caps saved (daily: ${this.AI.usage.caps.daily || 'none'}, monthly: ${this.AI.usage.caps.monthly || 'none'})`);
+    return true;
+  },
+  applyStoredPromptTemplates(stored) {
+    try {
+      const settings = typeof stored === 'string' ? JSON.parse(stored) : stored;
+      if (settings && typeof settings === 'object') {
+        this.AI.promptTemplates = {
+          profile: { ...this.AI.promptTemplates.profile, ...(settings.profile || {}) },
+          additionalInstructions: { ...this.AI.promptTemplates.additionalInstructions, ...(settings.additionalInstructions || {}) }
+        };
+      }
+    } catch (error) {
+      if (typeof logger !== 'undefined') logger.error(`Error loading prompt templates: ${error.message}`);
+    }
+  },
+  savePromptTemplates(settings) {
+    if (!settings || typeof settings !== 'object') return false;
+    this.applyStoredPromptTemplates(settings);
+    this.saveToStorage('FB_CHAT_PROMPT_TEMPLATES', JSON.stringify(this.AI.promptTemplates));
+    if (typeof logger !== 'undefined') logger.log('Prompt templates saved');
+    return true;
+  },
+
+  saveDraftVariantsEnabled(enabled) {
+    this.AI.draftVariants.enabled = !!enabled;
+    this.saveToStorage('FB_CHAT_DRAFT_VARIANTS', this.AI.draftVariants.enabled);
+    if (typeof logger !== 'undefined') logger.log(`Draft variants ${this.AI.draftVariants.enabled ? 'enabled' : 'disabled'}`);
+    return true;
+  },
+
   // --- REFACTOR: Simplified saving logic ---
   saveApiKey(apiKey) {
     if (!apiKey || typeof apiKey !== 'string') {
@@ -332,7 +795,7 @@ Object.assign(CONFIG, {
   // --- Storage utilities (sin cambios) ---
   getStorage() {
     const storage = {};
-    const keysToLoad = ['FB_CHAT_OPERATION_MODE', 'FB_CHAT_MODE', 'FB_CHAT_API_KEY', 'FB_CHAT_MODEL', 'FB_CHAT_ASSISTANTS', 'FB_CHAT_IMAGE_QUALITY'];
+    const keysToLoad = ['FB_CHAT_OPERATION_MODE', 'FB_CHAT_MODE', 'FB_CHAT_API_KEY', 'FB_CHAT_MODEL', 'FB_CHAT_ASSISTANTS', 'FB_CHAT_IMAGE_QUALITY', 'FB_CHAT_USE_ASSISTANT_API', 'FB_CHAT_ENDPOINT_PROFILES', 'FB_CHAT_PROVIDER', 'FB_CHAT_PROVIDER_SETTINGS', 'FB_CHAT_DRAFT_VARIANTS', 'FB_CHAT_STRUCTURED_REPLIES', 'FB_CHAT_USAGE_CAPS', 'FB_CHAT_PROMPT_TEMPLATES', 'FB_CHAT_SAFETY_GATE', 'FB_CHAT_PRIVACY', 'FB_CHAT_LANGUAGE'];
     if (typeof GM_getValue === 'function') {
       keysToLoad.forEach(key => {
         const value = GM_getValue(key);
@@ -377,6 +840,15 @@ Object.assign(CONFIG, {
       onlyNewConversations: false,          // If true, ignore old chats
     },
 
+    // Compaction: past either budget, older turns are summarized and a fresh thread
+    // is seeded with the summary plus the most recent messages (see core/openai/ThreadCompactor.js)
+    compaction: {
+      enabled: true,
+      maxMessages: 40,          // Messages in the OpenAI thread
+      maxPromptTokens: 12000,   // Prompt tokens of the last run
+      keepRecentMessages: 10,   // Chat messages copied into the fresh thread
+    },
+
     // General configurations for the thread system
     general: {
       threadTTL: 2 * 60 * 60 * 1000,       // Thread lifetime: 2 hours
@@ -0,0 +1,521 @@
+/**
+ * Chat Exporter - "The Court Reporter"
+ *
+ * Responsibilities:
+ * - Keep a snapshot of every processed conversation (messages, role, product), in local storage only
+ * - Note what was finally sent after each AI draft, so drafts can be compared with the sent text
+ * - Export one conversation (the open one or any processed before) as JSON, CSV, Markdown or a
+ *   self-contained HTML transcript: senders, normalized timestamps, audio transcriptions, image and file
+ *   references, the product summary and the AI drafts versus what was sent
+ *
+ * Events used (eventCoordinator): 'messageAdded' (LiveChatModel), for the messages we send.
+ * Drafts come from the response history (RESPONSE_LOGS, see chatManager.logResponseToHistory).
+ * Timestamps are those of the time block of each message (Messenger shows them per block, not per message).
+ */
+
+class ChatExporter {
+  constructor() {
+    this.storageKey = 'CONVERSATION_SNAPSHOTS';
+    this.maxChats = 50;
+    this.maxMessages = 1000; // Latest messages kept per conversation
+    this.sentMatchWindow = 30 * 60 * 1000; // A message we send answers the draft of the last 30 min
+    this.formats = {
+      json: { extension: 'json', mimeType: 'application/json' },
+      csv: { extension: 'csv', mimeType: 'text/csv' },
+      markdown: { extension: 'md', mimeType: 'text/markdown' },
+      html: { extension: 'html', mimeType: 'text/html' }
+    };
+    this.attachListeners();
+  }
+
+  /**
+   * Listens for the messages we send, to pair them with the draft they came from
+   * @private
+   */
+  attachListeners() {
+    window.eventCoordinator?.on('messageAdded', ({ chatId, message }) => {
+      if (message.sentByUs) this.recordSentMessage(chatId, message);
+    });
+  }
+
+  /**
+   * Saves the snapshot of a processed conversation
+   * @param {string} chatId - Facebook thread ID
+   * @param {Object} chatData - {messages, productDetails, isSeller}; messages is the extraction result
+   *   ({messages, timeBlocks}) or a message array
+   */
+  record(chatId, chatData) {
+    if (!chatId || !chatData) return;
+
+    try {
+      const { messages, timeBlocks } = this.unwrapMessages(chatData.messages);
+      const all = storageUtils.get(this.storageKey, {});
+      all[chatId] = {
+        chatId,
+        role: chatData.isSeller ? 'seller' : 'buyer',
+        product: this.summarizeProduct(chatData.productDetails),
+        messages: messages.slice(-this.maxMessages).map(message => this.toSnapshotMessage(message, timeBlocks)),
+        updatedAt: Date.now()
+      };
+
+      // Forget the conversations processed longest ago
+      const chatIds = Object.keys(all);
+      if (chatIds.length > this.maxChats) {
+        chatIds
+          .sort((a, b) => (all[a].updatedAt || 0) - (all[b].updatedAt || 0))
+          .slice(0, chatIds.length - this.maxChats)
+          .forEach(id => delete all[id]);
+      }
+      storageUtils.set(this.storageKey, all);
+    } catch (error) {
+      logger.error(`Error saving the snapshot of chat ${chatId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Conversations that can be exported, most recent first
+   * @returns {Array<{chatId: string, title: string, messageCount: number, updatedAt: number}>}
+   */
+  listConversations() {
+    const all = storageUtils.get(this.storageKey, {});
+    return Object.values(all)
+      .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+      .map(snapshot => ({
+        chatId: snapshot.chatId,
+        title: this.getTitle(snapshot),
+        messageCount: snapshot.messages.length,
+        updatedAt: snapshot.updatedAt
+      }));
+  }
+
+  /**
+   * Everything exported for a conversation. The open chat uses its live messages when they are newer.
+   * @param {string} chatId - Facebook thread ID
+   * @returns {Object|null} Null if the conversation was never processed
+   */
+  buildExport(chatId) {
+    const snapshot = storageUtils.get(this.storageKey, {})[chatId];
+    const live = window.liveChatModel?.getSnapshot(chatId);
+    if (!snapshot && !live) return null;
+
+    const messages = live
+      ? live.messages.map(message => this.toSnapshotMessage(message, live.timeBlocks))
+      : snapshot.messages;
+    const contactName = window.piiRedactor?.getMapping(chatId).contactName || null;
+
+    return {
+      exportedAt: new Date().toISOString(),
+      version: CONFIG.version || '1.0',
+      chat: {
+        chatId,
+        url: `https://www.facebook.com/marketplace/t/${chatId}/`,
+        role: snapshot?.role || null,
+        contactName,
+        participants: [...new Set(messages.filter(message => !message.sentByUs && message.senderName)
+          .map(message => message.senderName))],
+        processedAt: snapshot ? new Date(snapshot.updatedAt).toISOString() : null
+      },
+      product: snapshot?.product || null,
+      messages: messages.map(message => this.toExportMessage(message)),
+      drafts: this.getDrafts(chatId)
+    };
+  }
+
+  /**
+   * Renders a conversation in one of the export formats
+   * @param {string} chatId - Facebook thread ID
+   * @param {string} format - json, csv, markdown or html
+   * @returns {{content: string, mimeType: string, fileName: string}}
+   */
+  exportConversation(chatId, format = 'json') {
+    const type = this.formats[format];
+    if (!type) throw new Error(`Unknown export format: ${format}`);
+
+    const data = this.buildExport(chatId);
+    if (!data) throw new Error(`Chat ${chatId} has not been processed yet`);
+
+    const renderers = {
+      json: () => JSON.stringify(data, null, 2),
+      csv: () => this.toCsv(data),
+      markdown: () => this.toMarkdown(data),
+      html: () => this.toHtml(data)
+    };
+    return {
+      content: renderers[format](),
+      mimeType: type.mimeType,
+      fileName: `fb-chat-monitor-chat-${chatId}-${new Date().toISOString().slice(0, 10)}.${type.extension}`
+    };
+  }
+
+  /**
+   * Notes a message we sent on the latest draft of the chat that has no sent text yet
+   * @param {string} chatId - Facebook thread ID
+   * @param {Object} message - Message sent by us
+   * @private
+   */
+  recordSentMessage(chatId, message) {
+    const text = (message.content?.text || '').trim();
+    if (!chatId || !text) return;
+
+    const history = storageUtils.get('RESPONSE_LOGS', []);
+    // Newest first (see logResponseToHistory)
+    const entry = history.find(item => item.context?.chatId === chatId);
+    if (!entry || entry.sentText !== undefined || Date.now() - entry.timestamp > this.sentMatchWindow) return;
+
+    entry.sentText = text;
+    entry.sentAt = Date.now();
+    storageUtils.set('RESPONSE_LOGS', history);
+  }
+
+  /**
+   * AI drafts of a chat, oldest first, with the text that was finally sent
+   * @param {string} chatId - Facebook thread ID
+   * @returns {Array<Object>}
+   * @private
+   */
+  getDrafts(chatId) {
+    const normalize = text => String(text || '').replace(/\s+/g, ' ').trim();
+    return storageUtils.get('RESPONSE_LOGS', [])
+      .filter(item => item.context?.chatId === chatId)
+      .reverse()
+      .map(item => {
+        const draft = typeof item.response === 'string' ? item.response : JSON.stringify(item.response);
+        const sentText = item.sentText ?? null;
+        return {
+          timestamp: new Date(item.timestamp).toISOString(),
+          mode: item.mode,
+          draft,
+          style: item.draft?.label || item.draft?.style || null,
+          intent: item.envelope?.intent || null,
+          sentAutomatically: !!item.sent,
+          sentText,
+          changedBeforeSending: sentText === null ? null : normalize(sentText) !== normalize(draft),
+          notSentReason: item.blocked || item.refused || null
+        };
+      });
+  }
+
+  /**
+   * @param {Object|Array} messages - Extraction result or message array
+   * @returns {{messages: Array, timeBlocks: Array}}
+   * @private
+   */
+  unwrapMessages(messages) {
+    if (Array.isArray(messages)) return { messages, timeBlocks: [] };
+    return { messages: messages?.messages || [], timeBlocks: messages?.timeBlocks || [] };
+  }
+
+  /**
+   * Message as stored in a snapshot: no DOM references, and the timestamp of its time block
+   * @param {Object} message - Extracted message
+   * @param {Array} timeBlocks - Time blocks of the extraction
+   * @returns {Object}
+   * @private
+   */
+  toSnapshotMessage(message, timeBlocks) {
+    const block = message.timeBlockIndex === null || message.timeBlockIndex === undefined
+      ? null
+      : timeBlocks[message.timeBlockIndex];
+    let timestamp = message.timestamp || block?.timestamp || null;
+    if (!timestamp && block?.text && window.TimestampUtils) {
+      timestamp = TimestampUtils.convertFacebookTimestampToMs(block.text) || null;
+    }
+
+    const { content = {} } = message;
+    let transcription = content.transcribedAudio && content.transcribedAudio !== '[Transcription Pending]'
+      ? content.transcribedAudio
+      : null;
+    if (!transcription && content.audioUrl && window.audioTranscriber) {
+      transcription = window.audioTranscriber.getTranscription(content.audioUrl.split('?')[0]) || null;
+    }
+
+    return JSON.parse(JSON.stringify({
+      id: message.id,
+      sentByUs: !!message.sentByUs,
+      senderName: message.senderName || null,
+      timestamp,
+      content: { ...content, transcribedAudio: transcription }
+    }));
+  }
+
+  /**
+   * Message as exported: flat and the same in every format
+   * @param {Object} message - Snapshot message
+   * @returns {Object}
+   * @private
+   */
+  toExportMessage(message) {
+    const content = message.content || {};
+    const media = content.media || {};
+    const location = media.location;
+    return {
+      id: message.id,
+      timestamp: message.timestamp ? new Date(message.timestamp).toISOString() : null,
+      sender: message.sentByUs ? 'us' : 'them',
+      senderName: message.sentByUs ? null : message.senderName,
+      type: content.type || 'unknown',
+      text: content.text || '',
+      edited: !!content.edited,
+      unsent: !!content.unsent,
+      reactions: content.reactions || [],
+      audio: content.hasAudio
+        ? { url: content.audioUrl || null, duration: content.audioDuration || null, transcription: content.transcribedAudio }
+        : null,
+      images: (media.images || []).map(image => image.url).filter(Boolean),
+      video: media.video ? { url: media.video.url || null, thumbnail: media.video.thumbnail || null } : null,
+      files: (media.files || []).map(file => ({ name: file.name || null, url: file.url || null })),
+      location: location
+        ? {
+          label: location.label || null,
+          url: location.url || null,
+          latitude: location.coordinates?.latitude ?? null,
+          longitude: location.coordinates?.longitude ?? null
+        }
+        : null
+    };
+  }
+
+  /**
+   * @param {Object} productDetails - Product details from the product extractor
+   * @returns {Object|null}
+   * @private
+   */
+  summarizeProduct(productDetails) {
+    if (!productDetails || typeof productDetails !== 'object') return null;
+    return {
+      id: productDetails.productId || productDetails.id || null,
+      title: productDetails.title || null,
+      price: productDetails.price || null,
+      url: productDetails.url || null,
+      summary: window.productExtractor?.getRelevantProductSummary(productDetails) || ''
+    };
+  }
+
+  /**
+   * @param {Object} snapshot
+   * @returns {string} Product title and contact, or the chat ID
+   * @private
+   */
+  getTitle(snapshot) {
+    const contactName = window.piiRedactor?.getMapping(snapshot.chatId).contactName;
+    return [snapshot.product?.title, contactName].filter(Boolean).join(' · ') || `Chat ${snapshot.chatId}`;
+  }
+
+  /**
+   * Sender of an exported message, for the text formats
+   * @param {Object} message - Exported message
+   * @param {Object} data - Export
+   * @returns {string}
+   * @private
+   */
+  getSenderLabel(message, data) {
+    if (message.sender === 'us') return data.chat.role === 'buyer' ? 'Us (buyer)' : 'Us (seller)';
+    return message.senderName || data.chat.contactName || (data.chat.role === 'buyer' ? 'Seller' : 'Buyer');
+  }
+
+  /**
+   * Text of an exported message with its edit, unsend, audio and reaction notes
+   * @param {Object} message - Exported message
+   * @returns {string}
+   * @private
+   */
+  describeMessage(message) {
+    if (message.unsent) return '[Message unsent]';
+
+    const parts = [];
+    if (message.text) parts.push(message.edited ? `${message.text} (edited)` : message.text);
+    if (message.audio) {
+      parts.push(message.audio.transcription
+        ? `[Audio${message.audio.duration ? ` ${message.audio.duration}` : ''}: "${message.audio.transcription}"]`
+        : '[Audio message, not transcribed]');
+    }
+    if (message.reactions.length) {
+      parts.push(`[Reactions: ${message.reactions.map(reaction =>
+        (reaction.by && reaction.by !== 'us' ? `${reaction.emoji} ${reaction.by}` : reaction.emoji)).join(', ')}]`);
+    }
+    return parts.join(' ');
+  }
+
+  /**
+   * Image, video, file and location references of an exported message
+   * @param {Object} message - Exported message
+   * @returns {Array<{label: string, url: string|null}>}
+   * @private
+   */
+  getAttachments(message) {
+    return [
+      ...message.images.map((url, index) => ({ label: `Image ${index + 1}`, url })),
+      ...(message.video ? [{ label: 'Video', url: message.video.url || message.video.thumbnail }] : []),
+      ...message.files.map(file => ({ label: `File: ${file.name || 'attachment'}`, url: file.url })),
+      ...(message.location
+        ? [{
+          label: `Location: ${message.location.label || ''}${message.location.latitude !== null
+            ? ` (${message.location.latitude}, ${message.location.longitude})`
+            : ''}`.trim(),
+          url: message.location.url
+        }]
+        : [])
+    ];
+  }
+
+  /**
+   * @param {Object} draft - Exported draft
+   * @returns {string} e.g. "sent automatically", "manual draft", "not sent: <reason>"
+   * @private
+   */
+  getDraftStatus(draft) {
+    if (draft.notSentReason) return `not sent: ${draft.notSentReason}`;
+    return draft.sentAutomatically ? 'sent automatically' : `${draft.mode} draft`;
+  }
+
+  /**
+   * CSV with one row per message, then one per AI draft
+   * @param {Object} data - Export
+   * @returns {string}
+   * @private
+   */
+  toCsv(data) {
+    const header = ['kind', 'timestamp', 'sender', 'sender_name', 'type', 'text', 'edited', 'unsent', 'reactions',
+      'audio_transcription', 'attachments', 'sent_text', 'message_id'];
+    const messageRows = data.messages.map(message => [
+      'message',
+      message.timestamp,
+      message.sender,
+      message.senderName,
+      message.type,
+      message.text,
+      message.edited ? 1 : 0,
+      message.unsent ? 1 : 0,
+      message.reactions.map(reaction => `${reaction.emoji} ${reaction.by || ''}`.trim()).join('; '),
+      message.audio?.transcription,
+      this.getAttachments(message).map(item => (item.url ? `${item.label} <${item.url}>` : item.label)).join(' | '),
+      '',
+      message.id
+    ]);
+    // Drafts: the type column holds their status, edited whether the sent text differs
+    const draftRows = data.drafts.map(draft => [
+      'draft', draft.timestamp, 'assistant', draft.style, this.getDraftStatus(draft), draft.draft,
+      draft.changedBeforeSending ? 1 : 0, '', '', '', '', draft.sentText, ''
+    ]);
+
+    return csvUtils.toCsv([header, ...messageRows, ...draftRows]);
+  }
+
+  /**
+   * Markdown transcript
+   * @param {Object} data - Export
+   * @returns {string}
+   * @private
+   */
+  toMarkdown(data) {
+    const lines = [`# ${data.product?.title || `Chat ${data.chat.chatId}`}`, ''];
+    lines.push(`- Chat: ${data.chat.url}`);
+    if (data.chat.role) lines.push(`- Our role: ${data.chat.role}`);
+    if (data.chat.contactName) lines.push(`- Contact: ${data.chat.contactName}`);
+    if (data.chat.participants.length > 1) lines.push(`- Participants: ${data.chat.participants.join(', ')}`);
+    lines.push(`- Exported: ${data.exportedAt}`, '');
+
+    if (data.product) {
+      lines.push('## Product', '', data.product.summary || [data.product.title, data.product.price].filter(Boolean).join(' · '), '');
+    }
+
+    lines.push('## Messages', '');
+    let day = null;
+    data.messages.forEach(message => {
+      const messageDay = message.timestamp ? message.timestamp.slice(0, 10) : null;
+      if (messageDay && messageDay !== day) {
+        day = messageDay;
+        lines.push(`### ${day}`, '');
+      }
+      const time = message.timestamp ? `${message.timestamp.slice(11, 16)} ` : '';
+      lines.push(`- ${time}**${this.getSenderLabel(message, data)}:** ${this.describeMessage(message)}`.trimEnd());
+      this.getAttachments(message).forEach(item => {
+        lines.push(item.url ? `  - [${item.label}](${item.url})` : `  - ${item.label}`);
+      });
+    });
+    lines.push('');
+
+    if (data.drafts.length) {
+      lines.push('## AI drafts', '');
+      data.drafts.forEach(draft => {
+        lines.push(`### ${draft.timestamp} (${this.getDraftStatus(draft)}${draft.style ? `, ${draft.style}` : ''})`, '', `> ${draft.draft.replace(/\n/g, '\n> ')}`, '');
+        if (draft.sentText !== null) {
+          lines.push(draft.changedBeforeSending ? `Sent after editing:\n\n> ${draft.sentText.replace(/\n/g, '\n> ')}` : 'Sent as drafted.', '');
+        }
+      });
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Self-contained HTML transcript (inline styles, no scripts; media are links, not embedded)
+   * @param {Object} data - Export
+   * @returns {string}
+   * @private
+   */
+  toHtml(data) {
+    const escape = text => String(text ?? '')
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const link = (url, label) => (url && /^https?:/i.test(url)
+      ? `<a href="${escape(url)}" rel="noreferrer">${escape(label)}</a>`
+      : escape(label));
+    const title = data.product?.title || `Chat ${data.chat.chatId}`;
+
+    const messages = data.messages.map(message => {
+      const attachments = this.getAttachments(message)
+        .map(item => `<div class="attachment">${link(item.url, item.label)}</div>`).join('');
+      return `<div class="message ${message.sender}${message.unsent ? ' unsent' : ''}">
+  <div class="meta">${escape(this.getSenderLabel(message, data))}${message.timestamp ? ` · ${escape(message.timestamp.replace('T', ' ').slice(0, 16))}` : ''}</div>
+  <div class="text">${escape(this.describeMessage(message))}</div>${attachments}
+</div>`;
+    }).join('\n');
+
+    const drafts = data.drafts.map(draft => `<tr>
+  <td>${escape(draft.timestamp.replace('T', ' ').slice(0, 16))}</td>
+  <td>${escape(this.getDraftStatus(draft))}</td>
+  <td>${escape(draft.draft)}</td>
+  <td>${escape(draft.sentText ?? '')}${draft.changedBeforeSending ? ' <em>(edited)</em>' : ''}</td>
+</tr>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escape(title)}</title>
+<style>
+  body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; max-width: 760px; margin: 24px auto; color: #1c1e21; }
+  .summary { background: #f0f2f5; padding: 12px; border-radius: 8px; white-space: pre-wrap; font-size: 14px; }
+  .message { max-width: 75%; margin: 8px 0; padding: 8px 12px; border-radius: 16px; background: #e4e6eb; }
+  .message.us { margin-left: auto; background: #0084ff; color: #fff; }
+  .message.us a { color: #fff; }
+  .message.unsent { font-style: italic; opacity: 0.7; }
+  .meta { font-size: 11px; opacity: 0.75; margin-bottom: 2px; }
+  .text { white-space: pre-wrap; }
+  .attachment { font-size: 13px; margin-top: 4px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border: 1px solid #ddd; padding: 6px; vertical-align: top; text-align: left; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<h1>${escape(title)}</h1>
+<p>${link(data.chat.url, `Chat ${data.chat.chatId}`)}${data.chat.role ? ` · our role: ${escape(data.chat.role)}` : ''}${data.chat.contactName ? ` · contact: ${escape(data.chat.contactName)}` : ''} · exported ${escape(data.exportedAt)}</p>
+${data.product ? `<h2>Product</h2>\n<div class="summary">${escape(data.product.summary || [data.product.title, data.product.price].filter(Boolean).join(' · '))}</div>` : ''}
+<h2>Messages</h2>
+${messages}
+${data.drafts.length ? `<h2>AI drafts</h2>
+<table>
+<tr><th>Time</th><th>Status</th><th>Draft</th><th>Sent</th></tr>
+${drafts}
+</table>` : ''}
+</body>
+</html>
+`;
+  }
+}
+
+// Create global singleton instance
+const chatExporter = new ChatExporter();
+
+// Expose globally
+window.chatExporter = chatExporter;
@@ -0,0 +1,492 @@
+/**
+ * Conversation Archive - "The Archivist"
+ *
+ * Responsibilities:
+ * - Keep every extracted conversation in IndexedDB, without the caps of the GM/localStorage blobs:
+ *   conversations (role, listing, contact), messages (text, sender, timestamp, media, transcription)
+ *   and product snapshots, written by chatManager after each extraction
+ * - Add audio transcriptions to the archived messages when they arrive later
+ * - Full-text search over the messages (accent and case insensitive, word prefixes), with filters by
+ *   role, listing, date range and audio, for the Archive tab of the control panel
+ *
+ * Stores: conversations (key chatId), messages (key message ID, see MessageIdentity; indexed by chat,
+ * sortTime and words) and products (key product ID). Messages are upserted by ID: a reaction updates the
+ * archived message, an edit (new ID) keeps the earlier text next to the new one. sortTime is the message
+ * timestamp, or when it was first archived if its time block has no readable date (IndexedDB does not
+ * index null, so those messages would be missing when browsing).
+ * Events used (eventCoordinator): 'audioTranscribed' and 'audioTranscriptionAssociated' (audioTranscriber).
+ * Everything stays in the browser; nothing is sent anywhere.
+ */
+
+class ConversationArchive {
+  constructor() {
+    this.dbName = 'FBChatMonitorArchive';
+    this.dbVersion = 1;
+    this.dbPromise = null;
+    this.maxResults = 100;
+    this.maxTokens = 300; // Words indexed per message
+    this.attachListeners();
+  }
+
+  /**
+   * @returns {boolean} True if the browser has IndexedDB
+   */
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Listens for transcriptions finished after the extraction
+   * @private
+   */
+  attachListeners() {
+    ['audioTranscribed', 'audioTranscriptionAssociated'].forEach(eventName => {
+      window.eventCoordinator?.on(eventName, ({ messageId, transcription }) => {
+        if (messageId && transcription) this.updateTranscription(messageId, transcription);
+      });
+    });
+  }
+
+  /**
+   * Opens (and creates or upgrades) the database once
+   * @returns {Promise<IDBDatabase>}
+   * @private
+   */
+  open() {
+    if (!this.isAvailable()) return Promise.reject(new Error('IndexedDB is not available'));
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('conversations')) {
+          const conversations = db.createObjectStore('conversations', { keyPath: 'chatId' });
+          conversations.createIndex('updatedAt', 'updatedAt');
+        }
+        if (!db.objectStoreNames.contains('messages')) {
+          const messages = db.createObjectStore('messages', { keyPath: 'id' });
+          messages.createIndex('chatId', 'chatId');
+          messages.createIndex('sortTime', 'sortTime');
+          messages.createIndex('tokens', 'tokens', { multiEntry: true });
+        }
+        if (!db.objectStoreNames.contains('products')) {
+          db.createObjectStore('products', { keyPath: 'productId' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('The archive is open in another tab with an older version'));
+    }).catch(error => {
+      // Allow a later retry
+      this.dbPromise = null;
+      throw error;
+    });
+    return this.dbPromise;
+  }
+
+  /**
+   * Runs requests in one transaction
+   * @param {Array<string>} storeNames - Stores used
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} fn - Receives the transaction and issues its requests synchronously;
+   *   may return a function giving the result once the transaction completes
+   * @returns {Promise<*>} Result of the returned function
+   * @private
+   */
+  async run(storeNames, mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const getResult = fn(tx);
+      tx.oncomplete = () => resolve(typeof getResult === 'function' ? getResult() : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Archive transaction aborted'));
+    });
+  }
+
+  /**
+   * Archives an extracted conversation: its messages, the conversation and the product snapshot
+   * @param {string} chatId - Facebook thread ID
+   * @param {Object} chatData - {messages, productDetails, isSeller}; messages is the extraction result
+   *   ({messages, timeBlocks}) or a message array
+   * @returns {Promise<boolean>} False if nothing was archived
+   */
+  async archiveChat(chatId, chatData) {
+    if (!chatId || !chatData || !this.isAvailable()) return false;
+
+    try {
+      const list = Array.isArray(chatData.messages) ? chatData.messages : chatData.messages?.messages || [];
+      const timeBlocks = Array.isArray(chatData.messages) ? [] : chatData.messages?.timeBlocks || [];
+      const records = list.filter(message => message.id)
+        .map(message => this.toMessageRecord(chatId, message, this.getMessageTimestamp(message, timeBlocks)));
+      if (records.length === 0) return false;
+
+      const product = this.toProductRecord(chatData.productDetails);
+      const timestamps = records.map(record => record.timestamp).filter(Boolean);
+      const participants = [...new Set(records.filter(record => !record.sentByUs && record.senderName)
+        .map(record => record.senderName))];
+
+      await this.run(['conversations', 'messages', 'products'], 'readwrite', tx => {
+        const messages = tx.objectStore('messages');
+        records.forEach(record => {
+          const existingRequest = messages.get(record.id);
+          existingRequest.onsuccess = () => messages.put(this.mergeMessageRecord(existingRequest.result, record));
+        });
+        if (product) tx.objectStore('products').put(product);
+
+        const conversations = tx.objectStore('conversations');
+        const existingRequest = conversations.get(chatId);
+        existingRequest.onsuccess = () => {
+          const existing = existingRequest.result || {};
+          const known = [existing.firstMessageAt, existing.lastMessageAt, ...timestamps].filter(Boolean);
+          conversations.put({
+            chatId,
+            role: chatData.isSeller ? 'seller' : 'buyer',
+            productId: product?.productId || existing.productId || null,
+            productTitle: product?.title || existing.productTitle || null,
+            contactName: window.piiRedactor?.getMapping(chatId).contactName || existing.contactName || null,
+            participants: [...new Set([...(existing.participants || []), ...participants])],
+            hasAudio: !!existing.hasAudio || records.some(record => record.hasAudio),
+            firstMessageAt: known.length ? Math.min(...known) : null,
+            lastMessageAt: known.length ? Math.max(...known) : null,
+            createdAt: existing.createdAt || Date.now(),
+            updatedAt: Date.now()
+          });
+        };
+      });
+
+      logger.debug(`Archived ${records.length} messages of chat ${chatId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error archiving chat ${chatId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Adds a transcription to an archived voice message
+   * @param {string} messageId - Message ID
+   * @param {string} transcription - Transcribed text
+   * @returns {Promise<boolean>} False if the message is not archived
+   */
+  async updateTranscription(messageId, transcription) {
+    if (!this.isAvailable()) return false;
+
+    try {
+      let updated = false;
+      await this.run(['messages'], 'readwrite', tx => {
+        const store = tx.objectStore('messages');
+        const request = store.get(messageId);
+        request.onsuccess = () => {
+          const record = request.result;
+          if (!record || record.transcription === transcription) return;
+          record.transcription = transcription;
+          record.tokens = this.tokenize(this.getSearchableText(record)).slice(0, this.maxTokens);
+          store.put(record);
+          updated = true;
+        };
+      });
+      return updated;
+    } catch (error) {
+      logger.debug(`Error archiving the transcription of ${messageId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Searches the archived messages, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.query] - Words to find; each one matches the start of a word
+   * @param {string} [filters.role] - 'seller' or 'buyer'
+   * @param {string} [filters.productId] - Listing
+   * @param {number} [filters.from] - Earliest timestamp (ms)
+   * @param {number} [filters.to] - Latest timestamp (ms)
+   * @param {boolean} [filters.hasAudio] - Only voice messages
+   * @param {number} [filters.limit] - Maximum results
+   * @returns {Promise<Array<Object>>} Messages with their conversation (role, listing, contact) and a snippet
+   */
+  async search(filters = {}) {
+    const terms = this.tokenize(filters.query || '');
+    const limit = filters.limit || this.maxResults;
+
+    const conversationList = await this.run(['conversations'], 'readonly', tx => {
+      const request = tx.objectStore('conversations').getAll();
+      return () => request.result;
+    });
+    const conversations = new Map(conversationList.map(conversation => [conversation.chatId, conversation]));
+    const matches = record => this.matches(record, conversations.get(record.chatId), terms, filters);
+
+    let found;
+    if (terms.length > 0) {
+      // The longest word narrows the most; the others are checked on its candidates
+      const term = [...terms].sort((a, b) => b.length - a.length)[0];
+      const candidates = await this.run(['messages'], 'readonly', tx => {
+        const request = tx.objectStore('messages').index('tokens').getAll(IDBKeyRange.bound(term, `${term}\uffff`));
+        return () => request.result;
+      });
+      // A message with several words starting with the term comes once per word
+      const unique = new Map(candidates.map(record => [record.id, record]));
+      found = [...unique.values()].filter(matches)
+        .sort((a, b) => b.sortTime - a.sortTime)
+        .slice(0, limit);
+    } else {
+      // No words: newest first along the sortTime index, stopping at the limit
+      // (sortTime is the timestamp when there is one, so the date range can bound the cursor)
+      found = await this.run(['messages'], 'readonly', tx => {
+        const results = [];
+        const range = filters.from || filters.to
+          ? IDBKeyRange.bound(filters.from || 0, filters.to || Number.MAX_SAFE_INTEGER)
+          : null;
+        const request = tx.objectStore('messages').index('sortTime').openCursor(range, 'prev');
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+          if (matches(cursor.value)) results.push(cursor.value);
+          if (results.length < limit) cursor.continue();
+        };
+        return () => results;
+      });
+    }
+
+    return found.map(record => {
+      const conversation = conversations.get(record.chatId) || {};
+      return {
+        ...record,
+        role: conversation.role || null,
+        productId: conversation.productId || null,
+        productTitle: conversation.productTitle || null,
+        contactName: conversation.contactName || null,
+        snippet: this.buildSnippet(
+          [record.text, record.transcription && `[Audio: ${record.transcription}]`].filter(Boolean).join(' ') || `[${record.type}]`,
+          terms
+        )
+      };
+    });
+  }
+
+  /**
+   * Listings of the archived conversations, for the listing filter
+   * @returns {Promise<Array<{productId: string, title: string}>>}
+   */
+  async listListings() {
+    const conversations = await this.run(['conversations'], 'readonly', tx => {
+      const request = tx.objectStore('conversations').getAll();
+      return () => request.result;
+    });
+    const listings = new Map();
+    conversations.filter(conversation => conversation.productId).forEach(conversation => {
+      listings.set(conversation.productId, conversation.productTitle || `Listing ${conversation.productId}`);
+    });
+    return [...listings].map(([productId, title]) => ({ productId, title }))
+      .sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  /**
+   * Product snapshot of a listing
+   * @param {string} productId
+   * @returns {Promise<Object|null>}
+   */
+  async getProduct(productId) {
+    return this.run(['products'], 'readonly', tx => {
+      const request = tx.objectStore('products').get(productId);
+      return () => request.result || null;
+    });
+  }
+
+  /**
+   * @returns {Promise<{conversations: number, messages: number, products: number}>}
+   */
+  async getStats() {
+    return this.run(['conversations', 'messages', 'products'], 'readonly', tx => {
+      const counts = ['conversations', 'messages', 'products'].map(name => [name, tx.objectStore(name).count()]);
+      return () => Object.fromEntries(counts.map(([name, request]) => [name, request.result]));
+    });
+  }
+
+  /**
+   * Deletes the whole archive
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.run(['conversations', 'messages', 'products'], 'readwrite', tx => {
+      ['conversations', 'messages', 'products'].forEach(name => tx.objectStore(name).clear());
+    });
+    logger.log('Conversation archive cleared');
+  }
+
+  /**
+   * Whether an archived message passes the search words and filters
+   * @param {Object} record - Archived message
+   * @param {Object} [conversation] - Its archived conversation
+   * @param {Array<string>} terms - Normalized search words
+   * @param {Object} filters - See search
+   * @returns {boolean}
+   * @private
+   */
+  matches(record, conversation, terms, filters) {
+    if (filters.role && conversation?.role !== filters.role) return false;
+    if (filters.productId && conversation?.productId !== filters.productId) return false;
+    if (filters.hasAudio && !record.hasAudio) return false;
+    if ((filters.from || filters.to) && !record.timestamp) return false;
+    if (filters.from && record.timestamp < filters.from) return false;
+    if (filters.to && record.timestamp > filters.to) return false;
+    return terms.every(term => record.tokens.some(token => token.startsWith(term)));
+  }
+
+  /**
+   * Message as archived
+   * @param {string} chatId - Facebook thread ID
+   * @param {Object} message - Extracted message
+   * @param {number|null} timestamp - Timestamp of its time block
+   * @returns {Object}
+   * @private
+   */
+  toMessageRecord(chatId, message, timestamp) {
+    const content = message.content || {};
+    const media = content.media || {};
+    const transcription = content.transcribedAudio && content.transcribedAudio !== '[Transcription Pending]'
+      ? content.transcribedAudio
+      : null;
+
+    const record = {
+      id: message.id,
+      chatId,
+      sentByUs: !!message.sentByUs,
+      senderName: message.senderName || null,
+      timestamp: timestamp || null,
+      type: content.type || 'unknown',
+      text: content.text || '',
+      transcription,
+      edited: !!content.edited,
+      unsent: !!content.unsent,
+      reactions: content.reactions || [],
+      hasAudio: !!content.hasAudio,
+      audioUrl: content.audioUrl || null,
+      images: (media.images || []).map(image => image.url).filter(Boolean),
+      video: media.video?.url || null,
+      files: (media.files || []).map(file => ({ name: file.name || null, url: file.url || null })),
+      location: media.location
+        ? { label: media.location.label || null, url: media.location.url || null, coordinates: media.location.coordinates || null }
+        : null,
+      archivedAt: Date.now()
+    };
+    record.sortTime = record.timestamp || record.archivedAt;
+    record.tokens = this.tokenize(this.getSearchableText(record)).slice(0, this.maxTokens);
+    return record;
+  }
+
+  /**
+   * Message record to store over the archived one: a later extraction may not carry the transcription
+   * added since, and a message without a date keeps its place in the browsing order
+   * @param {Object|undefined} existing - Archived record
+   * @param {Object} record - Record of the new extraction
+   * @returns {Object}
+   * @private
+   */
+  mergeMessageRecord(existing, record) {
+    if (!existing) return record;
+    const merged = {
+      ...record,
+      transcription: record.transcription || existing.transcription,
+      archivedAt: existing.archivedAt,
+      sortTime: record.timestamp || existing.sortTime
+    };
+    if (merged.transcription !== record.transcription) {
+      merged.tokens = this.tokenize(this.getSearchableText(merged)).slice(0, this.maxTokens);
+    }
+    return merged;
+  }
+
+  /**
+   * @param {Object} productDetails - Product details from the product extractor
+   * @returns {Object|null} Snapshot keyed by product ID
+   * @private
+   */
+  toProductRecord(productDetails) {
+    if (!productDetails || typeof productDetails !== 'object') return null;
+    const productId = productDetails.productId || productDetails.id;
+    if (!productId) return null;
+    return {
+      productId: String(productId),
+      title: productDetails.title || null,
+      price: productDetails.price || null,
+      url: productDetails.url || null,
+      summary: window.productExtractor?.getRelevantProductSummary(productDetails) || '',
+      details: JSON.parse(JSON.stringify(productDetails)),
+      capturedAt: Date.now()
+    };
+  }
+
+  /**
+   * Timestamp of the time block of a message (Messenger shows them per block)
+   * @param {Object} message - Extracted message
+   * @param {Array} timeBlocks - Time blocks of the extraction
+   * @returns {number|null}
+   * @private
+   */
+  getMessageTimestamp(message, timeBlocks) {
+    const block = Number.isInteger(message.timeBlockIndex) ? timeBlocks[message.timeBlockIndex] : null;
+    if (message.timestamp || block?.timestamp) return message.timestamp || block.timestamp;
+    return (block?.text && window.TimestampUtils && TimestampUtils.convertFacebookTimestampToMs(block.text)) || null;
+  }
+
+  /**
+   * @param {Object} record - Archived message
+   * @returns {string} Text the search looks into
+   * @private
+   */
+  getSearchableText(record) {
+    return [
+      record.text,
+      record.transcription,
+      record.senderName,
+      ...record.files.map(file => file.name),
+      record.location?.label
+    ].filter(Boolean).join(' ');
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string} Lowercase text without accents
+   * @private
+   */
+  normalize(text) {
+    return String(text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+  }
+
+  /**
+   * @param {string} text
+   * @returns {Array<string>} Unique normalized words (numbers of any length, words of 2+ letters)
+   */
+  tokenize(text) {
+    const words = this.normalize(text).split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length >= 2 || /^\p{N}$/u.test(word));
+    return [...new Set(words)];
+  }
+
+  /**
+   * Part of a text around the first search word
+   * @param {string} text
+   * @param {Array<string>} terms - Normalized search words
+   * @returns {string}
+   * @private
+   */
+  buildSnippet(text, terms) {
+    const maxLength = 160;
+    if (text.length <= maxLength) return text;
+
+    // Removing accents keeps the offsets for precomposed text
+    const normalized = this.normalize(text.normalize('NFC'));
+    const position = terms.length ? normalized.indexOf(terms[0]) : -1;
+    const start = Math.max(0, position - 60);
+    const snippet = text.normalize('NFC').slice(start, start + maxLength);
+    return `${start > 0 ? '…' : ''}${snippet}${start + maxLength < text.length ? '…' : ''}`;
+  }
+}
+
+// Create global singleton instance
+const conversationArchive = new ConversationArchive();
+
+// Expose globally
+window.conversationArchive = conversationArchive;
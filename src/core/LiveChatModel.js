@@ -0,0 +1,307 @@
+/**
+ * Live Chat Model - "The Stenographer"
+ *
+ * Responsibilities:
+ * - Keep the messages of each extracted chat in memory, seeded by chatManager.extractChatHistory
+ * - Observe the message wrapper of the open chat and parse each new row once, as it is rendered
+ * - Append the new messages with their stable IDs (see MessageIdentity) and publish them as messageAdded
+ * - Re-read known rows when Messenger changes them (edits, unsent tombstones, reactions) and publish
+ *   the change as messageUpdated; the message keeps its ID for the rest of the session
+ * - Give the processing flow a snapshot of the chat, so only new threads need a full scroll extraction
+ *
+ * Rows rendered above the last known row (older history loaded by scrolling) are not appended: only a
+ * full extraction places them. Rows added by this script (inline translations) are ignored.
+ */
+
+class LiveChatModel {
+  constructor() {
+    this.models = new Map(); // chatId -> {chatId, wrapper, messages, timeBlocks, seenRows, lastRow, nextId, updatedAt}
+    this.maxChats = 20;
+    this.flushDelay = 300; // Ms to wait for Messenger to finish rendering a row before parsing it
+    this.observer = null;
+    this.observedChatId = null;
+    this.pendingRows = new Set();
+    this.changedRows = new Set();
+    this.flushTimer = null;
+  }
+
+  /**
+   * Starts the live model of a chat from a full extraction
+   * @param {string} chatId - Facebook thread ID
+   * @param {HTMLElement} wrapper - Message wrapper that was extracted
+   * @param {Array<HTMLElement>} rows - Message rows of the extraction, in document order
+   * @param {{messages: Array, timeBlocks: Array}} result - Extraction result
+   */
+  seed(chatId, wrapper, rows, result) {
+    if (!chatId || !wrapper || typeof MutationObserver === 'undefined') return;
+
+    this.detach();
+
+    const model = {
+      chatId,
+      wrapper,
+      messages: [...result.messages],
+      timeBlocks: result.timeBlocks,
+      seenRows: new WeakSet(rows),
+      lastRow: rows[rows.length - 1] || null,
+      nextId: messageIdentity.createSequence(chatId),
+      updatedAt: Date.now()
+    };
+    // Replay the extracted messages so identical new ones continue their count
+    model.messages.forEach(message => {
+      model.nextId(message, message.timeBlockIndex === null ? null : model.timeBlocks[message.timeBlockIndex]);
+    });
+    this.models.delete(chatId);
+    this.models.set(chatId, model);
+
+    // Forget the chats extracted longest ago (Map keeps insertion order)
+    while (this.models.size > this.maxChats) {
+      this.models.delete(this.models.keys().next().value);
+    }
+
+    this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+    this.observer.observe(wrapper, { childList: true, subtree: true, characterData: true });
+    this.observedChatId = chatId;
+    logger.debug(`Live capture started for chat ${chatId} (${model.messages.length} messages)`);
+  }
+
+  /**
+   * Stops observing the open chat (its model is kept until the next extraction)
+   */
+  detach() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.pendingRows.clear();
+    this.changedRows.clear();
+    this.observedChatId = null;
+  }
+
+  /**
+   * @param {string} chatId - Facebook thread ID
+   * @returns {boolean} True if the chat is observed and its wrapper is still rendered
+   */
+  isLive(chatId) {
+    const model = this.models.get(chatId);
+    return !!model && this.observedChatId === chatId && model.wrapper.isConnected;
+  }
+
+  /**
+   * Messages of a live chat, including the rows rendered since the last mutation batch
+   * @param {string} chatId - Facebook thread ID
+   * @param {HTMLElement} [wrapper] - Current message wrapper; the snapshot is only valid for the observed one
+   * @returns {{messages: Array, timeBlocks: Array}|null} Null when the chat needs a full extraction
+   */
+  getSnapshot(chatId, wrapper = null) {
+    if (!this.isLive(chatId)) return null;
+
+    const model = this.models.get(chatId);
+    if (wrapper && wrapper !== model.wrapper) return null;
+
+    this.flush();
+    return { messages: [...model.messages], timeBlocks: model.timeBlocks };
+  }
+
+  /**
+   * Collects the rows touched by a mutation batch and parses them after a short delay
+   * @param {Array<MutationRecord>} mutations
+   * @private
+   */
+  handleMutations(mutations) {
+    const model = this.models.get(this.observedChatId);
+    if (!model) return;
+
+    const rowSelector = this.getRowSelector();
+    const collect = row => {
+      if (!row || !model.wrapper.contains(row)) return;
+      if (!model.seenRows.has(row)) {
+        this.pendingRows.add(row);
+      } else if (row.dataset.messageId) {
+        this.changedRows.add(row);
+      }
+    };
+
+    mutations.forEach(mutation => {
+      const target = mutation.target.nodeType === 1 ? mutation.target : mutation.target.parentElement;
+      if (!target || this.isOwnNode(target)) return;
+
+      const nodes = [...mutation.addedNodes, ...mutation.removedNodes]
+        .filter(node => node.nodeType !== 1 || !this.isOwnNode(node));
+      if (mutation.type === 'childList' && nodes.length === 0) return;
+
+      // Changes inside a row: text edited, tombstone, reactions, or a new row still rendering
+      collect(target.closest(rowSelector));
+
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType !== 1 || this.isOwnNode(node)) return;
+
+        const rows = node.matches(rowSelector)
+          ? [node]
+          : [node.closest(rowSelector), ...node.querySelectorAll(rowSelector)].filter(Boolean);
+        rows.forEach(collect);
+      });
+    });
+
+    if ((this.pendingRows.size > 0 || this.changedRows.size > 0) && !this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+    }
+  }
+
+  /**
+   * Parses the pending rows of the observed chat and publishes the new messages
+   * @returns {Array} Messages added
+   * @private
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const model = this.models.get(this.observedChatId);
+    if (!model) return [];
+
+    this.flushChanges(model);
+    if (this.pendingRows.size === 0) return [];
+
+    const rows = [...this.pendingRows]
+      .filter(row => row.isConnected)
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+    this.pendingRows.clear();
+
+    const added = [];
+    rows.forEach(row => {
+      // Older history loaded above the known rows: a full extraction places it
+      if (model.lastRow && model.lastRow.isConnected &&
+        !(model.lastRow.compareDocumentPosition(row) & Node.DOCUMENT_POSITION_FOLLOWING)) {
+        model.seenRows.add(row);
+        return;
+      }
+
+      const currentBlock = model.timeBlocks.length > 0 ? model.timeBlocks.length - 1 : null;
+      const block = currentBlock === null ? null : model.timeBlocks[currentBlock];
+      // Rows still rendering (no text nor media yet) get no ID: they are parsed on their next mutation
+      const parsed = chatManager.parseMessageRow(row, currentBlock,
+        message => (this.hasContent(message) ? model.nextId(message, block) : null));
+
+      if (parsed.kind === 'divider') {
+        // Date breaks have no dir="auto" text
+        const dateText = parsed.text || row.textContent.trim();
+        model.timeBlocks.push({
+          timestamp: chatManager.parseDateString(dateText),
+          element: row,
+          text: dateText,
+          index: model.timeBlocks.length,
+          messages: []
+        });
+      } else if (parsed.kind === 'message' && !parsed.message.id) {
+        return;
+      }
+
+      model.seenRows.add(row);
+      model.lastRow = row;
+      if (!parsed.message) return;
+
+      const message = parsed.message;
+      row.dataset.messageId = message.id;
+      model.messages.push(message);
+      if (currentBlock !== null) model.timeBlocks[currentBlock].messages.push(message);
+      chatManager.messageRows.set(message.id, row);
+      added.push(message);
+    });
+
+    if (added.length === 0) return added;
+
+    // A new message continues the run of its sender, or brings the avatar that names it
+    window.piiRedactor?.registerParticipants(model.chatId, chatManager.assignSenderNames(model.messages));
+    model.updatedAt = Date.now();
+    logger.debug(`Live capture: ${added.length} new message(s) in chat ${model.chatId}`);
+    added.forEach(message => {
+      window.eventCoordinator?.emit('messageAdded', { chatId: model.chatId, message });
+    });
+    chatManager.showInlineTranslations(model.chatId, added);
+    return added;
+  }
+
+  /**
+   * Re-reads the known rows Messenger changed and publishes what changed in each message
+   * @param {Object} model - Live model of the observed chat
+   * @private
+   */
+  flushChanges(model) {
+    const rows = [...this.changedRows].filter(row => row.isConnected);
+    this.changedRows.clear();
+
+    rows.forEach(row => {
+      const message = model.messages.find(item => item.id === row.dataset.messageId);
+      const parsed = chatManager.parseMessageRow(row, message?.timeBlockIndex ?? null);
+      if (!message || !parsed.message ||
+        messageIdentity.getRevision(parsed.message) === messageIdentity.getRevision(message)) {
+        return;
+      }
+
+      const previous = { text: message.content.text, sentByUs: message.sentByUs, content: message.content };
+      let change = 'reactions';
+      if (parsed.message.content.unsent && !message.content.unsent) {
+        change = 'unsent';
+      } else if (parsed.message.content.text !== message.content.text) {
+        change = 'edited';
+      }
+
+      // Updated in place: the time block and anyone holding the message see the new content
+      message.sentByUs = parsed.message.sentByUs;
+      message.content = parsed.message.content;
+      if (change === 'edited') message.content.previousText = previous.text;
+
+      logger.debug(`Live capture: message ${message.id} of chat ${model.chatId} ${change === 'reactions' ? 'got reactions' : change}`);
+      model.updatedAt = Date.now();
+      window.eventCoordinator?.emit('messageUpdated', { chatId: model.chatId, message, previous, change });
+    });
+  }
+
+  /**
+   * Selector of the message rows, with every configured fallback (looked up without recording health)
+   * @returns {string}
+   * @private
+   */
+  getRowSelector() {
+    const candidates = window.selectorHealth
+      ? selectorHealth.getCandidates('activeChat.messageRow')
+      : [CONFIG.selectors.activeChat.messageRow];
+    // One invalid candidate would make the whole list throw
+    return candidates.filter(selector => {
+      try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }).join(', ');
+  }
+
+  /**
+   * @param {Element} node
+   * @returns {boolean} True for elements added by this script (e.g. inline translations)
+   * @private
+   */
+  isOwnNode(node) {
+    return !!node.closest('[class*="fb-chat-monitor-"]');
+  }
+
+  /**
+   * @param {Object} message - Parsed message
+   * @returns {boolean} True if it has text or any media
+   * @private
+   */
+  hasContent(message) {
+    return !!message.content.text || !!message.content.hasAudio || message.content.type !== 'unknown' ||
+      Object.keys(message.content.media || {}).length > 0;
+  }
+}
+
+// Create global singleton instance
+const liveChatModel = new LiveChatModel();
+
+// Expose globally
+window.liveChatModel = liveChatModel;
@@ -0,0 +1,173 @@
+/**
+ * Message Identity - "The Notary"
+ *
+ * Responsibilities:
+ * - Give every message one stable ID, shared by the extraction, the live capture, audio transcription,
+ *   the thread store (lastMessageId) and the scroll manager
+ * - Build it from the content, not from the page: sender, normalized text, media fingerprints,
+ *   the enclosing time block and the position among identical messages of that block
+ *
+ * The same message gets the same ID after a reload, on another day, and whether or not older history
+ * was loaded above it, so delta detection never needs to guess from timestamps.
+ * IDs look like msg_<chatId>_<hash>. Editing or unsending a message changes its ID; reactions do not.
+ * The revision (getRevision) changes with all three, so already processed messages can be told apart.
+ */
+
+class MessageIdentity {
+  /**
+   * ID of a message
+   * @param {string} chatId - Facebook thread ID
+   * @param {Object} message - Extracted message (sentByUs, content)
+   * @param {Object|null} [block] - Enclosing time block ({timestamp, text}), null before the first one
+   * @param {number} [occurrence=0] - Identical messages before this one in the same block
+   * @returns {string}
+   */
+  createId(chatId, message, block = null, occurrence = 0) {
+    const key = [this.getBlockKey(block), this.getFingerprint(message), occurrence].join('|');
+    return `msg_${chatId || 'unknown'}_${this.hash(key)}`;
+  }
+
+  /**
+   * Gives IDs to messages taken in document order, counting the identical messages of each block
+   * @param {string} chatId - Facebook thread ID
+   * @returns {Function} (message, block) => ID
+   */
+  createSequence(chatId) {
+    const occurrences = new Map();
+    return (message, block = null) => {
+      const base = `${this.getBlockKey(block)}|${this.getFingerprint(message)}`;
+      const occurrence = occurrences.get(base) || 0;
+      occurrences.set(base, occurrence + 1);
+      return this.createId(chatId, message, block, occurrence);
+    };
+  }
+
+  /**
+   * ID of a rendered message row, the same one the extraction gives it
+   * (for modules that meet a row before it is extracted, like the audio transcriber)
+   * @param {HTMLElement} row - Message row
+   * @returns {string|null} Null if the row is not a message
+   */
+  getRowId(row) {
+    if (row.dataset?.messageId) return row.dataset.messageId;
+    if (!window.chatManager) return null;
+
+    const chatId = chatManager.currentChatId || window.location.href.match(/\/t\/(\d+)/)?.[1];
+    let id = null;
+    chatManager.walkMessageRows(selectorHealth.findAll('activeChat.messageRow'), (candidate, parsed) => {
+      if (candidate !== row) return false;
+      id = parsed.message?.id || null;
+      return true;
+    }, chatId);
+    return id;
+  }
+
+  /**
+   * Content of a message that identifies it: sender, normalized text and media
+   * @param {Object} message
+   * @returns {string}
+   */
+  getFingerprint(message) {
+    const content = message.content || {};
+    const media = content.media || {};
+    const parts = [
+      message.sentByUs ? 'us' : 'them',
+      this.normalizeText(content.text)
+    ];
+
+    (media.images || []).forEach(image => parts.push(`image:${this.getFileKey(image.url)}`));
+    if (media.video) parts.push(`video:${this.getFileKey(media.video.thumbnail || media.video.url)}`);
+    (media.files || []).forEach(file => parts.push(`file:${file.name || this.getFileKey(file.url)}`));
+    if (media.location) {
+      const { coordinates } = media.location;
+      parts.push(coordinates
+        ? `location:${Number(coordinates.latitude).toFixed(4)},${Number(coordinates.longitude).toFixed(4)}`
+        : `location:${this.normalizeText(media.location.label)}`);
+    }
+    if (content.hasAudio) parts.push(`audio:${content.audioDuration || ''}`);
+    if (content.unsent) parts.push('unsent');
+
+    return parts.join('|');
+  }
+
+  /**
+   * Revision of a message: changes when it is edited, unsent or gets a reaction
+   * @param {Object} message
+   * @returns {string}
+   */
+  getRevision(message) {
+    const content = message.content || {};
+    const reactions = (content.reactions || [])
+      .map(reaction => `${reaction.by || ''}:${reaction.emoji}`)
+      .sort();
+    return this.hash([
+      this.normalizeText(content.text),
+      content.edited ? 'edited' : '',
+      content.unsent ? 'unsent' : '',
+      ...reactions
+    ].join('|'));
+  }
+
+  /**
+   * Key of a time block: its minute when the date can be read, its text otherwise.
+   * Relative labels ("Mon 2:11 PM") resolve to the same minute as the absolute date that replaces them.
+   * @param {Object|null} block - {timestamp, text}
+   * @returns {string}
+   */
+  getBlockKey(block) {
+    if (!block) return '';
+
+    let timestamp = block.timestamp;
+    if (!timestamp && block.text && window.TimestampUtils) {
+      timestamp = TimestampUtils.convertFacebookTimestampToMs(block.text);
+    }
+    return timestamp
+      ? new Date(timestamp).toISOString().slice(0, 16)
+      : this.normalizeText(block.text);
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string} Text with unified Unicode form, case and whitespace
+   * @private
+   */
+  normalizeText(text) {
+    return String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  /**
+   * File name of a media URL (the query of CDN links is signed and changes on every load)
+   * @param {string} url
+   * @returns {string} Empty for blob: and data: URLs, which are per page
+   * @private
+   */
+  getFileKey(url) {
+    if (!url || /^(blob|data):/i.test(url)) return '';
+    return String(url).split(/[?#]/)[0].split('/').pop();
+  }
+
+  /**
+   * 53-bit string hash (cyrb53) in base 36
+   * @param {string} text
+   * @returns {string}
+   * @private
+   */
+  hash(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 2654435761);
+      h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+}
+
+// Create global singleton instance
+const messageIdentity = new MessageIdentity();
+
+// Expose globally
+window.messageIdentity = messageIdentity;
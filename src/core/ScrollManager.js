@@ -398,6 +398,10 @@ class ScrollManager {
    * @private
    */
   _getScrollContainer() {
+    // Ranked CONFIG selectors with statistics (see SelectorHealth)
+    const ranked = window.selectorHealth?.find('activeChat.scrollbar');
+    if (ranked) return ranked;
+
     // Try multiple selectors
     const selectors = Array.isArray(this.SCROLL_CONTAINER_SELECTOR) 
       ? this.SCROLL_CONTAINER_SELECTOR 
@@ -0,0 +1,365 @@
+/**
+ * Selector Health - "The Canary"
+ *
+ * Responsibilities:
+ * - Resolve the DOM selectors of CONFIG.selectors by key ('activeChat.messageInput'), trying
+ *   each candidate of the list in ranked order
+ * - Record which candidate matched and how often (hits, misses, last match)
+ * - Flag candidates that matched before and stopped matching (stale)
+ * - Warn (selectorDrift event) when a critical selector finds nothing several lookups in a row
+ * - Promote a working fallback to the front when the first candidate keeps missing
+ *
+ * Facebook ships hashed class names (x1lliihq, x78zum5) that change on redeploys; the ranking and
+ * statistics are stored locally so the working fallbacks survive reloads. Settings come from CONFIG.selectorHealth.
+ */
+
+class SelectorHealth {
+  constructor() {
+    this.storageKey = 'SELECTOR_HEALTH';
+    // Nothing works when these find nothing: no chats to scan, no messages to read, no way to reply
+    this.criticalKeys = [
+      'chatList.chatItem',
+      'activeChat.messageRow',
+      'activeChat.messageInput',
+      'activeChat.sendButton'
+    ];
+    this.state = storageUtils.get(this.storageKey, { keys: {} });
+    if (!this.state || typeof this.state !== 'object' || !this.state.keys) this.state = { keys: {} };
+    this.saveTimer = null;
+    this.saveDelay = 2000;
+  }
+
+  /**
+   * Health settings
+   * @returns {{enabled: boolean, autoPromote: boolean, promoteAfter: number, staleAfter: number, alertAfter: number}}
+   */
+  getSettings() {
+    return {
+      enabled: true,
+      autoPromote: true,
+      promoteAfter: 5,
+      staleAfter: 20,
+      alertAfter: 3,
+      ...(window.CONFIG?.selectorHealth || {})
+    };
+  }
+
+  /**
+   * First element matched by the candidates of a selector key
+   * @param {string} key - Path in CONFIG.selectors, e.g. 'activeChat.messageInput'
+   * @param {ParentNode} [parent] - Search root
+   * @returns {HTMLElement|null}
+   */
+  find(key, parent = document) {
+    const candidates = this.getCandidates(key);
+    const matchIndex = candidates.findIndex(selector => this.query(selector, parent).length > 0);
+    this.record(key, candidates, matchIndex);
+    return matchIndex >= 0 ? parent.querySelector(candidates[matchIndex]) : null;
+  }
+
+  /**
+   * All elements matched by the first candidate of a selector key that matches anything
+   * @param {string} key - Path in CONFIG.selectors, e.g. 'activeChat.messageRow'
+   * @param {ParentNode} [parent] - Search root
+   * @returns {Array<HTMLElement>}
+   */
+  findAll(key, parent = document) {
+    const candidates = this.getCandidates(key);
+    let elements = [];
+    const matchIndex = candidates.findIndex(selector => {
+      elements = this.query(selector, parent);
+      return elements.length > 0;
+    });
+    this.record(key, candidates, matchIndex);
+    return matchIndex >= 0 ? elements : [];
+  }
+
+  /**
+   * Waits for a selector key to match, recording a single lookup
+   * @param {string} key - Path in CONFIG.selectors
+   * @param {number} [timeout] - Milliseconds before giving up
+   * @returns {Promise<HTMLElement>} Rejects on timeout
+   */
+  waitFor(key, timeout = window.CONFIG?.waitElementTimeout || 5000) {
+    const checkInterval = 100;
+    let elapsed = 0;
+
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const candidates = this.getCandidates(key);
+        const matchIndex = candidates.findIndex(selector => this.query(selector, document).length > 0);
+        if (matchIndex >= 0 || elapsed >= timeout) {
+          this.record(key, candidates, matchIndex);
+          if (matchIndex >= 0) return resolve(document.querySelector(candidates[matchIndex]));
+          return reject(new Error(`Timeout waiting for elements: ${key} (${candidates.join(' | ')})`));
+        }
+        elapsed += checkInterval;
+        setTimeout(check, checkInterval);
+      };
+      check();
+    });
+  }
+
+  /**
+   * Candidates of a selector key in ranked order: the stored ranking first, then the
+   * selectors added to CONFIG since, in their CONFIG order
+   * @param {string} key - Path in CONFIG.selectors
+   * @returns {Array<string>}
+   */
+  getCandidates(key) {
+    const configured = this.getConfiguredSelectors(key);
+    const ranking = this.state.keys[key]?.ranking || [];
+    return [
+      ...ranking.filter(selector => configured.includes(selector)),
+      ...configured.filter(selector => !ranking.includes(selector))
+    ];
+  }
+
+  /**
+   * Selectors of a key as written in CONFIG, with comma lists split into single candidates
+   * @param {string} key - Path in CONFIG.selectors
+   * @returns {Array<string>}
+   * @private
+   */
+  getConfiguredSelectors(key) {
+    let value = key.split('.').reduce((node, part) => node?.[part], window.CONFIG?.selectors);
+    if (value && !Array.isArray(value) && typeof value === 'object') value = value.selector;
+    if (!value) {
+      logger.warn(`Selector key ${key} is not defined in CONFIG.selectors`);
+      return [];
+    }
+    return [...new Set([].concat(value).flatMap(selector => this.splitSelectorList(selector)))];
+  }
+
+  /**
+   * Splits "a, b[aria-label='x, y']" on the commas outside brackets, parentheses and quotes
+   * @param {string} selectorList
+   * @returns {Array<string>}
+   * @private
+   */
+  splitSelectorList(selectorList) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (const char of String(selectorList || '')) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '[' || char === '(') {
+        depth++;
+      } else if (char === ']' || char === ')') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    parts.push(current.trim());
+    return parts.filter(Boolean);
+  }
+
+  /**
+   * @param {string} selector
+   * @param {ParentNode} parent
+   * @returns {Array<HTMLElement>} Empty for invalid selectors
+   * @private
+   */
+  query(selector, parent) {
+    try {
+      return [...(parent || document).querySelectorAll(selector)];
+    } catch (error) {
+      logger.debug(`Error with selector "${selector}": ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Updates the statistics of a lookup: the candidates tried before the match missed
+   * @param {string} key - Selector key
+   * @param {Array<string>} candidates - Candidates in the order they were tried
+   * @param {number} matchIndex - Index of the matching candidate, -1 when nothing matched
+   * @private
+   */
+  record(key, candidates, matchIndex) {
+    const settings = this.getSettings();
+    if (!settings.enabled || !candidates.length) return;
+
+    const now = Date.now();
+    const entry = this.getEntry(key, candidates);
+    entry.lookups++;
+
+    const tried = matchIndex >= 0 ? candidates.slice(0, matchIndex + 1) : candidates;
+    tried.forEach((selector, index) => {
+      const stats = entry.candidates[selector] = entry.candidates[selector] ||
+        { hits: 0, misses: 0, consecutiveMisses: 0, lastHitAt: null };
+      if (index === matchIndex) {
+        stats.hits++;
+        stats.consecutiveMisses = 0;
+        stats.lastHitAt = now;
+      } else {
+        stats.misses++;
+        stats.consecutiveMisses++;
+        if (stats.hits > 0 && stats.consecutiveMisses === settings.staleAfter) {
+          logger.warn(`Selector "${selector}" (${key}) stopped matching after ${stats.hits} matches`);
+        }
+      }
+    });
+
+    if (matchIndex >= 0) {
+      entry.consecutiveFailures = 0;
+      entry.lastSuccessAt = now;
+      if (entry.alerted) {
+        entry.alerted = false;
+        logger.log(`Selector ${key} matches again with "${candidates[matchIndex]}"`);
+        window.eventCoordinator?.emit('selectorRecovered', { key, selector: candidates[matchIndex] });
+      }
+      if (matchIndex > 0 && settings.autoPromote) this.maybePromote(key, entry, candidates, matchIndex, settings);
+    } else {
+      entry.failures++;
+      entry.consecutiveFailures++;
+      entry.lastFailureAt = now;
+      if (this.isCritical(key) && !entry.alerted && entry.consecutiveFailures >= settings.alertAfter) {
+        entry.alerted = true;
+        logger.error(`Critical selector ${key} found nothing in the last ${entry.consecutiveFailures} lookups. Facebook may have changed its markup`);
+        window.eventCoordinator?.emit('selectorDrift', {
+          key,
+          consecutiveFailures: entry.consecutiveFailures,
+          lastSuccessAt: entry.lastSuccessAt,
+          candidates
+        });
+      }
+    }
+
+    this.scheduleSave();
+  }
+
+  /**
+   * Moves a matching fallback to the front when the first candidate keeps missing
+   * @param {string} key
+   * @param {Object} entry - Key statistics
+   * @param {Array<string>} candidates - Ranked candidates
+   * @param {number} matchIndex - Index of the matching fallback
+   * @param {Object} settings
+   * @private
+   */
+  maybePromote(key, entry, candidates, matchIndex, settings) {
+    const first = entry.candidates[candidates[0]];
+    if (!first || first.consecutiveMisses < settings.promoteAfter) return;
+
+    const selector = candidates[matchIndex];
+    entry.ranking = [selector, ...candidates.filter(candidate => candidate !== selector)];
+    logger.log(`Selector "${selector}" promoted for ${key} ("${candidates[0]}" missed ${first.consecutiveMisses} times)`);
+    window.eventCoordinator?.emit('selectorPromoted', { key, selector, demoted: candidates[0] });
+  }
+
+  /**
+   * Statistics of a key, created on first use
+   * @param {string} key
+   * @param {Array<string>} candidates - Ranked candidates
+   * @returns {Object}
+   * @private
+   */
+  getEntry(key, candidates) {
+    if (!this.state.keys[key]) {
+      this.state.keys[key] = {
+        ranking: [...candidates],
+        candidates: {},
+        lookups: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        alerted: false
+      };
+    }
+    return this.state.keys[key];
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean}
+   */
+  isCritical(key) {
+    return this.criticalKeys.includes(key);
+  }
+
+  /**
+   * Health of every selector key looked up so far, critical keys first
+   * @returns {Array<{key: string, critical: boolean, status: string, activeSelector: string|null,
+   *   lookups: number, failures: number, consecutiveFailures: number, lastSuccessAt: number|null,
+   *   candidates: Array<{selector: string, hits: number, misses: number, lastHitAt: number|null, stale: boolean}>}>}
+   *   status is 'failing' (last lookups found nothing), 'degraded' (a fallback or stale candidates) or 'ok'
+   */
+  getReport() {
+    const { staleAfter, alertAfter } = this.getSettings();
+
+    return Object.keys(this.state.keys).map(key => {
+      const entry = this.state.keys[key];
+      const candidates = this.getCandidates(key).map(selector => {
+        const stats = entry.candidates[selector] || { hits: 0, misses: 0, consecutiveMisses: 0, lastHitAt: null };
+        return {
+          selector,
+          hits: stats.hits,
+          misses: stats.misses,
+          lastHitAt: stats.lastHitAt,
+          stale: stats.hits > 0 && stats.consecutiveMisses >= staleAfter
+        };
+      });
+      const active = candidates.find(candidate => candidate.hits > 0 && !candidate.stale);
+      const usesFallback = active && active.selector !== candidates[0]?.selector;
+
+      let status = 'ok';
+      if (entry.consecutiveFailures >= alertAfter || (entry.consecutiveFailures > 0 && !entry.lastSuccessAt)) {
+        status = 'failing';
+      } else if (usesFallback || candidates.some(candidate => candidate.stale)) {
+        status = 'degraded';
+      }
+
+      return {
+        key,
+        critical: this.isCritical(key),
+        status,
+        activeSelector: active ? active.selector : null,
+        lookups: entry.lookups,
+        failures: entry.failures,
+        consecutiveFailures: entry.consecutiveFailures,
+        lastSuccessAt: entry.lastSuccessAt,
+        candidates
+      };
+    }).sort((a, b) => Number(b.critical) - Number(a.critical) || a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Forgets the statistics and rankings (CONFIG order is used again)
+   */
+  reset() {
+    this.state = { keys: {} };
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    storageUtils.set(this.storageKey, this.state);
+    logger.log('Selector health statistics reset');
+  }
+
+  /**
+   * Lookups are frequent: the statistics are written at most once per saveDelay
+   * @private
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      storageUtils.set(this.storageKey, this.state);
+    }, this.saveDelay);
+  }
+}
+
+// Create global singleton instance
+const selectorHealth = new SelectorHealth();
+
+// Expose globally
+window.selectorHealth = selectorHealth;
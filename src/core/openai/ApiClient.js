@@ -2,23 +2,36 @@
  * API Client for OpenAI - "The Communicator"
  * 
  * Responsibilities:
- * - Handle all direct communications with OpenAI API
- * - Manage authentication with API key
+ * - Handle all direct communications with OpenAI API (or any OpenAI-compatible server)
+ * - Manage authentication with API key, following the active endpoint profile
  * - Implement methods for thread, message, and run operations
  * - Handle error cases and retries
+ * - Send every request through the RequestScheduler queue (priorities, concurrency, rate limits, timeouts)
  * - Transcribe audio via Whisper API
+ * - Upload files and manage the vector stores used by file_search
+ * - Check replies with the moderation endpoint
+ * - Report the usage of every call to UsageTracker
  */
 
 class ApiClient {
   constructor() {
     this.apiKey = null;
     this.baseUrl = 'https://api.openai.com/v1';
+    this.authScheme = 'bearer';
+    this.transport = 'fetch';
+    this.transcriptionModel = 'whisper-1';
+    this.profileKey = 'openai';
     this.model = 'gpt-4o';
     this.maxRetries = 3;
     this.initialRetryDelay = 1000;
     this.initialized = false;
     // Updated: v2 version of the Assistants API header
     this.betaHeader = 'assistants=v2';
+    this.pendingImageInputs = new Map(); // OpenAI thread ID -> images added since the last run
+
+    const queueSettings = window.CONFIG?.AI?.requestQueue || {};
+    this.scheduler = new RequestScheduler(queueSettings);
+    this.transcriptionTimeout = queueSettings.transcriptionTimeout || 120000;
   }
 
   /**
@@ -28,12 +41,14 @@ class ApiClient {
    * @returns {boolean} Success status
    */
   initialize(apiKey, model = null) {
-    if (!apiKey) {
+    this.applyEndpointProfile();
+
+    if (!apiKey && this.authScheme !== 'none') {
       logger.error('API key is required for initialization');
       return false;
     }
 
-    this.apiKey = apiKey;
+    this.apiKey = apiKey || null;
     
     if (model) {
       this.model = model;
@@ -61,6 +76,129 @@ class ApiClient {
     return true;
   }
 
+  /**
+   * Loads base URL, auth scheme, transport and transcription model from the active endpoint profile
+   * @returns {Object|null} The profile applied, or null if CONFIG has no profiles
+   */
+  applyEndpointProfile() {
+    if (!window.CONFIG || typeof window.CONFIG.getActiveEndpointProfile !== 'function') return null;
+
+    const profile = window.CONFIG.getActiveEndpointProfile();
+    if (profile.key !== this.profileKey || profile.baseUrl !== this.baseUrl) {
+      console.log(`ApiClient using endpoint profile "${profile.name}" (${profile.baseUrl})`);
+      // Rate limits belong to the previous endpoint
+      this.scheduler.resetLimits();
+    }
+
+    this.profileKey = profile.key;
+    this.baseUrl = profile.baseUrl;
+    this.authScheme = profile.authScheme;
+    this.transport = profile.transport;
+    this.transcriptionModel = profile.transcriptionModel;
+    // The main key is only ever sent to OpenAI; other profiles carry their own token (or none)
+    if (profile.key === 'openai') {
+      this.apiKey = profile.apiKey || this.apiKey;
+    } else {
+      this.apiKey = profile.apiKey || null;
+    }
+    return profile;
+  }
+
+  /**
+   * Builds the authentication headers for the current auth scheme
+   * @returns {Object} Headers
+   */
+  getAuthHeaders() {
+    if (this.authScheme === 'none' || !this.apiKey) return {};
+    if (this.authScheme === 'api-key') return { 'api-key': this.apiKey };
+    return { 'Authorization': `Bearer ${this.apiKey}` };
+  }
+
+  /**
+   * Sends an HTTP request with the transport of the active profile.
+   * 'gm' goes through GM_xmlhttpRequest (needs a matching @connect), 'fetch' uses the page fetch.
+   * Both return a fetch-like response ({ok, status, statusText, headers.get, json, text}).
+   * Provider adapters reuse it with their own transport.
+   * @param {string} url - Absolute URL
+   * @param {Object} options - {method, headers, body, transport, signal, timeout}
+   * @returns {Promise<Object>} Response
+   */
+  async sendHttp(url, options = {}) {
+    const { transport = this.transport, timeout, ...fetchOptions } = options;
+    if (transport !== 'gm' || typeof GM_xmlhttpRequest !== 'function') {
+      return fetch(url, fetchOptions);
+    }
+
+    return new Promise((resolve, reject) => {
+      if (options.signal?.aborted) {
+        reject(new DOMException('Request aborted', 'AbortError'));
+        return;
+      }
+
+      const request = GM_xmlhttpRequest({
+        method: options.method || 'GET',
+        url,
+        headers: options.headers || {},
+        data: options.body,
+        timeout: timeout || 120000,
+        onload: (response) => {
+          const headerMap = {};
+          (response.responseHeaders || '').split(/\r?\n/).forEach(line => {
+            const idx = line.indexOf(':');
+            if (idx > 0) headerMap[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+          });
+          const bodyText = response.responseText || '';
+          resolve({
+            ok: response.status >= 200 && response.status < 300,
+            status: response.status,
+            statusText: response.statusText || '',
+            headers: { get: (name) => headerMap[String(name).toLowerCase()] || null },
+            text: async () => bodyText,
+            json: async () => JSON.parse(bodyText)
+          });
+        },
+        onerror: () => reject(new TypeError(`Network request failed: ${url}`)),
+        // Named like the scheduler's timeouts, so makeRequest only retries it for reads
+        ontimeout: () => {
+          const timeoutError = new Error(`Network request timed out: ${url}`);
+          timeoutError.name = 'TimeoutError';
+          reject(timeoutError);
+        }
+      });
+
+      if (options.signal) {
+        options.signal.addEventListener('abort', () => {
+          if (request && typeof request.abort === 'function') request.abort();
+          reject(new DOMException('Request aborted', 'AbortError'));
+        }, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Lists the models exposed by the endpoint
+   * @returns {Promise<Array<string>>} Model IDs
+   */
+  async listModels() {
+    const response = await this.makeRequest('/models');
+    return (response.data || []).map(model => model.id);
+  }
+
+  /**
+   * Checks that the endpoint answers with the current credentials
+   * @returns {Promise<boolean>} Whether the credentials are valid
+   */
+  async validateApiKey() {
+    try {
+      await this.listModels();
+      console.log('API key validated successfully');
+      return true;
+    } catch (error) {
+      logger.error(`API key validation failed: ${error.message}`);
+      return false;
+    }
+  }
+
   /**
    * Creates a new thread in OpenAI
    * @returns {Promise<{id: string}>} Created thread info
@@ -71,6 +209,7 @@ class ApiClient {
       
       const response = await this.makeRequest('/threads', {
         method: 'POST',
+        priority: 'high',
         body: JSON.stringify({})
       });
 
@@ -103,8 +242,15 @@ class ApiClient {
       
       const response = await this.makeRequest(`/threads/${threadId}/messages`, {
         method: 'POST',
+        priority: 'high',
         body: JSON.stringify(messageBody)
       });
+
+      // Images are billed with the next run on this thread
+      const images = this.countImageInputs([messageBody]);
+      if (images) {
+        this.pendingImageInputs.set(threadId, (this.pendingImageInputs.get(threadId) || 0) + images);
+      }
       
       results.push(response);
     }
@@ -116,9 +262,11 @@ class ApiClient {
    * Creates a run on a thread with a specific assistant
    * @param {string} threadId - OpenAI thread ID
    * @param {string} assistantId - Assistant ID to use
+   * @param {Object} [options] - {tools, instructions, additionalInstructions}: tools for this run (replaces the
+   *   assistant tools), instructions replacing the assistant's and instructions appended to them, for this run only
    * @returns {Promise<{runId: string}>} Run information
    */
-  async createRun(threadId, assistantId) {
+  async createRun(threadId, assistantId, options = {}) {
     try {
       if (!assistantId) {
         throw new Error('No assistant ID provided');
@@ -126,11 +274,15 @@ class ApiClient {
 
       console.log(`Creating run on thread ${threadId.substring(0, 8)}... with assistant ${assistantId.substring(0, 8)}...`);
       
+      const body = { assistant_id: assistantId };
+      if (options.tools) body.tools = options.tools;
+      if (options.instructions) body.instructions = options.instructions;
+      if (options.additionalInstructions) body.additional_instructions = options.additionalInstructions;
+
       const response = await this.makeRequest(`/threads/${threadId}/runs`, {
         method: 'POST',
-        body: JSON.stringify({
-          assistant_id: assistantId
-        })
+        priority: 'high',
+        body: JSON.stringify(body)
       });
 
       console.log(`Run created successfully: ${response.id}`);
@@ -145,11 +297,15 @@ class ApiClient {
    * Gets the current status of a run
    * @param {string} threadId - OpenAI thread ID
    * @param {string} runId - Run ID to check
-   * @returns {Promise<{status: string, output: any}>} Status information
+   * @returns {Promise<{status: string, output: any, usage: Object|null}>} Status information (usage once completed)
    */
   async getRunStatus(threadId, runId) {
     try {
-      const response = await this.makeRequest(`/threads/${threadId}/runs/${runId}`);
+      const response = await this.makeRequest(`/threads/${threadId}/runs/${runId}`, { priority: 'high' });
+
+      if (['completed', 'failed', 'cancelled', 'expired'].includes(response.status)) {
+        this.recordRunUsage(threadId, response);
+      }
       
       // If the run is completed, get the messages
       if (response.status === 'completed') {
@@ -158,7 +314,8 @@ class ApiClient {
         
         return {
           status: response.status,
-          output: messages
+          output: messages,
+          usage: response.usage || null
         };
       }
       
@@ -172,6 +329,15 @@ class ApiClient {
         };
       }
       
+      // The assistant called tools: the caller has to submit their outputs
+      if (response.status === 'requires_action') {
+        return {
+          status: response.status,
+          requiredAction: response.required_action,
+          output: null
+        };
+      }
+
       // For in-progress runs
       return {
         status: response.status,
@@ -191,7 +357,7 @@ class ApiClient {
    */
   async getLatestMessages(threadId, limit = 5) {
     try {
-      const response = await this.makeRequest(`/threads/${threadId}/messages?limit=${limit}`);
+      const response = await this.makeRequest(`/threads/${threadId}/messages?limit=${limit}`, { priority: 'high' });
       return response.data || [];
     } catch (error) {
       logger.error(`Error getting messages: ${error.message}`, {}, error);
@@ -205,59 +371,398 @@ class ApiClient {
    * @param {string} runId - Run ID to check
    * @param {number} maxWaitTime - Maximum time to wait (ms)
    * @param {number} pollInterval - Polling interval (ms)
+   * @param {Function} [onRequiresAction] - async (requiredAction, runId) => toolOutputs; without it
+   *   a run in requires_action is returned as is
+   * @param {AbortSignal} [signal] - Stops waiting and cancels the run on the server
    * @returns {Promise<{status: string, output: any}>} Final status
    */
-  async waitForRunCompletion(threadId, runId, maxWaitTime = 60000, pollInterval = 1000) {
+  async waitForRunCompletion(threadId, runId, maxWaitTime = 60000, pollInterval = 1000, onRequiresAction = null, signal = null) {
+    try {
+      return await this.pollRun(threadId, runId, maxWaitTime, pollInterval, onRequiresAction, signal);
+    } catch (error) {
+      // A run left active would also block new messages on the thread
+      if (error?.name === 'AbortError') await this.cancelRun(threadId, runId);
+      throw error;
+    }
+  }
+
+  /**
+   * Polling loop of waitForRunCompletion
+   * @private
+   */
+  async pollRun(threadId, runId, maxWaitTime, pollInterval, onRequiresAction, signal) {
     const startTime = Date.now();
     
     while (Date.now() - startTime < maxWaitTime) {
+      this.throwIfAborted(signal);
       const runStatus = await this.getRunStatus(threadId, runId);
       
-      // Return immediately if completed or failed
-      if (runStatus.status === 'completed' || runStatus.status === 'failed') {
+      // Return immediately if the run ended
+      if (['completed', 'failed', 'cancelled', 'expired'].includes(runStatus.status)) {
         return runStatus;
       }
+
+      // Execute the requested tools and keep polling
+      if (runStatus.status === 'requires_action') {
+        if (!onRequiresAction) {
+          logger.warn(`Run ${runId.substring(0, 8)}... requires action but no tool handler was given`);
+          return runStatus;
+        }
+        const toolOutputs = await onRequiresAction(runStatus.requiredAction, runId);
+        this.throwIfAborted(signal);
+        await this.submitToolOutputs(threadId, runId, toolOutputs);
+        continue;
+      }
       
       // Log progress for long-running operations
       if ((Date.now() - startTime) > 5000 && (Date.now() - startTime) % 5000 < pollInterval) {
         console.log(`Still waiting for run ${runId.substring(0, 8)}... (${runStatus.status}): ${Math.round((Date.now() - startTime)/1000)}s elapsed`);
       }
       
-      // Wait before next poll
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      // Wait before next poll (cut short by the signal)
+      await new Promise(resolve => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        const timer = setTimeout(() => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }, pollInterval);
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
     }
     
     logger.warn(`Run ${runId.substring(0, 8)}... did not complete within the timeout period`);
     return { status: 'timeout', output: null };
   }
 
+  /**
+   * Cancels a run on the server and waits (briefly) until it has stopped, so the thread accepts
+   * new messages again. Errors are logged, not thrown: the run may have finished meanwhile.
+   * @param {string} threadId - OpenAI thread ID
+   * @param {string} runId - Run ID
+   * @param {number} [maxWaitTime=10000] - How long to wait for the run to stop (ms)
+   * @returns {Promise<string|null>} Last known status of the run, or null if it could not be cancelled
+   */
+  async cancelRun(threadId, runId, maxWaitTime = 10000) {
+    try {
+      console.log(`Cancelling run ${runId.substring(0, 8)}... on thread ${threadId.substring(0, 8)}...`);
+      const response = await this.makeRequest(`/threads/${threadId}/runs/${runId}/cancel`, {
+        method: 'POST',
+        priority: 'high'
+      });
+
+      let status = response.status;
+      const startTime = Date.now();
+      while (status === 'cancelling' && Date.now() - startTime < maxWaitTime) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+        status = (await this.getRunStatus(threadId, runId)).status;
+      }
+
+      console.log(`Run ${runId.substring(0, 8)}... ${status === 'cancelling' ? 'still cancelling' : status}`);
+      return status;
+    } catch (error) {
+      logger.warn(`Could not cancel run ${runId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @param {AbortSignal|null} signal
+   * @throws {DOMException} AbortError if the signal was aborted
+   * @private
+   */
+  throwIfAborted(signal) {
+    if (signal?.aborted) {
+      throw new DOMException('Request cancelled', 'AbortError');
+    }
+  }
+
+  /**
+   * Submits the outputs of the tools called by a run in requires_action
+   * @param {string} threadId - OpenAI thread ID
+   * @param {string} runId - Run ID
+   * @param {Array<{tool_call_id: string, output: string}>} toolOutputs - Tool outputs
+   * @returns {Promise<Object>} Updated run
+   */
+  async submitToolOutputs(threadId, runId, toolOutputs) {
+    try {
+      console.log(`Submitting ${toolOutputs.length} tool output(s) to run ${runId.substring(0, 8)}...`);
+      return await this.makeRequest(`/threads/${threadId}/runs/${runId}/submit_tool_outputs`, {
+        method: 'POST',
+        priority: 'high',
+        body: JSON.stringify({ tool_outputs: toolOutputs })
+      });
+    } catch (error) {
+      logger.error(`Error submitting tool outputs: ${error.message}`, {}, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Creates a chat completion (stateless, no threads or runs involved)
+   * @param {Array} messages - Messages in OpenAI chat format (system/user/assistant)
+   * @param {Object} options - Generation options
+   * @param {string} [options.model] - Model name (defaults to the client model)
+   * @param {number} [options.maxTokens] - Maximum tokens for the reply
+   * @param {number} [options.temperature] - Sampling temperature
+   * @param {Object} [options.usageContext] - {fbThreadId} the usage is recorded for
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @returns {Promise<{text: string, finishReason: string, usage: Object|null}>} Completion result
+   */
+  async createChatCompletion(messages, options = {}) {
+    try {
+      if (!Array.isArray(messages) || messages.length === 0) {
+        throw new Error('No messages provided for chat completion');
+      }
+
+      const model = options.model || this.model;
+      console.log(`Creating chat completion with ${messages.length} messages (model: ${model})`);
+
+      const body = {
+        model,
+        messages
+      };
+      if (options.maxTokens) body.max_tokens = options.maxTokens;
+      if (typeof options.temperature === 'number') body.temperature = options.temperature;
+
+      const response = await this.makeRequest('/chat/completions', {
+        method: 'POST',
+        priority: 'high',
+        signal: options.signal,
+        body: JSON.stringify(body)
+      });
+
+      this.recordUsage({
+        kind: 'completion',
+        model: response.model || model,
+        usage: response.usage,
+        images: this.countImageInputs(messages),
+        ...options.usageContext
+      });
+
+      const choice = response.choices?.[0];
+      if (!choice || !choice.message) {
+        throw new Error('Chat completion returned no choices');
+      }
+
+      const content = choice.message.content;
+      const text = Array.isArray(content)
+        ? content.filter(part => part.type === 'text').map(part => part.text).join(' ')
+        : (content || '');
+
+      console.log(`Chat completion finished (${choice.finish_reason})`);
+      return {
+        text: text.trim(),
+        finishReason: choice.finish_reason,
+        usage: response.usage || null
+      };
+    } catch (error) {
+      logger.error(`Error creating chat completion: ${error.message}`, {}, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether replies can be streamed with the active profile.
+   * Streaming reads the response body progressively, which only the 'fetch' transport allows.
+   * @returns {boolean}
+   */
+  canStream() {
+    this.applyEndpointProfile();
+    return this.transport !== 'gm' && typeof ReadableStream !== 'undefined';
+  }
+
+  /**
+   * Creates a chat completion and streams the reply as it is generated
+   * @param {Array} messages - Messages in OpenAI chat format (system/user/assistant)
+   * @param {Object} options - Same options as createChatCompletion
+   * @param {Function} onDelta - Called with (deltaText, fullText) for every chunk
+   * @param {AbortSignal} [signal] - Aborts the request
+   * @returns {Promise<{text: string, finishReason: string, usage: Object|null}>} Completion result
+   */
+  async createChatCompletionStream(messages, options = {}, onDelta = null, signal = null) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new Error('No messages provided for chat completion');
+    }
+
+    const model = options.model || this.model;
+    console.log(`Streaming chat completion with ${messages.length} messages (model: ${model})`);
+
+    const body = {
+      model,
+      messages,
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+    if (options.maxTokens) body.max_tokens = options.maxTokens;
+    if (typeof options.temperature === 'number') body.temperature = options.temperature;
+
+    let text = '';
+    let finishReason = null;
+    let usage = null;
+    let responseModel = null;
+
+    await this.makeStreamRequest('/chat/completions', body, (event, data) => {
+      if (data.usage) usage = data.usage;
+      if (data.model) responseModel = data.model;
+      const choice = data.choices?.[0];
+      if (!choice) return;
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+
+      const delta = choice.delta?.content;
+      if (delta) {
+        text += delta;
+        if (onDelta) onDelta(delta, text);
+      }
+    }, signal);
+
+    this.recordUsage({
+      kind: 'completion',
+      model: responseModel || model,
+      usage,
+      images: this.countImageInputs(messages),
+      ...options.usageContext
+    });
+
+    console.log(`Chat completion stream finished (${finishReason})`);
+    return { text: text.trim(), finishReason, usage };
+  }
+
+  /**
+   * Creates a run on a thread and streams the assistant message as it is generated.
+   * The result has the same shape as waitForRunCompletion, so callers can keep using processResponse.
+   * @param {string} threadId - OpenAI thread ID
+   * @param {string} assistantId - Assistant ID to use
+   * @param {Function} onDelta - Called with (deltaText, fullText) for every chunk
+   * @param {AbortSignal} [signal] - Aborts the request
+   * @param {Object} [options] - {tools, instructions, additionalInstructions, onRequiresAction}, same meaning as in createRun/waitForRunCompletion
+   * @returns {Promise<{runId: string, status: string, output: Array|null, error: Object|null, usage: Object|null}>} Final status
+   */
+  async createRunStream(threadId, assistantId, onDelta = null, signal = null, options = {}) {
+    if (!assistantId) {
+      throw new Error('No assistant ID provided');
+    }
+
+    console.log(`Streaming run on thread ${threadId.substring(0, 8)}... with assistant ${assistantId.substring(0, 8)}...`);
+
+    let runId = null;
+    let status = 'in_progress';
+    let error = null;
+    let requiredAction = null;
+    let usage = null;
+    let text = '';
+
+    const onEvent = (event, data) => {
+      switch (event) {
+        case 'thread.run.created':
+          runId = data.id;
+          break;
+        case 'thread.message.delta':
+          (data.delta?.content || [])
+            .filter(part => part.type === 'text' && part.text?.value)
+            .forEach(part => {
+              text += part.text.value;
+              if (onDelta) onDelta(part.text.value, text);
+            });
+          break;
+        case 'thread.run.completed':
+          status = 'completed';
+          usage = data.usage || null;
+          this.recordRunUsage(threadId, data);
+          break;
+        case 'thread.run.requires_action':
+          status = 'requires_action';
+          requiredAction = data.required_action;
+          break;
+        case 'thread.run.failed':
+        case 'thread.run.cancelled':
+        case 'thread.run.expired':
+          status = data.status || event.split('.').pop();
+          error = data.last_error || null;
+          this.recordRunUsage(threadId, data);
+          break;
+        case 'error':
+          status = 'failed';
+          error = data.error || data;
+          break;
+      }
+    };
+
+    const body = { assistant_id: assistantId, stream: true };
+    if (options.tools) body.tools = options.tools;
+    if (options.instructions) body.instructions = options.instructions;
+    if (options.additionalInstructions) body.additional_instructions = options.additionalInstructions;
+
+    try {
+      await this.makeStreamRequest(`/threads/${threadId}/runs`, body, onEvent, signal);
+
+      // Tool calls: submit the outputs and keep reading the continued stream
+      while (status === 'requires_action' && requiredAction && options.onRequiresAction) {
+        const toolOutputs = await options.onRequiresAction(requiredAction, runId);
+        this.throwIfAborted(signal);
+        status = 'in_progress';
+        requiredAction = null;
+        console.log(`Submitting ${toolOutputs.length} tool output(s) to streamed run ${runId.substring(0, 8)}...`);
+        await this.makeStreamRequest(`/threads/${threadId}/runs/${runId}/submit_tool_outputs`, {
+          tool_outputs: toolOutputs,
+          stream: true
+        }, onEvent, signal);
+      }
+    } catch (streamError) {
+      // Closing the stream does not stop the run: cancel it once the server has told us its ID
+      if (streamError?.name === 'AbortError' && runId) await this.cancelRun(threadId, runId);
+      throw streamError;
+    }
+
+    console.log(`Run ${runId ? runId.substring(0, 8) + '...' : ''} stream finished with status: ${status}`);
+    return {
+      runId,
+      status,
+      error,
+      usage,
+      output: status === 'completed'
+        ? [{ role: 'assistant', content: [{ type: 'text', text: { value: text } }] }]
+        : null
+    };
+  }
+
   /**
    * Transcribes audio to text using Whisper API
    * @param {Blob} audioBlob - Audio blob data
+   * @param {Object} [options] - {language}: ISO-639-1 code of the audio; the endpoint detects it when omitted
    * @returns {Promise<string>} Transcribed text
    */
-  async transcribeAudio(audioBlob) {
+  async transcribeAudio(audioBlob, options = {}) {
     try {
       if (!audioBlob || !(audioBlob instanceof Blob)) {
         throw new Error('Invalid audio blob');
       }
       
+      this.applyEndpointProfile();
       console.log(`Transcribing audio (${Math.round(audioBlob.size / 1024)} KB)`);
       
+      // verbose_json includes the audio duration Whisper bills by; other servers get plain text
+      const verbose = this.profileKey === 'openai';
+
       // Create a FormData instance for file upload
       const formData = new FormData();
       formData.append('file', audioBlob, 'audio.mp3');
-      formData.append('model', 'whisper-1');
-      formData.append('response_format', 'text');
+      formData.append('model', this.transcriptionModel);
+      formData.append('response_format', verbose ? 'verbose_json' : 'text');
+      if (options.language) formData.append('language', options.language);
       
-      // Use fetch directly for FormData compatibility
-      const response = await fetch(`${this.baseUrl}/audio/transcriptions`, {
+      // No Content-Type header: the multipart boundary is set by the transport.
+      // Background work: queued behind the replies the user is waiting for
+      const response = await this.scheduler.schedule(signal => this.sendHttp(`${this.baseUrl}/audio/transcriptions`, {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: formData
-      });
+        headers: this.getAuthHeaders(),
+        body: formData,
+        signal,
+        timeout: this.transcriptionTimeout
+      }), { priority: 'low', timeout: this.transcriptionTimeout, label: 'POST /audio/transcriptions' });
+      this.scheduler.updateRateLimits(response.headers);
       
       if (!response.ok) {
         const errorText = await response.text();
@@ -265,7 +770,19 @@ class ApiClient {
       }
       
       // Whisper API returns plain text when response_format is set to 'text'
-      const transcript = await response.text();
+      let transcript = await response.text();
+      let audioSeconds = 0;
+      if (verbose) {
+        try {
+          const data = JSON.parse(transcript);
+          transcript = data.text || '';
+          audioSeconds = data.duration || 0;
+        } catch {
+          // Not JSON after all: keep the raw text
+        }
+      }
+
+      this.recordUsage({ kind: 'transcription', model: this.transcriptionModel, audioSeconds });
       
       console.log(`Transcription successful: ${transcript.substring(0, 50)}${transcript.length > 50 ? '...' : ''}`);
       return transcript;
@@ -287,9 +804,7 @@ class ApiClient {
     return await this.makeRequest(endpoint, {
       method: 'GET',
       headers: {
-        'OpenAI-Beta': this.betaHeader,
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json'
+        'OpenAI-Beta': this.betaHeader
       }
     });
   }
@@ -306,9 +821,7 @@ class ApiClient {
       return await this.makeRequest(`/assistants/${assistantId}`, {
         method: 'PATCH',
         headers: {
-          'OpenAI-Beta': this.betaHeader,
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
+          'OpenAI-Beta': this.betaHeader
         },
         body: JSON.stringify(assistantData)
       });
@@ -317,9 +830,7 @@ class ApiClient {
       return await this.makeRequest('/assistants', {
         method: 'POST',
         headers: {
-          'OpenAI-Beta': this.betaHeader,
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
+          'OpenAI-Beta': this.betaHeader
         },
         body: JSON.stringify(assistantData)
       });
@@ -335,35 +846,191 @@ class ApiClient {
     return await this.makeRequest(`/assistants/${assistantId}`, {
       method: 'GET',
       headers: {
-        'OpenAI-Beta': this.betaHeader,
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json'
+        'OpenAI-Beta': this.betaHeader
       }
     });
   }
 
   /**
-   * Makes a request to the OpenAI API with retry logic
+   * Classifies a text with the moderation endpoint
+   * @param {string} input - Text to check
+   * @returns {Promise<Object>} Moderation result ({results: [{flagged, categories, ...}]})
+   */
+  async createModeration(input) {
+    return await this.makeRequest('/moderations', {
+      method: 'POST',
+      priority: 'high',
+      body: JSON.stringify({ model: 'omni-moderation-latest', input })
+    });
+  }
+
+  /**
+   * Uploads a file (multipart, so it does not go through makeRequest)
+   * @param {Blob} blob - File content
+   * @param {string} filename - Name shown in OpenAI (the extension sets the file type)
+   * @param {string} [purpose='assistants'] - Upload purpose
+   * @returns {Promise<Object>} File object ({id, filename, bytes, ...})
+   */
+  async uploadFile(blob, filename, purpose = 'assistants') {
+    this.applyEndpointProfile();
+    if (!this.apiKey && this.authScheme !== 'none') {
+      throw new Error('API key not set');
+    }
+
+    const formData = new FormData();
+    formData.append('file', blob, filename);
+    formData.append('purpose', purpose);
+
+    // No Content-Type header: the multipart boundary is set by the transport
+    const response = await this.scheduler.schedule(signal => this.sendHttp(`${this.baseUrl}/files`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: formData,
+      signal
+    }), { priority: 'low', label: 'POST /files' });
+    this.scheduler.updateRateLimits(response.headers);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`File upload failed: ${response.status} ${errorText}`);
+    }
+    return await response.json();
+  }
+
+  /**
+   * Deletes an uploaded file
+   * @param {string} fileId - File ID
+   * @returns {Promise<Object>} Deletion status
+   */
+  async deleteFile(fileId) {
+    return await this.makeRequest(`/files/${fileId}`, { method: 'DELETE', priority: 'low' });
+  }
+
+  /**
+   * Creates a vector store (searched by the file_search tool)
+   * @param {string} name - Vector store name
+   * @returns {Promise<Object>} Vector store ({id, ...})
+   */
+  async createVectorStore(name) {
+    return await this.makeRequest('/vector_stores', {
+      method: 'POST',
+      priority: 'low',
+      body: JSON.stringify({ name })
+    });
+  }
+
+  /**
+   * Gets a vector store
+   * @param {string} vectorStoreId - Vector store ID
+   * @returns {Promise<Object>} Vector store
+   */
+  async getVectorStore(vectorStoreId) {
+    return await this.makeRequest(`/vector_stores/${vectorStoreId}`, { method: 'GET', priority: 'low' });
+  }
+
+  /**
+   * Adds an uploaded file to a vector store (OpenAI chunks and indexes it)
+   * @param {string} vectorStoreId - Vector store ID
+   * @param {string} fileId - File ID
+   * @returns {Promise<Object>} Vector store file
+   */
+  async addVectorStoreFile(vectorStoreId, fileId) {
+    return await this.makeRequest(`/vector_stores/${vectorStoreId}/files`, {
+      method: 'POST',
+      priority: 'low',
+      body: JSON.stringify({ file_id: fileId })
+    });
+  }
+
+  /**
+   * Removes a file from a vector store (the file itself is kept)
+   * @param {string} vectorStoreId - Vector store ID
+   * @param {string} fileId - File ID
+   * @returns {Promise<Object>} Deletion status
+   */
+  async removeVectorStoreFile(vectorStoreId, fileId) {
+    return await this.makeRequest(`/vector_stores/${vectorStoreId}/files/${fileId}`, { method: 'DELETE', priority: 'low' });
+  }
+
+  /**
+   * Reports the usage of a call to UsageTracker
+   * @param {Object} entry - See UsageTracker.record
+   * @private
+   */
+  recordUsage(entry) {
+    if (window.usageTracker) {
+      window.usageTracker.record(entry);
+    }
+  }
+
+  /**
+   * Reports the usage of a finished run, with the images added to its thread since the last run
+   * @param {string} threadId - OpenAI thread ID
+   * @param {Object} run - Run object (polled or from a stream event)
+   * @private
+   */
+  recordRunUsage(threadId, run) {
+    if (!run?.usage) return;
+
+    const images = this.pendingImageInputs.get(threadId) || 0;
+    this.pendingImageInputs.delete(threadId);
+    this.recordUsage({
+      kind: 'run',
+      model: run.model || this.model,
+      usage: run.usage,
+      images,
+      openaiThreadId: threadId,
+      assistantId: run.assistant_id
+    });
+  }
+
+  /**
+   * Counts the image parts of a list of messages
+   * @param {Array} messages - Messages in OpenAI format
+   * @returns {number} Number of images
+   * @private
+   */
+  countImageInputs(messages) {
+    return (messages || []).reduce((count, message) => count + (Array.isArray(message.content)
+      ? message.content.filter(part => part.type === 'image_url').length
+      : 0), 0);
+  }
+
+  /**
+   * Makes a request to the OpenAI API with retry logic, through the request queue
    * @param {string} endpoint - API endpoint
-   * @param {Object} options - Request options
+   * @param {Object} options - Request options, plus:
+   * @param {string} [options.priority='normal'] - 'high' for the reply flow, 'low' for background work
+   * @param {number} [options.timeout] - Timeout in ms (defaults to CONFIG.AI.requestQueue.timeout)
+   * @param {AbortSignal} [options.signal] - Cancels the request, queued or in flight
    * @returns {Promise<Object>} Response data
    * @private
    */
   async makeRequest(endpoint, options = {}) {
-    if (!this.apiKey) {
+    this.applyEndpointProfile();
+
+    if (!this.apiKey && this.authScheme !== 'none') {
       throw new Error('API key not set');
     }
 
+    const { priority = 'normal', timeout, signal, ...fetchOptions } = options;
     const requestOptions = {
-      method: options.method || 'GET',
+      ...fetchOptions,
+      method: fetchOptions.method || 'GET',
       headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
+        ...this.getAuthHeaders(),
         'Content-Type': 'application/json',
         // Updated: v2 version of the Assistants API header
         'OpenAI-Beta': 'assistants=v2',
-        ...options.headers
-      },
-      ...options
+        ...fetchOptions.headers
+      }
+    };
+    const scheduleOptions = {
+      priority,
+      timeout,
+      signal,
+      tokens: this.estimateTokens(requestOptions.body),
+      label: `${requestOptions.method} ${endpoint.split('?')[0]}`
     };
 
     let retries = 0;
@@ -371,16 +1038,27 @@ class ApiClient {
 
     while (retries <= this.maxRetries) {
       try {
-        const response = await fetch(`${this.baseUrl}${endpoint}`, requestOptions);
+        const response = await this.scheduler.schedule(requestSignal => this.sendHttp(`${this.baseUrl}${endpoint}`, {
+          ...requestOptions,
+          signal: requestSignal,
+          timeout
+        }), scheduleOptions);
+        this.scheduler.updateRateLimits(response.headers);
         
         if (!response.ok) {
           const errorData = await response.json().catch(() => ({ error: { message: response.statusText } }));
           
           // Handle specific error cases
           if (response.status === 429) {
-            const retryAfter = response.headers.get('retry-after') || Math.pow(2, retries) * this.initialRetryDelay;
+            // Out of credit is also a 429, but waiting does not fix it
+            if (errorData.error?.code === 'insufficient_quota') {
+              throw new Error(`API Error (429): ${errorData.error.message}`);
+            }
+            const retryAfter = this.getRetryDelay(response, retries);
             logger.warn(`Rate limited by OpenAI (429). Retrying after ${retryAfter}ms`);
-            await new Promise(resolve => setTimeout(resolve, retryAfter));
+            // Hold the whole queue: every other request would be rejected too
+            this.scheduler.pause(retryAfter);
+            lastError = new Error(`API Error (429): ${errorData.error?.message || 'Rate limited'}`);
             retries++;
             continue;
           }
@@ -398,14 +1076,18 @@ class ApiClient {
       } catch (error) {
         lastError = error;
         
-        // Don't retry for authentication errors
-        if (error.message.includes('Invalid API key')) {
+        // Don't retry for authentication errors or cancelled requests
+        if (error.message.includes('Invalid API key') || error.name === 'AbortError') {
           throw error;
         }
+
+        // Timeouts are only retried for reads: a POST may have been applied anyway
+        const timedOut = error.name === 'TimeoutError';
         
         // For network errors, retry after delay
-        if (retries < this.maxRetries && 
-            (error.name === 'TypeError' || error.message.includes('network') || error.message.includes('failed'))) {
+        if (retries < this.maxRetries && (
+          (timedOut && requestOptions.method === 'GET') ||
+          (!timedOut && (error.name === 'TypeError' || error.message.includes('network') || error.message.includes('failed'))))) {
           const delay = Math.pow(2, retries) * this.initialRetryDelay;
           logger.warn(`Request failed, retrying (${retries+1}/${this.maxRetries+1}) after ${delay}ms: ${error.message}`);
           await new Promise(resolve => setTimeout(resolve, delay));
@@ -420,6 +1102,151 @@ class ApiClient {
     
     throw lastError || new Error('Request failed after retries');
   }
+
+  /**
+   * How long to wait before retrying a 429.
+   * retry-after is in seconds (or an HTTP date); OpenAI also sends retry-after-ms.
+   * @param {Object} response - Response with headers.get()
+   * @param {number} retries - Retries so far (for the exponential fallback)
+   * @returns {number} Delay in ms
+   * @private
+   */
+  getRetryDelay(response, retries) {
+    const retryAfterMs = parseFloat(response.headers.get('retry-after-ms'));
+    if (!isNaN(retryAfterMs)) return retryAfterMs;
+
+    const retryAfter = response.headers.get('retry-after');
+    if (retryAfter) {
+      const seconds = parseFloat(retryAfter);
+      if (!isNaN(seconds)) return seconds * 1000;
+      const date = Date.parse(retryAfter);
+      if (!isNaN(date)) return Math.max(date - Date.now(), 0);
+    }
+
+    return Math.pow(2, retries) * this.initialRetryDelay;
+  }
+
+  /**
+   * Rough token count of a request body, for pacing against the tokens-per-minute limit
+   * @param {*} body - Request body
+   * @returns {number} Estimated tokens (about 4 characters per token, plus the reply budget)
+   * @private
+   */
+  estimateTokens(body) {
+    if (typeof body !== 'string') return 0;
+    // Inline images (data URLs) are not billed by their length
+    const text = body.replace(/data:[^"]+/g, '');
+    const maxTokens = parseInt((/"max_tokens":\s*(\d+)/.exec(text) || [])[1], 10) || 0;
+    return Math.ceil(text.length / 4) + maxTokens;
+  }
+
+  /**
+   * Makes a streaming (server-sent events) request to the API.
+   * Always uses fetch: GM_xmlhttpRequest only hands over the body once it is complete.
+   * No retries: part of the reply may already have been delivered.
+   * @param {string} endpoint - API endpoint
+   * @param {Object} body - JSON body (must include stream: true)
+   * @param {Function} onEvent - Called with (eventName, data) for every event
+   * @param {AbortSignal} [signal] - Aborts the request
+   * @returns {Promise<void>} Resolves when the stream ends
+   * @private
+   */
+  async makeStreamRequest(endpoint, body, onEvent, signal = null) {
+    this.applyEndpointProfile();
+
+    if (!this.apiKey && this.authScheme !== 'none') {
+      throw new Error('API key not set');
+    }
+
+    // The queue slot is held until the stream ends: the request is in flight all that time
+    return this.scheduler.schedule((requestSignal, job) => this.readEventStream(endpoint, body, onEvent, requestSignal, job), {
+      priority: 'high',
+      signal,
+      tokens: this.estimateTokens(JSON.stringify(body)),
+      label: `POST ${endpoint} (stream)`
+    });
+  }
+
+  /**
+   * Sends a streaming request and dispatches its events (task queued by makeStreamRequest)
+   * @param {string} endpoint - API endpoint
+   * @param {Object} body - JSON body
+   * @param {Function} onEvent - Called with (eventName, data) for every event
+   * @param {AbortSignal} signal - Scheduler signal (timeout or caller abort)
+   * @param {Object} job - Scheduler job
+   * @returns {Promise<void>} Resolves when the stream ends
+   * @private
+   */
+  async readEventStream(endpoint, body, onEvent, signal, job) {
+    const response = await fetch(`${this.baseUrl}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        ...this.getAuthHeaders(),
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        'OpenAI-Beta': 'assistants=v2'
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+    // Only the wait for the first byte times out: a reply may stream for longer
+    job.clearTimeout();
+    this.scheduler.updateRateLimits(response.headers);
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({ error: { message: response.statusText } }));
+      if (response.status === 401) {
+        throw new Error('Authentication failed: Invalid API key');
+      }
+      if (response.status === 429) {
+        this.scheduler.pause(this.getRetryDelay(response, 0));
+      }
+      throw new Error(`API Error (${response.status}): ${errorData.error?.message || response.statusText}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    // Dispatches one SSE block ("event: x\ndata: {...}"); returns false on [DONE]
+    const dispatch = (block) => {
+      let eventName = 'message';
+      const dataLines = [];
+      block.split(/\r?\n/).forEach(line => {
+        if (line.startsWith('event:')) eventName = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+      });
+      if (!dataLines.length) return true;
+
+      const raw = dataLines.join('\n');
+      if (raw === '[DONE]') return false;
+
+      try {
+        onEvent(eventName, JSON.parse(raw));
+      } catch (error) {
+        logger.warn(`Could not process stream event ${eventName}: ${error.message}`);
+      }
+      return true;
+    };
+
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split(/\r?\n\r?\n/);
+        buffer = blocks.pop();
+
+        for (const block of blocks) {
+          if (!dispatch(block)) return;
+        }
+      }
+      if (buffer.trim()) dispatch(buffer);
+    } finally {
+      reader.releaseLock();
+    }
+  }
 }
 
 // Create global singleton instance
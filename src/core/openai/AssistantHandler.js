@@ -6,6 +6,7 @@
  * - Use ApiClient to add messages to the thread
  * - Create runs in the thread
  * - Wait for the run to complete
+ * - Execute local tools (ToolRegistry) when a run requires action
  * - Get and return the final response
  */
 
@@ -16,6 +17,7 @@ class AssistantHandler {
     this.retryDelay = 2000; // 2 seconds
     this.maxWaitTime = 60000; // 1 minute
     this.initialized = false;
+    this.assistantToolsCache = new Map(); // assistantId -> tools configured on the assistant
   }
 
   /**
@@ -66,6 +68,7 @@ class AssistantHandler {
    * @param {Array} allMessages - All messages in the chat
    * @param {string} chatRole - Role (seller or buyer)
    * @param {Object} productData - Product information
+   * @param {Object} options - Generation options (forceNewGeneration, onDelta, signal)
    * @returns {Promise<string>} Generated response
    */
   async generateResponse(fbThreadId, allMessages, chatRole, productData, options = {}) {
@@ -104,6 +107,9 @@ class AssistantHandler {
         await window.threadStore.initialize();
       }
 
+      // Tools called during the run need to know which chat and product it is about
+      options = { ...options, toolContext: { fbThreadId, chatRole, productData } };
+
       // First thread check
       let threadInfo = window.threadStore?.getThreadInfo(fbThreadId);
 
@@ -113,7 +119,7 @@ class AssistantHandler {
           window.logManager.step(window.logManager.phases.GENERATION, 'FLOW',
             'New thread flow selected');
         }
-        return await this.handleNewThread(fbThreadId, allMessages, chatRole, productData);
+        return await this.handleNewThread(fbThreadId, allMessages, chatRole, productData, options);
       } else {
         if (window.logManager) {
           window.logManager.step(window.logManager.phases.GENERATION, 'FLOW',
@@ -141,10 +147,11 @@ class AssistantHandler {
    * @param {Array} allMessages - All messages in the chat
    * @param {string} chatRole - Role (seller or buyer)
    * @param {Object} productData - Product information
+   * @param {Object} options - Generation options (onDelta, signal)
    * @returns {Promise<string>} Generated response
    * @private
    */
-  async handleNewThread(fbThreadId, allMessages, chatRole, productData) {
+  async handleNewThread(fbThreadId, allMessages, chatRole, productData, options = {}) {
     if (window.logManager) {
       window.logManager.step('GENERATION', 'NEW_THREAD',
         `Processing new thread - fbThreadId: ${fbThreadId}, messages: ${allMessages.length}, role: ${chatRole}`);
@@ -153,7 +160,8 @@ class AssistantHandler {
     }
 
     // --- FOLLOW-UP LOGIC FOR NEW THREADS ---
-    const lastMessage = allMessages.length > 0 ? allMessages[allMessages.length - 1] : null;
+    // Unsent messages left nothing to answer
+    const lastMessage = window.messagePreprocessor.getLastStandingMessage(allMessages);
     let isFollowUpRequest = false;
 
     if (lastMessage && lastMessage.sentByUs) {
@@ -180,14 +188,15 @@ class AssistantHandler {
       const threadInfoCheck = window.threadStore.getThreadInfo(fbThreadId, true);
       if (threadInfoCheck) {
         console.log(`[AssistantHandler][DEBUG] Thread found on final check, using existing instead of creating new`);
-        return await this.handleExistingThread(fbThreadId, allMessages, chatRole, threadInfoCheck);
+        return await this.handleExistingThread(fbThreadId, allMessages, chatRole, threadInfoCheck, options);
       }
     }
 
     console.log(`[AssistantHandler][DEBUG] Creating new thread in OpenAI for ${fbThreadId}`);
     const threadInfo = await this.createNewThread(fbThreadId, chatRole);
 
-    const assistantId = this.getAssistantIdForRole(chatRole);
+    // An A/B experiment may run this thread with another assistant
+    const assistantId = options.experimentVariant?.assistantId || this.getAssistantIdForRole(chatRole);
     if (!assistantId) {
       throw new Error(`No assistant ID configured for role: ${chatRole}`);
     }
@@ -245,7 +254,8 @@ class AssistantHandler {
 
     const openAIMessages = await window.messagePreprocessor.formatMessagesForOpenAI(
       messagesWithTranscriptions.slice(-50),
-      productData
+      productData,
+      { chatId: fbThreadId, groupChat: window.messagePreprocessor.isGroupChat(allMessages) }
     );
 
     const validatedMessages = this.validateMessages(openAIMessages);
@@ -254,6 +264,7 @@ class AssistantHandler {
       return '';
     }
 
+    this.throwIfCancelled(options.signal);
     console.log(`[AssistantHandler][DEBUG] Adding ${validatedMessages.length} messages to thread ${threadInfo.openaiThreadId}`);
     for (const message of validatedMessages) {
       await window.apiClient.addMessage(threadInfo.openaiThreadId, message);
@@ -261,63 +272,25 @@ class AssistantHandler {
 
     // If it's a follow-up request, add the special instruction now
     if (isFollowUpRequest) {
-      let followUpInstruction;
-      
-      if (chatRole === 'seller') {
-        followUpInstruction = {
-          role: 'user',
-          content: `[System Instruction] The buyer has not responded to your last message. 
-          
-          Write a short, friendly follow-up message (1-2 sentences) to re-engage them. 
-          
-          Remember to:
-          - Keep it brief and conversational
-          - Maintain interest in your product
-          - If appropriate, remind them about pickup location (123 Street, Miami) and business hours (7am to 11pm daily)
-          - Do not be pushy or send multiple questions
-          
-          This follows your seller prompt guideline: "If you were the last one messaging, write a short followup."`
-        };
-      } else if (chatRole === 'buyer') {
-        followUpInstruction = {
-          role: 'user',
-          content: `[System Instruction] The seller has not responded to your last message.
-
-          Write a short, friendly follow-up message (1 sentence only) to re-engage them.
-          
-          Remember to:
-          - Keep it extremely brief and conversational
-          - Avoid sounding like an advertisement
-          - Don't be pushy or salesy
-          - Maintain your role as someone sharing personal experience with stripsapp.com
-          - Never claim or imply any affiliation with the website
-          
-          This follows your buyer prompt guideline to "keep the conversation very short, friendly, and avoid sounding like an ad."`
-        };
-      } else {
-        followUpInstruction = {
-          role: 'user',
-          content: '[System Instruction] The other person has not responded to your last message. Please generate a brief, friendly follow-up message to re-engage them.'
-        };
-      }
-      
-      await window.apiClient.addMessage(threadInfo.openaiThreadId, followUpInstruction);
+      await window.apiClient.addMessage(threadInfo.openaiThreadId, this.getFollowUpInstruction(chatRole));
     }
 
-    console.log(`[AssistantHandler][DEBUG] Creating run with assistant ${assistantId}`);
-    const { runId } = await window.apiClient.createRun(threadInfo.openaiThreadId, assistantId);
-    console.log(`[AssistantHandler][DEBUG] Run created: ${runId}`);
-
-    console.log(`[AssistantHandler][DEBUG] Waiting for run completion ${runId}`);
-    const runResult = await window.apiClient.waitForRunCompletion(threadInfo.openaiThreadId, runId, this.maxWaitTime);
+    const runResult = await this.executeRun(threadInfo.openaiThreadId, assistantId, options).catch(error => {
+      if (error?.name === 'AbortError') {
+        this.recordCancelledRun(fbThreadId, allMessages, validatedMessages.length + (isFollowUpRequest ? 1 : 0));
+      }
+      throw error;
+    });
     console.log(`[AssistantHandler][DEBUG] Run completed with status: ${runResult.status}`);
 
     if (runResult.status === 'completed' && runResult.output) {
       if (allMessages.length > 0) {
         const lastMsg = allMessages[allMessages.length - 1];
-        const messageId = lastMsg.id || window.messagePreprocessor.generateMessageId(lastMsg.content?.text, Date.now());
-        window.threadStore.updateLastMessage(fbThreadId, messageId, Date.now());
+        const messageId = lastMsg.id || window.messagePreprocessor.generateMessageId(fbThreadId, lastMsg);
+        window.threadStore.updateLastMessage(fbThreadId, messageId, Date.now(), allMessages);
       }
+      // Thread size, for compaction (+1 for the assistant reply)
+      window.threadStore.recordRun(fbThreadId, validatedMessages.length + (isFollowUpRequest ? 1 : 0) + 1, runResult.usage?.prompt_tokens);
       return this.processResponse(runResult.output);
     } else {
       const errorMsg = `Run did not complete: ${runResult.status}. Error: ${runResult.error?.message || 'Unknown'}`;
@@ -332,27 +305,51 @@ class AssistantHandler {
    * @param {Array} allMessages - All messages in the chat
    * @param {string} chatRole - Role (seller or buyer)
    * @param {Object} threadInfo - Existing thread information
+   * @param {Object} options - Generation options (forceNewGeneration, onDelta, signal, toolContext)
    * @returns {Promise<string>} Generated response
    * @private
    */
   async handleExistingThread(fbThreadId, allMessages, chatRole, threadInfo, options = {}) {
     console.log(`[AssistantHandler][DEBUG] handleExistingThread - fbThreadId: ${fbThreadId}, messages: ${allMessages.length}, role: ${chatRole}`);
-    const { openaiThreadId, lastMessageId } = threadInfo;
+    let { openaiThreadId } = threadInfo;
+    const { lastMessageId } = threadInfo;
 
-    const assistantId = this.getAssistantIdForRole(chatRole);
+    // An A/B experiment may run this thread with another assistant
+    const assistantId = options.experimentVariant?.assistantId || this.getAssistantIdForRole(chatRole);
     if (!assistantId) {
       throw new Error(`No assistant ID configured for role: ${chatRole}`);
     }
     console.log(`[AssistantHandler][DEBUG] Assistant ID obtained: ${assistantId}`);
 
-    const newMessages = window.messagePreprocessor.getNewMessagesSinceNoFormat(allMessages, lastMessageId);
+    const newMessages = window.messagePreprocessor.getNewMessagesSinceNoFormat(
+      allMessages, lastMessageId, threadInfo.seenMessages);
     console.log(`[AssistantHandler][DEBUG] Found ${newMessages.length} new messages from the preprocessor.`);
 
-    const hasTrulyNewMessages = newMessages.length > 0 && newMessages[0].id !== lastMessageId;
+    // Edits count as new; unsent messages and reactions only add context to a follow-up
+    const hasTrulyNewMessages = newMessages.some(msg =>
+      (msg.revision || msg.id !== lastMessageId) && window.messagePreprocessor.isActionable(msg));
+    // Group chats name who wrote each message
+    const groupChat = window.messagePreprocessor.isGroupChat(allMessages);
     // NEW: forces the generation of a new response (regeneration)
     const isRegenerationRequest = options.forceNewGeneration === true;
 
+    // Long threads are replaced by a summary plus the latest turns before anything is added
+    if (window.threadCompactor?.needsCompaction(threadInfo)) {
+      const lastIndex = allMessages.findIndex(msg => msg.id === lastMessageId);
+      const seenMessages = lastIndex !== -1
+        ? allMessages.slice(0, lastIndex + 1)
+        : allMessages.slice(0, allMessages.length - (hasTrulyNewMessages ? newMessages.length : 0));
+      try {
+        const compacted = await window.threadCompactor.compact(
+          fbThreadId, seenMessages, chatRole, threadInfo, options.toolContext?.productData);
+        if (compacted) openaiThreadId = compacted.openaiThreadId;
+      } catch (error) {
+        logger.warn(`Thread compaction failed, continuing with the current thread: ${error.message}`);
+      }
+    }
+
     let actionTaken = false;
+    let messagesAdded = 0;
 
     if (hasTrulyNewMessages || isRegenerationRequest) {
       // --- ACTION A: Respond to new messages or regenerate response ---
@@ -388,15 +385,18 @@ class AssistantHandler {
       console.log('[AssistantHandler] [DEBUG] After attachTranscriptions (existing):', JSON.stringify(messagesWithTranscriptions));
       console.log('===================================================================================');
 
-      const openAIMessages = await window.messagePreprocessor.formatMessagesForOpenAI(messagesWithTranscriptions);
+      const openAIMessages = await window.messagePreprocessor.formatMessagesForOpenAI(
+        messagesWithTranscriptions, null, { chatId: fbThreadId, groupChat });
       const validatedMessages = this.validateMessages(openAIMessages);
 
       if (validatedMessages.length) {
         actionTaken = true;
+        this.throwIfCancelled(options.signal);
         console.log(`[AssistantHandler][DEBUG] Adding ${validatedMessages.length} messages to thread ${openaiThreadId}`);
         for (const message of validatedMessages) {
           await window.apiClient.addMessage(openaiThreadId, message);
         }
+        messagesAdded = validatedMessages.length;
       } else {
         console.warn('[AssistantHandler] After formatting, there are no valid messages. No messages were added.');
       }
@@ -405,48 +405,21 @@ class AssistantHandler {
       console.log('[AssistantHandler] No new messages. User has requested a manual follow-up.');
       actionTaken = true;
       console.log('[AssistantHandler] Generating follow-up message.');
-      
-      let followUpInstruction;
-      
-      if (chatRole === 'seller') {
-        followUpInstruction = {
-          role: 'user',
-          content: `[System Instruction] The buyer has not responded to your last message. 
-          
-          Write a short, friendly follow-up message (1-2 sentences) to re-engage them. 
-          
-          Remember to:
-          - Keep it brief and conversational
-          - Maintain interest in your product
-          - If appropriate, remind them about pickup location (123 Street, Miami) and business hours (7am to 11pm daily)
-          - Do not be pushy or send multiple questions
-          
-          This follows your seller prompt guideline: "If you were the last one messaging, write a short followup."`
-        };
-      } else if (chatRole === 'buyer') {
-        followUpInstruction = {
-          role: 'user',
-          content: `[System Instruction] The seller has not responded to your last message.
-
-          Write a short, friendly follow-up message (1 sentence only) to re-engage them.
-          
-          Remember to:
-          - Keep it extremely brief and conversational
-          - Avoid sounding like an advertisement
-          - Don't be pushy or salesy
-          - Maintain your role as someone sharing personal experience with stripsapp.com
-          - Never claim or imply any affiliation with the website
-          
-          This follows your buyer prompt guideline to "keep the conversation very short, friendly, and avoid sounding like an ad."`
-        };
-      } else {
-        followUpInstruction = {
-          role: 'user',
-          content: '[System Instruction] The other person has not responded to your last message. Please generate a brief, friendly follow-up message to re-engage them.'
-        };
+
+      this.throwIfCancelled(options.signal);
+      // Messages unsent and reactions given since the last run, so the follow-up does not build on them
+      const contextMessages = newMessages.filter(msg =>
+        msg.revision || (msg.id !== lastMessageId && msg.content?.unsent));
+      if (contextMessages.length) {
+        const openAIMessages = await window.messagePreprocessor.formatMessagesForOpenAI(
+          contextMessages, null, { chatId: fbThreadId, groupChat });
+        for (const message of this.validateMessages(openAIMessages)) {
+          await window.apiClient.addMessage(openaiThreadId, message);
+          messagesAdded++;
+        }
       }
-      
-      await window.apiClient.addMessage(openaiThreadId, followUpInstruction);
+      await window.apiClient.addMessage(openaiThreadId, this.getFollowUpInstruction(chatRole));
+      messagesAdded++;
     }
 
     if (!actionTaken) {
@@ -455,18 +428,17 @@ class AssistantHandler {
     }
 
     // Create and wait for the OpenAI run
-    console.log(`[AssistantHandler][DEBUG] Creating run with assistant ${assistantId}`);
-    const { runId } = await window.apiClient.createRun(openaiThreadId, assistantId);
-    console.log(`[AssistantHandler][DEBUG] Run created: ${runId}`);
-
-    console.log(`[AssistantHandler][DEBUG] Waiting for run completion ${runId}`);
-    const runResult = await window.apiClient.waitForRunCompletion(openaiThreadId, runId, this.maxWaitTime);
+    const runResult = await this.executeRun(openaiThreadId, assistantId, options).catch(error => {
+      if (error?.name === 'AbortError') this.recordCancelledRun(fbThreadId, allMessages, messagesAdded);
+      throw error;
+    });
     console.log(`[AssistantHandler][DEBUG] Run completed with status: ${runResult.status}`);
 
     if (runResult.status === 'completed' && runResult.output) {
       const lastMsg = allMessages[allMessages.length - 1];
-      const messageId = lastMsg.id || window.messagePreprocessor.generateMessageId(lastMsg.content?.text, Date.now());
-      window.threadStore.updateLastMessage(fbThreadId, messageId, Date.now());
+      const messageId = lastMsg.id || window.messagePreprocessor.generateMessageId(fbThreadId, lastMsg);
+      window.threadStore.updateLastMessage(fbThreadId, messageId, Date.now(), allMessages);
+      window.threadStore.recordRun(fbThreadId, messagesAdded + 1, runResult.usage?.prompt_tokens);
       return this.processResponse(runResult.output);
     } else {
       const err = `Run did not complete: ${runResult.status}. Error: ${runResult.error?.message || 'Unknown'}`;
@@ -475,6 +447,155 @@ class AssistantHandler {
     }
   }
 
+  /**
+   * Creates a run and waits for its result.
+   * Streams the reply when options.onDelta is given and the endpoint allows it;
+   * otherwise polls until the run finishes.
+   * @param {string} threadId - OpenAI thread ID
+   * @param {string} assistantId - Assistant ID to use
+   * @param {Object} options - {onDelta, signal, toolContext, additionalInstructions, experimentVariant}
+   * @returns {Promise<{status: string, output: any, error: Object|null}>} Final status
+   * @private
+   */
+  async executeRun(threadId, assistantId, options = {}) {
+    const { onDelta, signal, toolContext = {}, additionalInstructions, experimentVariant } = options;
+
+    // Local tools (see ToolRegistry) are executed when the run stops in requires_action
+    const tools = await this.getRunTools(assistantId);
+    const onRequiresAction = tools
+      ? (requiredAction) => window.toolRegistry.handleRequiredAction(requiredAction, toolContext)
+      : null;
+
+    // Templated instructions (see PromptTemplates) are rendered for this chat's listing
+    const instructions = window.promptTemplates
+      ? await window.promptTemplates.renderRunInstructions(assistantId, toolContext.chatRole, toolContext.productData, experimentVariant)
+      : null;
+
+    if (onDelta && window.apiClient.canStream()) {
+      console.log(`[AssistantHandler][DEBUG] Streaming run with assistant ${assistantId}`);
+      return window.apiClient.createRunStream(threadId, assistantId, onDelta, signal, { tools, instructions, additionalInstructions, onRequiresAction });
+    }
+
+    console.log(`[AssistantHandler][DEBUG] Creating run with assistant ${assistantId}`);
+    const { runId } = await window.apiClient.createRun(threadId, assistantId, { tools, instructions, additionalInstructions });
+    console.log(`[AssistantHandler][DEBUG] Run created: ${runId}`);
+
+    console.log(`[AssistantHandler][DEBUG] Waiting for run completion ${runId}`);
+    // Aborting the signal stops polling and cancels the run on the server
+    const runResult = await window.apiClient.waitForRunCompletion(threadId, runId, this.maxWaitTime, 1000, onRequiresAction, signal);
+    this.throwIfCancelled(signal);
+
+    return runResult;
+  }
+
+  /**
+   * Stops a generation that was cancelled (chat changed, new messages, or the user cancelled)
+   * @param {AbortSignal} [signal] - Generation signal
+   * @throws {DOMException} AbortError
+   * @private
+   */
+  throwIfCancelled(signal) {
+    if (signal?.aborted) {
+      throw new DOMException('Generation cancelled', 'AbortError');
+    }
+  }
+
+  /**
+   * Marks the messages added to the thread before its run was cancelled as sent,
+   * so the next generation for the chat does not add them again
+   * @param {string} fbThreadId - Facebook thread ID
+   * @param {Array} allMessages - Chat messages of the cancelled generation
+   * @param {number} messagesAdded - Messages added to the OpenAI thread
+   * @private
+   */
+  recordCancelledRun(fbThreadId, allMessages, messagesAdded) {
+    if (!messagesAdded || !allMessages.length) return;
+
+    const lastMsg = allMessages[allMessages.length - 1];
+    const messageId = lastMsg.id || window.messagePreprocessor.generateMessageId(fbThreadId, lastMsg);
+    window.threadStore.updateLastMessage(fbThreadId, messageId, Date.now(), allMessages);
+    window.threadStore.recordRun(fbThreadId, messagesAdded);
+    console.log(`[AssistantHandler][DEBUG] Run cancelled for ${fbThreadId}; ${messagesAdded} added messages kept in the thread`);
+  }
+
+  /**
+   * Tools for a run: the assistant's own tools plus the local function tools.
+   * Run-level tools replace the assistant's, so the assistant tools are read once and kept.
+   * @param {string} assistantId - Assistant ID
+   * @returns {Promise<Array|null>} Tools, or null to use the assistant configuration as is
+   * @private
+   */
+  async getRunTools(assistantId) {
+    if (!window.toolRegistry || !window.toolRegistry.isEnabled()) return null;
+
+    if (!this.assistantToolsCache.has(assistantId)) {
+      try {
+        const assistant = await window.apiClient.getAssistant(assistantId);
+        this.assistantToolsCache.set(assistantId, assistant?.tools || []);
+      } catch (error) {
+        // Without the assistant tools, overriding them could drop file_search and similar
+        logger.warn(`Could not read tools of assistant ${assistantId}, running without local tools: ${error.message}`);
+        return null;
+      }
+    }
+
+    const localDefinitions = window.toolRegistry.getDefinitions();
+    const localNames = new Set(localDefinitions.map(tool => tool.function.name));
+    const assistantTools = this.assistantToolsCache.get(assistantId)
+      .filter(tool => tool.type !== 'function' || !localNames.has(tool.function?.name));
+
+    return [...assistantTools, ...localDefinitions];
+  }
+
+  /**
+   * Builds the instruction used to request a manual follow-up message
+   * @param {string} chatRole - Role (seller or buyer)
+   * @returns {Object} Message in OpenAI format ({role, content})
+   */
+  getFollowUpInstruction(chatRole) {
+    let followUpInstruction;
+
+    if (chatRole === 'seller') {
+      followUpInstruction = {
+        role: 'user',
+        content: `[System Instruction] The buyer has not responded to your last message. 
+        
+        Write a short, friendly follow-up message (1-2 sentences) to re-engage them. 
+        
+        Remember to:
+        - Keep it brief and conversational
+        - Maintain interest in your product
+        - If appropriate, remind them about pickup location (123 Street, Miami) and business hours (7am to 11pm daily)
+        - Do not be pushy or send multiple questions
+        
+        This follows your seller prompt guideline: "If you were the last one messaging, write a short followup."`
+      };
+    } else if (chatRole === 'buyer') {
+      followUpInstruction = {
+        role: 'user',
+        content: `[System Instruction] The seller has not responded to your last message.
+
+        Write a short, friendly follow-up message (1 sentence only) to re-engage them.
+        
+        Remember to:
+        - Keep it extremely brief and conversational
+        - Avoid sounding like an advertisement
+        - Don't be pushy or salesy
+        - Maintain your role as someone sharing personal experience with stripsapp.com
+        - Never claim or imply any affiliation with the website
+        
+        This follows your buyer prompt guideline to "keep the conversation very short, friendly, and avoid sounding like an ad."`
+      };
+    } else {
+      followUpInstruction = {
+        role: 'user',
+        content: '[System Instruction] The other person has not responded to your last message. Please generate a brief, friendly follow-up message to re-engage them.'
+      };
+    }
+
+    return followUpInstruction;
+  }
+
   /**
    * Creates a new OpenAI thread and stores the mapping
    * @param {string} fbThreadId - Facebook thread ID
@@ -643,15 +764,8 @@ class AssistantHandler {
         await window.apiClient.addMessage(threadId, message);
       }
 
-      // Create a run
-      const { runId } = await window.apiClient.createRun(threadId, assistantId);
-
-      // Wait for completion
-      const runResult = await window.apiClient.waitForRunCompletion(
-        threadId,
-        runId,
-        this.maxWaitTime
-      );
+      // Create a run and wait for completion
+      const runResult = await this.executeRun(threadId, assistantId);
 
       // Process the response
       if (runResult.status === 'completed' && runResult.output) {
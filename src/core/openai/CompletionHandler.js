@@ -0,0 +1,286 @@
+/**
+ * Completion Handler - "The Sprinter"
+ *
+ * Responsibilities:
+ * - Generate replies through a stateless request (Chat Completions or another provider)
+ * - Build the system prompt from the role's instructions
+ * - Hand the preprocessed messages to the active provider adapter (see core/providers)
+ * - Send the whole (recent) conversation on every request, without threads or runs
+ * - Generate several draft variants in one request for the draft picker
+ * - Never touch ThreadStore: there is no OpenAI-side state to track
+ */
+
+class CompletionHandler {
+  constructor() {
+    // Configuration
+    this.maxMessages = window.CONFIG?.threadSystem?.newThreads?.maxMessages || 50;
+    this.instructionsCache = new Map(); // assistantId -> instructions
+    this.defaultInstructions = {
+      seller: 'You are a friendly person selling an item on Facebook Marketplace. Reply to the buyer briefly and naturally, answer their questions about the product and help close the sale.',
+      buyer: 'You are a friendly person interested in buying an item on Facebook Marketplace. Reply to the seller briefly and naturally.'
+    };
+  }
+
+  /**
+   * Generates a response with the active provider (OpenAI Chat Completions by default)
+   * @param {string} fbThreadId - Facebook thread ID (used for logging and usage accounting)
+   * @param {Array} allMessages - All messages in the chat
+   * @param {string} chatRole - Role (seller or buyer)
+   * @param {Object} productData - Product information
+   * @param {Object} options - Generation options (onDelta and signal enable streaming,
+   *   additionalInstructions is appended to the system prompt)
+   * @returns {Promise<string>} Generated response
+   */
+  async generateResponse(fbThreadId, allMessages, chatRole, productData, options = {}) {
+    if (!fbThreadId || !allMessages || !Array.isArray(allMessages)) {
+      throw new Error('Invalid parameters for generateResponse');
+    }
+
+    if (chatRole !== 'seller' && chatRole !== 'buyer') {
+      console.warn(`[CompletionHandler] Invalid chat role: ${chatRole}, defaulting to 'seller'`);
+      chatRole = 'seller';
+    }
+
+    if (window.logManager) {
+      window.logManager.phase(window.logManager.phases.GENERATION,
+        `Generating completion for conversation ${fbThreadId} as ${chatRole}`);
+    } else {
+      console.log(`[CompletionHandler] Generating completion for thread ${fbThreadId} as ${chatRole}`);
+    }
+
+    try {
+      const prepared = await this.prepareConversation(fbThreadId, allMessages, chatRole, productData, options.experimentVariant);
+      if (!prepared) return '';
+      const { payload } = prepared;
+      const systemPrompt = options.additionalInstructions
+        ? `${prepared.systemPrompt}\n\n${options.additionalInstructions}`
+        : prepared.systemPrompt;
+
+      const provider = window.providerRegistry.getActive();
+      window.logManager?.step('GENERATION', 'COMPLETION',
+        `Sending ${payload.length} messages to ${provider.label}`);
+
+      const result = await provider.generate({
+        systemPrompt,
+        messages: payload,
+        options: {
+          model: window.CONFIG?.AI?.model,
+          maxTokens: window.CONFIG?.AI?.maxTokens,
+          temperature: window.CONFIG?.AI?.temperature,
+          onDelta: options.onDelta,
+          signal: options.signal,
+          usageContext: { fbThreadId }
+        }
+      });
+
+      console.log(`[CompletionHandler][DEBUG] Completion received: "${result.text.substring(0, 50)}${result.text.length > 50 ? '...' : ''}"`);
+      return result.text;
+    } catch (error) {
+      if (window.logManager) {
+        window.logManager.step(window.logManager.phases.GENERATION, 'ERROR',
+          `Error generating completion: ${error.message}`, error);
+      } else {
+        console.error(`[CompletionHandler] Error generating completion: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Generates several candidate replies (one per style) in a single stateless request.
+   * Used for the draft picker: nothing is written to any OpenAI thread, so trying
+   * alternatives does not pollute the conversation the assistant sees later.
+   * @param {string} fbThreadId - Facebook thread ID (used for logging and usage accounting)
+   * @param {Array} allMessages - All messages in the chat
+   * @param {string} chatRole - Role (seller or buyer)
+   * @param {Object} productData - Product information
+   * @param {Array<{id: string, label: string, instruction: string}>} styles - Requested styles
+   * @returns {Promise<Array<{style: string, label: string, text: string}>>} Variants
+   */
+  async generateVariants(fbThreadId, allMessages, chatRole, productData, styles = []) {
+    if (!fbThreadId || !Array.isArray(allMessages) || !styles.length) {
+      throw new Error('Invalid parameters for generateVariants');
+    }
+
+    if (chatRole !== 'seller' && chatRole !== 'buyer') {
+      chatRole = 'seller';
+    }
+
+    window.logManager?.phase(window.logManager.phases.GENERATION,
+      `Generating ${styles.length} draft variants for conversation ${fbThreadId} as ${chatRole}`);
+
+    const prepared = await this.prepareConversation(fbThreadId, allMessages, chatRole, productData);
+    if (!prepared) return [];
+
+    const styleLines = styles.map(style => `- "${style.id}": ${style.instruction}`).join('\n');
+    const systemPrompt = `${prepared.systemPrompt}
+
+Write ${styles.length} alternative versions of your next message, one for each style below:
+${styleLines}
+
+Answer ONLY with JSON, without any other text, in this exact format:
+{"variants": [{"style": "<style id>", "text": "<message>"}]}`;
+
+    const provider = window.providerRegistry.getActive();
+    window.logManager?.step('GENERATION', 'VARIANTS',
+      `Requesting ${styles.length} variants from ${provider.label}`);
+
+    const result = await provider.generate({
+      systemPrompt,
+      messages: prepared.payload,
+      options: {
+        model: window.CONFIG?.AI?.model,
+        maxTokens: window.CONFIG?.AI?.maxTokens,
+        temperature: window.CONFIG?.AI?.temperature,
+        usageContext: { fbThreadId }
+      }
+    });
+
+    const variants = this.parseVariants(result.text, styles);
+    console.log(`[CompletionHandler][DEBUG] ${variants.length} variants received`);
+    return variants;
+  }
+
+  /**
+   * Reads the variants JSON returned by the model.
+   * Falls back to a single variant with the raw text when the answer is not valid JSON.
+   * @param {string} text - Raw model answer
+   * @param {Array} styles - Requested styles
+   * @returns {Array<{style: string, label: string, text: string}>} Variants
+   * @private
+   */
+  parseVariants(text, styles) {
+    const raw = (text || '').trim();
+    if (!raw) return [];
+
+    try {
+      // Models sometimes wrap the JSON in a code fence or add a sentence around it
+      const json = raw.slice(raw.indexOf('{'), raw.lastIndexOf('}') + 1);
+      const parsed = JSON.parse(json);
+      const list = Array.isArray(parsed) ? parsed : parsed.variants;
+
+      const variants = (list || [])
+        .map((variant, index) => {
+          const style = styles.find(s => s.id === variant.style) || styles[index] || {};
+          return {
+            style: style.id || variant.style || `variant-${index + 1}`,
+            label: style.label || variant.style || `Variant ${index + 1}`,
+            text: typeof variant.text === 'string' ? variant.text.trim() : ''
+          };
+        })
+        .filter(variant => variant.text);
+
+      if (variants.length) return variants;
+    } catch (error) {
+      logger.warn(`Could not parse draft variants, using the raw answer: ${error.message}`);
+    }
+
+    return [{ style: 'default', label: 'Reply', text: raw }];
+  }
+
+  /**
+   * Prepares the stateless request: transcriptions, preprocessing, system prompt and follow-up
+   * @param {string} fbThreadId - Facebook thread ID (owner of the redaction placeholders)
+   * @param {Array} allMessages - All messages in the chat
+   * @param {string} chatRole - Role (seller or buyer)
+   * @param {Object} productData - Product information
+   * @param {Object} [experimentVariant] - A/B variant of this chat (see ExperimentManager)
+   * @returns {Promise<{systemPrompt: string, payload: Array}|null>} Request parts, or null if there is nothing to send
+   * @private
+   */
+  async prepareConversation(fbThreadId, allMessages, chatRole, productData, experimentVariant = null) {
+    // Same transcription wait as the assistant flow, so audio messages are not sent empty
+    if (window.audioTranscriber && window.audioTranscriber.pendingTranscriptions?.size > 0) {
+      const start = Date.now();
+      while (Date.now() - start < 5000 && window.audioTranscriber.pendingTranscriptions.size > 0) {
+        await new Promise(r => setTimeout(r, 500));
+      }
+      if (window.audioTranscriber.pendingTranscriptions.size > 0) {
+        await window.audioTranscriber.associateTranscriptionsWithMessagesFIFO(allMessages);
+      }
+    }
+
+    const messagesWithTranscriptions = await window.messagePreprocessor.attachTranscriptions(allMessages);
+    const conversation = await window.messagePreprocessor.formatMessagesForOpenAI(
+      messagesWithTranscriptions.slice(-this.maxMessages),
+      productData,
+      { chatId: fbThreadId, groupChat: window.messagePreprocessor.isGroupChat(allMessages) }
+    );
+
+    const validatedMessages = window.assistantHandler
+      ? window.assistantHandler.validateMessages(conversation)
+      : conversation.filter(msg => Array.isArray(msg.content) && msg.content.length > 0);
+
+    if (!validatedMessages.length) {
+      logger.warn('No valid messages to process for chat completion');
+      return null;
+    }
+
+    // Placeholders are rendered for this listing, and the additional instructions appended
+    const instructions = await this.buildSystemPrompt(chatRole, experimentVariant);
+    const renderedPrompt = window.promptTemplates
+      ? window.promptTemplates.renderSystemPrompt(instructions, chatRole, productData)
+      : instructions;
+    // No file_search here: matching knowledge snippets go into the system prompt
+    const knowledgeContext = window.knowledgeBase?.buildContext(allMessages);
+    const systemPrompt = knowledgeContext ? `${renderedPrompt}\n\n${knowledgeContext}` : renderedPrompt;
+    const payload = [...validatedMessages];
+
+    // If we were the last to write, ask for a follow-up instead of a reply (unsent messages do not count)
+    const lastMessage = window.messagePreprocessor.getLastStandingMessage(allMessages);
+    if (lastMessage && lastMessage.sentByUs && window.assistantHandler) {
+      window.logManager?.step('GENERATION', 'FOLLOW_UP', 'Manual follow-up request detected (completions mode)');
+      payload.push(window.assistantHandler.getFollowUpInstruction(chatRole));
+    }
+
+    return { systemPrompt, payload };
+  }
+
+  /**
+   * Builds the system prompt for a role.
+   * Uses CONFIG.AI.assistants[role].instructions when set; otherwise reads the
+   * instructions of the configured assistant once and caches them.
+   * An experiment variant replaces either the instructions or the assistant they are read from.
+   * @param {string} chatRole - Role (seller or buyer)
+   * @param {Object} [experimentVariant] - {assistantId, instructions} of the chat's A/B variant
+   * @returns {Promise<string>} System prompt
+   */
+  async buildSystemPrompt(chatRole, experimentVariant = null) {
+    if (experimentVariant?.instructions) {
+      return experimentVariant.instructions;
+    }
+
+    const assistantConfig = window.CONFIG?.AI?.assistants?.[chatRole] || {};
+    const configured = (assistantConfig.instructions || '').trim();
+
+    // "..." is the placeholder shipped in config.js
+    if (configured && configured !== '...' && !experimentVariant?.assistantId) {
+      return configured;
+    }
+
+    const assistantId = experimentVariant?.assistantId || assistantConfig.id;
+    // Only OpenAI assistants can be looked up
+    if (assistantId && window.providerRegistry?.getActiveName() === 'openai') {
+      if (this.instructionsCache.has(assistantId)) {
+        return this.instructionsCache.get(assistantId);
+      }
+      try {
+        const assistant = await window.apiClient.getAssistant(assistantId);
+        if (assistant?.instructions) {
+          this.instructionsCache.set(assistantId, assistant.instructions);
+          return assistant.instructions;
+        }
+      } catch (error) {
+        logger.warn(`Could not load instructions for assistant ${assistantId}: ${error.message}`);
+      }
+    }
+
+    return this.defaultInstructions[chatRole] || this.defaultInstructions.seller;
+  }
+}
+
+// Create global singleton instance
+const completionHandler = new CompletionHandler();
+
+// Expose globally
+window.completionHandler = completionHandler;
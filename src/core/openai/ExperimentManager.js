@@ -0,0 +1,371 @@
+/**
+ * Experiment Manager - "The Lab"
+ *
+ * Responsibilities:
+ * - Keep A/B experiments for a role: two assistant IDs, or two instruction versions
+ * - Assign each Facebook thread to a variant at random; the assignment is sticky (ThreadStore)
+ * - Track outcomes per thread from chat events: buyer replied, meeting agreed, listing sold,
+ *   conversation abandoned
+ * - Build the per-variant report shown in the Assistants tab, and its CSV export
+ *
+ * Events used (eventCoordinator): 'replyGenerated' (openaiManager), 'chatHistoryExtracted' (ChatManager),
+ * 'listingMarkedPending' and 'listingStatusChecked' (ToolRegistry).
+ * A meeting counts as agreed when the listing is marked pending (tool or system message in the chat) or
+ * a reply answers a 'meeting' or 'closing' intent; a sale when the listing shows as sold.
+ * A conversation counts as abandoned when the buyer has not answered our last reply
+ * for CONFIG.AI.experiments.abandonAfterHours and no meeting or sale was recorded.
+ */
+
+class ExperimentManager {
+  constructor() {
+    this.storageKey = 'EXPERIMENTS';
+    this.resultsKey = 'EXPERIMENT_RESULTS';
+    this.variantKeys = ['A', 'B'];
+    this.attachListeners();
+  }
+
+  /**
+   * Hours without an answer after which a conversation counts as abandoned
+   * @returns {number}
+   */
+  getAbandonAfterHours() {
+    return window.CONFIG?.AI?.experiments?.abandonAfterHours || 48;
+  }
+
+  /**
+   * All experiments, newest first
+   * @returns {Array<Object>} {id, name, role, type, variants: {A, B}, splitB, active, createdAt, stoppedAt}
+   */
+  getExperiments() {
+    return storageUtils.get(this.storageKey, []);
+  }
+
+  /**
+   * Running experiment of a role
+   * @param {string} role - Role (seller or buyer)
+   * @returns {Object|null}
+   */
+  getActiveExperiment(role) {
+    return this.getExperiments().find(experiment => experiment.active && experiment.role === role) || null;
+  }
+
+  /**
+   * Starts an experiment. A running experiment of the same role is stopped.
+   * @param {Object} definition
+   * @param {string} definition.name - Name shown in the report
+   * @param {string} definition.role - Role (seller or buyer)
+   * @param {string} definition.type - 'assistant' (variants are assistant IDs) or 'instructions'
+   * @param {{A: string, B: string}} definition.variants - Assistant IDs or instructions; empty means
+   *   the role's current assistant or instructions (control)
+   * @param {number} [definition.splitB=50] - Percentage of threads assigned to B
+   * @returns {Object} Stored experiment
+   */
+  startExperiment(definition) {
+    const { name, role, type, variants = {} } = definition;
+    if (!['seller', 'buyer'].includes(role)) throw new Error(`Invalid role: ${role}`);
+    if (!['assistant', 'instructions'].includes(type)) throw new Error(`Invalid experiment type: ${type}`);
+
+    const values = this.variantKeys.map(key => String(variants[key] || '').trim());
+    if (!values.some(Boolean)) throw new Error('At least one variant needs a value');
+    if (values[0] === values[1]) throw new Error('Both variants are the same');
+
+    const splitB = parseFloat(definition.splitB);
+    const experiment = {
+      id: `exp_${Date.now().toString(36)}`,
+      name: (name || '').trim() || `${role} ${type} test`,
+      role,
+      type,
+      variants: { A: values[0], B: values[1] },
+      splitB: isNaN(splitB) ? 50 : Math.min(Math.max(splitB, 0), 100),
+      active: true,
+      createdAt: Date.now(),
+      stoppedAt: null
+    };
+
+    const experiments = this.getExperiments().map(existing =>
+      existing.active && existing.role === role ? { ...existing, active: false, stoppedAt: Date.now() } : existing);
+    storageUtils.set(this.storageKey, [experiment, ...experiments]);
+
+    logger.log(`Experiment "${experiment.name}" started for ${role} (${type}, ${experiment.splitB}% to B)`);
+    return experiment;
+  }
+
+  /**
+   * Stops an experiment; its results are kept
+   * @param {string} experimentId - Experiment ID
+   * @returns {boolean} True if it was running
+   */
+  stopExperiment(experimentId) {
+    let stopped = false;
+    const experiments = this.getExperiments().map(experiment => {
+      if (experiment.id !== experimentId || !experiment.active) return experiment;
+      stopped = true;
+      return { ...experiment, active: false, stoppedAt: Date.now() };
+    });
+    storageUtils.set(this.storageKey, experiments);
+    if (stopped) logger.log(`Experiment ${experimentId} stopped`);
+    return stopped;
+  }
+
+  /**
+   * Deletes an experiment with its results and assignments
+   * @param {string} experimentId - Experiment ID
+   */
+  deleteExperiment(experimentId) {
+    storageUtils.set(this.storageKey, this.getExperiments().filter(experiment => experiment.id !== experimentId));
+    const results = storageUtils.get(this.resultsKey, {});
+    delete results[experimentId];
+    storageUtils.set(this.resultsKey, results);
+    window.threadStore?.removeExperimentAssignments(experimentId);
+    logger.log(`Experiment ${experimentId} deleted`);
+  }
+
+  /**
+   * Variant a thread runs with, assigning one at random the first time
+   * @param {string} fbThreadId - Facebook thread ID
+   * @param {string} role - Role (seller or buyer)
+   * @returns {{experimentId: string, variant: string, assistantId: string|null, instructions: string|null}|null}
+   *   Null when no experiment runs for the role
+   */
+  resolve(fbThreadId, role) {
+    const experiment = this.getActiveExperiment(role);
+    if (!experiment || !fbThreadId || !window.threadStore) return null;
+
+    let variant = window.threadStore.getExperimentVariant(fbThreadId, experiment.id);
+    if (!variant) {
+      variant = Math.random() * 100 < experiment.splitB ? 'B' : 'A';
+      window.threadStore.setExperimentVariant(fbThreadId, experiment.id, variant);
+      this.updateThreadResult(experiment.id, fbThreadId, result => ({ ...result, variant, assignedAt: Date.now() }));
+    }
+
+    const value = experiment.variants[variant] || null;
+    return {
+      experimentId: experiment.id,
+      variant,
+      assistantId: experiment.type === 'assistant' ? value : null,
+      instructions: experiment.type === 'instructions' ? value : null
+    };
+  }
+
+  /**
+   * Subscribes to the chat events the outcomes are read from
+   * @private
+   */
+  attachListeners() {
+    const events = window.eventCoordinator;
+    if (!events) return;
+
+    events.on('chatHistoryExtracted', ({ chatId, messages, systemMessages }) => {
+      if (chatId && Array.isArray(messages)) this.recordBuyerActivity(chatId, messages);
+      if (chatId && Array.isArray(systemMessages)) this.recordListingStatus(chatId, systemMessages);
+    });
+    events.on('replyGenerated', data => this.recordReply(data));
+    events.on('listingMarkedPending', ({ chatId }) => this.recordOutcome(chatId, 'meetingAgreed'));
+    events.on('listingStatusChecked', ({ chatId, status }) => {
+      if (status === 'sold') this.recordOutcome(chatId, 'sold');
+    });
+  }
+
+  /**
+   * Records a generated reply for the thread's variant
+   * @param {Object} data - {chatId, messages, productDetails, envelope, experiment: {experimentId, variant}}
+   * @private
+   */
+  recordReply({ chatId, messages = [], productDetails, envelope, experiment }) {
+    if (!experiment || !chatId) return;
+
+    // The buyer may have answered since the previous reply (extraction events are not always emitted)
+    this.recordBuyerActivity(chatId, messages);
+    this.updateThreadResult(experiment.experimentId, chatId, result => ({
+      ...result,
+      variant: result.variant || experiment.variant,
+      replies: (result.replies || 0) + 1,
+      lastReplyAt: Date.now(),
+      lastIncomingKey: this.getLastIncomingKey(messages)
+    }));
+
+    if (productDetails?.isSold) this.recordOutcome(chatId, 'sold');
+    if (['meeting', 'closing'].includes(envelope?.intent)) this.recordOutcome(chatId, 'meetingAgreed');
+  }
+
+  /**
+   * Records the sale or the pending mark the chat's system messages announce
+   * @param {string} chatId - Facebook thread ID
+   * @param {Array<string>} systemMessages - System message texts of the extraction
+   * @private
+   */
+  recordListingStatus(chatId, systemMessages) {
+    systemMessages.forEach(text => {
+      const status = window.chatManager?.getListingStatusChange(text);
+      if (status === 'sold') this.recordOutcome(chatId, 'sold');
+      else if (status === 'pending') this.recordOutcome(chatId, 'meetingAgreed');
+    });
+  }
+
+  /**
+   * Marks "buyer replied" when the last buyer message changed since our last reply
+   * @param {string} chatId - Facebook thread ID
+   * @param {Array} messages - Chat messages
+   * @private
+   */
+  recordBuyerActivity(chatId, messages) {
+    const lastIncomingKey = this.getLastIncomingKey(messages);
+    if (!lastIncomingKey) return;
+
+    this.forEachAssignedExperiment(chatId, experimentId => {
+      this.updateThreadResult(experimentId, chatId, result => {
+        if (!result.lastReplyAt || result.lastIncomingKey === lastIncomingKey) return result;
+        return {
+          ...result,
+          buyerReplies: (result.buyerReplies || 0) + 1,
+          lastBuyerReplyAt: Date.now(),
+          lastIncomingKey
+        };
+      });
+    });
+  }
+
+  /**
+   * Marks an outcome ('meetingAgreed' or 'sold') for every experiment the thread takes part in
+   * @param {string} chatId - Facebook thread ID
+   * @param {string} outcome - Outcome flag
+   * @private
+   */
+  recordOutcome(chatId, outcome) {
+    if (!chatId) return;
+    this.forEachAssignedExperiment(chatId, experimentId => {
+      this.updateThreadResult(experimentId, chatId, result =>
+        result[outcome] ? result : { ...result, [outcome]: Date.now() });
+    });
+  }
+
+  /**
+   * @param {string} chatId - Facebook thread ID
+   * @param {Function} callback - (experimentId) => void
+   * @private
+   */
+  forEachAssignedExperiment(chatId, callback) {
+    const results = storageUtils.get(this.resultsKey, {});
+    Object.keys(results).forEach(experimentId => {
+      if (results[experimentId]?.[chatId]) callback(experimentId);
+    });
+  }
+
+  /**
+   * Updates the stored result of one thread
+   * @param {string} experimentId - Experiment ID
+   * @param {string} chatId - Facebook thread ID
+   * @param {Function} update - (result) => new result
+   * @private
+   */
+  updateThreadResult(experimentId, chatId, update) {
+    const results = storageUtils.get(this.resultsKey, {});
+    const threads = results[experimentId] || {};
+    const current = threads[chatId] || {};
+    const next = update(current);
+    if (next === current) return;
+
+    threads[chatId] = next;
+    results[experimentId] = threads;
+    storageUtils.set(this.resultsKey, results);
+  }
+
+  /**
+   * Identifies the last message of the other side, to notice when a new one arrives
+   * @param {Array} messages - Chat messages
+   * @returns {string|null}
+   * @private
+   */
+  getLastIncomingKey(messages) {
+    const last = [...(messages || [])].reverse().find(message => !message.sentByUs && !message.content?.unsent);
+    if (!last) return null;
+    const content = last.content || {};
+    return (content.text || '').trim() ||
+      (content.hasAudio ? `audio:${content.audioUrl || ''}` : '') ||
+      (content.media?.images?.length ? `images:${content.media.images.map(image => image.url || '').join(',')}` : '') ||
+      null;
+  }
+
+  /**
+   * Outcomes of each thread of an experiment
+   * @param {string} experimentId - Experiment ID
+   * @returns {Array<Object>} {fbThreadId, variant, assignedAt, replies, buyerReplied, meetingAgreed, sold, abandoned}
+   */
+  getThreadOutcomes(experimentId) {
+    const threads = storageUtils.get(this.resultsKey, {})[experimentId] || {};
+    const abandonAfter = this.getAbandonAfterHours() * 60 * 60 * 1000;
+
+    return Object.entries(threads)
+      .filter(([, result]) => result.variant)
+      .map(([fbThreadId, result]) => {
+        const waitingForBuyer = !!result.lastReplyAt && (result.lastBuyerReplyAt || 0) < result.lastReplyAt;
+        return {
+          fbThreadId,
+          variant: result.variant,
+          assignedAt: result.assignedAt || null,
+          replies: result.replies || 0,
+          buyerReplied: (result.buyerReplies || 0) > 0,
+          meetingAgreed: !!result.meetingAgreed,
+          sold: !!result.sold,
+          abandoned: waitingForBuyer && !result.meetingAgreed && !result.sold &&
+            Date.now() - result.lastReplyAt > abandonAfter
+        };
+      });
+  }
+
+  /**
+   * Per-variant report of an experiment
+   * @param {string} experimentId - Experiment ID
+   * @returns {Object<string, {threads: number, replies: number, buyerReplied: number, meetingAgreed: number,
+   *   sold: number, abandoned: number}>} Counts by variant key
+   */
+  getReport(experimentId) {
+    const report = {};
+    this.variantKeys.forEach(key => {
+      report[key] = { threads: 0, replies: 0, buyerReplied: 0, meetingAgreed: 0, sold: 0, abandoned: 0 };
+    });
+
+    this.getThreadOutcomes(experimentId).forEach(outcome => {
+      const row = report[outcome.variant];
+      if (!row) return;
+      row.threads++;
+      row.replies += outcome.replies;
+      ['buyerReplied', 'meetingAgreed', 'sold', 'abandoned'].forEach(key => {
+        if (outcome[key]) row[key]++;
+      });
+    });
+    return report;
+  }
+
+  /**
+   * CSV with one row per thread of an experiment
+   * @param {string} experimentId - Experiment ID
+   * @returns {string}
+   */
+  exportCsv(experimentId) {
+    const experiment = this.getExperiments().find(item => item.id === experimentId);
+    const header = ['experiment', 'role', 'type', 'variant', 'fb_thread_id', 'assigned_at', 'replies',
+      'buyer_replied', 'meeting_agreed', 'sold', 'abandoned'];
+    const rows = this.getThreadOutcomes(experimentId).map(outcome => [
+      experiment?.name || experimentId,
+      experiment?.role || '',
+      experiment?.type || '',
+      outcome.variant,
+      outcome.fbThreadId,
+      outcome.assignedAt ? new Date(outcome.assignedAt).toISOString() : '',
+      outcome.replies,
+      outcome.buyerReplied ? 1 : 0,
+      outcome.meetingAgreed ? 1 : 0,
+      outcome.sold ? 1 : 0,
+      outcome.abandoned ? 1 : 0
+    ]);
+
+    return csvUtils.toCsv([header, ...rows]);
+  }
+}
+
+// Create global singleton instance
+const experimentManager = new ExperimentManager();
+
+// Expose globally
+window.experimentManager = experimentManager;
@@ -0,0 +1,553 @@
+/**
+ * Knowledge Base - "The Librarian"
+ *
+ * Responsibilities:
+ * - Keep the seller's policy documents (delivery, payment methods, holds, returns, bundle discounts)
+ *   written or imported as Markdown, text or FAQ JSON in the Assistants tab
+ * - Upload them to an OpenAI vector store and link it to the seller and buyer assistants (file_search)
+ * - Re-sync automatically a few seconds after a document is saved, deleted or an assistant changes
+ * - Keyword retrieval fallback: find the snippets matching the buyer's last messages and inject them
+ *   into the context when file_search is not available (other providers, completions mode,
+ *   assistants not linked yet, edits not synced yet)
+ *
+ * Settings come from CONFIG.AI.knowledge. Documents and sync state are stored in storageUtils.
+ */
+
+class KnowledgeBase {
+  constructor() {
+    this.storageKey = 'KNOWLEDGE_BASE';
+    this.vectorStoreName = 'FB Chat Monitor knowledge';
+    this.syncTimer = null;
+    this.syncing = null;       // Promise of the sync in progress
+    this.resyncRequested = false;
+    this.chunkCache = null;    // {signature, chunks, documentFrequency}
+    this.stopWords = new Set([
+      'the', 'and', 'for', 'are', 'you', 'your', 'with', 'this', 'that', 'have', 'has', 'can', 'will',
+      'what', 'when', 'where', 'how', 'does', 'not', 'but', 'from', 'there', 'they', 'them', 'any',
+      'los', 'las', 'una', 'uno', 'que', 'por', 'para', 'con', 'como', 'del', 'este', 'esta', 'hay',
+      'tiene', 'puedo', 'pero', 'mas', 'muy', 'sus', 'ese', 'esa'
+    ]);
+  }
+
+  /**
+   * Knowledge settings
+   * @returns {{enabled: boolean, maxSnippets: number, maxSnippetLength: number, syncDelay: number}}
+   */
+  getSettings() {
+    return {
+      enabled: true,
+      maxSnippets: 3,
+      maxSnippetLength: 700,
+      syncDelay: 5000,
+      ...(window.CONFIG?.AI?.knowledge || {})
+    };
+  }
+
+  /**
+   * Stored documents and sync state
+   * @returns {{documents: Array, vectorStoreId: string|null, linkedAssistants: Object, skippedAssistants: Object,
+   *   removedFileIds: Array, lastSyncAt: number|null, lastSyncError: string|null}}
+   * @private
+   */
+  getState() {
+    return {
+      documents: [],
+      vectorStoreId: null,
+      linkedAssistants: {}, // assistantId -> vector store it was linked to
+      skippedAssistants: {}, // assistantId -> vector stores of the user's that kept it from being linked
+      removedFileIds: [],   // Files of deleted or edited documents, removed on the next sync
+      lastSyncAt: null,
+      lastSyncError: null,
+      ...storageUtils.get(this.storageKey, {})
+    };
+  }
+
+  /**
+   * @param {Object} state
+   * @private
+   */
+  saveState(state) {
+    storageUtils.set(this.storageKey, state);
+  }
+
+  /**
+   * Documents, sorted by title
+   * @returns {Array<{id: string, title: string, content: string, updatedAt: number, fileId: string|null}>}
+   */
+  getDocuments() {
+    return [...this.getState().documents].sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  /**
+   * Creates or updates a document and schedules a re-sync
+   * @param {Object} document - {id (omit to create), title, content}
+   * @returns {Object} Stored document
+   */
+  saveDocument({ id = null, title, content }) {
+    const cleanTitle = String(title || '').trim();
+    const cleanContent = String(content || '').trim();
+    if (!cleanTitle) throw new Error('The document needs a title');
+    if (!cleanContent) throw new Error('The document is empty');
+
+    const state = this.getState();
+    const existing = id ? state.documents.find(doc => doc.id === id) : null;
+    const document = {
+      id: existing?.id || `kb_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      title: cleanTitle,
+      content: cleanContent,
+      updatedAt: Date.now(),
+      fileId: existing?.fileId || null,
+      syncedHash: existing?.syncedHash || null
+    };
+
+    state.documents = existing
+      ? state.documents.map(doc => (doc.id === existing.id ? document : doc))
+      : [...state.documents, document];
+    this.saveState(state);
+    logger.log(`Knowledge document "${document.title}" saved`);
+
+    this.scheduleSync();
+    return document;
+  }
+
+  /**
+   * Deletes a document; its file leaves the vector store on the next sync
+   * @param {string} id - Document ID
+   */
+  deleteDocument(id) {
+    const state = this.getState();
+    const document = state.documents.find(doc => doc.id === id);
+    if (!document) return;
+
+    state.documents = state.documents.filter(doc => doc.id !== id);
+    if (document.fileId) state.removedFileIds.push(document.fileId);
+    this.saveState(state);
+    logger.log(`Knowledge document "${document.title}" deleted`);
+
+    this.scheduleSync();
+  }
+
+  /**
+   * Imports a Markdown, text or FAQ JSON file as a document
+   * FAQ JSON: [{question, answer}] (or {q, a}), optionally wrapped in {faq: [...]}.
+   * @param {File} file - Selected file
+   * @returns {Promise<Object>} Stored document
+   */
+  async importFile(file) {
+    const text = await file.text();
+    const title = file.name.replace(/\.[^.]+$/, '');
+    const content = /\.json$/i.test(file.name) ? this.faqToMarkdown(JSON.parse(text)) : text;
+    return this.saveDocument({ title, content });
+  }
+
+  /**
+   * Converts FAQ JSON into Markdown sections (one per question)
+   * @param {Array|Object} data - FAQ entries
+   * @returns {string}
+   * @private
+   */
+  faqToMarkdown(data) {
+    const entries = Array.isArray(data) ? data : (data?.faq || data?.questions || []);
+    if (!Array.isArray(entries) || !entries.length) {
+      throw new Error('Expected a list of {question, answer} entries');
+    }
+    return entries
+      .map(entry => {
+        const question = (entry.question || entry.q || '').trim();
+        const answer = (entry.answer || entry.a || '').trim();
+        return question && answer ? `## ${question}\n\n${answer}` : null;
+      })
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  /**
+   * Whether documents can be synced to a vector store (OpenAI endpoint only)
+   * @returns {boolean}
+   */
+  canSync() {
+    return this.getSettings().enabled &&
+      window.providerRegistry?.getActiveName() === 'openai' &&
+      window.apiClient?.profileKey === 'openai';
+  }
+
+  /**
+   * Whether runs of an assistant can search the current documents with file_search
+   * @param {string} assistantId - Assistant of the run
+   * @returns {boolean}
+   */
+  usesFileSearch(assistantId) {
+    if (!assistantId || !this.canSync()) return false;
+    const state = this.getState();
+    return !!state.vectorStoreId &&
+      state.linkedAssistants[assistantId] === state.vectorStoreId &&
+      !this.hasPendingChanges(state);
+  }
+
+  /**
+   * Whether documents were edited, added or deleted since the last sync
+   * @param {Object} [state]
+   * @returns {boolean}
+   */
+  hasPendingChanges(state = this.getState()) {
+    return state.removedFileIds.length > 0 ||
+      state.documents.some(doc => !doc.fileId || doc.syncedHash !== this.hashDocument(doc));
+  }
+
+  /**
+   * Syncs a few seconds after the last change (edits come in bursts)
+   */
+  scheduleSync() {
+    if (!this.canSync()) return;
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => {
+      this.syncTimer = null;
+      this.sync().catch(() => {}); // Errors are recorded in the state and shown in the Assistants tab
+    }, this.getSettings().syncDelay);
+  }
+
+  /**
+   * Uploads changed documents, removes deleted ones and links the vector store to the role assistants
+   * @returns {Promise<{uploaded: number, removed: number, linked: number}>}
+   */
+  async sync() {
+    if (!this.canSync()) throw new Error('File search needs the OpenAI provider and endpoint');
+
+    // A change during a sync is picked up by one more pass
+    if (this.syncing) {
+      this.resyncRequested = true;
+      return this.syncing;
+    }
+
+    this.syncing = this.runSync().finally(() => {
+      this.syncing = null;
+      if (this.resyncRequested) {
+        this.resyncRequested = false;
+        this.scheduleSync();
+      }
+    });
+    return this.syncing;
+  }
+
+  /**
+   * @returns {Promise<{uploaded: number, removed: number, linked: number}>}
+   * @private
+   */
+  async runSync() {
+    const api = window.apiClient;
+    const result = { uploaded: 0, removed: 0, linked: 0 };
+    window.logManager?.step('KNOWLEDGE', 'SYNC', 'Syncing knowledge documents to the vector store');
+
+    try {
+      const vectorStoreId = await this.ensureVectorStore();
+
+      for (const document of this.getState().documents) {
+        const hash = this.hashDocument(document);
+        if (document.fileId && document.syncedHash === hash) continue;
+
+        const blob = new Blob([`# ${document.title}\n\n${document.content}`], { type: 'text/markdown' });
+        const file = await api.uploadFile(blob, `${this.slugify(document.title)}.md`);
+        await api.addVectorStoreFile(vectorStoreId, file.id);
+        result.uploaded++;
+
+        // Re-read: the document may have been edited or deleted while uploading
+        const state = this.getState();
+        const current = state.documents.find(doc => doc.id === document.id);
+        if (document.fileId) state.removedFileIds.push(document.fileId);
+        if (current && this.hashDocument(current) === hash) {
+          current.fileId = file.id;
+          current.syncedHash = hash;
+        } else {
+          state.removedFileIds.push(file.id);
+          this.resyncRequested = true;
+        }
+        this.saveState(state);
+      }
+
+      const removedFileIds = [...this.getState().removedFileIds];
+      for (const fileId of removedFileIds) {
+        await api.removeVectorStoreFile(vectorStoreId, fileId).catch(error =>
+          logger.debug(`File ${fileId} was not in the vector store: ${error.message}`));
+        await api.deleteFile(fileId).catch(error =>
+          logger.debug(`Could not delete file ${fileId}: ${error.message}`));
+        result.removed++;
+      }
+
+      const state = this.getState();
+      state.removedFileIds = state.removedFileIds.filter(fileId => !removedFileIds.includes(fileId));
+
+      state.skippedAssistants = {};
+      for (const assistantId of this.getRoleAssistantIds()) {
+        if (state.linkedAssistants[assistantId] === vectorStoreId) continue;
+        const foreignStoreIds = await this.linkAssistant(assistantId, vectorStoreId, state.linkedAssistants[assistantId]);
+        if (foreignStoreIds.length > 0) {
+          state.skippedAssistants[assistantId] = foreignStoreIds;
+          continue;
+        }
+        state.linkedAssistants[assistantId] = vectorStoreId;
+        result.linked++;
+      }
+
+      state.lastSyncAt = Date.now();
+      state.lastSyncError = null;
+      this.saveState(state);
+
+      logger.log(`Knowledge synced: ${result.uploaded} uploaded, ${result.removed} removed, ${result.linked} assistants linked`);
+      return result;
+    } catch (error) {
+      const state = this.getState();
+      state.lastSyncError = error.message;
+      this.saveState(state);
+      logger.error(`Knowledge sync failed: ${error.message}`, {}, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Vector store of the knowledge base, created (again) when missing
+   * @returns {Promise<string>} Vector store ID
+   * @private
+   */
+  async ensureVectorStore() {
+    const state = this.getState();
+    if (state.vectorStoreId) {
+      try {
+        await window.apiClient.getVectorStore(state.vectorStoreId);
+        return state.vectorStoreId;
+      } catch (error) {
+        if (!/\(404\)/.test(error.message)) throw error;
+        logger.warn(`Vector store ${state.vectorStoreId} no longer exists, creating a new one`);
+      }
+    }
+
+    const { id } = await window.apiClient.createVectorStore(this.vectorStoreName);
+    // Everything is uploaded again into the new store; the old uploads are deleted from the account.
+    // linkedAssistants keeps the old store so linkAssistant replaces it as ours
+    state.vectorStoreId = id;
+    state.documents.forEach(doc => {
+      if (doc.fileId && !state.removedFileIds.includes(doc.fileId)) state.removedFileIds.push(doc.fileId);
+      doc.fileId = null;
+      doc.syncedHash = null;
+    });
+    this.saveState(state);
+    return id;
+  }
+
+  /**
+   * Adds file_search and the vector store to an assistant, keeping its other tools.
+   * An assistant holds one vector store for file_search, so one the user attached is never replaced:
+   * the assistant is left alone and the store is returned to be shown in the Assistants tab.
+   * @param {string} assistantId - Assistant ID
+   * @param {string} vectorStoreId - Vector store ID
+   * @param {string} [previousStoreId] - Knowledge store linked before (replaced when the store is recreated)
+   * @returns {Promise<Array<string>>} Vector stores of the user's that kept it from being linked (empty if linked)
+   * @private
+   */
+  async linkAssistant(assistantId, vectorStoreId, previousStoreId = null) {
+    const assistant = await window.apiClient.getAssistant(assistantId);
+    const tools = assistant.tools || [];
+
+    const foreignStoreIds = (assistant.tool_resources?.file_search?.vector_store_ids || [])
+      .filter(id => id !== vectorStoreId && id !== previousStoreId);
+    if (foreignStoreIds.length > 0) {
+      logger.warn(`Assistant ${assistantId} already uses vector store ${foreignStoreIds.join(', ')}; not linking the knowledge base`);
+      return foreignStoreIds;
+    }
+
+    await window.apiClient.createOrUpdateAssistant(assistantId, {
+      tools: tools.some(tool => tool.type === 'file_search') ? tools : [...tools, { type: 'file_search' }],
+      tool_resources: {
+        ...(assistant.tool_resources || {}),
+        file_search: { vector_store_ids: [vectorStoreId] }
+      }
+    });
+
+    // Runs override the tools with the cached list (see AssistantHandler.getRunTools)
+    window.assistantHandler?.assistantToolsCache?.delete(assistantId);
+    window.promptTemplates?.clearCache();
+    logger.log(`Assistant ${assistantId} linked to the knowledge vector store`);
+    return [];
+  }
+
+  /**
+   * Assistants configured for the roles
+   * @returns {Array<string>}
+   * @private
+   */
+  getRoleAssistantIds() {
+    const assistants = window.CONFIG?.AI?.assistants || {};
+    return [...new Set(['seller', 'buyer'].map(role => assistants[role]?.id).filter(Boolean))];
+  }
+
+  /**
+   * Snippets matching the buyer's last messages, formatted for the prompt
+   * @param {Array} messages - Chat messages
+   * @returns {string|null} Context block, or null when nothing matches
+   */
+  buildContext(messages) {
+    const settings = this.getSettings();
+    if (!settings.enabled || !this.getState().documents.length) return null;
+
+    const query = (messages || [])
+      .filter(message => !message.sentByUs)
+      .slice(-3)
+      .map(message => [message.content?.text, message.content?.transcribedAudio]
+        .filter(text => text && text !== '[Transcription Pending]').join(' '))
+      .join(' ');
+
+    const snippets = this.search(query, settings.maxSnippets);
+    if (!snippets.length) return null;
+
+    return 'KNOWLEDGE BASE (our policies; use them when they answer the buyer, do not quote them verbatim):\n' +
+      snippets.map(snippet => `[${snippet.title}${snippet.heading ? ` > ${snippet.heading}` : ''}]\n${snippet.text}`).join('\n\n');
+  }
+
+  /**
+   * Keyword search over the document sections
+   * @param {string} query - Free text
+   * @param {number} [limit=3] - Maximum results
+   * @returns {Array<{title: string, heading: string, text: string, score: number}>}
+   */
+  search(query, limit = 3) {
+    const terms = [...new Set(this.tokenize(query))];
+    if (!terms.length) return [];
+
+    const { chunks, documentFrequency } = this.getChunks();
+    return chunks
+      .map(chunk => {
+        let score = 0;
+        terms.forEach(term => {
+          const count = chunk.counts.get(term) || 0;
+          if (!count) return;
+          const idf = Math.log(1 + chunks.length / documentFrequency.get(term));
+          // Headings are questions or topics: a match there counts double
+          score += idf * (1 + Math.log(count)) * (chunk.headingTerms.has(term) ? 2 : 1);
+        });
+        return { title: chunk.title, heading: chunk.heading, text: chunk.text, score };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Documents split into sections (Markdown headings), then into paragraphs up to maxSnippetLength
+   * @returns {{chunks: Array, documentFrequency: Map<string, number>}}
+   * @private
+   */
+  getChunks() {
+    const documents = this.getState().documents;
+    const signature = documents.map(doc => `${doc.id}:${doc.updatedAt}`).join('|');
+    if (this.chunkCache?.signature === signature) return this.chunkCache;
+
+    const maxLength = this.getSettings().maxSnippetLength;
+    const chunks = [];
+
+    documents.forEach(doc => {
+      const sections = [];
+      let current = { heading: '', lines: [] };
+      doc.content.split(/\r?\n/).forEach(line => {
+        const heading = line.match(/^#{1,6}\s+(.*)$/);
+        if (heading) {
+          sections.push(current);
+          current = { heading: heading[1].trim(), lines: [] };
+        } else {
+          current.lines.push(line);
+        }
+      });
+      sections.push(current);
+
+      sections.forEach(section => {
+        let text = '';
+        const flush = () => {
+          if (!text.trim()) return;
+          const headingTerms = new Set(this.tokenize(`${section.heading} ${doc.title}`));
+          const counts = new Map();
+          this.tokenize(`${section.heading} ${text}`).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+          chunks.push({ title: doc.title, heading: section.heading, text: text.trim(), counts, headingTerms });
+          text = '';
+        };
+        section.lines.join('\n').split(/\n\s*\n/).forEach(paragraph => {
+          if (text && text.length + paragraph.length > maxLength) flush();
+          text += `${paragraph.trim()}\n\n`;
+        });
+        flush();
+      });
+    });
+
+    const documentFrequency = new Map();
+    chunks.forEach(chunk => {
+      chunk.counts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    });
+
+    this.chunkCache = { signature, chunks, documentFrequency };
+    return this.chunkCache;
+  }
+
+  /**
+   * Lowercase words without accents, stop words or very short words
+   * @param {string} text
+   * @returns {Array<string>}
+   * @private
+   */
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z0-9$€]+/)
+      .filter(word => word.length > 2 && !this.stopWords.has(word));
+  }
+
+  /**
+   * Sync status for the Assistants tab
+   * @returns {{documents: number, pending: boolean, fileSearch: boolean, vectorStoreId: string|null,
+   *   linkedAssistants: number, skippedAssistants: Array<{assistantId: string, vectorStoreIds: Array<string>}>,
+   *   lastSyncAt: number|null, lastSyncError: string|null, syncing: boolean}}
+   */
+  getStatus() {
+    const state = this.getState();
+    return {
+      documents: state.documents.length,
+      pending: this.hasPendingChanges(state),
+      fileSearch: this.canSync(),
+      vectorStoreId: state.vectorStoreId,
+      linkedAssistants: Object.values(state.linkedAssistants).filter(id => id === state.vectorStoreId).length,
+      skippedAssistants: Object.entries(state.skippedAssistants || {})
+        .map(([assistantId, vectorStoreIds]) => ({ assistantId, vectorStoreIds })),
+      lastSyncAt: state.lastSyncAt,
+      lastSyncError: state.lastSyncError,
+      syncing: !!this.syncing
+    };
+  }
+
+  /**
+   * @param {Object} document
+   * @returns {string} Short hash of title and content
+   * @private
+   */
+  hashDocument(document) {
+    const text = `${document.title}\n${document.content}`;
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+    }
+    return `${text.length}:${(hash >>> 0).toString(36)}`;
+  }
+
+  /**
+   * @param {string} title
+   * @returns {string} File name without extension
+   * @private
+   */
+  slugify(title) {
+    return title.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'document';
+  }
+}
+
+// Create global singleton instance
+const knowledgeBase = new KnowledgeBase();
+
+// Expose globally
+window.knowledgeBase = knowledgeBase;
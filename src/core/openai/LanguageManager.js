@@ -0,0 +1,326 @@
+/**
+ * Language Manager - "The Interpreter"
+ *
+ * Responsibilities:
+ * - Detect the language of each chat from the other person's messages and transcriptions
+ *   (local stop-word scoring for English, Spanish, Portuguese and French; no request is sent)
+ * - Tell the assistant to reply in that language
+ * - Give the audio transcription the language of the chat
+ * - Translate incoming messages and draft replies into the user's own language through the active provider
+ *   (personal data is redacted first, see PiiRedactor)
+ *
+ * Events used (eventCoordinator): 'chatHistoryExtracted' (ChatManager), 'replyGenerated' (openaiManager).
+ * Events emitted: 'chatLanguageDetected' {chatId, language, previous}, 'replyTranslated' {chatId, text, translation, from, to}.
+ * Settings come from CONFIG.AI.language. Detected languages are stored in storageUtils.
+ */
+
+class LanguageManager {
+  constructor() {
+    this.storageKey = 'CHAT_LANGUAGES';
+    this.maxChats = 500;
+    this.maxCachedTranslations = 300;
+    this.translations = new Map(); // "target\ntext" -> translation
+    this.names = { en: 'English', es: 'Spanish', pt: 'Portuguese', fr: 'French' };
+    this.profiles = {
+      en: {
+        words: ['the', 'and', 'is', 'are', 'you', 'your', 'it', 'this', 'that', 'what', 'can', 'still', 'available',
+          'how', 'much', 'hi', 'hello', 'thanks', 'thank', 'yes', 'please', 'would', 'will', 'want', 'pick', 'up',
+          'tomorrow', 'today', 'where', 'when', 'does', 'have', 'i\'m', 'im', 'do', 'of', 'to', 'for', 'with'],
+        characters: null
+      },
+      es: {
+        words: ['el', 'los', 'las', 'es', 'está', 'esta', 'hola', 'gracias', 'sí', 'disponible', 'cuánto', 'cuanto',
+          'puedo', 'usted', 'muy', 'también', 'aquí', 'aqui', 'pero', 'todavía', 'sigue', 'quiero', 'buenas',
+          'tardes', 'noches', 'mañana', 'dónde', 'donde', 'cuando', 'tengo', 'precio', 'hay', 'lo', 'del', 'y',
+          'qué', 'que', 'favor', 'una', 'con', 'por'],
+        characters: /[ñ¿¡]/g
+      },
+      pt: {
+        words: ['não', 'nao', 'você', 'voce', 'vc', 'obrigado', 'obrigada', 'olá', 'oi', 'sim', 'ainda', 'disponível',
+          'quanto', 'posso', 'pegar', 'meu', 'minha', 'tá', 'né', 'também', 'muito', 'aqui', 'então', 'pra', 'tem',
+          'isso', 'uma', 'com', 'do', 'da', 'dos', 'em', 'bom', 'boa', 'tarde', 'amanhã', 'onde', 'quando', 'é',
+          'o', 'ele', 'está', 'preço'],
+        characters: /[ãõ]/g
+      },
+      fr: {
+        words: ['le', 'les', 'est', 'vous', 'tu', 'bonjour', 'salut', 'merci', 'oui', 'encore', 'disponible',
+          'combien', 'je', 'peux', 'mon', 'ma', 'très', 'aussi', 'ici', 'mais', 'toujours', 'veux', 'demain', 'où',
+          'quand', 'avec', 'pour', 'c\'est', 'ça', 'il', 'des', 'du', 'une', 'et', 'prix', 'svp', 'pas'],
+        characters: /[èëîïûùœ]/g
+      }
+    };
+    Object.values(this.profiles).forEach(profile => { profile.words = new Set(profile.words); });
+    this.attachListeners();
+  }
+
+  /**
+   * Language settings
+   * @returns {{enabled: boolean, replyInBuyerLanguage: boolean, translateIncoming: boolean, translateDrafts: boolean,
+   *   userLanguage: string, minConfidence: number, maxInlineTranslations: number}}
+   */
+  getSettings() {
+    return {
+      enabled: true,
+      replyInBuyerLanguage: true,
+      translateIncoming: true,
+      translateDrafts: true,
+      userLanguage: '',
+      minConfidence: 0.5,
+      maxInlineTranslations: 10,
+      ...(window.CONFIG?.AI?.language || {})
+    };
+  }
+
+  /**
+   * Subscribes to the chat events languages and translations follow
+   * @private
+   */
+  attachListeners() {
+    const events = window.eventCoordinator;
+    if (!events) return;
+
+    events.on('chatHistoryExtracted', ({ chatId, messages }) => {
+      if (chatId && Array.isArray(messages)) this.detectChat(chatId, messages);
+    });
+    events.on('replyGenerated', ({ chatId, envelope }) => {
+      if (envelope?.reply && this.getSettings().translateDrafts && this.needsTranslation(chatId)) {
+        this.translateReply(chatId, envelope.reply);
+      }
+    });
+  }
+
+  /**
+   * Scores a text against the language profiles
+   * @param {string} text
+   * @returns {{language: string, confidence: number, hits: number}|null} Null when there is too little text
+   */
+  detect(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    const lowerText = text.toLowerCase();
+    const tokens = lowerText.split(/[^\p{L}']+/u).filter(Boolean);
+    const scores = {};
+    Object.entries(this.profiles).forEach(([language, profile]) => {
+      const wordHits = tokens.filter(token => profile.words.has(token)).length;
+      const characterHits = profile.characters ? (lowerText.match(profile.characters) || []).length * 2 : 0;
+      scores[language] = wordHits + characterHits;
+    });
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [language, hits] = ranked[0];
+    if (hits < 2) return null;
+
+    const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+    return { language, confidence: Math.round((hits / total) * 100) / 100, hits };
+  }
+
+  /**
+   * Detects the language of a chat from the other person's last messages and stores it.
+   * The previous language is kept when the messages are not conclusive.
+   * @param {string} chatId - Facebook thread ID
+   * @param {Array} messages - Extracted chat messages
+   * @returns {string|null} Language code of the chat
+   */
+  detectChat(chatId, messages) {
+    const settings = this.getSettings();
+    if (!settings.enabled) return this.getChatLanguage(chatId);
+
+    const text = messages
+      .filter(message => !message.sentByUs)
+      .slice(-10)
+      .map(message => this.getMessageText(message))
+      .filter(Boolean)
+      .join('\n');
+
+    const result = this.detect(text);
+    const previous = this.getChatLanguage(chatId);
+    if (!result || result.confidence < settings.minConfidence || result.language === previous) {
+      return previous;
+    }
+
+    const all = storageUtils.get(this.storageKey, {});
+    all[chatId] = { language: result.language, confidence: result.confidence, detectedAt: Date.now() };
+    const chatIds = Object.keys(all);
+    if (chatIds.length > this.maxChats) {
+      chatIds
+        .sort((a, b) => all[a].detectedAt - all[b].detectedAt)
+        .slice(0, chatIds.length - this.maxChats)
+        .forEach(id => delete all[id]);
+    }
+    storageUtils.set(this.storageKey, all);
+
+    logger.log(`Chat ${chatId} language: ${this.getLanguageName(result.language)} (confidence ${result.confidence})`);
+    window.eventCoordinator?.emit('chatLanguageDetected', { chatId, language: result.language, previous });
+    return result.language;
+  }
+
+  /**
+   * @param {string} chatId - Facebook thread ID
+   * @returns {string|null} Detected language code
+   */
+  getChatLanguage(chatId) {
+    return storageUtils.get(this.storageKey, {})[chatId]?.language || null;
+  }
+
+  /**
+   * The user's own language: the configured one or the browser's
+   * @returns {string} Language code
+   */
+  getUserLanguage() {
+    const configured = (this.getSettings().userLanguage || '').trim().toLowerCase();
+    return configured || (navigator.language || 'en').slice(0, 2).toLowerCase();
+  }
+
+  /**
+   * @param {string} code - Language code
+   * @returns {string} English name of the language
+   */
+  getLanguageName(code) {
+    if (this.names[code]) return this.names[code];
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch (error) {
+      return code;
+    }
+  }
+
+  /**
+   * Whether the chat is in another language than the user's
+   * @param {string} chatId - Facebook thread ID
+   * @returns {boolean}
+   */
+  needsTranslation(chatId) {
+    const language = this.getSettings().enabled ? this.getChatLanguage(chatId) : null;
+    return !!language && language !== this.getUserLanguage();
+  }
+
+  /**
+   * Instruction added to every run so the reply is written in the chat's language
+   * @param {string} chatId - Facebook thread ID
+   * @returns {string|null}
+   */
+  getReplyInstruction(chatId) {
+    const settings = this.getSettings();
+    const language = settings.enabled && settings.replyInBuyerLanguage ? this.getChatLanguage(chatId) : null;
+    if (!language) return null;
+
+    const name = this.getLanguageName(language);
+    return `LANGUAGE: The other person writes in ${name}. Write your reply in ${name}, whatever the language of these instructions.`;
+  }
+
+  /**
+   * Language passed to the transcription endpoint: the chat's, else CONFIG.audioTranscription.language
+   * @param {string} chatId - Facebook thread ID
+   * @returns {string|null} Language code, or null to let the endpoint detect it
+   */
+  getTranscriptionLanguage(chatId) {
+    const detected = this.getSettings().enabled && chatId ? this.getChatLanguage(chatId) : null;
+    return detected || window.CONFIG?.audioTranscription?.language || null;
+  }
+
+  /**
+   * Translates texts with the active provider. Translations are cached in memory.
+   * @param {Array<string>} texts - Texts to translate
+   * @param {string} targetLanguage - Language code
+   * @param {string} chatId - Facebook thread ID (redaction and usage accounting)
+   * @returns {Promise<Array<string|null>>} Translations, null for the ones that failed
+   */
+  async translate(texts, targetLanguage, chatId) {
+    const cacheKey = text => `${targetLanguage}\n${text}`;
+    const missing = [...new Set(texts.filter(text => text && !this.translations.has(cacheKey(text))))];
+
+    if (missing.length) {
+      const provider = window.providerRegistry?.getActive();
+      if (!provider || !provider.isConfigured()) {
+        logger.debug('Translation skipped: no configured provider');
+        return texts.map(text => this.translations.get(cacheKey(text)) || null);
+      }
+
+      const redact = text => (window.piiRedactor ? window.piiRedactor.redactText(text, chatId) : text);
+      const rehydrate = text => (window.piiRedactor ? window.piiRedactor.rehydrate(text, chatId) : text);
+      const result = await provider.generate({
+        systemPrompt: `Translate each text of the JSON array into ${this.getLanguageName(targetLanguage)}. Keep placeholders in square brackets, such as [BUYER_NAME], unchanged. Answer ONLY with a JSON array of strings, one translation per text, in the same order.`,
+        messages: [{ role: 'user', content: [{ type: 'text', text: JSON.stringify(missing.map(redact)) }] }],
+        options: {
+          model: window.CONFIG?.AI?.model,
+          maxTokens: Math.max(window.CONFIG?.AI?.maxTokens || 0, 1000),
+          temperature: 0,
+          usageContext: { fbThreadId: chatId }
+        }
+      });
+
+      const translated = this.parseTranslations(result.text, missing.length);
+      missing.forEach((text, index) => {
+        if (translated[index]) this.translations.set(cacheKey(text), rehydrate(translated[index]));
+      });
+      while (this.translations.size > this.maxCachedTranslations) {
+        this.translations.delete(this.translations.keys().next().value);
+      }
+    }
+
+    return texts.map(text => this.translations.get(cacheKey(text)) || null);
+  }
+
+  /**
+   * Translates a generated reply into the user's language and publishes it for the UI
+   * @param {string} chatId - Facebook thread ID
+   * @param {string} text - Reply text
+   * @returns {Promise<string|null>}
+   */
+  async translateReply(chatId, text) {
+    try {
+      const [translation] = await this.translate([text], this.getUserLanguage(), chatId);
+      if (translation) {
+        window.eventCoordinator?.emit('replyTranslated', {
+          chatId, text, translation, from: this.getChatLanguage(chatId), to: this.getUserLanguage()
+        });
+      }
+      return translation;
+    } catch (error) {
+      logger.warn(`Could not translate the reply for chat ${chatId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Text and transcription of a message
+   * @param {Object} message - Extracted chat message
+   * @returns {string}
+   */
+  getMessageText(message) {
+    const content = message.content || {};
+    const transcription = content.transcribedAudio && !/^\[Transcription (Pending|Failed)\]$/.test(content.transcribedAudio)
+      ? content.transcribedAudio
+      : '';
+    return [content.text, transcription].filter(Boolean).join('\n').trim();
+  }
+
+  /**
+   * @param {string} text - Provider answer
+   * @param {number} count - Expected translations
+   * @returns {Array<string>}
+   * @private
+   */
+  parseTranslations(text, count) {
+    const start = (text || '').indexOf('[');
+    const end = (text || '').lastIndexOf(']');
+    if (start === -1 || end <= start) return [];
+    try {
+      const parsed = JSON.parse(text.slice(start, end + 1));
+      if (!Array.isArray(parsed) || parsed.length !== count) {
+        logger.warn(`Expected ${count} translations, got ${Array.isArray(parsed) ? parsed.length : 'no array'}`);
+        return [];
+      }
+      return parsed.map(item => (typeof item === 'string' ? item.trim() : null));
+    } catch (error) {
+      logger.warn(`Could not parse the translations: ${error.message}`);
+      return [];
+    }
+  }
+}
+
+// Create global singleton instance
+const languageManager = new LanguageManager();
+
+// Expose globally
+window.languageManager = languageManager;
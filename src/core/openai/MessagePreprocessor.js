@@ -7,12 +7,15 @@
  * - Format product information
  * - Handle message chunking
  * - Determine the point to continue from in threads
+ * - Report edits, unsent messages and reactions on messages the thread has already seen
+ * - Name the sender of each message in group chats, so the assistant knows who asked what
  */
 
 class MessagePreprocessor {
   constructor() {
     this.config = {
       maxMessagesInNewThread: 50,
+      maxRevisionLookback: 30, // Already processed messages checked for edits, unsends and reactions
       maxItemsPerChunk: 10,
       sanitizationRules: [{
         pattern: /\b(https?:\/\/)[^\s]+\.(png|jpe?g|gif|webp|bmp)/gi,
@@ -34,9 +37,11 @@ class MessagePreprocessor {
    * Gets new messages since the last processed message without formatting them
    * @param {Array} messages - All messages in the chat
    * @param {string} lastMessageId - ID of the last processed message
+   * @param {Object<string, string>} [seenMessages] - Revisions of the processed messages (ThreadStore);
+   *   revised messages come first, marked with `revision` (see getRevisedMessages)
    * @returns {Array} New messages since lastMessageId (without formatting)
    */
-  getNewMessagesSinceNoFormat(messages, lastMessageId) {
+  getNewMessagesSinceNoFormat(messages, lastMessageId, seenMessages = null) {
     if (!messages || !Array.isArray(messages) || messages.length === 0) {
       console.log(`[MessagePreprocessor][ERROR] Invalid message array provided to getNewMessagesSinceNoFormat`);
       logger.error('Invalid messages array provided to getNewMessagesSinceNoFormat');
@@ -50,7 +55,7 @@ class MessagePreprocessor {
     }
 
     // Find the index of the last processed message
-    const lastIndex = messages.findIndex(msg => msg.id === lastMessageId);
+    const lastIndex = this.findLastProcessedIndex(messages, lastMessageId, seenMessages);
 
     if (lastIndex === -1) {
       console.log(`[MessagePreprocessor][WARN] Last ID ${lastMessageId} not found, using timestamp fallback`);
@@ -58,9 +63,10 @@ class MessagePreprocessor {
       return this.getNewMessagesUsingTimestampFallbackNoFormat(messages, lastMessageId);
     }
 
-    // Get messages after the last processed one
-    const newMessages = messages.slice(lastIndex + 1);
-    console.log(`[MessagePreprocessor][DEBUG] Found ${newMessages.length} new messages since ${lastMessageId}`);
+    // Get messages after the last processed one, after the revisions of the processed ones
+    const revisedMessages = this.getRevisedMessages(messages.slice(0, lastIndex + 1), seenMessages);
+    const newMessages = [...revisedMessages, ...messages.slice(lastIndex + 1)];
+    console.log(`[MessagePreprocessor][DEBUG] Found ${newMessages.length} new messages since ${lastMessageId} (${revisedMessages.length} revised)`);
 
     // If no new messages, return just the last message for context
     if (newMessages.length === 0) {
@@ -76,9 +82,10 @@ class MessagePreprocessor {
    * Gets new messages since the last processed message
    * @param {Array} messages - All messages in the chat
    * @param {string} lastMessageId - ID of the last processed message
+   * @param {Object<string, string>} [seenMessages] - Revisions of the processed messages (ThreadStore)
    * @returns {Array} New formatted messages since lastMessageId
    */
-  getNewMessagesSince(messages, lastMessageId) {
+  getNewMessagesSince(messages, lastMessageId, seenMessages = null) {
     if (!messages || !Array.isArray(messages) || messages.length === 0) {
       console.log(`[MessagePreprocessor][ERROR] Invalid message array provided to getNewMessagesSince`);
       logger.error('Invalid messages array provided to getNewMessagesSince');
@@ -94,7 +101,7 @@ class MessagePreprocessor {
     }
 
     // Find the index of the last processed message
-    const lastIndex = messages.findIndex(msg => msg.id === lastMessageId);
+    const lastIndex = this.findLastProcessedIndex(messages, lastMessageId, seenMessages);
 
     if (lastIndex === -1) {
       console.log(`[MessagePreprocessor][WARN] Last ID ${lastMessageId} not found, using timestamp fallback`);
@@ -102,8 +109,11 @@ class MessagePreprocessor {
       return this.getNewMessagesUsingTimestampFallback(messages, lastMessageId);
     }
 
-    // Get messages after the last processed one
-    const newMessages = messages.slice(lastIndex + 1);
+    // Get messages after the last processed one, after the revisions of the processed ones
+    const newMessages = [
+      ...this.getRevisedMessages(messages.slice(0, lastIndex + 1), seenMessages),
+      ...messages.slice(lastIndex + 1)
+    ];
     console.log(`[MessagePreprocessor][DEBUG] Found ${newMessages.length} new messages since ${lastMessageId}`);
 
     // If no new messages, return just the last message for context
@@ -117,6 +127,108 @@ class MessagePreprocessor {
     return this.formatMessagesForOpenAI(newMessages);
   }
 
+  /**
+   * Index of the last message the thread has processed: lastMessageId, or else (when that message was
+   * edited or unsent since, which changes its ID) the last message with a known revision
+   * @param {Array} messages - All messages in the chat
+   * @param {string} lastMessageId - ID of the last processed message
+   * @param {Object<string, string>} [seenMessages] - Revisions of the processed messages
+   * @returns {number} -1 if none is found
+   * @private
+   */
+  findLastProcessedIndex(messages, lastMessageId, seenMessages = null) {
+    const lastIndex = messages.findIndex(msg => msg.id === lastMessageId);
+    if (lastIndex !== -1 || !seenMessages) return lastIndex;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+      if (seenMessages[messages[i].id]) {
+        logger.debug(`Last message ${lastMessageId} changed since it was processed, continuing from ${messages[i].id}`);
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Processed messages that changed since the thread saw them: edited, unsent, or with new reactions.
+   * Edits and unsends change the ID, so unknown IDs among the processed messages count when flagged;
+   * known IDs count when their revision differs (live edits keep the ID for the session).
+   * @param {Array} processedMessages - Messages up to the last processed one, in order
+   * @param {Object<string, string>} [seenMessages] - Revisions of the processed messages (ThreadStore)
+   * @returns {Array} Copies marked with `revision`: 'edited', 'unsent' or 'reactions'
+   */
+  getRevisedMessages(processedMessages, seenMessages = null) {
+    if (!seenMessages || !window.messageIdentity || processedMessages.length === 0) return [];
+
+    // Only from the first message the thread is known to have seen
+    const firstSeen = processedMessages.findIndex(msg => seenMessages[msg.id]);
+    if (firstSeen === -1) return [];
+
+    return processedMessages
+      .slice(Math.max(firstSeen, processedMessages.length - this.config.maxRevisionLookback))
+      .map(msg => {
+        const content = msg.content || {};
+        const knownRevision = seenMessages[msg.id];
+        if (knownRevision === messageIdentity.getRevision(msg)) return null;
+
+        if (content.unsent) return { ...msg, revision: 'unsent' };
+        if (!knownRevision) return content.edited ? { ...msg, revision: 'edited' } : null;
+        if (content.edited && content.previousText !== undefined) return { ...msg, revision: 'edited' };
+
+        // Our own reactions are not news; the others' are reported from their side
+        if (!(content.reactions || []).some(reaction => reaction.by !== 'us')) return null;
+        return { ...msg, sentByUs: false, revision: 'reactions' };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Whether a message asks for a reply: retracted messages and new reactions only add context
+   * @param {Object} message - Message (possibly a revision)
+   * @returns {boolean}
+   */
+  isActionable(message) {
+    return !message.content?.unsent && message.revision !== 'reactions';
+  }
+
+  /**
+   * Last message still standing in the chat (unsent messages left nothing to answer)
+   * @param {Array} messages - All messages in the chat
+   * @returns {Object|null}
+   */
+  getLastStandingMessage(messages) {
+    return [...(messages || [])].reverse().find(message => !message.content?.unsent) || null;
+  }
+
+  /**
+   * Text of a message for the assistant, with its edit, unsend and reaction state
+   * @param {Object} message - Message (possibly a revision)
+   * @returns {string}
+   */
+  describeMessageText(message) {
+    const content = message.content || {};
+    if (content.unsent) {
+      return message.revision ? '[An earlier message was unsent]' : '[Message unsent]';
+    }
+
+    const lines = [];
+    if (message.revision === 'edited') {
+      lines.push(`[Edited an earlier message, it now says: "${content.text || ''}"]`);
+    } else if (message.revision !== 'reactions' && content.text) {
+      lines.push(content.edited ? `${content.text} (edited)` : content.text);
+    }
+
+    const reactions = (content.reactions || [])
+      .map(reaction => (reaction.by && reaction.by !== 'us' ? `${reaction.emoji} from ${reaction.by}` : reaction.emoji));
+    if (message.revision === 'reactions') {
+      const quoted = (content.text || '').slice(0, 80);
+      lines.push(`[Reacted to "${quoted}" with ${reactions.join(', ')}]`);
+    } else if (reactions.length) {
+      lines.push(`[Reactions: ${reactions.join(', ')}]`);
+    }
+    return lines.join('\n');
+  }
+
   /**
    * Fallback method using timestamps when message ID is not found
    * @param {Array} messages - All messages in the chat
@@ -128,14 +240,11 @@ class MessagePreprocessor {
     // Uses TimestampUtils if available
     let lastTimestamp = 0;
 
-    // Extract timestamp from messageId if possible
+    // Extract timestamp from messageId if possible (IDs from before stable IDs, msg_<hash>_<ms>)
     if (lastMessageId) {
       const parts = lastMessageId.split('_');
-      if (parts.length >= 3) {
-        const potentialTimestamp = parseInt(parts[parts.length - 1], 10);
-        if (!isNaN(potentialTimestamp)) {
-          lastTimestamp = potentialTimestamp;
-        }
+      if (parts.length >= 3 && /^\d{13}$/.test(parts[parts.length - 1])) {
+        lastTimestamp = parseInt(parts[parts.length - 1], 10);
       }
     }
 
@@ -199,14 +308,11 @@ class MessagePreprocessor {
     // Uses TimestampUtils if available
     let lastTimestamp = 0;
 
-    // Extract timestamp from messageId if possible
+    // Extract timestamp from messageId if possible (IDs from before stable IDs, msg_<hash>_<ms>)
     if (lastMessageId) {
       const parts = lastMessageId.split('_');
-      if (parts.length >= 3) {
-        const potentialTimestamp = parseInt(parts[parts.length - 1], 10);
-        if (!isNaN(potentialTimestamp)) {
-          lastTimestamp = potentialTimestamp;
-        }
+      if (parts.length >= 3 && /^\d{13}$/.test(parts[parts.length - 1])) {
+        lastTimestamp = parseInt(parts[parts.length - 1], 10);
       }
     }
 
@@ -368,25 +474,13 @@ class MessagePreprocessor {
     }
   }
   /**
-   * Generates a unique message ID
-   * @param {string} text - Message text
-   * @param {string} timestamp - Message timestamp
+   * ID of a message that came without one, in the scheme of the extraction (see MessageIdentity)
+   * @param {string} chatId - Facebook thread ID
+   * @param {Object} message - Message
    * @returns {string} Generated ID
    */
-  generateMessageId(text, timestamp) {
-    // Create a timestamp if not provided
-    const time = timestamp || Date.now();
-
-    // Create a hash of the text content for uniqueness
-    let hash = 0;
-    if (text) {
-      for (let i = 0; i < text.length; i++) {
-        hash = ((hash << 5) - hash) + text.charCodeAt(i);
-        hash |= 0; // Convert to 32bit integer
-      }
-    }
-
-    return `msg_${Math.abs(hash).toString(16)}_${time}`;
+  generateMessageId(chatId, message) {
+    return window.messageIdentity.createId(chatId, message);
   }
 
   /**
@@ -490,9 +584,11 @@ class MessagePreprocessor {
    * Formats messages for OpenAI
    * @param {Array} messages - Chat messages
    * @param {Object} productDetails - Product details (optional)
+   * @param {Object} [options] - {chatId}: Facebook thread ID, used to redact personal data (see PiiRedactor);
+   *   {groupChat}: whether the whole chat has several other participants (defaults to these messages having them)
    * @returns {Array} Messages formatted for OpenAI
    */
-  async formatMessagesForOpenAI(messages, productDetails = null) {
+  async formatMessagesForOpenAI(messages, productDetails = null, options = {}) {
     if (!messages || !Array.isArray(messages)) {
       console.warn('[MessagePreprocessor][WARN] No valid messages to format');
       return [];
@@ -523,10 +619,12 @@ class MessagePreprocessor {
     console.log(`[MessagePreprocessor][DEBUG] Messages grouped into ${messageGroups.length} groups`);
 
     // Convert groups to OpenAI format
+    const groupChat = options.groupChat ?? this.isGroupChat(messages);
     for (const messageGroup of messageGroups) {
       if (messageGroup.length === 0) continue;
 
-      const openAIMessage = await this.convertMessageGroupToOpenAIFormat(messageGroup);
+      const senderName = groupChat && !messageGroup[0].sentByUs ? messageGroup[0].senderName : null;
+      const openAIMessage = await this.convertMessageGroupToOpenAIFormat(messageGroup, options.chatId, senderName);
       if (openAIMessage) {
         openaiMessages.push(openAIMessage);
       }
@@ -543,6 +641,25 @@ class MessagePreprocessor {
     return openaiMessages;
   }
 
+  /**
+   * Names of the other participants of a chat, in order of appearance
+   * @param {Array} messages - Chat messages
+   * @returns {Array<string>}
+   */
+  getParticipants(messages) {
+    return [...new Set((messages || [])
+      .filter(message => !message.sentByUs && message.senderName)
+      .map(message => message.senderName))];
+  }
+
+  /**
+   * @param {Array} messages - Chat messages
+   * @returns {boolean} True when more than one person writes on the other side
+   */
+  isGroupChat(messages) {
+    return this.getParticipants(messages).length > 1;
+  }
+
   /**
    * Improved version that groups by sender but preserves important elements like audio
    * @param {Array} messages - Messages to group
@@ -576,7 +693,7 @@ class MessagePreprocessor {
 
       // MODIFIED: Start a new group if:
       // 1. It's the first message
-      // 2. The sender changed
+      // 2. The sender changed (in group chats, also from one participant to another)
       // 3. The current message has multimedia content (audio, image, etc.)
       // 4. The previous message had multimedia content
       const hasMultimedia =
@@ -592,9 +709,13 @@ class MessagePreprocessor {
           prevMessage.content?.type === 'video'
         );
 
+      const participantChanged = !!prevMessage && !isSentByUs && !prevMessage.sentByUs &&
+        !!message.senderName && !!prevMessage.senderName && message.senderName !== prevMessage.senderName;
+
       const shouldStartNewGroup =
         i === 0 ||
         isSentByUs !== currentSender ||
+        participantChanged ||
         hasMultimedia ||
         prevHasMultimedia;
 
@@ -660,9 +781,11 @@ class MessagePreprocessor {
    * Converts a message group to the OpenAI format, correctly handling
    * text, audio transcriptions, and images through the custom proxy.
    * @param {Array} messageGroup - Group of messages from the same sender.
+   * @param {string} [chatId] - Facebook thread ID, owner of the redaction placeholders
+   * @param {string} [senderName] - Name to put before the text (group chats)
    * @returns {Promise<Object|null>} Formatted message for OpenAI or null if empty.
    */
-  async convertMessageGroupToOpenAIFormat(messageGroup) {
+  async convertMessageGroupToOpenAIFormat(messageGroup, chatId = null, senderName = null) {
     const isSentByUs = messageGroup[0].sentByUs;
     const contentParts = [];
     let combinedText = '';
@@ -672,9 +795,12 @@ class MessagePreprocessor {
 
     for (const message of messageGroup) {
       // 1. Message text - we sanitize and combine
-      if (message.content?.text) {
-        combinedText += `${message.content.text}\n`;
+      const text = this.describeMessageText(message);
+      if (text) {
+        combinedText += `${text}\n`;
       }
+      // A revision only reports what changed; its media was sent with the original message
+      if (message.revision || message.content?.unsent) continue;
 
       // 2. Audio transcription
       if (message.content?.hasAudio) {
@@ -713,6 +839,17 @@ class MessagePreprocessor {
         }
       }
 
+      // Shared location: only a placeholder is sent, never the place or its coordinates
+      const location = message.content?.media?.location;
+      if (location) {
+        const coordinates = location.coordinates
+          ? `${location.coordinates.latitude}, ${location.coordinates.longitude}`
+          : location.url;
+        const place = [location.label, coordinates].filter(Boolean).join(' ');
+        const masked = window.piiRedactor ? window.piiRedactor.maskValue(place, 'LOCATION', chatId) : place;
+        combinedText += `\n[Shared location: ${masked || 'unknown'}]\n`;
+      }
+
       // 3. We collect the images to process them together
       if (message.content?.media?.images && message.content.media.images.length > 0) {
         for (const image of message.content.media.images) {
@@ -740,8 +877,16 @@ class MessagePreprocessor {
       }
     }
 
-    // 5. Add the combined text at the beginning of the content
-    const sanitizedText = this.sanitizeText(combinedText.trim());
+    // 5. Add the combined text at the beginning of the content.
+    // In group chats it starts with the sender, e.g. "Ana López: is it still available?"
+    if (senderName && (combinedText.trim() || hasImages)) {
+      combinedText = `${senderName}: ${combinedText.trim() || '[sent images]'}`;
+    }
+    // Personal data is redacted first so it gets stable placeholders instead of the generic sanitization tokens
+    const redactedText = window.piiRedactor
+      ? window.piiRedactor.redactText(combinedText.trim(), chatId)
+      : combinedText.trim();
+    const sanitizedText = this.sanitizeText(redactedText);
     if (sanitizedText) {
       contentParts.unshift({
         type: "text",
@@ -774,14 +919,11 @@ class MessagePreprocessor {
    * @private
    */
   getMessageTimestamp(message) {
-    // Try to get timestamp from message ID
+    // Try to get timestamp from message ID (IDs from before stable IDs, msg_<hash>_<ms>)
     if (message.id) {
       const parts = message.id.split('_');
-      if (parts.length >= 3) {
-        const potentialTimestamp = parseInt(parts[parts.length - 1], 10);
-        if (!isNaN(potentialTimestamp) && potentialTimestamp > 0) {
-          return potentialTimestamp;
-        }
+      if (parts.length >= 3 && /^\d{13}$/.test(parts[parts.length - 1])) {
+        return parseInt(parts[parts.length - 1], 10);
       }
     }
 
@@ -0,0 +1,307 @@
+/**
+ * PII Redactor - "The Censor"
+ *
+ * Responsibilities:
+ * - Replace personal data with stable placeholders before any provider call:
+ *   the contact's name ([BUYER_NAME] or [SELLER_NAME]), the other people of group chats ([PARTICIPANT_1]),
+ *   emails ([EMAIL_1]), phone numbers ([PHONE_1]), street addresses ([ADDRESS_1]), coordinates and map links ([LOCATION_1])
+ * - Keep the placeholder mapping per chat, in local storage only (it is never sent anywhere)
+ * - Restore the placeholders in the generated replies (re-hydration)
+ *
+ * The same value always gets the same placeholder within a chat, so threads and summaries stay consistent.
+ * Audio sent to the transcription endpoint cannot be redacted; its transcription is.
+ * Settings come from CONFIG.AI.privacy.
+ */
+
+class PiiRedactor {
+  constructor() {
+    this.storageKey = 'PII_MAPPINGS';
+    this.maxChats = 500;
+    this.placeholderPattern = /\[(BUYER_NAME|SELLER_NAME|(?:PARTICIPANT|EMAIL|PHONE|ADDRESS|LOCATION)_\d+)\]/g;
+    // Applied in this order: links before coordinates, emails before phones
+    this.detectors = [
+      {
+        type: 'LOCATION',
+        setting: 'locations',
+        pattern: /https?:\/\/\S*(?:maps\.google|google\.[a-z.]+\/maps|goo\.gl\/maps|maps\.app\.goo\.gl|maps\.apple|openstreetmap)\S*/gi
+      },
+      {
+        type: 'LOCATION',
+        setting: 'locations',
+        pattern: /-?\d{1,2}\.\d{3,}\s*,\s*-?\d{1,3}\.\d{3,}/g
+      },
+      {
+        type: 'EMAIL',
+        setting: 'emails',
+        pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g
+      },
+      {
+        type: 'PHONE',
+        setting: 'phones',
+        // International (+...), area code in parentheses, 3-3-4 groups, Spanish 9-digit mobiles, or 9-11 digits
+        // in a row; plain numbers split by spaces (prices, sizes) are not phones
+        pattern: /(?<![\d[])(?:\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)|\d{1,4})(?:[\s.-]?\d{2,4}){2,3}|\(\d{2,4}\)[\s.-]?\d{3,4}[\s.-]?\d{4}|\d{3}([.-])\d{3}\1\d{3,4}|\d{3} \d{3} \d{4}|[679]\d{2}(?: \d{3}){2}|[679]\d{2}(?: \d{2}){3}|\d{9,11})(?!\d)/g
+      },
+      {
+        type: 'ADDRESS',
+        setting: 'addresses',
+        pattern: /\b\d{1,6}\s+(?:[A-Za-zÀ-ÿ0-9.'-]+\s+){0,4}(?:street|st|avenue|ave|road|rd|boulevard|blvd|drive|dr|lane|ln|way|court|ct|place|pl|terrace|ter|highway|hwy|parkway|pkwy|circle|cir)\b\.?(?:,?\s*(?:apt|apartment|unit|suite|ste|#)\.?\s*[\w-]+)?/gi
+      },
+      {
+        type: 'ADDRESS',
+        setting: 'addresses',
+        pattern: /\b(?:calle|avenida|avda\.?|carrera|cra\.?|paseo|camino|rua)\s+[^\n,.;]{1,40}?\s+(?:#|n[º°o]\.?\s*)?\d{1,5}[a-z]?\b/gi
+      }
+    ];
+  }
+
+  /**
+   * Privacy settings
+   * @returns {{redactPII: boolean, names: boolean, emails: boolean, phones: boolean, addresses: boolean, locations: boolean}}
+   */
+  getSettings() {
+    return {
+      redactPII: true,
+      names: true,
+      emails: true,
+      phones: true,
+      addresses: true,
+      locations: true,
+      ...(window.CONFIG?.AI?.privacy || {})
+    };
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.getSettings().redactPII !== false;
+  }
+
+  /**
+   * Mapping of a chat
+   * @param {string} chatId - Facebook thread ID
+   * @returns {{contactName: string|null, contactRole: string|null, values: Object<string, string>,
+   *   counters: Object<string, number>, updatedAt: number}}
+   */
+  getMapping(chatId) {
+    const stored = storageUtils.get(this.storageKey, {})[chatId || 'unknown'] || {};
+    return { contactName: null, contactRole: null, values: {}, counters: {}, updatedAt: 0, ...stored };
+  }
+
+  /**
+   * @param {string} chatId
+   * @param {Object} mapping
+   * @private
+   */
+  saveMapping(chatId, mapping) {
+    const all = storageUtils.get(this.storageKey, {});
+    all[chatId || 'unknown'] = { ...mapping, updatedAt: Date.now() };
+
+    // Forget the chats not seen for the longest time
+    const chatIds = Object.keys(all);
+    if (chatIds.length > this.maxChats) {
+      chatIds
+        .sort((a, b) => (all[a].updatedAt || 0) - (all[b].updatedAt || 0))
+        .slice(0, chatIds.length - this.maxChats)
+        .forEach(id => delete all[id]);
+    }
+    storageUtils.set(this.storageKey, all);
+  }
+
+  /**
+   * Records the name of the other person in a chat (from the chat list or the message avatars)
+   * @param {string} chatId - Facebook thread ID
+   * @param {string} name - Contact name
+   * @param {string} [role] - Our role (seller or buyer); the contact is the buyer when we sell. Kept when omitted
+   */
+  registerContactName(chatId, name, role = null) {
+    const cleanName = String(name || '').trim();
+    if (!chatId || !cleanName || cleanName === 'Unknown User') return;
+
+    const mapping = this.getMapping(chatId);
+    const contactRole = role || mapping.contactRole;
+    if (mapping.contactName === cleanName && mapping.contactRole === contactRole) return;
+    mapping.contactName = cleanName;
+    mapping.contactRole = contactRole;
+    this.saveMapping(chatId, mapping);
+  }
+
+  /**
+   * Records the people of a group chat, so their names are redacted like the contact's
+   * @param {string} chatId - Facebook thread ID
+   * @param {Array<string>} names - Names of the other participants (see chatManager.assignSenderNames)
+   */
+  registerParticipants(chatId, names) {
+    if (!chatId || !names || names.length < 2) return;
+
+    const mapping = this.getMapping(chatId);
+    let changed = false;
+    names.map(name => String(name || '').trim()).filter(Boolean).forEach(name => {
+      const placeholder = this.getPlaceholder(mapping, 'PARTICIPANT', name);
+      if (!mapping.values[placeholder]) {
+        mapping.values[placeholder] = name;
+        changed = true;
+      }
+    });
+    if (changed) this.saveMapping(chatId, mapping);
+  }
+
+  /**
+   * Replaces the personal data of a text with placeholders
+   * @param {string} text - Text to send to a provider
+   * @param {string} chatId - Facebook thread ID (owner of the mapping)
+   * @returns {string} Redacted text
+   */
+  redactText(text, chatId) {
+    if (!text || typeof text !== 'string' || !this.isEnabled()) return text;
+
+    const settings = this.getSettings();
+    const mapping = this.getMapping(chatId);
+    let changed = false;
+    let redacted = text;
+
+    this.detectors.forEach(detector => {
+      if (!settings[detector.setting]) return;
+      redacted = redacted.replace(detector.pattern, match => {
+        const value = match.trim();
+        const placeholder = this.getPlaceholder(mapping, detector.type, value);
+        changed = changed || !mapping.values[placeholder];
+        mapping.values[placeholder] = mapping.values[placeholder] || value;
+        return match.replace(value, placeholder);
+      });
+    });
+
+    if (settings.names) {
+      // The contact first: in group chats they are also a participant
+      const names = Object.keys(mapping.values)
+        .filter(placeholder => placeholder.startsWith('[PARTICIPANT_'))
+        .map(placeholder => [mapping.values[placeholder], placeholder]);
+      if (mapping.contactName) names.unshift([mapping.contactName, this.getNamePlaceholder(mapping)]);
+
+      names.forEach(([name, placeholder]) => {
+        this.getNamePatterns(name).forEach(pattern => {
+          redacted = redacted.replace(pattern, (match, before) => `${before}${placeholder}`);
+        });
+      });
+    }
+
+    if (changed) this.saveMapping(chatId, mapping);
+    return redacted;
+  }
+
+  /**
+   * Placeholder for a whole value already known to be personal (e.g. a shared location)
+   * @param {string} value - Original value
+   * @param {string} type - EMAIL, PHONE, ADDRESS or LOCATION
+   * @param {string} chatId - Facebook thread ID
+   * @returns {string} Placeholder, or the value itself when redaction is off
+   */
+  maskValue(value, type, chatId) {
+    const cleanValue = String(value || '').trim();
+    if (!cleanValue || !this.isEnabled()) return cleanValue;
+
+    const mapping = this.getMapping(chatId);
+    const placeholder = this.getPlaceholder(mapping, type, cleanValue);
+    if (!mapping.values[placeholder]) {
+      mapping.values[placeholder] = cleanValue;
+      this.saveMapping(chatId, mapping);
+    }
+    return placeholder;
+  }
+
+  /**
+   * Restores the placeholders of a generated reply
+   * @param {string} text - Reply from the provider
+   * @param {string} chatId - Facebook thread ID
+   * @returns {string} Reply with the original values
+   */
+  rehydrate(text, chatId) {
+    if (!text || typeof text !== 'string' || !text.includes('[')) return text;
+
+    const mapping = this.getMapping(chatId);
+    return text.replace(this.placeholderPattern, (placeholder, key) => {
+      if (key === 'BUYER_NAME' || key === 'SELLER_NAME') {
+        // Replies address people by their first name
+        return mapping.contactName ? mapping.contactName.split(/\s+/)[0] : 'there';
+      }
+      if (key.startsWith('PARTICIPANT_') && mapping.values[placeholder]) {
+        return mapping.values[placeholder].split(/\s+/)[0];
+      }
+      if (mapping.values[placeholder]) return mapping.values[placeholder];
+      logger.debug(`Unknown placeholder ${placeholder} in a reply for chat ${chatId}`);
+      return placeholder;
+    });
+  }
+
+  /**
+   * Deletes the mapping of a chat
+   * @param {string} chatId - Facebook thread ID
+   */
+  clearMapping(chatId) {
+    const all = storageUtils.get(this.storageKey, {});
+    delete all[chatId];
+    storageUtils.set(this.storageKey, all);
+  }
+
+  /**
+   * Placeholder of a value, reusing the one given to the same value before
+   * @param {Object} mapping - Chat mapping (counters are updated)
+   * @param {string} type - PARTICIPANT, EMAIL, PHONE, ADDRESS or LOCATION
+   * @param {string} value - Original value
+   * @returns {string}
+   * @private
+   */
+  getPlaceholder(mapping, type, value) {
+    // Phones compare by their last digits, so "+1 305 555 1234" and "305-555-1234" are the same number
+    const normalize = item => (type === 'PHONE'
+      ? item.replace(/\D/g, '').slice(-9)
+      : item.toLowerCase().replace(/\s+/g, ' '));
+    const normalized = normalize(value);
+
+    const existing = Object.keys(mapping.values).find(placeholder =>
+      placeholder.startsWith(`[${type}_`) && normalize(mapping.values[placeholder]) === normalized);
+    if (existing) return existing;
+
+    mapping.counters[type] = (mapping.counters[type] || 0) + 1;
+    return `[${type}_${mapping.counters[type]}]`;
+  }
+
+  /**
+   * @param {Object} mapping
+   * @returns {string} [BUYER_NAME] when we sell, [SELLER_NAME] when we buy
+   * @private
+   */
+  getNamePlaceholder(mapping) {
+    return mapping.contactRole === 'buyer' ? '[SELLER_NAME]' : '[BUYER_NAME]';
+  }
+
+  /**
+   * Full name first (any case), then its parts of 3+ letters as written, so "Will Rose" does not
+   * redact "I will" and "Ana Mesa" does not redact "la mesa"
+   * @param {string} name
+   * @returns {Array<RegExp>}
+   * @private
+   */
+  getNamePatterns(name) {
+    const toPattern = (variant, flags) =>
+      new RegExp(`(^|[^\\p{L}\\p{N}])${this.escapeRegExp(variant)}(?=$|[^\\p{L}\\p{N}])`, flags);
+    const parts = [...new Set(name.split(/\s+/).filter(part => part.length >= 3 && part !== name))];
+    return [toPattern(name, 'giu'), ...parts.map(part => toPattern(part, 'gu'))];
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string}
+   * @private
+   */
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+// Create global singleton instance
+const piiRedactor = new PiiRedactor();
+
+// Expose globally
+window.piiRedactor = piiRedactor;
@@ -0,0 +1,251 @@
+/**
+ * Prompt Templates - "The Scribe"
+ *
+ * Responsibilities:
+ * - Render {{placeholders}} in the role instructions and in the per-run additional instructions
+ * - Collect the values: the listing (productExtractor.getProductDetails), its per-listing settings
+ *   (floor price, pickup area, notes) and the user profile (CONFIG.AI.promptTemplates.profile)
+ * - Store the per-listing settings
+ * - Build the preview shown in the Assistants tab
+ *
+ * Placeholders: {{product.title}}, {{product.price}} (or any other product field), {{floorPrice}},
+ * {{pickupArea}}, {{sellerName}}, {{today}}, {{role}} and {{listing.notes}}.
+ * A default can follow a pipe: {{floorPrice|not set, ask the owner}}.
+ * Rendering happens at run time, so one assistant can serve every listing.
+ */
+
+class PromptTemplates {
+  constructor() {
+    this.listingStorageKey = 'LISTING_SETTINGS';
+    this.placeholderPattern = /\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g;
+    this.assistantInstructions = new Map(); // assistantId -> instructions stored in OpenAI
+  }
+
+  /**
+   * Template settings
+   * @returns {{profile: Object, additionalInstructions: Object}}
+   */
+  getSettings() {
+    const settings = window.CONFIG?.AI?.promptTemplates || {};
+    return {
+      profile: { sellerName: '', pickupArea: '', ...(settings.profile || {}) },
+      additionalInstructions: { seller: '', buyer: '', ...(settings.additionalInstructions || {}) }
+    };
+  }
+
+  /**
+   * Whether a text contains placeholders
+   * @param {string} text
+   * @returns {boolean}
+   */
+  hasPlaceholders(text) {
+    this.placeholderPattern.lastIndex = 0;
+    return !!text && this.placeholderPattern.test(text);
+  }
+
+  /**
+   * Replaces the placeholders of a template
+   * @param {string} template - Template text
+   * @param {Object} variables - Values (see buildVariables)
+   * @returns {{text: string, missing: Array<string>}} Rendered text and placeholders without a value
+   */
+  render(template, variables) {
+    const missing = [];
+    const text = (template || '').replace(this.placeholderPattern, (match, path, fallback) => {
+      const value = path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), variables);
+      if (value !== undefined && value !== null && value !== '') return String(value);
+      if (fallback !== undefined) return fallback.trim();
+      if (!missing.includes(path)) missing.push(path);
+      return '';
+    });
+    return { text, missing };
+  }
+
+  /**
+   * Values available to the templates
+   * @param {string} role - Role (seller or buyer)
+   * @param {Object|null} productDetails - Listing details from productExtractor
+   * @returns {Object}
+   */
+  buildVariables(role, productDetails = null) {
+    const { profile } = this.getSettings();
+    const product = { ...(productDetails || {}) };
+    if (!product.location) {
+      product.location = product.locationText || [product.city, product.state].filter(Boolean).join(', ');
+    }
+    const listing = this.getListingSettings(this.getListingId(productDetails)) || {};
+
+    return {
+      role,
+      product,
+      listing,
+      floorPrice: listing.floorPrice || '',
+      pickupArea: listing.pickupArea || profile.pickupArea ||
+        window.CONFIG?.AI?.tools?.meetingAvailability?.pickupArea || '',
+      // On our own listings the listing seller is us
+      sellerName: profile.sellerName || product.sellerName || '',
+      today: new Date().toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })
+    };
+  }
+
+  /**
+   * Rendered additional instructions for a run
+   * @param {string} role - Role (seller or buyer)
+   * @param {Object|null} productDetails - Listing details
+   * @returns {string|null}
+   */
+  renderAdditionalInstructions(role, productDetails = null) {
+    const template = (this.getSettings().additionalInstructions[role] || '').trim();
+    if (!template) return null;
+
+    const { text, missing } = this.render(template, this.buildVariables(role, productDetails));
+    if (missing.length) logger.debug(`Additional instructions for ${role}: no value for ${missing.join(', ')}`);
+    return text.trim() || null;
+  }
+
+  /**
+   * System prompt for stateless completions: rendered instructions plus the additional instructions
+   * (what an assistant run receives as instructions and additional_instructions)
+   * @param {string} instructions - Role instructions (may contain placeholders)
+   * @param {string} role - Role (seller or buyer)
+   * @param {Object|null} productDetails - Listing details
+   * @returns {string}
+   */
+  renderSystemPrompt(instructions, role, productDetails = null) {
+    const { text } = this.render(instructions, this.buildVariables(role, productDetails));
+    const additional = this.renderAdditionalInstructions(role, productDetails);
+    return additional ? `${text}\n\n${additional}` : text;
+  }
+
+  /**
+   * Instructions template of a role: the one written in the Assistants tab, otherwise
+   * the instructions stored in the OpenAI assistant (read once)
+   * @param {string} role - Role (seller or buyer)
+   * @param {string} [assistantId] - Assistant of the role
+   * @param {boolean} [assistantOnly=false] - Skip the Assistants tab template (an experiment picked the assistant)
+   * @returns {Promise<{template: string, source: string}|null>}
+   */
+  async getInstructionsTemplate(role, assistantId = null, assistantOnly = false) {
+    const configured = (window.CONFIG?.AI?.assistants?.[role]?.instructions || '').trim();
+    // "..." is the placeholder shipped in config.js
+    if (configured && configured !== '...' && !assistantOnly) {
+      return { template: configured, source: 'template' };
+    }
+
+    const id = assistantId || window.CONFIG?.AI?.assistants?.[role]?.id;
+    if (!id || window.providerRegistry?.getActiveName() !== 'openai') return null;
+
+    if (!this.assistantInstructions.has(id)) {
+      try {
+        const assistant = await window.apiClient.getAssistant(id);
+        this.assistantInstructions.set(id, assistant?.instructions || '');
+      } catch (error) {
+        logger.warn(`Could not read instructions of assistant ${id}: ${error.message}`);
+        return null;
+      }
+    }
+    return { template: this.assistantInstructions.get(id), source: 'assistant' };
+  }
+
+  /**
+   * Instructions that replace the assistant's own for one run.
+   * Only returned for a template written in the Assistants tab, for the instructions of an
+   * experiment variant, or for assistant instructions with placeholders; otherwise the run
+   * keeps the assistant's instructions.
+   * @param {string} assistantId - Assistant of the run
+   * @param {string} role - Role (seller or buyer)
+   * @param {Object|null} productDetails - Listing details
+   * @param {Object} [experimentVariant] - {assistantId, instructions} of the chat's A/B variant
+   * @returns {Promise<string|null>}
+   */
+  async renderRunInstructions(assistantId, role, productDetails = null, experimentVariant = null) {
+    const found = experimentVariant?.instructions
+      ? { template: experimentVariant.instructions, source: 'experiment' }
+      : await this.getInstructionsTemplate(role, assistantId, !!experimentVariant?.assistantId);
+    if (!found || !found.template) return null;
+    if (found.source === 'assistant' && !this.hasPlaceholders(found.template)) return null;
+
+    const { text, missing } = this.render(found.template, this.buildVariables(role, productDetails));
+    if (missing.length) logger.debug(`Instructions for ${role}: no value for ${missing.join(', ')}`);
+    return text;
+  }
+
+  /**
+   * Renders the prompt of a role for the preview in the Assistants tab
+   * @param {string} role - Role (seller or buyer)
+   * @param {Object|null} productDetails - Listing details (null shows the placeholders without listing values)
+   * @returns {Promise<{instructions: string, additionalInstructions: string, source: string, missing: Array<string>}>}
+   */
+  async preview(role, productDetails = null) {
+    const variables = this.buildVariables(role, productDetails);
+    const found = await this.getInstructionsTemplate(role);
+    const instructions = this.render(found?.template || '', variables);
+    const additional = this.render(this.getSettings().additionalInstructions[role] || '', variables);
+
+    return {
+      instructions: instructions.text,
+      additionalInstructions: additional.text,
+      source: found?.source || 'none',
+      missing: [...new Set([...instructions.missing, ...additional.missing])]
+    };
+  }
+
+  /**
+   * Forgets the assistant instructions read from OpenAI (after they were edited there)
+   */
+  clearCache() {
+    this.assistantInstructions.clear();
+  }
+
+  /**
+   * ID used for the per-listing settings
+   * @param {Object|null} productDetails - Listing details
+   * @returns {string|null}
+   */
+  getListingId(productDetails) {
+    if (!productDetails) return null;
+    return productDetails.id || productDetails.productId || productDetails.listingId || null;
+  }
+
+  /**
+   * Per-listing settings
+   * @param {string|null} listingId - Listing ID
+   * @returns {{floorPrice: string, pickupArea: string, notes: string}|null}
+   */
+  getListingSettings(listingId) {
+    if (!listingId) return null;
+    return storageUtils.get(this.listingStorageKey, {})[listingId] || null;
+  }
+
+  /**
+   * Saves the settings of a listing (empty settings remove it)
+   * @param {string} listingId - Listing ID
+   * @param {Object} settings - {floorPrice, pickupArea, notes, title}
+   * @returns {boolean} Success status
+   */
+  saveListingSettings(listingId, settings) {
+    if (!listingId) return false;
+
+    const all = storageUtils.get(this.listingStorageKey, {});
+    const cleaned = {
+      floorPrice: String(settings.floorPrice || '').trim(),
+      pickupArea: String(settings.pickupArea || '').trim(),
+      notes: String(settings.notes || '').trim()
+    };
+
+    if (!cleaned.floorPrice && !cleaned.pickupArea && !cleaned.notes) {
+      delete all[listingId];
+    } else {
+      all[listingId] = { ...cleaned, title: settings.title || all[listingId]?.title || '', updatedAt: Date.now() };
+    }
+    storageUtils.set(this.listingStorageKey, all);
+    logger.log(`Listing settings saved for ${listingId}`);
+    return true;
+  }
+}
+
+// Create global singleton instance
+const promptTemplates = new PromptTemplates();
+
+// Expose globally
+window.promptTemplates = promptTemplates;
@@ -0,0 +1,207 @@
+/**
+ * Reply Envelope - "The Inspector"
+ *
+ * Responsibilities:
+ * - Tell the model to answer with a JSON envelope instead of plain text:
+ *   {reply, intent, confidence, offerAmount, needsHuman, actions[]}
+ * - Parse and validate that envelope, falling back to plain text when it is not valid JSON
+ * - Extract the "reply" field from a partial JSON stream so streamed replies stay readable
+ *
+ * Enabled through CONFIG.AI.structuredReplies. When disabled every reply is plain text
+ * and parse() wraps it in an unstructured envelope, so callers always get the same shape.
+ */
+
+class ReplyEnvelope {
+  constructor() {
+    this.intents = [
+      'availability',       // Is it still available?
+      'product_question',   // Questions about the item itself
+      'price_negotiation',  // Asking for a discount, haggling
+      'offer',              // Concrete offer with an amount
+      'meeting',            // Pickup, time and place
+      'shipping',           // Delivery or shipping questions
+      'greeting',           // Opening message without a question
+      'closing',            // Thanks, goodbye, deal done
+      'spam',               // Scams, off-platform payment requests
+      'other'
+    ];
+  }
+
+  /**
+   * Whether the model should be asked for the envelope
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return window.CONFIG?.AI?.structuredReplies?.enabled !== false;
+  }
+
+  /**
+   * Instructions that ask for the envelope (appended to the system prompt,
+   * or sent as additional_instructions of an assistant run)
+   * @returns {string}
+   */
+  getInstructions() {
+    return `Always answer with a single JSON object and nothing else, in this exact format:
+{"reply": "<the message to send, in the same language as the conversation>",
+ "intent": "<one of: ${this.intents.join(', ')}>",
+ "confidence": <number between 0 and 1: how sure you are the reply is correct and appropriate>,
+ "offerAmount": <amount offered by the other person as a number, or null>,
+ "needsHuman": <true if a person should review this conversation before replying, otherwise false>,
+ "actions": [<short suggested next steps for the user, e.g. "mark as pending", "propose pickup time">]}`;
+  }
+
+  /**
+   * Parses a model answer into an envelope
+   * @param {string} text - Raw model answer
+   * @returns {{reply: string, intent: string|null, confidence: number|null, offerAmount: number|null,
+   *   needsHuman: boolean, actions: Array<string>, structured: boolean}} Envelope
+   */
+  parse(text) {
+    const raw = typeof text === 'string' ? text.trim() : '';
+    const fallback = {
+      reply: raw,
+      intent: null,
+      confidence: null,
+      offerAmount: null,
+      needsHuman: false,
+      actions: [],
+      structured: false
+    };
+
+    if (!raw || raw.indexOf('{') === -1) return fallback;
+
+    let data;
+    try {
+      // Models sometimes wrap the JSON in a code fence
+      data = JSON.parse(raw.slice(raw.indexOf('{'), raw.lastIndexOf('}') + 1));
+    } catch (error) {
+      console.warn(`[ReplyEnvelope] Answer is not valid JSON, using it as plain text: ${error.message}`);
+      return fallback;
+    }
+
+    if (!data || typeof data.reply !== 'string' || !data.reply.trim()) {
+      console.warn('[ReplyEnvelope] JSON answer has no "reply" field, using it as plain text');
+      return fallback;
+    }
+
+    return {
+      reply: data.reply.trim(),
+      intent: this.intents.includes(data.intent) ? data.intent : 'other',
+      confidence: this.normalizeConfidence(data.confidence),
+      offerAmount: this.normalizeAmount(data.offerAmount),
+      needsHuman: data.needsHuman === true || data.needsHuman === 'true',
+      actions: Array.isArray(data.actions)
+        ? data.actions
+          .map(action => (typeof action === 'string' ? action : action?.type || action?.name || ''))
+          .map(action => String(action).trim())
+          .filter(Boolean)
+        : [],
+      structured: true
+    };
+  }
+
+  /**
+   * Wraps a plain-text reply in an envelope (used when structured replies are disabled)
+   * @param {string} text - Reply text
+   * @returns {Object} Unstructured envelope
+   */
+  fromText(text) {
+    return {
+      reply: typeof text === 'string' ? text.trim() : '',
+      intent: null,
+      confidence: null,
+      offerAmount: null,
+      needsHuman: false,
+      actions: [],
+      structured: false
+    };
+  }
+
+  /**
+   * Reads the "reply" field of an incomplete JSON answer, as far as it has arrived
+   * @param {string} partial - JSON received so far
+   * @returns {string|null} Reply so far, or null if the field has not started yet
+   *   (or the answer is not JSON at all)
+   */
+  extractPartialReply(partial) {
+    const match = /"reply"\s*:\s*"/.exec(partial || '');
+    if (!match) return null;
+
+    let reply = '';
+    for (let i = match.index + match[0].length; i < partial.length; i++) {
+      const char = partial[i];
+      if (char === '"') break;
+      if (char !== '\\') {
+        reply += char;
+        continue;
+      }
+
+      // Escape sequence; stop if it is cut in the middle
+      const next = partial[i + 1];
+      if (next === undefined) break;
+      if (next === 'u') {
+        const hex = partial.slice(i + 2, i + 6);
+        if (hex.length < 4) break;
+        reply += String.fromCharCode(parseInt(hex, 16));
+        i += 5;
+      } else {
+        reply += { n: '\n', t: '\t', r: '', b: '', f: '' }[next] ?? next;
+        i += 1;
+      }
+    }
+    return reply;
+  }
+
+  /**
+   * Wraps a streaming callback so it receives the reply text instead of raw JSON
+   * @param {Function} onDelta - (deltaText, fullText) callback
+   * @returns {Function} Callback for the raw stream
+   */
+  wrapStreamCallback(onDelta) {
+    let sent = '';
+    let plainText = null; // Set when the answer turns out not to be JSON
+
+    return (delta, fullText) => {
+      if (plainText === null && fullText.trim() && !fullText.trim().startsWith('{') && !fullText.trim().startsWith('`')) {
+        plainText = true;
+      }
+
+      const reply = plainText ? fullText : this.extractPartialReply(fullText);
+      if (reply === null || reply === sent) return;
+
+      const replyDelta = reply.startsWith(sent) ? reply.slice(sent.length) : reply;
+      sent = reply;
+      onDelta(replyDelta, reply);
+    };
+  }
+
+  /**
+   * @param {*} value
+   * @returns {number|null} Confidence between 0 and 1
+   * @private
+   */
+  normalizeConfidence(value) {
+    let number = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof number !== 'number' || isNaN(number)) return null;
+    // Some models answer in percent
+    if (number > 1 && number <= 100) number = number / 100;
+    return Math.min(Math.max(number, 0), 1);
+  }
+
+  /**
+   * @param {*} value
+   * @returns {number|null} Amount
+   * @private
+   */
+  normalizeAmount(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^\d.,-]/g, '').replace(',', '.'));
+    return isNaN(number) ? null : number;
+  }
+}
+
+// Create global singleton instance
+const replyEnvelope = new ReplyEnvelope();
+
+// Expose globally
+window.replyEnvelope = replyEnvelope;
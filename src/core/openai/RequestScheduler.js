@@ -0,0 +1,302 @@
+/**
+ * Request Scheduler - "The Dispatcher"
+ *
+ * Responsibilities:
+ * - Queue every request ApiClient sends, so concurrent callers do not all hit the API at once
+ * - Start queued requests by priority: 'high' (the reply the user is waiting for),
+ *   'normal' (settings, assistant listing) and 'low' (background transcriptions)
+ * - Limit how many requests are in flight, with a lower limit for 'low' work
+ * - Pace requests with token buckets filled from the x-ratelimit-* headers
+ * - Hold the whole queue after a 429 until the API says it can be retried
+ * - Abort requests that take longer than their timeout (AbortController)
+ *
+ * Tasks are functions (signal, job) => Promise. The signal aborts on timeout or when the caller's
+ * signal aborts; job.clearTimeout() stops the timer (streams only time out until the first byte).
+ */
+
+class RequestScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxConcurrent=3] - Requests in flight at once
+   * @param {number} [options.maxConcurrentLow=1] - Of which 'low' priority requests
+   * @param {number} [options.timeout=60000] - Default timeout per request (ms)
+   */
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || 3;
+    this.maxConcurrentLow = options.maxConcurrentLow || 1;
+    this.timeout = options.timeout || 60000;
+
+    this.priorities = { high: 0, normal: 1, low: 2 };
+    this.queue = [];           // Jobs waiting to start, in priority order
+    this.running = 0;
+    this.runningLow = 0;
+    this.sequence = 0;         // Keeps FIFO order within a priority
+    this.pausedUntil = 0;      // Set after a 429
+    this.wakeTimer = null;     // Pending pump() when the queue waits on a pause or bucket
+    this.buckets = { requests: null, tokens: null }; // {limit, remaining, rate (per ms), updatedAt}
+  }
+
+  /**
+   * Updates limits from CONFIG.AI.requestQueue
+   * @param {Object} settings - {maxConcurrent, maxConcurrentLow, timeout}
+   */
+  configure(settings = {}) {
+    if (settings.maxConcurrent > 0) this.maxConcurrent = settings.maxConcurrent;
+    if (settings.maxConcurrentLow > 0) this.maxConcurrentLow = settings.maxConcurrentLow;
+    if (settings.timeout > 0) this.timeout = settings.timeout;
+    this.pump();
+  }
+
+  /**
+   * Queues a task
+   * @param {Function} task - (signal, job) => Promise
+   * @param {Object} [options]
+   * @param {string} [options.priority='normal'] - 'high', 'normal' or 'low'
+   * @param {number} [options.timeout] - Timeout in ms (0 disables it)
+   * @param {number} [options.tokens=0] - Estimated tokens, paced against the token bucket
+   * @param {AbortSignal} [options.signal] - Caller signal; aborts the task, or removes it from the queue
+   * @param {string} [options.label] - Shown in the logs
+   * @returns {Promise<*>} Result of the task
+   */
+  schedule(task, options = {}) {
+    return new Promise((resolve, reject) => {
+      const job = {
+        task,
+        resolve,
+        reject,
+        priority: this.priorities[options.priority] ?? this.priorities.normal,
+        sequence: this.sequence++,
+        timeout: options.timeout ?? this.timeout,
+        tokens: options.tokens || 0,
+        signal: options.signal || null,
+        label: options.label || 'request'
+      };
+
+      if (job.signal?.aborted) {
+        reject(new DOMException('Request cancelled', 'AbortError'));
+        return;
+      }
+
+      // A job cancelled while queued never starts
+      if (job.signal) {
+        job.onQueuedAbort = () => {
+          const index = this.queue.indexOf(job);
+          if (index === -1) return;
+          this.queue.splice(index, 1);
+          reject(new DOMException('Request cancelled', 'AbortError'));
+        };
+        job.signal.addEventListener('abort', job.onQueuedAbort, { once: true });
+      }
+
+      const index = this.queue.findIndex(queued =>
+        queued.priority > job.priority || (queued.priority === job.priority && queued.sequence > job.sequence));
+      this.queue.splice(index === -1 ? this.queue.length : index, 0, job);
+      this.pump();
+    });
+  }
+
+  /**
+   * Starts as many queued jobs as the limits allow
+   * @private
+   */
+  pump() {
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+
+    while (this.queue.length && this.running < this.maxConcurrent) {
+      // Background work waits while its own slots are taken, without blocking higher priorities
+      const job = this.queue.find(queued =>
+        queued.priority !== this.priorities.low || this.runningLow < this.maxConcurrentLow);
+      if (!job) return;
+
+      const wait = this.getWaitTime(job);
+      if (wait > 0) {
+        console.log(`[RequestScheduler] Pacing ${job.label}: waiting ${Math.ceil(wait)}ms for rate limits`);
+        this.wakeTimer = setTimeout(() => this.pump(), wait);
+        return;
+      }
+
+      this.queue.splice(this.queue.indexOf(job), 1);
+      this.start(job);
+    }
+  }
+
+  /**
+   * Runs a job with its timeout
+   * @param {Object} job - Queued job
+   * @private
+   */
+  async start(job) {
+    this.running++;
+    if (job.priority === this.priorities.low) this.runningLow++;
+    this.consume('requests', 1);
+    this.consume('tokens', job.tokens);
+
+    if (job.signal) job.signal.removeEventListener('abort', job.onQueuedAbort);
+
+    const controller = new AbortController();
+    const onCallerAbort = () => controller.abort();
+    if (job.signal) job.signal.addEventListener('abort', onCallerAbort, { once: true });
+
+    let timedOut = false;
+    let timer = job.timeout > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, job.timeout)
+      : null;
+    job.clearTimeout = () => {
+      clearTimeout(timer);
+      timer = null;
+    };
+
+    try {
+      job.resolve(await job.task(controller.signal, job));
+    } catch (error) {
+      if (timedOut && error?.name === 'AbortError') {
+        const timeoutError = new Error(`Request timed out after ${Math.round(job.timeout / 1000)}s (${job.label})`);
+        timeoutError.name = 'TimeoutError';
+        job.reject(timeoutError);
+      } else {
+        job.reject(error);
+      }
+    } finally {
+      clearTimeout(timer);
+      if (job.signal) job.signal.removeEventListener('abort', onCallerAbort);
+      this.running--;
+      if (job.priority === this.priorities.low) this.runningLow--;
+      this.pump();
+    }
+  }
+
+  /**
+   * Reads the x-ratelimit-* headers of a response into the token buckets
+   * @param {Object} headers - Response headers (with get())
+   */
+  updateRateLimits(headers) {
+    if (!headers || typeof headers.get !== 'function') return;
+
+    ['requests', 'tokens'].forEach(type => {
+      const limit = parseInt(headers.get(`x-ratelimit-limit-${type}`), 10);
+      const remaining = parseInt(headers.get(`x-ratelimit-remaining-${type}`), 10);
+      if (isNaN(limit) || isNaN(remaining) || limit <= 0) return;
+
+      // The reset header is the time until the bucket is full again
+      const resetMs = this.parseDuration(headers.get(`x-ratelimit-reset-${type}`));
+      const previous = this.buckets[type];
+      const rate = remaining < limit && resetMs > 0
+        ? (limit - remaining) / resetMs
+        : (previous?.rate || limit / 60000); // Limits are per minute
+
+      this.buckets[type] = { limit, remaining, rate, updatedAt: Date.now() };
+    });
+  }
+
+  /**
+   * Holds the whole queue (after a 429)
+   * @param {number} ms - How long to wait
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.pump();
+  }
+
+  /**
+   * Forgets the rate limits (the endpoint profile changed)
+   */
+  resetLimits() {
+    this.buckets = { requests: null, tokens: null };
+    this.pausedUntil = 0;
+    this.pump();
+  }
+
+  /**
+   * Queue state, for debugging
+   * @returns {{queued: number, running: number, pausedFor: number, buckets: Object}}
+   */
+  getStats() {
+    return {
+      queued: this.queue.length,
+      running: this.running,
+      pausedFor: Math.max(this.pausedUntil - Date.now(), 0),
+      buckets: {
+        requests: this.buckets.requests ? Math.floor(this.getAvailable(this.buckets.requests)) : null,
+        tokens: this.buckets.tokens ? Math.floor(this.getAvailable(this.buckets.tokens)) : null
+      }
+    };
+  }
+
+  /**
+   * Milliseconds before a job may start
+   * @param {Object} job - Queued job
+   * @returns {number}
+   * @private
+   */
+  getWaitTime(job) {
+    return Math.max(
+      this.pausedUntil - Date.now(),
+      this.getBucketWait(this.buckets.requests, 1),
+      this.getBucketWait(this.buckets.tokens, job.tokens),
+      0
+    );
+  }
+
+  /**
+   * @param {Object|null} bucket
+   * @param {number} cost
+   * @returns {number} Milliseconds until the bucket holds the cost
+   * @private
+   */
+  getBucketWait(bucket, cost) {
+    if (!bucket || !cost) return 0;
+    // A request larger than the whole bucket waits for a full bucket, not forever
+    const needed = Math.min(cost, bucket.limit);
+    const available = this.getAvailable(bucket);
+    return available >= needed ? 0 : (needed - available) / bucket.rate;
+  }
+
+  /**
+   * @param {Object} bucket
+   * @returns {number} Units available now (refilled since the last update)
+   * @private
+   */
+  getAvailable(bucket) {
+    return Math.min(bucket.limit, bucket.remaining + (Date.now() - bucket.updatedAt) * bucket.rate);
+  }
+
+  /**
+   * Takes units from a bucket
+   * @param {string} type - 'requests' or 'tokens'
+   * @param {number} cost
+   * @private
+   */
+  consume(type, cost) {
+    const bucket = this.buckets[type];
+    if (!bucket || !cost) return;
+    bucket.remaining = this.getAvailable(bucket) - Math.min(cost, bucket.limit);
+    bucket.updatedAt = Date.now();
+  }
+
+  /**
+   * Parses the durations used by the rate limit headers ("6m0s", "1.5s", "20ms")
+   * @param {string|null} value
+   * @returns {number} Milliseconds (0 if missing)
+   * @private
+   */
+  parseDuration(value) {
+    if (!value) return 0;
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+    let total = 0;
+    const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h)/g;
+    let match;
+    while ((match = pattern.exec(value)) !== null) {
+      total += parseFloat(match[1]) * units[match[2]];
+    }
+    return total;
+  }
+}
+
+// Expose globally
+window.RequestScheduler = RequestScheduler;
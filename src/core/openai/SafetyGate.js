@@ -0,0 +1,268 @@
+/**
+ * Safety Gate - "The Bouncer"
+ *
+ * Responsibilities:
+ * - Check a reply right before it is sent automatically (auto mode with autoSendMessages)
+ * - Run the OpenAI moderation endpoint
+ * - Match the local blocklist (home address, personal data) and the built-in rules:
+ *   phone numbers, "ship first" wording and off-platform payment wording
+ * - Refuse replies longer than the maximum length
+ * - Refuse prices below the floor price of the listing (see PromptTemplates per-listing settings)
+ *
+ * A blocked reply is kept in the input field as a draft, with the reasons shown; it is never sent.
+ * Settings come from CONFIG.AI.safetyGate. If moderation is on but the request fails, the reply is blocked.
+ */
+
+class SafetyGate {
+  constructor() {
+    this.results = new Map(); // "chatId\ntext" -> Promise of the check, so the send path does not check twice
+    this.maxCachedResults = 20;
+    this.rules = {
+      phoneNumbers: {
+        label: 'phone number',
+        // Same formats as the PiiRedactor phones: prices or sizes split by spaces are not phones
+        pattern: /(?<!\d)(?:\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)|\d{1,4})(?:[\s.-]?\d{2,4}){2,3}|\(\d{2,4}\)[\s.-]?\d{3,4}[\s.-]?\d{4}|\d{3}([.-])\d{3}\1\d{3,4}|\d{3} \d{3} \d{4}|[679]\d{2}(?: \d{3}){2}|[679]\d{2}(?: \d{2}){3}|\d{9,11})(?!\d)/
+      },
+      shipFirst: {
+        label: '"ship first" wording',
+        pattern: /\b(?:ship(?:ping)?|send|mail)\s+(?:it\s+)?(?:out\s+)?(?:first|before\s+(?:you\s+)?pay(?:ment|ing)?)\b|\bpay(?:ment)?\s+(?:after|on)\s+(?:delivery|arrival)\b/i
+      },
+      offPlatformPayment: {
+        label: 'off-platform payment',
+        pattern: /\b(?:zelle|venmo|cash\s?app|paypal|western\s+union|moneygram|wire\s+transfer|gift\s+cards?|bitcoin|crypto|whats\s?app|telegram)\b/i
+      }
+    };
+    // Currency before or after the number, price wording before it, or "and it's yours"/"is the lowest" after it
+    this.amountPattern = new RegExp([
+      /[$€£]\s?(\d[\d.,]*)/.source,
+      /(\d[\d.,]*)\s?(?:[$€£]|usd\b|eur\b|dollars?\b|euros?\b|bucks\b)/.source,
+      /\b(?:offer|do|take|for|ok(?:ay)?|deal|dejo(?:\s+en)?|vendo(?:\s+en)?|por|vale|dale)\s+(?:it\s+(?:for\s+)?)?(\d[\d.,]*)/.source +
+        /(?![\d.,]*\s*(?:[:%]|[ap]\.?m\b|hrs?\b|hours?\b|horas?\b|days?\b|d[ií]as?\b|min(?:s|utes?|utos?)?\b|km\b|miles?\b|cm\b))/.source,
+      /(\d[\d.,]*)\s+(?:and\s+it'?s\s+yours|y\s+es\s+tuy[oa]|is\s+(?:the|my)\s+(?:lowest|best|final)|firm)\b/.source
+    ].join('|'), 'gi');
+    // Clauses that turn a price down
+    this.refusalPattern = /\b(?:not|cannot|never|no way|too (?:low|little|cheap)|no (?:puedo|acepto|bajo|lo dejo|lo vendo|me sirve)|muy (?:bajo|poco)|imposible)\b|\b(?:can|won|don|doesn|isn|wouldn|couldn)['’]?t\b/i;
+  }
+
+  /**
+   * Gate settings
+   * @returns {{enabled: boolean, moderation: boolean, maxLength: number, checkFloorPrice: boolean,
+   *   rules: Object<string, boolean>, blocklist: Array<string>}}
+   */
+  getSettings() {
+    const settings = window.CONFIG?.AI?.safetyGate || {};
+    return {
+      enabled: true,
+      moderation: true,
+      maxLength: 600,
+      checkFloorPrice: true,
+      blocklist: [],
+      ...settings,
+      rules: { phoneNumbers: true, shipFirst: true, offPlatformPayment: true, ...(settings.rules || {}) }
+    };
+  }
+
+  /**
+   * Checks a reply before it is sent
+   * @param {string} text - Reply text
+   * @param {Object} [context] - {chatId, role, productDetails, envelope}
+   * @returns {Promise<{allowed: boolean, reasons: Array<string>}>}
+   */
+  check(text, context = {}) {
+    const key = `${context?.chatId || ''}\n${text}`;
+    if (!this.results.has(key)) {
+      const result = this.runChecks(text, context || {}).catch(error => {
+        this.results.delete(key);
+        throw error;
+      });
+      this.results.set(key, result);
+      if (this.results.size > this.maxCachedResults) {
+        this.results.delete(this.results.keys().next().value);
+      }
+    }
+    return this.results.get(key);
+  }
+
+  /**
+   * @param {string} text - Reply text
+   * @param {Object} context - {chatId, role, productDetails, envelope}
+   * @returns {Promise<{allowed: boolean, reasons: Array<string>}>}
+   * @private
+   */
+  async runChecks(text, context) {
+    const settings = this.getSettings();
+    if (!settings.enabled) return { allowed: true, reasons: [] };
+
+    const reasons = [
+      ...this.checkLength(text, settings),
+      ...this.checkBlocklist(text, settings),
+      ...this.checkFloorPrice(text, context, settings)
+    ];
+
+    // The moderation request is skipped when the reply is already blocked
+    if (!reasons.length && settings.moderation) {
+      reasons.push(...await this.checkModeration(text, context));
+    }
+
+    if (reasons.length) {
+      logger.warn(`Safety gate blocked a reply for chat ${context.chatId || 'unknown'}: ${reasons.join('; ')}`);
+    }
+    return { allowed: reasons.length === 0, reasons };
+  }
+
+  /**
+   * @param {string} text
+   * @param {Object} settings
+   * @returns {Array<string>} Reasons
+   * @private
+   */
+  checkLength(text, settings) {
+    const maxLength = parseInt(settings.maxLength, 10);
+    if (!text || !text.trim()) return ['Empty reply'];
+    return maxLength > 0 && text.length > maxLength
+      ? [`Too long (${text.length} > ${maxLength} characters)`]
+      : [];
+  }
+
+  /**
+   * Built-in rules and the user's blocklist. Entries are plain text (case-insensitive)
+   * or /regular expressions/ with optional flags.
+   * @param {string} text
+   * @param {Object} settings
+   * @returns {Array<string>} Reasons
+   * @private
+   */
+  checkBlocklist(text, settings) {
+    const reasons = [];
+
+    Object.entries(this.rules).forEach(([name, rule]) => {
+      if (!settings.rules[name]) return;
+      const match = text.match(rule.pattern);
+      if (match) reasons.push(`Contains ${rule.label} ("${match[0].trim()}")`);
+    });
+
+    const lowerText = text.toLowerCase();
+    (settings.blocklist || []).forEach(entry => {
+      const term = String(entry || '').trim();
+      if (!term) return;
+
+      const regex = term.match(/^\/(.+)\/([a-z]*)$/);
+      if (regex) {
+        try {
+          if (new RegExp(regex[1], regex[2]).test(text)) reasons.push(`Matches blocklist pattern ${term}`);
+        } catch (error) {
+          logger.warn(`Invalid blocklist pattern ${term}: ${error.message}`);
+        }
+      } else if (lowerText.includes(term.toLowerCase())) {
+        reasons.push(`Contains blocklisted text "${term}"`);
+      }
+    });
+
+    return reasons;
+  }
+
+  /**
+   * Prices under the floor price of the listing (seller chats only). Only the prices the reply proposes
+   * or accepts count: amounts in a refusal ("I can't do $40", "40 is too low") are the other person's.
+   * @param {string} text
+   * @param {Object} context - {role, productDetails}
+   * @param {Object} settings
+   * @returns {Array<string>} Reasons
+   * @private
+   */
+  checkFloorPrice(text, context, settings) {
+    if (!settings.checkFloorPrice || context.role !== 'seller' || !window.promptTemplates) return [];
+
+    const listingId = window.promptTemplates.getListingId(context.productDetails);
+    const floorPrice = this.parseAmount(window.promptTemplates.getListingSettings(listingId)?.floorPrice);
+    if (floorPrice === null) return [];
+
+    const below = this.splitClauses(text)
+      .filter(clause => !this.refusalPattern.test(clause))
+      .flatMap(clause => this.extractAmounts(clause))
+      .filter(amount => amount < floorPrice);
+    return below.length
+      ? [`Price below the floor of ${floorPrice} (${[...new Set(below)].join(', ')})`]
+      : [];
+  }
+
+  /**
+   * Splits a reply at sentence ends, commas and "but"/"pero", so a refusal does not hide the offer next to it
+   * @param {string} text
+   * @returns {Array<string>}
+   * @private
+   */
+  splitClauses(text) {
+    return text.split(/[.!?;]+(?=\s|$)|,(?=\s)|\n|\b(?:but|pero|though|aunque)\b/i)
+      .map(clause => clause.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Moderation endpoint (OpenAI only)
+   * @param {string} text
+   * @param {Object} context - {chatId}
+   * @returns {Promise<Array<string>>} Reasons
+   * @private
+   */
+  async checkModeration(text, context) {
+    if (window.providerRegistry?.getActiveName() !== 'openai' || window.apiClient?.profileKey !== 'openai') {
+      logger.debug('Safety gate: moderation skipped (needs the OpenAI provider and endpoint)');
+      return [];
+    }
+
+    try {
+      const input = window.piiRedactor ? window.piiRedactor.redactText(text, context.chatId) : text;
+      const result = await window.apiClient.createModeration(input);
+      const moderation = result?.results?.[0];
+      if (!moderation?.flagged) return [];
+      const categories = Object.keys(moderation.categories || {}).filter(name => moderation.categories[name]);
+      return [`Flagged by moderation (${categories.join(', ') || 'unspecified'})`];
+    } catch (error) {
+      logger.error(`Moderation check failed for chat ${context.chatId || 'unknown'}: ${error.message}`, {}, error);
+      return [`Moderation check failed: ${error.message}`];
+    }
+  }
+
+  /**
+   * Money amounts: written with a currency ($120, 120€, 120 dollars), or bare after price wording
+   * ("I can do 60", "ok 45", "te lo dejo en 50"). Bare numbers followed by a time or a unit are skipped.
+   * @param {string} text
+   * @returns {Array<number>}
+   * @private
+   */
+  extractAmounts(text) {
+    const amounts = [];
+    let match;
+    this.amountPattern.lastIndex = 0;
+    while ((match = this.amountPattern.exec(text)) !== null) {
+      const amount = this.parseAmount(match[1] || match[2] || match[3] || match[4]);
+      if (amount !== null) amounts.push(amount);
+    }
+    return amounts;
+  }
+
+  /**
+   * Parses "1,200", "1.200", "99.50" or "$80"
+   * @param {*} value
+   * @returns {number|null}
+   * @private
+   */
+  parseAmount(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return isNaN(value) ? null : value;
+
+    let digits = String(value).replace(/[^\d.,]/g, '').replace(/[.,]$/, '');
+    if (!digits) return null;
+    // Thousands separators: groups of exactly three digits
+    digits = /^\d{1,3}(?:[.,]\d{3})+$/.test(digits) ? digits.replace(/[.,]/g, '') : digits.replace(',', '.');
+    const amount = parseFloat(digits);
+    return isNaN(amount) ? null : amount;
+  }
+}
+
+// Create global singleton instance
+const safetyGate = new SafetyGate();
+
+// Expose globally
+window.safetyGate = safetyGate;
@@ -0,0 +1,179 @@
+/**
+ * Thread Compactor - "The Archivist"
+ *
+ * Responsibilities:
+ * - Decide when an OpenAI thread has outgrown its budget (messages or prompt tokens of the last run)
+ * - Summarize the older turns into a rolling summary: price history, agreed terms,
+ *   pickup details and the buyer's questions
+ * - Seed a fresh thread with that summary plus the most recent messages
+ * - Record the summary and the superseded thread in ThreadStore (lineage)
+ *
+ * Budgets come from CONFIG.threadSystem.compaction. Each summary builds on the previous one,
+ * so details from turns that are no longer loaded on the page are kept.
+ */
+
+class ThreadCompactor {
+  constructor() {
+    this.summaryMaxTokens = 600;
+  }
+
+  /**
+   * Compaction settings
+   * @returns {{enabled: boolean, maxMessages: number, maxPromptTokens: number, keepRecentMessages: number}}
+   */
+  getSettings() {
+    return {
+      enabled: true,
+      maxMessages: 40,
+      maxPromptTokens: 12000,
+      keepRecentMessages: 10,
+      ...(window.CONFIG?.threadSystem?.compaction || {})
+    };
+  }
+
+  /**
+   * Whether a thread has passed its message or token budget
+   * @param {Object} threadInfo - Thread info from ThreadStore
+   * @returns {boolean}
+   */
+  needsCompaction(threadInfo) {
+    const settings = this.getSettings();
+    if (!settings.enabled || !threadInfo) return false;
+
+    return (threadInfo.messageCount || 0) >= settings.maxMessages ||
+      (threadInfo.lastPromptTokens || 0) >= settings.maxPromptTokens;
+  }
+
+  /**
+   * Replaces the OpenAI thread of a chat with a fresh one seeded with a summary and the latest messages
+   * @param {string} fbThreadId - Facebook thread ID
+   * @param {Array} seenMessages - Chat messages the current thread already contains (oldest first)
+   * @param {string} chatRole - Role (seller or buyer)
+   * @param {Object} threadInfo - Current thread info
+   * @param {Object} [productData] - Product information, sent again with the recent messages
+   * @returns {Promise<Object|null>} Updated thread info, or null if nothing was compacted
+   */
+  async compact(fbThreadId, seenMessages, chatRole, threadInfo, productData = null) {
+    const settings = this.getSettings();
+    const recentMessages = seenMessages.slice(-settings.keepRecentMessages);
+    const olderMessages = seenMessages.slice(0, -settings.keepRecentMessages);
+
+    if (!olderMessages.length && !threadInfo.summary) {
+      console.log(`[ThreadCompactor] Nothing older than the last ${settings.keepRecentMessages} messages to summarize for ${fbThreadId}`);
+      return null;
+    }
+
+    window.logManager?.step('GENERATION', 'COMPACTION',
+      `Compacting thread of ${fbThreadId}: ${threadInfo.messageCount || '?'} messages, ${threadInfo.lastPromptTokens || '?'} prompt tokens`);
+
+    const summary = await this.summarize(threadInfo.summary, olderMessages, chatRole, fbThreadId);
+    if (!summary) {
+      logger.warn(`Could not summarize the conversation ${fbThreadId}, keeping the current thread`);
+      return null;
+    }
+
+    const { id: openaiThreadId } = await window.apiClient.createThread();
+    await window.apiClient.addMessage(openaiThreadId, {
+      role: 'user',
+      content: [{
+        type: 'text',
+        text: `CONVERSATION SUMMARY (earlier messages of this chat, for context only; do not answer it):\n${summary}`
+      }]
+    });
+
+    let seeded = 1;
+    if (recentMessages.length) {
+      const messagesWithTranscriptions = await window.messagePreprocessor.attachTranscriptions(recentMessages);
+      const openAIMessages = await window.messagePreprocessor.formatMessagesForOpenAI(
+        messagesWithTranscriptions, productData,
+        { chatId: fbThreadId, groupChat: window.messagePreprocessor.isGroupChat(seenMessages) });
+      for (const message of window.assistantHandler.validateMessages(openAIMessages)) {
+        await window.apiClient.addMessage(openaiThreadId, message);
+        seeded++;
+      }
+    }
+
+    const previousThreadId = threadInfo.openaiThreadId;
+    const updated = window.threadStore.replaceThread(fbThreadId, openaiThreadId, summary, seeded);
+    logger.log(`Thread of ${fbThreadId} compacted: ${previousThreadId} -> ${openaiThreadId} (${seeded} seed messages)`);
+    return updated;
+  }
+
+  /**
+   * Writes the rolling summary with a stateless completion
+   * @param {string|null} previousSummary - Summary of the turns compacted earlier
+   * @param {Array} messages - Turns to add to the summary
+   * @param {string} chatRole - Role (seller or buyer)
+   * @param {string} fbThreadId - Facebook thread ID (for usage accounting)
+   * @returns {Promise<string>} Summary
+   */
+  async summarize(previousSummary, messages, chatRole, fbThreadId) {
+    // The summary keeps the placeholders of the redacted data, like the thread it replaces
+    const transcript = window.piiRedactor
+      ? window.piiRedactor.redactText(this.buildTranscript(messages, chatRole), fbThreadId)
+      : this.buildTranscript(messages, chatRole);
+    const parts = [];
+    if (previousSummary) parts.push(`PREVIOUS SUMMARY:\n${previousSummary}`);
+    if (transcript) parts.push(`MESSAGES SINCE THEN:\n${transcript}`);
+
+    const result = await window.apiClient.createChatCompletion([
+      {
+        role: 'system',
+        content: `You summarize a Facebook Marketplace conversation so an assistant can continue it without the old messages. We are the ${chatRole}.
+Merge the previous summary (if any) with the new messages and keep, as short bullet points:
+- Price history: asking price, every offer and counteroffer, and who made it
+- Agreed terms: final price, what is included, payment method, reservations
+- Pickup or delivery details: place, date and time, who travels
+- The buyer's questions, marking which were answered and which are still open
+- Anything either side promised to do
+Leave out greetings and small talk. Write in the language of the conversation. Answer only with the summary.`
+      },
+      { role: 'user', content: parts.join('\n\n') }
+    ], {
+      maxTokens: this.summaryMaxTokens,
+      temperature: 0.2,
+      usageContext: { fbThreadId }
+    });
+
+    return (result.text || '').trim();
+  }
+
+  /**
+   * Renders chat messages as a plain-text transcript
+   * @param {Array} messages - Chat messages
+   * @param {string} chatRole - Role (seller or buyer)
+   * @returns {string}
+   * @private
+   */
+  buildTranscript(messages, chatRole) {
+    const us = chatRole === 'buyer' ? 'Buyer (us)' : 'Seller (us)';
+    const them = chatRole === 'buyer' ? 'Seller' : 'Buyer';
+    // Group chats name each participant
+    const groupChat = window.messagePreprocessor?.isGroupChat(messages);
+
+    return messages
+      .map(message => {
+        const content = message.content || {};
+        const parts = [];
+        if (content.unsent) parts.push('[Message unsent]');
+        if (content.text) parts.push(content.edited ? `${content.text.trim()} (edited)` : content.text.trim());
+        if (content.hasAudio) {
+          parts.push(content.transcribedAudio && content.transcribedAudio !== '[Transcription Pending]'
+            ? `[Audio: "${content.transcribedAudio.trim()}"]`
+            : '[Audio message]');
+        }
+        const images = content.media?.images?.length || 0;
+        if (images) parts.push(`[${images} image${images > 1 ? 's' : ''}]`);
+        const sender = message.sentByUs ? us : ((groupChat && message.senderName) || them);
+        return parts.length ? `${sender}: ${parts.join(' ')}` : null;
+      })
+      .filter(Boolean)
+      .join('\n');
+  }
+}
+
+// Create global singleton instance
+const threadCompactor = new ThreadCompactor();
+
+// Expose globally
+window.threadCompactor = threadCompactor;
@@ -5,16 +5,21 @@
  * - Store mappings between Facebook thread IDs and OpenAI thread IDs
  * - Manage thread metadata
  * - Handle persistence of thread information
+ * - Track the size of each thread and keep the summary and lineage of compacted threads
+ * - Keep the experiment variant each Facebook thread was assigned (sticky, kept after thread cleanup)
  */
 
 class ThreadStore {
   constructor() {
-    this.threads = new Map(); // fbThreadId -> { openaiThreadId, lastMessageId, chatRole, lastAccessed }
+    this.threads = new Map(); // fbThreadId -> { openaiThreadId, lastMessageId, seenMessages, chatRole, lastAccessed, messageCount, lastPromptTokens, summary, lineage }
     this.initialized = false;
     this.storageKey = 'FB_CHAT_MONITOR_THREADS';
+    this.assignmentsKey = 'FB_CHAT_MONITOR_EXPERIMENT_ASSIGNMENTS';
+    this.assignments = null; // fbThreadId -> { experimentId: variantKey }, loaded on first use
     this.threadCleanupInterval = window.CONFIG?.threadSystem?.general?.threadCleanupInterval || 15 * 60 * 1000; // 15 min default
     this.threadTTL = window.CONFIG?.threadSystem?.general?.threadTTL || 2 * 60 * 60 * 1000; // 2 hours default
     this.maxThreadAge = window.CONFIG?.threadSystem?.general?.threadInfoMaxAge || 30 * 24 * 60 * 60 * 1000; // 30 days default
+    this.maxSeenMessages = 200; // Revisions kept per thread to spot edits, unsends and reactions
   }
 
   /**
@@ -83,7 +88,9 @@ class ThreadStore {
       chatRole,
       lastMessageId: null,
       lastAccessed: Date.now(),
-      createdAt: Date.now()
+      createdAt: Date.now(),
+      messageCount: 0,
+      lastPromptTokens: 0
     };
     
     this.threads.set(fbThreadId, threadInfo);
@@ -98,9 +105,11 @@ class ThreadStore {
    * @param {string} fbThreadId - Facebook thread ID
    * @param {string} lastMessageId - Last message ID
    * @param {number} [timestamp=Date.now()] - Timestamp
+   * @param {Array} [messages] - Chat messages the thread now knows; their revisions are kept (seenMessages)
+   *   so later edits, unsends and reactions reach the thread
    * @returns {boolean} Success status
    */
-  updateLastMessage(fbThreadId, lastMessageId, timestamp = Date.now()) {
+  updateLastMessage(fbThreadId, lastMessageId, timestamp = Date.now(), messages = null) {
     console.log(`[ThreadStore][DEBUG] Updating lastMessageId for ${fbThreadId}: ${lastMessageId}`);
     const threadInfo = this.threads.get(fbThreadId);
     
@@ -112,6 +121,17 @@ class ThreadStore {
     
     threadInfo.lastMessageId = lastMessageId;
     threadInfo.lastAccessed = timestamp;
+    if (messages && window.messageIdentity) {
+      const seenMessages = { ...(threadInfo.seenMessages || {}) };
+      messages.filter(message => message.id).forEach(message => {
+        // Re-inserted so the latest messages are the last keys
+        delete seenMessages[message.id];
+        seenMessages[message.id] = messageIdentity.getRevision(message);
+      });
+      const ids = Object.keys(seenMessages);
+      ids.slice(0, Math.max(0, ids.length - this.maxSeenMessages)).forEach(id => delete seenMessages[id]);
+      threadInfo.seenMessages = seenMessages;
+    }
     this.threads.set(fbThreadId, threadInfo);
     this.saveThreads();
     console.log(`[ThreadStore][DEBUG] lastMessageId updated`);
@@ -119,6 +139,132 @@ class ThreadStore {
     return true;
   }
 
+  /**
+   * Records the size of a thread after a run
+   * @param {string} fbThreadId - Facebook thread ID
+   * @param {number} messagesAdded - Messages added to the thread, including the assistant reply
+   * @param {number|null} promptTokens - Prompt tokens of the run (how big the thread has become)
+   * @returns {boolean} Success status
+   */
+  recordRun(fbThreadId, messagesAdded, promptTokens = null) {
+    const threadInfo = this.threads.get(fbThreadId);
+    if (!threadInfo) return false;
+
+    threadInfo.messageCount = (threadInfo.messageCount || 0) + messagesAdded;
+    if (promptTokens) threadInfo.lastPromptTokens = promptTokens;
+    this.saveThreads();
+    return true;
+  }
+
+  /**
+   * Points a Facebook thread to a fresh OpenAI thread after compaction.
+   * The superseded thread is kept in the lineage; lastMessageId does not change.
+   * @param {string} fbThreadId - Facebook thread ID
+   * @param {string} openaiThreadId - New OpenAI thread ID
+   * @param {string} summary - Rolling summary the new thread was seeded with
+   * @param {number} messageCount - Messages in the new thread
+   * @returns {Object|null} Updated thread info or null if not found
+   */
+  replaceThread(fbThreadId, openaiThreadId, summary, messageCount) {
+    const threadInfo = this.threads.get(fbThreadId);
+    if (!threadInfo) {
+      logger.warn(`Thread info not found for ${fbThreadId}, cannot replace thread`);
+      return null;
+    }
+
+    threadInfo.lineage = [...(threadInfo.lineage || []), {
+      openaiThreadId: threadInfo.openaiThreadId,
+      messageCount: threadInfo.messageCount || null,
+      promptTokens: threadInfo.lastPromptTokens || null,
+      supersededAt: Date.now()
+    }];
+    threadInfo.openaiThreadId = openaiThreadId;
+    threadInfo.summary = summary;
+    threadInfo.summaryUpdatedAt = Date.now();
+    threadInfo.messageCount = messageCount;
+    threadInfo.lastPromptTokens = 0;
+    threadInfo.lastAccessed = Date.now();
+
+    this.threads.set(fbThreadId, threadInfo);
+    this.saveThreads();
+    console.log(`[ThreadStore][DEBUG] ${fbThreadId} now uses ${openaiThreadId} (${threadInfo.lineage.length} superseded)`);
+    return threadInfo;
+  }
+
+  /**
+   * Gets the experiment variant assigned to a Facebook thread
+   * @param {string} fbThreadId - Facebook thread ID
+   * @param {string} experimentId - Experiment ID
+   * @returns {string|null} Variant key or null if not assigned yet
+   */
+  getExperimentVariant(fbThreadId, experimentId) {
+    return this.loadAssignments()[fbThreadId]?.[experimentId] || null;
+  }
+
+  /**
+   * Assigns an experiment variant to a Facebook thread. Assignments are not removed by the
+   * thread cleanup, so a chat that comes back days later keeps its variant.
+   * @param {string} fbThreadId - Facebook thread ID
+   * @param {string} experimentId - Experiment ID
+   * @param {string} variantKey - Variant key ('A' or 'B')
+   */
+  setExperimentVariant(fbThreadId, experimentId, variantKey) {
+    const assignments = this.loadAssignments();
+    assignments[fbThreadId] = { ...(assignments[fbThreadId] || {}), [experimentId]: variantKey };
+    this.saveToStorage(this.assignmentsKey, assignments);
+    console.log(`[ThreadStore][DEBUG] ${fbThreadId} assigned to variant ${variantKey} of experiment ${experimentId}`);
+  }
+
+  /**
+   * Removes the assignments of a deleted experiment
+   * @param {string} experimentId - Experiment ID
+   */
+  removeExperimentAssignments(experimentId) {
+    const assignments = this.loadAssignments();
+    Object.keys(assignments).forEach(fbThreadId => {
+      delete assignments[fbThreadId][experimentId];
+      if (!Object.keys(assignments[fbThreadId]).length) delete assignments[fbThreadId];
+    });
+    this.saveToStorage(this.assignmentsKey, assignments);
+  }
+
+  /**
+   * @returns {Object} Experiment assignments
+   * @private
+   */
+  loadAssignments() {
+    if (!this.assignments) {
+      try {
+        const stored = window.storageManager
+          ? window.storageManager.get(this.assignmentsKey)
+          : JSON.parse(localStorage.getItem(this.assignmentsKey) || 'null');
+        this.assignments = stored && typeof stored === 'object' ? stored : {};
+      } catch (error) {
+        logger.error('Error loading experiment assignments', {}, error);
+        this.assignments = {};
+      }
+    }
+    return this.assignments;
+  }
+
+  /**
+   * Saves a value with storageManager, or localStorage as fallback
+   * @param {string} key - Storage key
+   * @param {Object} value - Value to store
+   * @private
+   */
+  saveToStorage(key, value) {
+    try {
+      if (window.storageManager) {
+        window.storageManager.set(key, value);
+      } else {
+        localStorage.setItem(key, JSON.stringify(value));
+      }
+    } catch (error) {
+      logger.error(`Error saving ${key} to storage`, {}, error);
+    }
+  }
+
   /**
    * Loads threads from storage
    * @private
@@ -211,7 +357,19 @@ class ThreadStore {
   hasThread(fbThreadId) {
     return this.threads.has(fbThreadId);
   }
-  
+
+  /**
+   * Finds the Facebook thread mapped to an OpenAI thread
+   * @param {string} openaiThreadId - OpenAI thread ID
+   * @returns {string|null} Facebook thread ID or null if not found
+   */
+  findByOpenAIThreadId(openaiThreadId) {
+    for (const [fbThreadId, threadInfo] of this.threads.entries()) {
+      if (threadInfo.openaiThreadId === openaiThreadId) return fbThreadId;
+    }
+    return null;
+  }
+
   /**
    * Gets all stored thread IDs
    * @returns {string[]} Array of Facebook thread IDs
@@ -0,0 +1,282 @@
+/**
+ * Tool Registry - "The Toolbox"
+ *
+ * Responsibilities:
+ * - Keep the local functions assistants can call during a run (function tools)
+ * - Expose their definitions in the format expected by the Assistants API
+ * - Execute the tool calls of a run in "requires_action" and build the tool outputs
+ *   that ApiClient submits back through submit_tool_outputs
+ *
+ * Handlers receive the parsed arguments and a context with the chat the run belongs to:
+ * {fbThreadId, chatRole, productData}. Whatever they return is sent to the assistant as JSON.
+ */
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map(); // name -> {name, description, parameters, handler}
+  }
+
+  /**
+   * Registers a tool
+   * @param {Object} tool
+   * @param {string} tool.name - Function name seen by the assistant
+   * @param {string} tool.description - When the assistant should call it
+   * @param {Object} tool.parameters - JSON schema of the arguments
+   * @param {Function} tool.handler - async (args, context) => result
+   */
+  register(tool) {
+    if (!tool || !tool.name || typeof tool.handler !== 'function') {
+      throw new Error('A tool needs a name and a handler');
+    }
+    this.tools.set(tool.name, {
+      parameters: { type: 'object', properties: {} },
+      ...tool
+    });
+  }
+
+  /**
+   * Removes a tool
+   * @param {string} name - Tool name
+   */
+  unregister(name) {
+    this.tools.delete(name);
+  }
+
+  /**
+   * Whether tools are enabled in CONFIG.AI.tools and at least one is registered
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return window.CONFIG?.AI?.tools?.enabled !== false && this.tools.size > 0;
+  }
+
+  /**
+   * Tool definitions in the Assistants API format
+   * @returns {Array<{type: string, function: Object}>}
+   */
+  getDefinitions() {
+    return [...this.tools.values()].map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description || '',
+        parameters: tool.parameters
+      }
+    }));
+  }
+
+  /**
+   * Executes one tool call
+   * @param {Object} toolCall - {id, type, function: {name, arguments}}
+   * @param {Object} context - {fbThreadId, chatRole, productData}
+   * @returns {Promise<{tool_call_id: string, output: string}>} Tool output
+   */
+  async execute(toolCall, context = {}) {
+    const name = toolCall.function?.name;
+    const tool = this.tools.get(name);
+
+    let result;
+    if (!tool) {
+      result = { error: `Unknown tool: ${name}` };
+    } else {
+      try {
+        const args = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
+        window.logManager?.step('GENERATION', 'TOOL_CALL', `Assistant called ${name}`, args);
+        result = await tool.handler(args, context);
+      } catch (error) {
+        logger.error(`Error executing tool ${name}: ${error.message}`, {}, error);
+        result = { error: error.message };
+      }
+    }
+
+    return {
+      tool_call_id: toolCall.id,
+      output: typeof result === 'string' ? result : JSON.stringify(result ?? null)
+    };
+  }
+
+  /**
+   * Executes every tool call of a run in "requires_action"
+   * @param {Object} requiredAction - run.required_action
+   * @param {Object} context - {fbThreadId, chatRole, productData}
+   * @returns {Promise<Array<{tool_call_id: string, output: string}>>} Tool outputs
+   */
+  async handleRequiredAction(requiredAction, context = {}) {
+    const toolCalls = requiredAction?.submit_tool_outputs?.tool_calls || [];
+    console.log(`[ToolRegistry] Executing ${toolCalls.length} tool call(s): ${toolCalls.map(c => c.function?.name).join(', ')}`);
+
+    const outputs = [];
+    for (const toolCall of toolCalls) {
+      outputs.push(await this.execute(toolCall, context));
+    }
+    return outputs;
+  }
+}
+
+//===================================================================
+// BUILT-IN TOOLS
+//===================================================================
+
+/**
+ * Resolves the product a tool refers to: explicit ID, product of the chat, or product link on screen
+ * @param {Object} args - Tool arguments
+ * @param {Object} context - Tool context
+ * @returns {string|null} Product ID
+ */
+function resolveToolProductId(args, context) {
+  return args.productId ||
+    context.productData?.id ||
+    window.productExtractor?.extractProductIdFromCurrentChat() ||
+    null;
+}
+
+/**
+ * Listings marked as pending from the assistant (local marker, Facebook is not modified)
+ * @returns {Object} productId -> {chatId, note, since}
+ */
+function getPendingListings() {
+  return storageUtils.get('PENDING_LISTINGS', {});
+}
+
+/**
+ * Generates the next free meeting slots from CONFIG.AI.tools.meetingAvailability
+ * @param {number} count - Number of slots
+ * @param {number} [daysAhead] - How many days to look ahead
+ * @returns {Array<string>} Human readable slots
+ */
+function getNextMeetingSlots(count, daysAhead) {
+  const availability = window.CONFIG?.AI?.tools?.meetingAvailability || {};
+  const days = availability.days || [1, 2, 3, 4, 5, 6];
+  const [startHour, endHour] = availability.hours || [10, 19];
+  const slotMinutes = availability.slotMinutes || 60;
+  const horizon = daysAhead || availability.daysAhead || 3;
+  const minNotice = (availability.minNoticeMinutes || 120) * 60 * 1000;
+
+  const slots = [];
+  const now = Date.now();
+  for (let day = 0; day <= horizon && slots.length < count; day++) {
+    const date = new Date();
+    date.setDate(date.getDate() + day);
+    if (!days.includes(date.getDay())) continue;
+
+    for (let minutes = startHour * 60; minutes + slotMinutes <= endHour * 60 && slots.length < count; minutes += slotMinutes) {
+      date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+      if (date.getTime() - now < minNotice) continue;
+      slots.push(date.toLocaleString(undefined, {
+        weekday: 'long', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+      }));
+    }
+  }
+  return slots;
+}
+
+// Create global singleton instance
+const toolRegistry = new ToolRegistry();
+
+toolRegistry.register({
+  name: 'getProductDetails',
+  description: 'Gets up-to-date details of the listing discussed in this chat (title, price, description, location, attributes). Use it for questions about the product instead of relying on earlier messages.',
+  parameters: {
+    type: 'object',
+    properties: {
+      productId: { type: 'string', description: 'Marketplace item ID. Omit it to use the product of this chat.' }
+    }
+  },
+  handler: async (args, context) => {
+    const productId = resolveToolProductId(args, context);
+    if (!productId) return { error: 'No product found for this chat' };
+
+    const details = await window.productExtractor.getProductDetails(productId, null, true);
+    return {
+      productId,
+      summary: window.productExtractor.getRelevantProductSummary(details),
+      title: details.title,
+      price: details.price,
+      description: details.description
+    };
+  }
+});
+
+toolRegistry.register({
+  name: 'getListingStatus',
+  description: 'Tells whether the listing is still available, sold, or pending/reserved for someone. Use it when asked "is it still available?".',
+  parameters: {
+    type: 'object',
+    properties: {
+      productId: { type: 'string', description: 'Marketplace item ID. Omit it to use the product of this chat.' }
+    }
+  },
+  handler: async (args, context) => {
+    const productId = resolveToolProductId(args, context);
+    if (!productId) return { error: 'No product found for this chat' };
+
+    const details = await window.productExtractor.getProductDetails(productId, null, true);
+    const localPending = getPendingListings()[productId] || null;
+    const reservedForThisChat = !!localPending && localPending.chatId === context.fbThreadId;
+
+    // The extractor returns a stub (source ending in _failed/_poc error) when the page could not be read
+    const fetchFailed = /failed|error/.test(details.source || '');
+
+    let status = 'available';
+    if (details.isSold) status = 'sold';
+    else if (details.isPending || (localPending && !reservedForThisChat)) status = 'pending';
+    else if (fetchFailed) status = 'unknown';
+
+    window.eventCoordinator?.emit('listingStatusChecked', { chatId: context.fbThreadId || null, productId, status });
+
+    return {
+      productId,
+      status,
+      reservedForThisChat,
+      pendingNote: localPending?.note || null
+    };
+  }
+});
+
+toolRegistry.register({
+  name: 'proposeMeetingTimes',
+  description: 'Returns the next time slots when the seller is available to meet for pickup. Use it to propose concrete times.',
+  parameters: {
+    type: 'object',
+    properties: {
+      count: { type: 'integer', description: 'How many slots to propose (default 3)' },
+      daysAhead: { type: 'integer', description: 'How many days ahead to look (default from settings)' }
+    }
+  },
+  handler: async (args) => {
+    const slots = getNextMeetingSlots(Math.min(Math.max(args.count || 3, 1), 10), args.daysAhead);
+    const pickupArea = window.CONFIG?.AI?.tools?.meetingAvailability?.pickupArea || null;
+    return { slots, pickupArea };
+  }
+});
+
+toolRegistry.register({
+  name: 'markAsPending',
+  description: 'Marks the listing as pending (reserved) for the buyer of this chat once a sale or pickup is agreed. Other buyers will be told it is pending.',
+  parameters: {
+    type: 'object',
+    properties: {
+      productId: { type: 'string', description: 'Marketplace item ID. Omit it to use the product of this chat.' },
+      note: { type: 'string', description: 'Short note, e.g. agreed price and pickup time' }
+    }
+  },
+  handler: async (args, context) => {
+    const productId = resolveToolProductId(args, context);
+    if (!productId) return { error: 'No product found for this chat' };
+
+    const pending = getPendingListings();
+    pending[productId] = {
+      chatId: context.fbThreadId || null,
+      note: args.note || '',
+      since: Date.now()
+    };
+    storageUtils.set('PENDING_LISTINGS', pending);
+    window.eventCoordinator?.emit('listingMarkedPending', { chatId: context.fbThreadId || null, productId });
+
+    logger.notify(`Listing ${productId} marked as pending${args.note ? `: ${args.note}` : ''}`, 'info');
+    return { productId, status: 'pending', ok: true };
+  }
+});
+
+// Expose globally
+window.toolRegistry = toolRegistry;
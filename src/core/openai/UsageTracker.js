@@ -0,0 +1,331 @@
+/**
+ * Usage Tracker - "The Accountant"
+ *
+ * Responsibilities:
+ * - Record the token usage reported for runs and completions, and the audio minutes of transcriptions
+ * - Estimate how many input tokens went to images, from CONFIG.images.quality
+ * - Price every call with CONFIG.AI.usage.pricing
+ * - Aggregate usage per Facebook thread, per assistant, per day and per model in storage
+ * - Pause auto mode once the daily or monthly spend cap is reached
+ *
+ * ApiClient records every OpenAI call; adapters of other providers record their own.
+ * Stored under USAGE_STATS as {days: {date: bucket + models}, threads: {fbThreadId: bucket}, assistants: {id: bucket}},
+ * where a bucket is {requests, promptTokens, completionTokens, images, imageTokens, audioSeconds, cost}.
+ */
+
+class UsageTracker {
+  constructor() {
+    this.storageKey = 'USAGE_STATS';
+    this.maxDays = 120;      // Days of history kept (covers the monthly cap and the dashboard)
+    this.maxThreads = 500;   // Threads kept; the least recently used are dropped first
+    this.notifiedCap = null; // "daily:2026-10-19" once that cap has been notified
+  }
+
+  /**
+   * Whether usage is recorded (CONFIG.AI.usage.enabled)
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return window.CONFIG?.AI?.usage?.enabled !== false;
+  }
+
+  /**
+   * Records the usage of one API call
+   * @param {Object} entry
+   * @param {string} entry.kind - 'run', 'completion' or 'transcription'
+   * @param {string} entry.model - Model that served the call
+   * @param {Object} [entry.usage] - Usage as reported by the API ({prompt_tokens, completion_tokens}
+   *   or {input_tokens, output_tokens})
+   * @param {number} [entry.audioSeconds] - Transcribed audio length
+   * @param {number} [entry.images] - Image inputs sent with the call
+   * @param {string} [entry.fbThreadId] - Facebook thread the call was made for
+   * @param {string} [entry.openaiThreadId] - OpenAI thread, resolved to the Facebook thread through ThreadStore
+   * @param {string} [entry.assistantId] - Assistant that served a run
+   * @returns {Object|null} Totals of the call, or null when tracking is disabled
+   */
+  record(entry = {}) {
+    if (!this.isEnabled()) return null;
+
+    try {
+      const usage = entry.usage || {};
+      const images = entry.images || 0;
+      const call = {
+        requests: 1,
+        promptTokens: usage.prompt_tokens ?? usage.input_tokens ?? 0,
+        completionTokens: usage.completion_tokens ?? usage.output_tokens ?? 0,
+        images,
+        imageTokens: images * this.getImageTokenEstimate(),
+        audioSeconds: entry.audioSeconds || 0
+      };
+      call.cost = this.calculateCost(entry.model, call);
+
+      const model = entry.model || 'unknown';
+      const fbThreadId = entry.fbThreadId || this.resolveFbThreadId(entry.openaiThreadId);
+      const stats = this.load();
+      const day = this.getDateKey();
+
+      stats.days[day] = this.addToBucket(stats.days[day], call);
+      stats.days[day].models = stats.days[day].models || {};
+      stats.days[day].models[model] = this.addToBucket(stats.days[day].models[model], call);
+
+      if (fbThreadId) {
+        stats.threads[fbThreadId] = { ...this.addToBucket(stats.threads[fbThreadId], call), lastUsed: Date.now() };
+      }
+      if (entry.assistantId) {
+        stats.assistants[entry.assistantId] = this.addToBucket(stats.assistants[entry.assistantId], call);
+      }
+
+      this.prune(stats);
+      storageUtils.set(this.storageKey, stats);
+
+      console.log(`[UsageTracker][DEBUG] ${entry.kind || 'call'} (${model}): ${call.promptTokens} in / ${call.completionTokens} out` +
+        `${call.audioSeconds ? `, ${Math.round(call.audioSeconds)}s audio` : ''} = ${this.formatCost(call.cost)}` +
+        `${fbThreadId ? ` for thread ${fbThreadId}` : ''}`);
+      window.eventCoordinator?.emit('usageRecorded', { ...call, model, kind: entry.kind, fbThreadId });
+
+      this.enforceCaps();
+      return call;
+    } catch (error) {
+      logger.error(`Error recording usage: ${error.message}`, {}, error);
+      return null;
+    }
+  }
+
+  /**
+   * Price of a call
+   * @param {string} model - Model name
+   * @param {Object} call - {promptTokens, completionTokens, audioSeconds}
+   * @returns {number} Cost in CONFIG.AI.usage.currency
+   */
+  calculateCost(model, call) {
+    const price = this.getPrice(model);
+    if (!price) return 0;
+
+    return (call.promptTokens * (price.input || 0) +
+      call.completionTokens * (price.output || 0)) / 1000000 +
+      (call.audioSeconds / 60) * (price.perMinute || 0);
+  }
+
+  /**
+   * Pricing entry of a model. Dated names ("gpt-4o-2024-08-06") use the longest matching prefix.
+   * @param {string} model - Model name
+   * @returns {Object|null} {input, output} per 1M tokens and/or {perMinute}
+   */
+  getPrice(model) {
+    const pricing = window.CONFIG?.AI?.usage?.pricing || {};
+    if (!model) return null;
+    if (pricing[model]) return pricing[model];
+
+    const key = Object.keys(pricing)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return key ? pricing[key] : null;
+  }
+
+  /**
+   * Estimated input tokens of one image at the configured quality
+   * @returns {number}
+   */
+  getImageTokenEstimate() {
+    const quality = window.CONFIG?.images?.quality || 'high';
+    const estimates = window.CONFIG?.AI?.usage?.imageTokens || {};
+    return estimates[quality] ?? estimates.high ?? 0;
+  }
+
+  /**
+   * Summary for the dashboard
+   * @returns {Object} {currency, today, month, caps, capReached, todayByModel, topThreads, assistants}
+   */
+  getSummary() {
+    const stats = this.load();
+    const today = this.getDateKey();
+    const byCost = (a, b) => b.cost - a.cost;
+
+    return {
+      currency: this.getCurrency(),
+      today: stats.days[today] || this.addToBucket(null, null),
+      month: this.getMonthTotal(stats),
+      caps: { ...(window.CONFIG?.AI?.usage?.caps || {}) },
+      capReached: this.getCapStatus(stats).reached,
+      todayByModel: Object.entries(stats.days[today]?.models || {})
+        .map(([model, bucket]) => ({ model, ...bucket }))
+        .sort(byCost),
+      topThreads: Object.entries(stats.threads)
+        .map(([fbThreadId, bucket]) => ({ fbThreadId, ...bucket }))
+        .sort(byCost)
+        .slice(0, 5),
+      assistants: Object.entries(stats.assistants)
+        .map(([assistantId, bucket]) => ({ assistantId, ...bucket }))
+        .sort(byCost)
+    };
+  }
+
+  /**
+   * Usage of one Facebook thread
+   * @param {string} fbThreadId - Facebook thread ID
+   * @returns {Object|null} Bucket, or null if nothing was recorded
+   */
+  getThreadUsage(fbThreadId) {
+    return this.load().threads[fbThreadId] || null;
+  }
+
+  /**
+   * Compares today's and this month's spend with the caps
+   * @param {Object} [stats] - Loaded stats (read from storage if omitted)
+   * @returns {{reached: 'daily'|'monthly'|null, spent: number, cap: number}}
+   */
+  getCapStatus(stats = null) {
+    stats = stats || this.load();
+    const caps = window.CONFIG?.AI?.usage?.caps || {};
+
+    const todayCost = stats.days[this.getDateKey()]?.cost || 0;
+    if (caps.daily > 0 && todayCost >= caps.daily) {
+      return { reached: 'daily', spent: todayCost, cap: caps.daily };
+    }
+
+    const monthCost = this.getMonthTotal(stats).cost;
+    if (caps.monthly > 0 && monthCost >= caps.monthly) {
+      return { reached: 'monthly', spent: monthCost, cap: caps.monthly };
+    }
+
+    return { reached: null, spent: todayCost, cap: caps.daily || 0 };
+  }
+
+  /**
+   * Whether a spend cap has been reached
+   * @returns {boolean}
+   */
+  isCapReached() {
+    return !!this.getCapStatus().reached;
+  }
+
+  /**
+   * Pauses auto mode when a spend cap has been reached
+   * @returns {boolean} Whether a cap is reached
+   */
+  enforceCaps() {
+    const { reached, spent, cap } = this.getCapStatus();
+    if (!reached) return false;
+
+    if (window.CONFIG?.operationMode === 'auto' && window.FBChatMonitor) {
+      window.FBChatMonitor.changeOperationMode('manual');
+      logger.log(`${reached} spend cap reached (${this.formatCost(spent)} of ${this.formatCost(cap)}), auto mode paused`);
+      window.eventCoordinator?.emit('usageCapReached', { period: reached, spent, cap });
+    }
+
+    // Notify once per cap and period, even if auto mode was already off
+    const period = `${reached}:${reached === 'daily' ? this.getDateKey() : this.getDateKey().slice(0, 7)}`;
+    if (this.notifiedCap !== period) {
+      this.notifiedCap = period;
+      logger.notify(`The ${reached} spend cap (${this.formatCost(cap)}) has been reached. Auto mode is paused until the cap is raised or the ${reached === 'daily' ? 'day' : 'month'} ends.`, 'warning');
+    }
+    return true;
+  }
+
+  /**
+   * Formats an amount with the configured currency
+   * @param {number} amount
+   * @returns {string}
+   */
+  formatCost(amount) {
+    const value = amount || 0;
+    // Small calls cost fractions of a cent; show enough decimals to see them
+    return `${value < 1 ? value.toFixed(4) : value.toFixed(2)} ${this.getCurrency()}`;
+  }
+
+  /**
+   * @returns {string} Currency of the pricing table
+   */
+  getCurrency() {
+    return window.CONFIG?.AI?.usage?.currency || 'USD';
+  }
+
+  /**
+   * Sum of the current month
+   * @param {Object} stats - Loaded stats
+   * @returns {Object} Bucket
+   * @private
+   */
+  getMonthTotal(stats) {
+    const month = this.getDateKey().slice(0, 7);
+    return Object.entries(stats.days)
+      .filter(([day]) => day.startsWith(month))
+      .reduce((total, [, bucket]) => this.addToBucket(total, bucket, false), this.addToBucket(null, null));
+  }
+
+  /**
+   * Adds a call (or another bucket) to a bucket
+   * @param {Object|null} bucket - Existing bucket
+   * @param {Object|null} call - Values to add
+   * @param {boolean} [copy=true] - Whether to return a new object
+   * @returns {Object} Bucket
+   * @private
+   */
+  addToBucket(bucket, call, copy = true) {
+    const target = copy ? { ...(bucket || {}) } : bucket;
+    ['requests', 'promptTokens', 'completionTokens', 'images', 'imageTokens', 'audioSeconds', 'cost'].forEach(field => {
+      target[field] = (target[field] || 0) + (call?.[field] || 0);
+    });
+    return target;
+  }
+
+  /**
+   * Finds the Facebook thread of an OpenAI thread
+   * @param {string} openaiThreadId - OpenAI thread ID
+   * @returns {string|null} Facebook thread ID
+   * @private
+   */
+  resolveFbThreadId(openaiThreadId) {
+    if (!openaiThreadId || !window.threadStore) return null;
+    return window.threadStore.findByOpenAIThreadId(openaiThreadId);
+  }
+
+  /**
+   * Drops old days and the least recently used threads
+   * @param {Object} stats - Loaded stats (modified in place)
+   * @private
+   */
+  prune(stats) {
+    const days = Object.keys(stats.days).sort();
+    days.slice(0, Math.max(days.length - this.maxDays, 0)).forEach(day => delete stats.days[day]);
+
+    const threads = Object.entries(stats.threads);
+    if (threads.length > this.maxThreads) {
+      threads
+        .sort((a, b) => (a[1].lastUsed || 0) - (b[1].lastUsed || 0))
+        .slice(0, threads.length - this.maxThreads)
+        .forEach(([fbThreadId]) => delete stats.threads[fbThreadId]);
+    }
+  }
+
+  /**
+   * Reads the stats from storage
+   * @returns {Object} {days, threads, assistants}
+   * @private
+   */
+  load() {
+    const stored = storageUtils.get(this.storageKey, null);
+    return {
+      days: stored?.days || {},
+      threads: stored?.threads || {},
+      assistants: stored?.assistants || {}
+    };
+  }
+
+  /**
+   * Local date as YYYY-MM-DD
+   * @param {Date} [date]
+   * @returns {string}
+   * @private
+   */
+  getDateKey(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+// Create global singleton instance
+const usageTracker = new UsageTracker();
+
+// Expose globally
+window.usageTracker = usageTracker;
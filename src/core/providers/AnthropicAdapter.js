@@ -0,0 +1,109 @@
+/**
+ * Anthropic Adapter
+ *
+ * Responsibilities:
+ * - Translate preprocessed messages into the Anthropic Messages format
+ * - Move the system prompt to the top-level "system" field
+ * - Merge consecutive turns of the same role (the API expects alternating roles, starting with user)
+ * - Normalize the reply text from the content blocks
+ */
+
+class AnthropicAdapter extends ProviderAdapter {
+  constructor() {
+    super('anthropic', 'Anthropic');
+  }
+
+  isConfigured() {
+    return !!this.getSettings().apiKey;
+  }
+
+  /**
+   * Translates an OpenAI image part URL into an Anthropic image block
+   * @param {string} url - Image URL or data URL
+   * @returns {Object|null} Image block
+   * @private
+   */
+  toImageBlock(url) {
+    const dataUrlMatch = /^data:([^;]+);base64,(.+)$/.exec(url);
+    if (dataUrlMatch) {
+      return { type: 'image', source: { type: 'base64', media_type: dataUrlMatch[1], data: dataUrlMatch[2] } };
+    }
+    if (/^https?:\/\//.test(url)) {
+      return { type: 'image', source: { type: 'url', url } };
+    }
+    return null;
+  }
+
+  translateMessages(messages) {
+    const translated = [];
+
+    for (const message of messages) {
+      const role = message.role === 'assistant' ? 'assistant' : 'user';
+      const blocks = [];
+
+      const text = ProviderAdapter.getText(message);
+      if (text) blocks.push({ type: 'text', text });
+
+      // Anthropic only accepts images in user turns
+      if (role === 'user') {
+        ProviderAdapter.getImageUrls(message)
+          .map(url => this.toImageBlock(url))
+          .filter(Boolean)
+          .forEach(block => blocks.push(block));
+      }
+
+      if (!blocks.length) continue;
+
+      const previous = translated[translated.length - 1];
+      if (previous && previous.role === role) {
+        previous.content.push(...blocks);
+      } else {
+        translated.push({ role, content: blocks });
+      }
+    }
+
+    if (translated.length && translated[0].role !== 'user') {
+      translated.unshift({ role: 'user', content: [{ type: 'text', text: '(Conversation so far)' }] });
+    }
+
+    return translated;
+  }
+
+  normalizeResponse(response) {
+    return (response?.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join(' ')
+      .trim();
+  }
+
+  async generate({ systemPrompt, messages, options = {} }) {
+    const settings = this.getSettings();
+    if (!settings.apiKey) throw new Error('Anthropic API key not set');
+
+    const baseUrl = (settings.baseUrl || 'https://api.anthropic.com/v1').replace(/\/+$/, '');
+    const body = {
+      model: settings.model || 'claude-3-5-sonnet-latest',
+      max_tokens: options.maxTokens || 1024,
+      messages: this.translateMessages(messages)
+    };
+    if (systemPrompt) body.system = systemPrompt;
+    if (typeof options.temperature === 'number') body.temperature = Math.min(options.temperature, 1);
+
+    console.log(`[AnthropicAdapter] Sending ${body.messages.length} messages (model: ${body.model})`);
+    const response = await this.postJson(`${baseUrl}/messages`, {
+      'x-api-key': settings.apiKey,
+      'anthropic-version': settings.version || '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    }, body, settings.transport || 'gm', options.signal);
+
+    const usage = response.usage
+      ? { prompt_tokens: response.usage.input_tokens, completion_tokens: response.usage.output_tokens }
+      : null;
+    this.recordUsage(response.model || body.model, usage, messages, options.usageContext);
+
+    return { text: this.normalizeResponse(response), usage };
+  }
+}
+
+providerRegistry.register(new AnthropicAdapter());
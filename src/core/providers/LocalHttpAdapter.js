@@ -0,0 +1,77 @@
+/**
+ * Local HTTP Adapter
+ *
+ * Responsibilities:
+ * - Talk to a generic local HTTP service that takes and returns plain JSON
+ * - Send a simple, provider-neutral body:
+ *   {model, system, messages: [{role, text, images: [url]}], max_tokens, temperature}
+ * - Read the reply from a configurable field of the response (CONFIG.AI.providers['local-http'].responsePath)
+ */
+
+class LocalHttpAdapter extends ProviderAdapter {
+  constructor() {
+    super('local-http', 'Local HTTP (JSON)');
+    // Tried in order when no responsePath is configured or it does not match
+    this.fallbackPaths = ['reply', 'text', 'response', 'output', 'content', 'message.content', 'choices.0.message.content'];
+  }
+
+  isConfigured() {
+    return !!this.getSettings().url;
+  }
+
+  translateMessages(messages) {
+    return messages
+      .map(message => ({
+        role: message.role === 'assistant' ? 'assistant' : 'user',
+        text: ProviderAdapter.getText(message),
+        images: ProviderAdapter.getImageUrls(message)
+      }))
+      .filter(message => message.text || message.images.length);
+  }
+
+  /**
+   * Reads a dot path ("choices.0.message.content") from an object
+   * @param {Object} obj
+   * @param {string} path
+   * @returns {*}
+   * @private
+   */
+  readPath(obj, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+  }
+
+  normalizeResponse(response) {
+    if (typeof response === 'string') return response.trim();
+
+    const paths = [this.getSettings().responsePath, ...this.fallbackPaths].filter(Boolean);
+    for (const path of paths) {
+      const value = this.readPath(response, path);
+      if (typeof value === 'string' && value.trim()) return value.trim();
+    }
+    return '';
+  }
+
+  async generate({ systemPrompt, messages, options = {} }) {
+    const settings = this.getSettings();
+    if (!settings.url) throw new Error('Local HTTP provider URL not set');
+
+    const headers = settings.apiKey ? { 'Authorization': `Bearer ${settings.apiKey}` } : {};
+    const body = {
+      model: settings.model || undefined,
+      system: systemPrompt || '',
+      messages: this.translateMessages(messages),
+      max_tokens: options.maxTokens,
+      temperature: options.temperature
+    };
+
+    console.log(`[LocalHttpAdapter] Sending ${body.messages.length} messages to ${settings.url}`);
+    const response = await this.postJson(settings.url, headers, body, settings.transport || 'gm', options.signal);
+
+    const usage = response?.usage || null;
+    this.recordUsage(response?.model || settings.model || 'local', usage, messages, options.usageContext);
+
+    return { text: this.normalizeResponse(response), usage };
+  }
+}
+
+providerRegistry.register(new LocalHttpAdapter());
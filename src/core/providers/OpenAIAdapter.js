@@ -0,0 +1,50 @@
+/**
+ * OpenAI Adapter
+ *
+ * Responsibilities:
+ * - Send preprocessed messages to /chat/completions through ApiClient
+ * - Follow the active endpoint profile (OpenAI or any OpenAI-compatible server)
+ * - Stream the reply when the caller passes onDelta and the profile uses fetch
+ *
+ * The Assistants API flow (threads and runs) stays in AssistantHandler and is only
+ * available with this provider.
+ */
+
+class OpenAIAdapter extends ProviderAdapter {
+  constructor() {
+    super('openai', 'OpenAI');
+  }
+
+  isConfigured() {
+    const profile = window.CONFIG?.getActiveEndpointProfile?.();
+    return !!window.apiClient && (!!profile?.apiKey || profile?.authScheme === 'none');
+  }
+
+  translateMessages(messages) {
+    // MessagePreprocessor already produces this format
+    return messages;
+  }
+
+  normalizeResponse(response) {
+    const content = response?.choices?.[0]?.message?.content;
+    if (Array.isArray(content)) {
+      return content.filter(part => part.type === 'text').map(part => part.text).join(' ').trim();
+    }
+    return (content || '').trim();
+  }
+
+  async generate({ systemPrompt, messages, options = {} }) {
+    const payload = [
+      ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+      ...this.translateMessages(messages)
+    ];
+
+    const { onDelta, signal, ...completionOptions } = options;
+    const result = onDelta && window.apiClient.canStream()
+      ? await window.apiClient.createChatCompletionStream(payload, completionOptions, onDelta, signal)
+      : await window.apiClient.createChatCompletion(payload, { ...completionOptions, signal });
+    return { text: result.text, usage: result.usage };
+  }
+}
+
+providerRegistry.register(new OpenAIAdapter());
@@ -0,0 +1,207 @@
+/**
+ * Provider Adapter - "The Translator"
+ *
+ * Responsibilities:
+ * - Define the interface every AI provider adapter implements
+ * - Keep a registry of adapters, selected through CONFIG.AI.provider
+ * - Share helpers to read the preprocessed (OpenAI-style) content parts
+ *
+ * MessagePreprocessor always produces messages as
+ * {role: 'user'|'assistant', content: [{type: 'text', text}, {type: 'image_url', image_url: {url}}]},
+ * including the "PRODUCT DETAILS" block. Each adapter translates that into its own wire
+ * format and normalizes the reply back into plain text.
+ */
+
+class ProviderAdapter {
+  /**
+   * @param {string} name - Provider name as used in CONFIG.AI.provider
+   * @param {string} label - Human readable name for the UI
+   */
+  constructor(name, label) {
+    this.name = name;
+    this.label = label;
+  }
+
+  /**
+   * Provider settings from CONFIG.AI.providers[name]
+   * @returns {Object}
+   */
+  getSettings() {
+    return window.CONFIG?.AI?.providers?.[this.name] || {};
+  }
+
+  /**
+   * Whether the adapter has what it needs to send requests
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Translates preprocessed messages into the provider request format
+   * @param {Array} messages - Messages in OpenAI content-part format
+   * @returns {Array} Provider messages
+   */
+  translateMessages(messages) {
+    throw new Error(`translateMessages not implemented for provider ${this.name}`);
+  }
+
+  /**
+   * Extracts the reply text from a raw provider response
+   * @param {Object} response - Parsed JSON response
+   * @returns {string} Reply text
+   */
+  normalizeResponse(response) {
+    throw new Error(`normalizeResponse not implemented for provider ${this.name}`);
+  }
+
+  /**
+   * Generates a reply
+   * @param {Object} request
+   * @param {string} request.systemPrompt - System prompt (role instructions)
+   * @param {Array} request.messages - Messages in OpenAI content-part format
+   * @param {Object} [request.options] - {model, maxTokens, temperature, onDelta, signal, usageContext}.
+   *   Adapters that cannot stream ignore onDelta and return the whole reply at once.
+   *   usageContext ({fbThreadId}) is passed to UsageTracker with the usage of the request.
+   * @returns {Promise<{text: string, usage: Object|null}>}
+   */
+  async generate(request) {
+    throw new Error(`generate not implemented for provider ${this.name}`);
+  }
+
+  /**
+   * Posts JSON through the shared HTTP layer of ApiClient and parses the answer
+   * @param {string} url - Absolute URL
+   * @param {Object} headers - Request headers
+   * @param {Object} body - JSON body
+   * @param {string} [transport='gm'] - 'gm' or 'fetch'
+   * @param {AbortSignal} [signal] - Aborts the request
+   * @returns {Promise<Object|string>} Parsed response (raw text if it is not JSON)
+   * @protected
+   */
+  async postJson(url, headers, body, transport = 'gm', signal = null) {
+    const response = await window.apiClient.sendHttp(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      transport,
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => response.statusText);
+      throw new Error(`API Error (${response.status}) from ${this.label}: ${errorText}`);
+    }
+
+    // Some local services answer with plain text instead of JSON
+    const responseText = await response.text();
+    try {
+      return JSON.parse(responseText);
+    } catch {
+      return responseText;
+    }
+  }
+
+  /**
+   * Reports the usage of a request to UsageTracker (the OpenAI adapter leaves this to ApiClient)
+   * @param {string} model - Model that served the request
+   * @param {Object|null} usage - {prompt_tokens, completion_tokens}
+   * @param {Array} messages - Messages in OpenAI content-part format (images are counted)
+   * @param {Object} [usageContext] - {fbThreadId}
+   * @protected
+   */
+  recordUsage(model, usage, messages, usageContext = {}) {
+    if (!window.usageTracker) return;
+    window.usageTracker.record({
+      kind: 'completion',
+      model,
+      usage,
+      images: messages.reduce((count, message) => count + ProviderAdapter.getImageUrls(message).length, 0),
+      ...usageContext
+    });
+  }
+
+  /**
+   * Joins the text parts of a preprocessed message
+   * @param {Object} message - Message in OpenAI content-part format
+   * @returns {string}
+   */
+  static getText(message) {
+    if (typeof message.content === 'string') return message.content;
+    return (message.content || [])
+      .filter(part => part.type === 'text' && part.text)
+      .map(part => part.text)
+      .join('\n');
+  }
+
+  /**
+   * Lists the image URLs of a preprocessed message
+   * @param {Object} message - Message in OpenAI content-part format
+   * @returns {Array<string>}
+   */
+  static getImageUrls(message) {
+    if (!Array.isArray(message.content)) return [];
+    return message.content
+      .filter(part => part.type === 'image_url' && part.image_url?.url)
+      .map(part => part.image_url.url);
+  }
+}
+
+/**
+ * Registry of provider adapters
+ */
+class ProviderRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Registers an adapter under its name
+   * @param {ProviderAdapter} adapter
+   */
+  register(adapter) {
+    this.adapters.set(adapter.name, adapter);
+  }
+
+  /**
+   * Gets an adapter by name
+   * @param {string} name
+   * @returns {ProviderAdapter|null}
+   */
+  get(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  /**
+   * Name of the provider selected in CONFIG.AI.provider (falls back to 'openai')
+   * @returns {string}
+   */
+  getActiveName() {
+    const name = window.CONFIG?.AI?.provider || 'openai';
+    return this.adapters.has(name) ? name : 'openai';
+  }
+
+  /**
+   * Adapter selected in CONFIG.AI.provider
+   * @returns {ProviderAdapter}
+   */
+  getActive() {
+    return this.get(this.getActiveName());
+  }
+
+  /**
+   * Lists the registered providers for the UI
+   * @returns {Array<{name: string, label: string}>}
+   */
+  list() {
+    return [...this.adapters.values()].map(adapter => ({ name: adapter.name, label: adapter.label }));
+  }
+}
+
+// Create global singleton instance
+const providerRegistry = new ProviderRegistry();
+
+// Expose globally
+window.ProviderAdapter = ProviderAdapter;
+window.providerRegistry = providerRegistry;
@@ -19,6 +19,7 @@ class OpenAIManager {
     this.threadStore = window.threadStore || null;
     this.messagePreprocessor = window.messagePreprocessor || null;
     this.assistantHandler = window.assistantHandler || null;
+    this.completionHandler = window.completionHandler || null;
   }
 
   initialize(apiKey = null) {
@@ -30,11 +31,15 @@ class OpenAIManager {
         CONFIG.audioTranscription.apiKey = apiKey;
       }
     }
-    this.model = "gpt-4o";
-    CONFIG.AI.model = "gpt-4o";
+    // The model must be one served by the active endpoint profile
+    const profile = CONFIG.getActiveEndpointProfile();
+    this.model = profile.models.includes(CONFIG.AI.model) ? CONFIG.AI.model : (profile.models[0] || "gpt-4o");
+    CONFIG.AI.model = this.model;
     // Initialize only the core components
     if (window.apiClient && typeof window.apiClient.setApiKey === 'function') {
-      window.apiClient.setApiKey(this.apiKey);
+      if (this.apiKey) window.apiClient.setApiKey(this.apiKey);
+      window.apiClient.applyEndpointProfile();
+      window.apiClient.model = this.model;
       this.apiClient = window.apiClient;
     } else if (window.OpenAIApiClient) {
       this.apiClient = new window.OpenAIApiClient(this.apiKey);
@@ -43,7 +48,8 @@ class OpenAIManager {
     if (window.threadStore) this.threadStore = window.threadStore;
     if (window.messagePreprocessor) this.messagePreprocessor = window.messagePreprocessor;
     if (window.assistantHandler) this.assistantHandler = window.assistantHandler;
-    this.isInitialized = !!this.apiKey;
+    if (window.completionHandler) this.completionHandler = window.completionHandler;
+    this.isInitialized = !!this.apiKey || !this.requiresApiKey();
     console.log(`OpenAI Manager initialized: ${this.isInitialized ? 'SUCCESS' : 'FAILED - No API Key'}`);
     return this.isInitialized;
   }
@@ -69,17 +75,29 @@ class OpenAIManager {
     return valid;
   }
 
+  /**
+   * Whether the active endpoint profile needs an API key (local servers usually do not)
+   * @returns {boolean}
+   */
+  requiresApiKey() {
+    return CONFIG.getActiveEndpointProfile().authScheme !== 'none';
+  }
+
   isReady() {
-    return !!this.apiKey && !!this.apiClient && !!this.threadStore && !!this.messagePreprocessor && !!this.assistantHandler;
+    if (this.getProviderName() !== 'openai') {
+      const adapter = window.providerRegistry.getActive();
+      return adapter.isConfigured() && !!this.messagePreprocessor && !!this.completionHandler;
+    }
+    return (!!this.apiKey || !this.requiresApiKey()) && !!this.apiClient && !!this.threadStore && !!this.messagePreprocessor && !!this.assistantHandler;
   }
 
   async validateApiKey() {
-    if (!this.apiKey) return false;
+    if (!this.apiKey && this.requiresApiKey()) return false;
     if (this.apiClient && typeof this.apiClient.validateApiKey === 'function') {
       return await this.apiClient.validateApiKey();
     }
     try {
-      const response = await fetch('https://api.openai.com/v1/models', {
+      const response = await fetch(`${CONFIG.getActiveEndpointProfile().baseUrl}/models`, {
         method: 'GET',
         headers: {
           'Authorization': `Bearer ${this.apiKey}`,
@@ -103,11 +121,55 @@ class OpenAIManager {
   // --- Public API delegating to core modules ---
 
   /**
-   * Orchestrates response generation using AssistantHandler
-   * @param {Object} context {chatId, messages, role, productDetails, forceNewGeneration}
+   * Whether replies should go through the Assistants API (threads + runs)
+   * or the stateless Chat Completions endpoint
+   * @returns {boolean}
+   */
+  usesAssistantAPI() {
+    // Threads and runs only exist on OpenAI
+    return CONFIG.AI?.useAssistantAPI !== false && this.getProviderName() === 'openai';
+  }
+
+  /**
+   * Name of the active provider (CONFIG.AI.provider)
+   * @returns {string}
+   */
+  getProviderName() {
+    return window.providerRegistry ? window.providerRegistry.getActiveName() : 'openai';
+  }
+
+  /**
+   * Human readable name of the active provider, for UI messages
+   * @returns {string}
+   */
+  getProviderLabel() {
+    const adapter = window.providerRegistry?.getActive();
+    if (!adapter) return 'OpenAI';
+    return this.usesAssistantAPI() ? `${adapter.label} Assistant` : adapter.label;
+  }
+
+  /**
+   * Generates a reply as plain text (see generateReply for the structured envelope)
+   * @param {Object} context {chatId, messages, role, productDetails, forceNewGeneration, onDelta, signal}
    * @returns {Promise<string>}
    */
   async generateResponse(context) {
+    const envelope = await this.generateReply(context);
+    return envelope.reply;
+  }
+
+  /**
+   * Orchestrates response generation using AssistantHandler,
+   * or CompletionHandler when CONFIG.AI.useAssistantAPI is false or the provider is not OpenAI.
+   * When CONFIG.AI.structuredReplies is enabled the model answers with a JSON envelope (see ReplyEnvelope);
+   * otherwise the plain-text reply is wrapped in an unstructured envelope.
+   * @param {Object} context {chatId, messages, role, productDetails, forceNewGeneration}
+   *   Optional streaming: onDelta(deltaText, fullText) is called while the reply is generated
+   *   and signal (AbortSignal) cancels it
+   * @returns {Promise<{reply: string, intent: string|null, confidence: number|null, offerAmount: number|null,
+   *   needsHuman: boolean, actions: Array<string>, structured: boolean}>}
+   */
+  async generateReply(context) {
     if (!this.isReady()) throw new Error('OpenAI API not ready');
     if (window.ensureAssistantsLoaded) {
       window.ensureAssistantsLoaded();
@@ -145,17 +207,101 @@ class OpenAIManager {
       ...context,
       messages: messagesArray
     });
-    console.log('[OpenAIManager] Step 3.2: Calling assistantHandler.generateResponse...');
+
+    // Structured replies: ask for the JSON envelope and only stream its "reply" field
+    const envelope = window.replyEnvelope;
+    const structured = !!envelope && envelope.isEnabled();
+    let onDelta = typeof context.onDelta === 'function' ? context.onDelta : null;
+    // The provider only sees placeholders for personal data; the streamed text gets the real values back
+    if (onDelta && window.piiRedactor) {
+      const streamTo = onDelta;
+      let streamed = '';
+      onDelta = (delta, fullText) => {
+        const text = window.piiRedactor.rehydrate(fullText, context.chatId);
+        const rehydratedDelta = text.startsWith(streamed) ? text.slice(streamed.length) : text;
+        streamed = text;
+        streamTo(rehydratedDelta, text);
+      };
+    }
+    if (onDelta && structured) {
+      onDelta = envelope.wrapStreamCallback(onDelta);
+    }
+
+    // A/B experiment of the role: the variant of this thread picks the assistant or instructions
+    const experimentVariant = window.experimentManager
+      ? window.experimentManager.resolve(context.chatId, context.role)
+      : null;
+    if (experimentVariant) {
+      console.log(`[OpenAIManager] Experiment ${experimentVariant.experimentId}: thread ${context.chatId} uses variant ${experimentVariant.variant}`);
+    }
+
+    // Templated additional instructions go with every run; CompletionHandler adds them to its system prompt
+    const templatedInstructions = this.usesAssistantAPI() && window.promptTemplates
+      ? window.promptTemplates.renderAdditionalInstructions(context.role, context.productDetails)
+      : null;
+    // Knowledge snippets when the assistant cannot search the documents itself (CompletionHandler adds its own)
+    const runAssistantId = experimentVariant?.assistantId || this.getAssistantIdForRole(context.role);
+    const knowledgeContext = this.usesAssistantAPI() && window.knowledgeBase &&
+      !window.knowledgeBase.usesFileSearch(runAssistantId)
+      ? window.knowledgeBase.buildContext(messagesArray)
+      : null;
+    // Reply in the language detected for the chat
+    const languageInstruction = window.languageManager?.getReplyInstruction(context.chatId);
+    const additionalInstructions = [templatedInstructions, knowledgeContext, languageInstruction,
+      structured ? envelope.getInstructions() : null]
+      .filter(Boolean)
+      .join('\n\n');
 
     // Update the context with the processed array and the regeneration flag
     const contextToSend = {
       ...context,
       messages: messagesArray,
       options: {
-        forceNewGeneration: isRegenerationRequest
+        forceNewGeneration: isRegenerationRequest,
+        onDelta,
+        signal: context.signal || null,
+        additionalInstructions: additionalInstructions || null,
+        experimentVariant
+      }
+    };
+
+    // Plain text from either handler, turned into an envelope at the end
+    const toEnvelope = (text) => {
+      const result = !envelope
+        ? { reply: text || '', structured: false }
+        : (structured ? envelope.parse(text) : envelope.fromText(text));
+      if (window.piiRedactor) {
+        result.reply = window.piiRedactor.rehydrate(result.reply, contextToSend.chatId);
       }
+      if (window.eventCoordinator && result.reply) {
+        window.eventCoordinator.emit('replyGenerated', {
+          chatId: contextToSend.chatId,
+          role: contextToSend.role,
+          messages: messagesArray,
+          productDetails: contextToSend.productDetails,
+          envelope: result,
+          experiment: experimentVariant
+        });
+      }
+      return result;
     };
 
+    // Stateless mode: no threads, no runs, no ThreadStore bookkeeping
+    if (!this.usesAssistantAPI()) {
+      if (!this.completionHandler) throw new Error('CompletionHandler not initialized');
+      console.log(`[OpenAIManager] Step 3.2: Calling completionHandler.generateResponse (provider: ${this.getProviderName()})...`);
+      const completion = await this.completionHandler.generateResponse(
+        contextToSend.chatId,
+        messagesArray,
+        contextToSend.role,
+        contextToSend.productDetails,
+        contextToSend.options
+      );
+      console.log('[OpenAIManager] Step 3.3: completionHandler.generateResponse completed. Response:', completion);
+      return toEnvelope(completion);
+    }
+
+    console.log('[OpenAIManager] Step 3.2: Calling assistantHandler.generateResponse...');
     const result = await this.assistantHandler.generateResponse(
       contextToSend.chatId,
       messagesArray,
@@ -165,7 +311,44 @@ class OpenAIManager {
     );
 
     console.log('[OpenAIManager] Step 3.3: assistantHandler.generateResponse completed. Response:', result);
-    return result;
+    return toEnvelope(result);
+  }
+
+  /**
+   * Generates several draft replies (one per configured style) for the draft picker.
+   * Always uses the stateless CompletionHandler, also in Assistants mode: the drafts the
+   * user discards must not end up in the OpenAI thread.
+   * @param {Object} context {chatId, messages, role, productDetails}
+   * @param {Array} [styles] - Styles to generate (defaults to CONFIG.AI.draftVariants.styles)
+   * @returns {Promise<Array<{style: string, label: string, text: string}>>}
+   */
+  async generateVariants(context, styles = null) {
+    if (!this.isReady()) throw new Error('OpenAI API not ready');
+    if (!this.completionHandler) throw new Error('CompletionHandler not initialized');
+    if (!context || typeof context !== 'object') {
+      throw new Error('Invalid context object provided');
+    }
+
+    const messagesArray = Array.isArray(context.messages)
+      ? context.messages
+      : context.messages?.messages;
+    if (!Array.isArray(messagesArray)) {
+      throw new Error('Invalid message format in context');
+    }
+
+    const variantStyles = styles || window.CONFIG?.AI?.draftVariants?.styles || [];
+    console.log(`[OpenAIManager] Generating ${variantStyles.length} draft variants (provider: ${this.getProviderName()})...`);
+
+    const variants = await this.completionHandler.generateVariants(
+      context.chatId,
+      messagesArray,
+      context.role,
+      context.productDetails,
+      variantStyles
+    );
+    return window.piiRedactor
+      ? variants.map(variant => ({ ...variant, text: window.piiRedactor.rehydrate(variant.text, context.chatId) }))
+      : variants;
   }
 
   /**
@@ -324,6 +507,8 @@ class OpenAIManager {
       const assistants = window.CONFIG?.AI?.assistants || this.config.assistants;
       window.storageUtils.set('FB_CHAT_ASSISTANTS', assistants);
     }
+    // The new assistant gets the knowledge vector store
+    window.knowledgeBase?.scheduleSync();
     return true;
   }
 }
@@ -448,9 +448,10 @@ function fetchProductWithGM(productId, url) {
  * Gets details of a product by its ID. This is the main public function.
  * @param {string} productId - Product ID
  * @param {string} [url] - Optional product URL
+ * @param {boolean} [forceRefresh=false] - Skip the cache and read the listing again (live status)
  * @returns {Promise<Object>} Product details
  */
-async function getProductDetails(productId, url = null) {
+async function getProductDetails(productId, url = null, forceRefresh = false) {
   if (!productId) {
     console.error('[ProductExtractorPOC] Product ID is required for getProductDetails.');
     throw new Error('Product ID is required');
@@ -459,7 +460,7 @@ async function getProductDetails(productId, url = null) {
   if (!url) url = `https://www.facebook.com/marketplace/item/${productId}/`;
   // console.log(`[ProductExtractorPOC] Fetching product details for ID: ${productId} from URL: ${url}`);
 
-  if (productCache[productId]) {
+  if (productCache[productId] && !forceRefresh) {
     // console.log(`[ProductExtractorPOC] Product ${productId} found in cache. Returning cached version.`);
     return productCache[productId];
   }
@@ -476,7 +477,8 @@ async function getProductDetails(productId, url = null) {
         productId: productId, id: productId, title: 'Get Details Failed (POC)',
         url: url, extractedFrom: 'error-poc-fetch'
     });
-    productCache[productId] = failureDetails;
+    // A failed refresh must not replace good cached details
+    if (!forceRefresh || !productCache[productId]) productCache[productId] = failureDetails;
     return failureDetails; 
   }
 }
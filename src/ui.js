@@ -8,7 +8,10 @@ const uiState = {
   floatingButton: null,
   controlPanel: null,
   statusIndicator: null,
-  floatingResponseButton: null // New: Reference to the floating response generation button
+  floatingResponseButton: null, // New: Reference to the floating response generation button
+  draftPicker: null, // Draft variants picker shown over the chat
+  draftPickerKeyHandler: null,
+  replyTranslation: null // Translation of the generated reply into the user's language
 };
 
 /**
@@ -271,7 +274,8 @@ function createStyles() {
         }
 
         .fb-chat-monitor-form-group input,
-        .fb-chat-monitor-form-group select {
+        .fb-chat-monitor-form-group select,
+        .fb-chat-monitor-form-group textarea {
           width: 100%;
           padding: 8px;
           border: 1px solid #ddd;
@@ -279,6 +283,24 @@ function createStyles() {
           font-size: 14px;
         }
 
+        .fb-chat-monitor-form-group textarea {
+          font-family: inherit;
+          resize: vertical;
+        }
+
+        .fb-chat-monitor-prompt-preview {
+          display: none;
+          margin-top: 10px;
+          padding: 8px;
+          max-height: 260px;
+          overflow: auto;
+          white-space: pre-wrap;
+          font-size: 12px;
+          background: #f7f7f7;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+        }
+
         .fb-chat-monitor-radio-group {
           margin: 10px 0;
         }
@@ -405,6 +427,32 @@ function createStyles() {
           border-bottom: 1px solid #eee;
         }
 
+        .fb-chat-monitor-experiment {
+          margin-top: 10px;
+          padding: 8px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+          font-size: 12px;
+        }
+
+        .fb-chat-monitor-experiment table {
+          width: 100%;
+          border-collapse: collapse;
+          margin: 6px 0;
+        }
+
+        .fb-chat-monitor-experiment th,
+        .fb-chat-monitor-experiment td {
+          padding: 4px;
+          text-align: right;
+          border-bottom: 1px solid #eee;
+        }
+
+        .fb-chat-monitor-experiment th:first-child,
+        .fb-chat-monitor-experiment td:first-child {
+          text-align: left;
+        }
+
         .fb-chat-monitor-history-container tr:hover {
           background-color: #f9f9f9;
           cursor: pointer;
@@ -497,6 +545,99 @@ function createStyles() {
         .fb-chat-monitor-badge-buyer {
           background-color: #2196F3;
         }
+
+        .fb-chat-monitor-badge-draft {
+          background-color: #9c27b0;
+        }
+
+        .fb-chat-monitor-badge-intent {
+          background-color: #607d8b;
+        }
+
+        .fb-chat-monitor-badge-blocked {
+          background-color: #dc3545;
+        }
+
+        .fb-chat-monitor-draft-picker {
+          position: fixed;
+          right: 20px;
+          z-index: 9999;
+          width: 340px;
+          max-height: 60vh;
+          overflow-y: auto;
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 4px 16px rgba(0,0,0,0.25);
+          padding: 10px;
+          font-size: 13px;
+        }
+
+        .fb-chat-monitor-draft-picker-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          font-weight: bold;
+          margin-bottom: 8px;
+        }
+
+        .fb-chat-monitor-draft-picker-close {
+          border: none;
+          background: none;
+          cursor: pointer;
+          font-size: 14px;
+          color: #666;
+        }
+
+        .fb-chat-monitor-draft-card {
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          padding: 8px;
+          margin-bottom: 8px;
+          cursor: pointer;
+        }
+
+        .fb-chat-monitor-draft-card:hover {
+          border-color: #1877f2;
+          background-color: rgba(24, 119, 242, 0.05);
+        }
+
+        .fb-chat-monitor-draft-card-label {
+          font-size: 11px;
+          font-weight: bold;
+          color: #1877f2;
+          text-transform: uppercase;
+          margin-bottom: 4px;
+        }
+
+        .fb-chat-monitor-draft-card-text {
+          white-space: pre-wrap;
+          color: #333;
+        }
+
+        .fb-chat-monitor-draft-card-translation,
+        .fb-chat-monitor-translation {
+          white-space: pre-wrap;
+          font-size: 12px;
+          font-style: italic;
+          color: #65676b;
+          margin-top: 4px;
+        }
+
+        .fb-chat-monitor-translation {
+          padding: 0 12px 4px 48px;
+        }
+
+        .fb-chat-monitor-reply-translation {
+          position: fixed;
+          right: 20px;
+          z-index: 9999;
+          width: 340px;
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 4px 16px rgba(0,0,0,0.25);
+          padding: 10px;
+          font-size: 13px;
+        }
       `;
 
   domUtils.injectStyles(styles);
@@ -619,7 +760,8 @@ function createControlPanel() {
     { id: 'assistants', label: 'Assistants' },
     { id: 'config', label: 'Settings' },
     { id: 'logs', label: 'Logs' },
-    { id: 'history', label: 'History' }
+    { id: 'history', label: 'History' },
+    { id: 'archive', label: 'Archive' }
   ];
 
   tabItems.forEach(tab => {
@@ -686,6 +828,13 @@ function createControlPanel() {
   historyTab.innerHTML = createHistoryContent();
   content.appendChild(historyTab);
 
+  // Archive tab
+  const archiveTab = document.createElement('div');
+  archiveTab.className = 'fb-chat-monitor-tab-content';
+  archiveTab.id = 'fb-chat-monitor-tab-archive';
+  archiveTab.innerHTML = createArchiveContent();
+  content.appendChild(archiveTab);
+
   panel.appendChild(content);
   document.body.appendChild(panel);
 
@@ -715,8 +864,13 @@ function showTabContent(tabId) {
       refreshLogs();
     } else if (tabId === 'history') {
       refreshHistory();
+    } else if (tabId === 'archive') {
+      refreshArchive();
     } else if (tabId === 'assistants') {
       populateAssistantsFromStorage(); // <-- NUEVO: poblar asistentes desde storage al abrir la pestaña
+      populatePromptTemplates();
+      renderKnowledge();
+      renderExperiments();
     }
   }
 }
@@ -759,6 +913,33 @@ function createDashboardContent() {
           </div>
         </div>
 
+        <h4 style="margin-top: 0; margin-bottom: 10px;">AI Usage</h4>
+        <div class="fb-chat-monitor-stats-grid">
+          <div class="fb-chat-monitor-stat-item">
+            <div id="fb-chat-monitor-stat-cost-today" class="fb-chat-monitor-stat-value">0</div>
+            <div class="fb-chat-monitor-stat-label">Spent Today</div>
+          </div>
+          <div class="fb-chat-monitor-stat-item">
+            <div id="fb-chat-monitor-stat-cost-month" class="fb-chat-monitor-stat-value">0</div>
+            <div class="fb-chat-monitor-stat-label">Spent This Month</div>
+          </div>
+          <div class="fb-chat-monitor-stat-item">
+            <div id="fb-chat-monitor-stat-tokens-today" class="fb-chat-monitor-stat-value">0</div>
+            <div class="fb-chat-monitor-stat-label">Tokens Today</div>
+          </div>
+          <div class="fb-chat-monitor-stat-item">
+            <div id="fb-chat-monitor-stat-audio-today" class="fb-chat-monitor-stat-value">0m</div>
+            <div class="fb-chat-monitor-stat-label">Audio Today</div>
+          </div>
+        </div>
+        <div id="fb-chat-monitor-usage-details" style="font-size: 12px; color: #666; margin-bottom: 15px;"></div>
+
+        <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom: 10px;">
+          <h4 style="margin: 0;">Selector Health</h4>
+          <button id="fb-chat-monitor-reset-selector-health" class="fb-chat-monitor-button fb-chat-monitor-button-secondary">Reset</button>
+        </div>
+        <div id="fb-chat-monitor-selector-health" style="font-size: 12px; color: #666; margin-bottom: 15px;"></div>
+
         <div class="fb-chat-monitor-form-group" style="text-align:center;">
           <button
             id="fb-chat-monitor-generate-response"
@@ -808,6 +989,81 @@ function createAssistantsContent() {
         <div>
           <button id="fb-chat-monitor-refresh-assistants" class="fb-chat-monitor-button">Refresh Assistants</button>
         </div>
+
+        <div class="fb-chat-monitor-form-group">
+          <h4 style="margin-top: 20px; margin-bottom: 10px;">Instruction Templates</h4>
+          <label for="fb-chat-monitor-template-role">Role</label>
+          <select id="fb-chat-monitor-template-role">
+            <option value="seller">Seller</option>
+            <option value="buyer">Buyer</option>
+          </select>
+          <label for="fb-chat-monitor-template-instructions" style="margin-top:8px;">Instructions</label>
+          <textarea id="fb-chat-monitor-template-instructions" rows="6" placeholder="Empty: the assistant's own instructions are used (placeholders in them are rendered too)"></textarea>
+          <label for="fb-chat-monitor-template-additional" style="margin-top:8px;">Additional instructions (every run)</label>
+          <textarea id="fb-chat-monitor-template-additional" rows="3"></textarea>
+          <small style="display:block; margin-top:5px; color:#666;">Placeholders: {{product.title}}, {{product.price}}, {{floorPrice}}, {{pickupArea}}, {{sellerName}}, {{today}}, {{listing.notes}}. Default value after a pipe: {{floorPrice|ask me first}}</small>
+          <label for="fb-chat-monitor-profile-name" style="margin-top:8px;">Your name ({{sellerName}})</label>
+          <input type="text" id="fb-chat-monitor-profile-name">
+          <label for="fb-chat-monitor-profile-pickup" style="margin-top:8px;">Default pickup area ({{pickupArea}})</label>
+          <input type="text" id="fb-chat-monitor-profile-pickup">
+          <button id="fb-chat-monitor-save-templates" class="fb-chat-monitor-button" style="margin-top: 8px;">Save Templates</button>
+        </div>
+
+        <div class="fb-chat-monitor-form-group">
+          <h4 style="margin-top: 20px; margin-bottom: 10px;">Current Listing</h4>
+          <small id="fb-chat-monitor-listing-title" style="display:block; margin-bottom:5px; color:#666;">Open a chat to edit the settings of its listing</small>
+          <label for="fb-chat-monitor-listing-floor">Floor price ({{floorPrice}})</label>
+          <input type="text" id="fb-chat-monitor-listing-floor">
+          <label for="fb-chat-monitor-listing-pickup" style="margin-top:8px;">Pickup area ({{pickupArea}})</label>
+          <input type="text" id="fb-chat-monitor-listing-pickup">
+          <label for="fb-chat-monitor-listing-notes" style="margin-top:8px;">Notes ({{listing.notes}})</label>
+          <input type="text" id="fb-chat-monitor-listing-notes">
+          <button id="fb-chat-monitor-save-listing" class="fb-chat-monitor-button" style="margin-top: 8px;">Save Listing</button>
+          <button id="fb-chat-monitor-preview-prompt" class="fb-chat-monitor-button" style="margin-top: 8px;">Preview Prompt</button>
+          <pre id="fb-chat-monitor-prompt-preview" class="fb-chat-monitor-prompt-preview"></pre>
+        </div>
+
+        <div class="fb-chat-monitor-form-group">
+          <h4 style="margin-top: 20px; margin-bottom: 10px;">Knowledge</h4>
+          <small id="fb-chat-monitor-knowledge-status" style="display:block; margin-bottom:5px; color:#666;"></small>
+          <div id="fb-chat-monitor-knowledge-list" style="margin-bottom: 8px;"></div>
+          <input type="hidden" id="fb-chat-monitor-knowledge-id">
+          <label for="fb-chat-monitor-knowledge-title">Title</label>
+          <input type="text" id="fb-chat-monitor-knowledge-title" placeholder="e.g. Delivery and payment">
+          <label for="fb-chat-monitor-knowledge-content" style="margin-top:8px;">Content (Markdown)</label>
+          <textarea id="fb-chat-monitor-knowledge-content" rows="8" placeholder="## Do you deliver?&#10;Only within 10 miles, $10 flat fee."></textarea>
+          <button id="fb-chat-monitor-save-knowledge" class="fb-chat-monitor-button" style="margin-top: 8px;">Save Document</button>
+          <button id="fb-chat-monitor-new-knowledge" class="fb-chat-monitor-button fb-chat-monitor-button-secondary" style="margin-top: 8px;">New</button>
+          <button id="fb-chat-monitor-import-knowledge" class="fb-chat-monitor-button fb-chat-monitor-button-secondary" style="margin-top: 8px;">Import</button>
+          <button id="fb-chat-monitor-sync-knowledge" class="fb-chat-monitor-button fb-chat-monitor-button-secondary" style="margin-top: 8px;">Sync Now</button>
+          <input type="file" id="fb-chat-monitor-knowledge-file" accept=".md,.markdown,.txt,.json" multiple style="display: none;">
+          <small style="display:block; margin-top:5px; color:#666;">Markdown, text, or FAQ JSON ([{"question": "...", "answer": "..."}]). Synced to the OpenAI assistants for file search; other providers get the matching snippets.</small>
+        </div>
+
+        <div class="fb-chat-monitor-form-group">
+          <h4 style="margin-top: 20px; margin-bottom: 10px;">Experiments</h4>
+          <small style="display:block; margin-bottom:5px; color:#666;">Each chat is assigned A or B at random and keeps it. Leave a variant empty to use the current assistant or instructions.</small>
+          <label for="fb-chat-monitor-experiment-name">Name</label>
+          <input type="text" id="fb-chat-monitor-experiment-name" placeholder="e.g. Shorter replies">
+          <label for="fb-chat-monitor-experiment-role" style="margin-top:8px;">Role</label>
+          <select id="fb-chat-monitor-experiment-role">
+            <option value="seller">Seller</option>
+            <option value="buyer">Buyer</option>
+          </select>
+          <label for="fb-chat-monitor-experiment-type" style="margin-top:8px;">Compare</label>
+          <select id="fb-chat-monitor-experiment-type">
+            <option value="assistant">Two assistants</option>
+            <option value="instructions">Two instruction versions</option>
+          </select>
+          <label for="fb-chat-monitor-experiment-a" style="margin-top:8px;">Variant A</label>
+          <textarea id="fb-chat-monitor-experiment-a" rows="1" placeholder="Assistant ID (asst_...)"></textarea>
+          <label for="fb-chat-monitor-experiment-b" style="margin-top:8px;">Variant B</label>
+          <textarea id="fb-chat-monitor-experiment-b" rows="1" placeholder="Assistant ID (asst_...)"></textarea>
+          <label for="fb-chat-monitor-experiment-split" style="margin-top:8px;">Chats assigned to B (%)</label>
+          <input type="number" id="fb-chat-monitor-experiment-split" min="0" max="100" value="50">
+          <button id="fb-chat-monitor-start-experiment" class="fb-chat-monitor-button" style="margin-top: 8px;">Start Experiment</button>
+          <div id="fb-chat-monitor-experiments-list"></div>
+        </div>
       `;
 }
 
@@ -839,6 +1095,132 @@ function createConfigContent() {
           </div>
         </div>
 
+        <div class="fb-chat-monitor-form-group">
+          <h4 style="margin-top: 20px; margin-bottom: 10px;">AI Provider</h4>
+          <label for="fb-chat-monitor-provider">Provider</label>
+          <select id="fb-chat-monitor-provider">
+            ${(window.providerRegistry ? window.providerRegistry.list() : [{ name: 'openai', label: 'OpenAI' }]).map(provider =>
+              `<option value="${provider.name}" ${(CONFIG.AI?.provider || 'openai') === provider.name ? 'selected' : ''}>${provider.label}</option>`).join('')}
+          </select>
+          <div id="fb-chat-monitor-provider-settings" style="display:none;">
+            <label for="fb-chat-monitor-provider-url" style="margin-top:8px;">URL</label>
+            <input type="text" id="fb-chat-monitor-provider-url">
+            <label for="fb-chat-monitor-provider-key" style="margin-top:8px;">API key</label>
+            <input type="password" id="fb-chat-monitor-provider-key">
+            <label for="fb-chat-monitor-provider-model" style="margin-top:8px;">Model</label>
+            <input type="text" id="fb-chat-monitor-provider-model">
+          </div>
+          <small style="display:block; margin-top:5px; color:#666;">OpenAI uses the API Endpoint settings below. Other providers always run in stateless mode.</small>
+        </div>
+
+        <div class="fb-chat-monitor-form-group">
+          <h4 style="margin-top: 20px; margin-bottom: 10px;">API Endpoint</h4>
+          <label for="fb-chat-monitor-endpoint-profile">Profile</label>
+          <select id="fb-chat-monitor-endpoint-profile">
+            ${Object.entries(CONFIG.AI?.endpoint?.profiles || {}).map(([key, profile]) =>
+              `<option value="${key}" ${CONFIG.AI.endpoint.activeProfile === key ? 'selected' : ''}>${profile.name || key}</option>`).join('')}
+          </select>
+          <label for="fb-chat-monitor-endpoint-url" style="margin-top:8px;">Base URL</label>
+          <input type="text" id="fb-chat-monitor-endpoint-url" placeholder="http://localhost:8080/v1">
+          <label for="fb-chat-monitor-endpoint-auth" style="margin-top:8px;">Auth header</label>
+          <select id="fb-chat-monitor-endpoint-auth">
+            <option value="bearer">Authorization: Bearer &lt;key&gt;</option>
+            <option value="api-key">api-key: &lt;key&gt;</option>
+            <option value="none">None</option>
+          </select>
+          <label for="fb-chat-monitor-endpoint-key" style="margin-top:8px;">Profile key (optional)</label>
+          <input type="password" id="fb-chat-monitor-endpoint-key" placeholder="Uses the OpenAI API key when empty">
+          <label for="fb-chat-monitor-endpoint-transport" style="margin-top:8px;">Transport</label>
+          <select id="fb-chat-monitor-endpoint-transport">
+            <option value="fetch">Browser fetch</option>
+            <option value="gm">Userscript request (no CORS, works with localhost)</option>
+          </select>
+          <label for="fb-chat-monitor-endpoint-models" style="margin-top:8px;">Models (comma separated)</label>
+          <input type="text" id="fb-chat-monitor-endpoint-models" placeholder="gpt-4o, gpt-4o-mini">
+          <label for="fb-chat-monitor-endpoint-model" style="margin-top:8px;">Model used for replies</label>
+          <select id="fb-chat-monitor-endpoint-model"></select>
+          <small style="display:block; margin-top:5px; color:#666;">Local servers usually only support Chat Completions: select it as response engine below</small>
+        </div>
+
+        <div class="fb-chat-monitor-form-group">
+          <h4 style="margin-top: 20px; margin-bottom: 10px;">Response Engine</h4>
+          <label for="fb-chat-monitor-response-engine">How replies are generated</label>
+          <select id="fb-chat-monitor-response-engine">
+            <option value="assistants" ${CONFIG.AI?.useAssistantAPI !== false ? 'selected' : ''}>Assistants API (threads and runs)</option>
+            <option value="completions" ${CONFIG.AI?.useAssistantAPI === false ? 'selected' : ''}>Chat Completions (stateless, faster)</option>
+          </select>
+          <small style="display:block; margin-top:5px; color:#666;">Chat Completions sends the recent conversation on every request and uses the role instructions as system prompt</small>
+          <label for="fb-chat-monitor-generate-button-mode" style="margin-top:8px;">Generate button (manual mode)</label>
+          <select id="fb-chat-monitor-generate-button-mode">
+            <option value="drafts" ${CONFIG.AI?.draftVariants?.enabled ? 'selected' : ''}>Show draft variants to choose from</option>
+            <option value="single" ${!CONFIG.AI?.draftVariants?.enabled ? 'selected' : ''}>Insert a single reply</option>
+          </select>
+          <label for="fb-chat-monitor-structured-replies" style="margin-top:8px;">Structured replies</label>
+          <select id="fb-chat-monitor-structured-replies">
+            <option value="on" ${CONFIG.AI?.structuredReplies?.enabled !== false ? 'selected' : ''}>On: detect intent and confidence (JSON answers)</option>
+            <option value="off" ${CONFIG.AI?.structuredReplies?.enabled === false ? 'selected' : ''}>Off: plain text answers</option>
+          </select>
+          <label for="fb-chat-monitor-min-confidence" style="margin-top:8px;">Minimum confidence to send in auto mode (0-1)</label>
+          <input type="number" id="fb-chat-monitor-min-confidence" min="0" max="1" step="0.05" value="${CONFIG.AI?.structuredReplies?.minConfidence ?? 0.6}">
+        </div>
+
+        <div class="fb-chat-monitor-form-group">
+          <h4 style="margin-top: 20px; margin-bottom: 10px;">Safety Gate</h4>
+          <label for="fb-chat-monitor-safety-gate">Check replies before sending them automatically</label>
+          <select id="fb-chat-monitor-safety-gate">
+            <option value="on" ${CONFIG.AI?.safetyGate?.enabled !== false ? 'selected' : ''}>On: blocked replies stay as drafts</option>
+            <option value="off" ${CONFIG.AI?.safetyGate?.enabled === false ? 'selected' : ''}>Off</option>
+          </select>
+          <label style="margin-top:8px;"><input type="checkbox" id="fb-chat-monitor-safety-moderation" style="width:auto;" ${CONFIG.AI?.safetyGate?.moderation !== false ? 'checked' : ''}> Moderation (OpenAI)</label>
+          <label><input type="checkbox" id="fb-chat-monitor-safety-floor" style="width:auto;" ${CONFIG.AI?.safetyGate?.checkFloorPrice !== false ? 'checked' : ''}> No prices below the listing floor price</label>
+          <label><input type="checkbox" id="fb-chat-monitor-safety-phones" style="width:auto;" ${CONFIG.AI?.safetyGate?.rules?.phoneNumbers !== false ? 'checked' : ''}> No phone numbers</label>
+          <label><input type="checkbox" id="fb-chat-monitor-safety-ship-first" style="width:auto;" ${CONFIG.AI?.safetyGate?.rules?.shipFirst !== false ? 'checked' : ''}> No "ship first" wording</label>
+          <label><input type="checkbox" id="fb-chat-monitor-safety-payments" style="width:auto;" ${CONFIG.AI?.safetyGate?.rules?.offPlatformPayment !== false ? 'checked' : ''}> No off-platform payment wording</label>
+          <label for="fb-chat-monitor-safety-max-length" style="margin-top:8px;">Maximum length (characters, 0 = no limit)</label>
+          <input type="number" id="fb-chat-monitor-safety-max-length" min="0" step="50" value="${CONFIG.AI?.safetyGate?.maxLength ?? 600}">
+          <label for="fb-chat-monitor-safety-blocklist" style="margin-top:8px;">Blocklist (one per line, text or /regex/)</label>
+          <textarea id="fb-chat-monitor-safety-blocklist" rows="3" placeholder="123 Main Street">${(CONFIG.AI?.safetyGate?.blocklist || []).join('\n')}</textarea>
+        </div>
+
+        <div class="fb-chat-monitor-form-group">
+          <h4 style="margin-top: 20px; margin-bottom: 10px;">Languages</h4>
+          <label for="fb-chat-monitor-language-detection">Detect the language of each chat</label>
+          <select id="fb-chat-monitor-language-detection">
+            <option value="on" ${CONFIG.AI?.language?.enabled !== false ? 'selected' : ''}>On</option>
+            <option value="off" ${CONFIG.AI?.language?.enabled === false ? 'selected' : ''}>Off</option>
+          </select>
+          <label style="margin-top:8px;"><input type="checkbox" id="fb-chat-monitor-language-reply" style="width:auto;" ${CONFIG.AI?.language?.replyInBuyerLanguage !== false ? 'checked' : ''}> Reply in the other person's language</label>
+          <label><input type="checkbox" id="fb-chat-monitor-language-incoming" style="width:auto;" ${CONFIG.AI?.language?.translateIncoming !== false ? 'checked' : ''}> Translate incoming messages</label>
+          <label><input type="checkbox" id="fb-chat-monitor-language-drafts" style="width:auto;" ${CONFIG.AI?.language?.translateDrafts !== false ? 'checked' : ''}> Translate generated replies</label>
+          <label for="fb-chat-monitor-user-language" style="margin-top:8px;">Your language (code, empty = browser language)</label>
+          <input type="text" id="fb-chat-monitor-user-language" maxlength="2" placeholder="${(navigator.language || 'en').slice(0, 2)}" value="${CONFIG.AI?.language?.userLanguage || ''}">
+          <small style="display:block; margin-top:5px; color:#666;">Voice messages are transcribed in the detected language. Translations use the active AI provider</small>
+        </div>
+
+        <div class="fb-chat-monitor-form-group">
+          <h4 style="margin-top: 20px; margin-bottom: 10px;">Privacy</h4>
+          <label for="fb-chat-monitor-redact-pii">Personal data sent to the AI provider</label>
+          <select id="fb-chat-monitor-redact-pii">
+            <option value="on" ${CONFIG.AI?.privacy?.redactPII !== false ? 'selected' : ''}>Replaced by placeholders, restored in replies</option>
+            <option value="off" ${CONFIG.AI?.privacy?.redactPII === false ? 'selected' : ''}>Sent as it is</option>
+          </select>
+          <label style="margin-top:8px;"><input type="checkbox" id="fb-chat-monitor-redact-names" style="width:auto;" ${CONFIG.AI?.privacy?.names !== false ? 'checked' : ''}> Contact names</label>
+          <label><input type="checkbox" id="fb-chat-monitor-redact-emails" style="width:auto;" ${CONFIG.AI?.privacy?.emails !== false ? 'checked' : ''}> Emails</label>
+          <label><input type="checkbox" id="fb-chat-monitor-redact-phones" style="width:auto;" ${CONFIG.AI?.privacy?.phones !== false ? 'checked' : ''}> Phone numbers</label>
+          <label><input type="checkbox" id="fb-chat-monitor-redact-addresses" style="width:auto;" ${CONFIG.AI?.privacy?.addresses !== false ? 'checked' : ''}> Street addresses</label>
+          <label><input type="checkbox" id="fb-chat-monitor-redact-locations" style="width:auto;" ${CONFIG.AI?.privacy?.locations !== false ? 'checked' : ''}> Shared locations and coordinates</label>
+          <small style="display:block; margin-top:5px; color:#666;">The placeholder mapping is kept in this browser only. Voice messages are transcribed before redaction</small>
+        </div>
+
+        <div class="fb-chat-monitor-form-group">
+          <h4 style="margin-top: 20px; margin-bottom: 10px;">Spend Limits</h4>
+          <label for="fb-chat-monitor-daily-cap">Daily cap (${CONFIG.AI?.usage?.currency || 'USD'}, 0 = no cap)</label>
+          <input type="number" id="fb-chat-monitor-daily-cap" min="0" step="0.5" value="${CONFIG.AI?.usage?.caps?.daily || 0}">
+          <label for="fb-chat-monitor-monthly-cap" style="margin-top:8px;">Monthly cap (${CONFIG.AI?.usage?.currency || 'USD'}, 0 = no cap)</label>
+          <input type="number" id="fb-chat-monitor-monthly-cap" min="0" step="1" value="${CONFIG.AI?.usage?.caps?.monthly || 0}">
+          <small style="display:block; margin-top:5px; color:#666;">Auto mode is paused when a cap is reached. Costs are estimated from the model price table</small>
+        </div>
+
         <div>
           <button id="fb-chat-monitor-save-config" class="fb-chat-monitor-button">Save Settings</button>
           <button id="fb-chat-monitor-reset-config" class="fb-chat-monitor-button fb-chat-monitor-button-danger">Reset to Defaults</button>
@@ -894,6 +1276,8 @@ function createHistoryContent() {
           </div>
         </div>
 
+        <div id="fb-chat-monitor-draft-stats" style="font-size: 12px; color: #666; margin-bottom: 10px;"></div>
+
         <div id="fb-chat-monitor-history-container" style="max-height: 300px; overflow-y: auto;">
           <table class="fb-chat-monitor-history-container">
             <thead>
@@ -915,6 +1299,72 @@ function createHistoryContent() {
         <div style="margin-top: 15px;">
           <button id="fb-chat-monitor-export-history" class="fb-chat-monitor-button">Export History</button>
         </div>
+
+        <h4 style="margin: 20px 0 10px;">Export Chat</h4>
+        <div style="font-size: 12px; color: #666; margin-bottom: 8px;">
+          Full conversation with senders, timestamps, transcriptions, attachments, the product and the AI drafts versus what was sent.
+        </div>
+        <div style="display: flex; gap: 5px; align-items: center;">
+          <select id="fb-chat-monitor-export-chat-id" style="flex: 1; min-width: 0;"></select>
+          <select id="fb-chat-monitor-export-chat-format">
+            <option value="json">JSON</option>
+            <option value="csv">CSV</option>
+            <option value="markdown">Markdown</option>
+            <option value="html">HTML</option>
+          </select>
+          <button id="fb-chat-monitor-export-chat" class="fb-chat-monitor-button">Export Chat</button>
+        </div>
+      `;
+}
+
+/**
+ * Create content for the Archive tab
+ * @returns {string} HTML content
+ */
+function createArchiveContent() {
+  return `
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+          <h4 style="margin: 0;">Conversation Archive</h4>
+          <button id="fb-chat-monitor-clear-archive" class="fb-chat-monitor-button fb-chat-monitor-button-danger">Clear</button>
+        </div>
+
+        <div id="fb-chat-monitor-archive-stats" style="font-size: 12px; color: #666; margin-bottom: 10px;"></div>
+
+        <div style="display: flex; gap: 5px; margin-bottom: 8px;">
+          <input type="text" id="fb-chat-monitor-archive-query" placeholder="Search messages and transcriptions" style="flex: 1; min-width: 0;">
+          <button id="fb-chat-monitor-archive-search" class="fb-chat-monitor-button">Search</button>
+        </div>
+
+        <div style="display: flex; flex-wrap: wrap; gap: 5px; align-items: center; font-size: 12px; margin-bottom: 10px;">
+          <select id="fb-chat-monitor-archive-role">
+            <option value="">Any role</option>
+            <option value="seller">Seller</option>
+            <option value="buyer">Buyer</option>
+          </select>
+          <select id="fb-chat-monitor-archive-listing" style="max-width: 160px;">
+            <option value="">Any listing</option>
+          </select>
+          <label>From <input type="date" id="fb-chat-monitor-archive-from"></label>
+          <label>To <input type="date" id="fb-chat-monitor-archive-to"></label>
+          <label><input type="checkbox" id="fb-chat-monitor-archive-audio"> Audio only</label>
+        </div>
+
+        <div style="max-height: 300px; overflow-y: auto;">
+          <table class="fb-chat-monitor-history-container">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Chat</th>
+                <th>Message</th>
+              </tr>
+            </thead>
+            <tbody id="fb-chat-monitor-archive-results">
+              <tr>
+                <td colspan="3" style="text-align: center;">Search the archived conversations</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
       `;
 }
 
@@ -1135,6 +1585,36 @@ function attachEventHandlers() {
   // Apply initial mode logic so the UI and monitoring state match the default
   handleModeChange(currentValue);
 
+  // A spend cap pauses auto mode outside this dropdown (see UsageTracker)
+  if (window.eventCoordinator) {
+    window.eventCoordinator.on('usageCapReached', () => {
+      updateButtonState('off');
+      const genBtn = document.getElementById('fb-chat-monitor-generate-response');
+      if (genBtn) genBtn.removeAttribute('disabled');
+      updateStats();
+    });
+  }
+
+  // A critical selector that finds nothing means Facebook changed its markup (see SelectorHealth)
+  if (window.eventCoordinator) {
+    window.eventCoordinator.on('selectorDrift', (data) => {
+      showSimpleAlert(`Facebook layout changed: ${describeSelectorKey(data.key)} not found in the last ${data.consecutiveFailures} attempts. Check the Selector Health section`, 'warning', 10000);
+      renderSelectorHealth();
+    });
+    window.eventCoordinator.on('selectorRecovered', (data) => {
+      showSimpleAlert(`${describeSelectorKey(data.key)} found again`, 'success');
+      renderSelectorHealth();
+    });
+    window.eventCoordinator.on('selectorPromoted', () => renderSelectorHealth());
+  }
+
+  document.getElementById('fb-chat-monitor-reset-selector-health').addEventListener('click', () => {
+    if (!window.selectorHealth) return;
+    window.selectorHealth.reset();
+    renderSelectorHealth();
+    showSimpleAlert('Selector statistics reset', 'success');
+  });
+
   // Generate Response: use chatManager.generateResponseForCurrentChat
   document.getElementById('fb-chat-monitor-generate-response')
     .addEventListener('click', async () => {
@@ -1181,10 +1661,37 @@ function attachEventHandlers() {
     }
   });
 
-  document.getElementById('fb-chat-monitor-refresh-assistants').addEventListener('click', refreshAssistantsList);
+  document.getElementById('fb-chat-monitor-refresh-assistants').addEventListener('click', () => {
+    window.promptTemplates?.clearCache();
+    refreshAssistantsList();
+  });
+  document.getElementById('fb-chat-monitor-template-role').addEventListener('change', populatePromptTemplates);
+  document.getElementById('fb-chat-monitor-save-templates').addEventListener('click', savePromptTemplates);
+  document.getElementById('fb-chat-monitor-save-listing').addEventListener('click', saveListingSettings);
+  document.getElementById('fb-chat-monitor-preview-prompt').addEventListener('click', previewPrompt);
+  document.getElementById('fb-chat-monitor-save-knowledge').addEventListener('click', saveKnowledgeDocument);
+  document.getElementById('fb-chat-monitor-new-knowledge').addEventListener('click', () => editKnowledgeDocument(null));
+  document.getElementById('fb-chat-monitor-import-knowledge').addEventListener('click', () => {
+    document.getElementById('fb-chat-monitor-knowledge-file').click();
+  });
+  document.getElementById('fb-chat-monitor-knowledge-file').addEventListener('change', importKnowledgeFiles);
+  document.getElementById('fb-chat-monitor-sync-knowledge').addEventListener('click', syncKnowledge);
+  document.getElementById('fb-chat-monitor-experiment-type').addEventListener('change', updateExperimentVariantInputs);
+  document.getElementById('fb-chat-monitor-start-experiment').addEventListener('click', startExperiment);
 
   // Config tab
   document.getElementById('fb-chat-monitor-save-config').addEventListener('click', saveConfig);
+  document.getElementById('fb-chat-monitor-provider').addEventListener('change', function () {
+    fillProviderFields(this.value);
+  });
+  fillProviderFields(CONFIG.AI?.provider || 'openai');
+  document.getElementById('fb-chat-monitor-endpoint-profile').addEventListener('change', function () {
+    fillEndpointProfileFields(this.value);
+  });
+  document.getElementById('fb-chat-monitor-endpoint-models').addEventListener('change', function () {
+    fillEndpointModelSelect(parseModelList(this.value));
+  });
+  fillEndpointProfileFields(CONFIG.AI?.endpoint?.activeProfile || 'openai');
   document.getElementById('fb-chat-monitor-reset-config').addEventListener('click', resetConfig);
 
   // Logs tab
@@ -1197,6 +1704,17 @@ function attachEventHandlers() {
   document.getElementById('fb-chat-monitor-refresh-history').addEventListener('click', refreshHistory);
   document.getElementById('fb-chat-monitor-clear-history').addEventListener('click', clearHistory);
   document.getElementById('fb-chat-monitor-export-history').addEventListener('click', exportHistory);
+  document.getElementById('fb-chat-monitor-export-chat').addEventListener('click', exportChat);
+
+  // Archive tab
+  document.getElementById('fb-chat-monitor-archive-search').addEventListener('click', searchArchive);
+  document.getElementById('fb-chat-monitor-archive-query').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') searchArchive();
+  });
+  ['role', 'listing', 'from', 'to', 'audio'].forEach(filter => {
+    document.getElementById(`fb-chat-monitor-archive-${filter}`).addEventListener('change', searchArchive);
+  });
+  document.getElementById('fb-chat-monitor-clear-archive').addEventListener('click', clearArchive);
 }
 
 /**
@@ -1233,6 +1751,9 @@ function updateStats() {
     }
     document.getElementById('fb-chat-monitor-stat-uptime').textContent = uptimeText;
 
+    renderUsageStats();
+    renderSelectorHealth();
+
     // Update floating button dot
     if (uiState.statusIndicator) {
       uiState.statusIndicator.style.backgroundColor = stats.isMonitoring ? '#4CAF50' : '#f44336';
@@ -1242,6 +1763,107 @@ function updateStats() {
   }
 }
 
+/**
+ * Shows token usage and spend (see UsageTracker) on the Dashboard tab
+ */
+function renderUsageStats() {
+  const details = document.getElementById('fb-chat-monitor-usage-details');
+  if (!details || !window.usageTracker) return;
+
+  const summary = window.usageTracker.getSummary();
+  const format = amount => window.usageTracker.formatCost(amount);
+  const tokens = bucket => (bucket.promptTokens || 0) + (bucket.completionTokens || 0);
+
+  document.getElementById('fb-chat-monitor-stat-cost-today').textContent = format(summary.today.cost);
+  document.getElementById('fb-chat-monitor-stat-cost-month').textContent = format(summary.month.cost);
+  document.getElementById('fb-chat-monitor-stat-tokens-today').textContent = tokens(summary.today).toLocaleString();
+  document.getElementById('fb-chat-monitor-stat-audio-today').textContent = `${((summary.today.audioSeconds || 0) / 60).toFixed(1)}m`;
+
+  const lines = [];
+  if (summary.today.images) {
+    lines.push(`Images today: ${summary.today.images} (~${summary.today.imageTokens.toLocaleString()} tokens at ${CONFIG.images?.quality || 'high'} quality)`);
+  }
+  if (summary.todayByModel.length) {
+    lines.push(`By model today: ${summary.todayByModel
+      .map(item => `${item.model} ${format(item.cost)} (${item.requests} calls)`).join(', ')}`);
+  }
+  if (summary.topThreads.length) {
+    lines.push(`Top chats: ${summary.topThreads
+      .map(item => `${item.fbThreadId} ${format(item.cost)}`).join(', ')}`);
+  }
+  if (summary.assistants.length) {
+    lines.push(`By assistant: ${summary.assistants
+      .map(item => `${item.assistantId.substring(0, 12)}... ${format(item.cost)}`).join(', ')}`);
+  }
+
+  const capLabels = [];
+  if (summary.caps.daily > 0) capLabels.push(`daily ${format(summary.caps.daily)}`);
+  if (summary.caps.monthly > 0) capLabels.push(`monthly ${format(summary.caps.monthly)}`);
+  if (capLabels.length) {
+    lines.push(`Caps: ${capLabels.join(', ')}${summary.capReached ? ` (${summary.capReached} cap reached, auto mode paused)` : ''}`);
+  }
+
+  details.innerHTML = '';
+  lines.forEach(line => {
+    const row = document.createElement('div');
+    row.textContent = line;
+    if (summary.capReached && line.startsWith('Caps:')) row.style.color = '#dc3545';
+    details.appendChild(row);
+  });
+}
+
+/**
+ * Shows which selector of each list matches, on the Dashboard tab (see SelectorHealth)
+ */
+function renderSelectorHealth() {
+  const container = document.getElementById('fb-chat-monitor-selector-health');
+  if (!container || !window.selectorHealth) return;
+
+  const report = window.selectorHealth.getReport();
+  container.innerHTML = '';
+  if (!report.length) {
+    container.textContent = 'No lookups yet';
+    return;
+  }
+
+  const colors = { failing: '#dc3545', degraded: '#e67e22', ok: '#666' };
+  report.forEach(item => {
+    const row = document.createElement('div');
+    const stale = item.candidates.filter(candidate => candidate.stale).length;
+    const details = [
+      `${item.lookups - item.failures}/${item.lookups} found`,
+      item.lastSuccessAt ? `last ${formatDateTime(item.lastSuccessAt)}` : 'never found',
+      stale ? `${stale} stale` : null
+    ].filter(Boolean).join(', ');
+
+    row.textContent = `${item.critical ? '★ ' : ''}${describeSelectorKey(item.key)}: ${item.status} (${details})`;
+    row.title = item.candidates
+      .map(candidate => `${candidate.selector === item.activeSelector ? '> ' : '  '}${candidate.selector} — ${candidate.hits} hits, ${candidate.misses} misses${candidate.stale ? ' (stale)' : ''}`)
+      .join('\n');
+    row.style.color = colors[item.status] || colors.ok;
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Readable name of a selector key ('activeChat.messageInput' -> 'Message input')
+ * @param {string} key - Path in CONFIG.selectors
+ * @returns {string}
+ */
+function describeSelectorKey(key) {
+  const labels = {
+    'chatList.container': 'Chat list',
+    'chatList.chatItem': 'Chat items',
+    'activeChat.container': 'Open chat',
+    'activeChat.messageWrapper': 'Message list',
+    'activeChat.messageRow': 'Message rows',
+    'activeChat.messageInput': 'Message input',
+    'activeChat.sendButton': 'Send button',
+    'activeChat.scrollbar': 'Chat scroll area'
+  };
+  return labels[key] || key;
+}
+
 /**
  * Refresh the list of assistants
  */
@@ -1303,33 +1925,432 @@ async function refreshAssistantsList() {
 }
 
 /**
- * Populates the assistant selects using the data stored in Tampermonkey.
- * This allows showing the previously selected assistants when reloading the page,
- * without depending on the API or the "Refresh Assistants" button.
+ * Listing of the open chat, for the per-listing settings and the prompt preview
+ * @returns {Promise<Object|null>} Product details or null
  */
-function populateAssistantsFromStorage() {
+async function getCurrentListing() {
+  const chatId = window.chatManager?.currentChatId;
+  const cached = chatId ? window.chatManager.chatHistory.get(chatId)?.productDetails : null;
+  if (cached) return cached;
+
   try {
-    // Get the selects
-    const sellerSelect = document.getElementById('fb-chat-monitor-seller-assistant');
-    const buyerSelect = document.getElementById('fb-chat-monitor-buyer-assistant');
-    if (!sellerSelect || !buyerSelect) return;
+    const productId = window.productExtractor?.extractProductIdFromCurrentChat();
+    return productId ? await window.productExtractor.getProductDetails(productId) : null;
+  } catch (error) {
+    logger.debug(`Could not read the listing of the open chat: ${error.message}`);
+    return null;
+  }
+}
 
-    // Read the assistants from Tampermonkey storage
-    let assistants = null;
-    if (typeof GM_getValue === 'function') {
-      assistants = GM_getValue('FB_CHAT_MONITOR_FB_CHAT_ASSISTANTS', null);
-    }
-    if (!assistants && typeof localStorage !== 'undefined') {
-      const raw = localStorage.getItem('FB_CHAT_MONITOR_FB_CHAT_ASSISTANTS');
-      if (raw) {
-        try { assistants = JSON.parse(raw); } catch { }
-      }
-    }
-    if (!assistants) return;
+/**
+ * Fills the Instruction Templates and Current Listing forms of the Assistants tab
+ */
+async function populatePromptTemplates() {
+  const role = document.getElementById('fb-chat-monitor-template-role')?.value || 'seller';
+  const instructionsInput = document.getElementById('fb-chat-monitor-template-instructions');
+  const additionalInput = document.getElementById('fb-chat-monitor-template-additional');
+  if (!instructionsInput || !additionalInput) return;
+
+  const instructions = CONFIG.AI?.assistants?.[role]?.instructions || '';
+  instructionsInput.value = instructions === '...' ? '' : instructions;
+  additionalInput.value = CONFIG.AI?.promptTemplates?.additionalInstructions?.[role] || '';
+  document.getElementById('fb-chat-monitor-profile-name').value = CONFIG.AI?.promptTemplates?.profile?.sellerName || '';
+  document.getElementById('fb-chat-monitor-profile-pickup').value = CONFIG.AI?.promptTemplates?.profile?.pickupArea || '';
+
+  const listing = await getCurrentListing();
+  const listingId = window.promptTemplates?.getListingId(listing);
+  const settings = window.promptTemplates?.getListingSettings(listingId) || {};
+  document.getElementById('fb-chat-monitor-listing-title').textContent = listingId
+    ? `${listing.title || 'Listing'} (${listingId})`
+    : 'Open a chat to edit the settings of its listing';
+  document.getElementById('fb-chat-monitor-listing-floor').value = settings.floorPrice || '';
+  document.getElementById('fb-chat-monitor-listing-pickup').value = settings.pickupArea || '';
+  document.getElementById('fb-chat-monitor-listing-notes').value = settings.notes || '';
+}
 
-    // Clear selects
-    sellerSelect.innerHTML = '';
-    buyerSelect.innerHTML = '';
+/**
+ * Saves the instruction templates of the selected role and the profile values
+ */
+function savePromptTemplates() {
+  const role = document.getElementById('fb-chat-monitor-template-role').value;
+  const instructions = document.getElementById('fb-chat-monitor-template-instructions').value.trim();
+  const additional = document.getElementById('fb-chat-monitor-template-additional').value.trim();
+
+  window.CONFIG.saveAssistants({ [role]: { instructions } });
+  window.CONFIG.savePromptTemplates({
+    profile: {
+      sellerName: document.getElementById('fb-chat-monitor-profile-name').value.trim(),
+      pickupArea: document.getElementById('fb-chat-monitor-profile-pickup').value.trim()
+    },
+    additionalInstructions: { [role]: additional }
+  });
+  showSimpleAlert(`${role.charAt(0).toUpperCase() + role.slice(1)} templates saved`, 'success');
+}
+
+/**
+ * Saves the floor price, pickup area and notes of the open chat's listing
+ */
+async function saveListingSettings() {
+  const listing = await getCurrentListing();
+  const listingId = window.promptTemplates?.getListingId(listing);
+  if (!listingId) {
+    showSimpleAlert('Open a chat about a listing first', 'warning');
+    return;
+  }
+
+  window.promptTemplates.saveListingSettings(listingId, {
+    floorPrice: document.getElementById('fb-chat-monitor-listing-floor').value,
+    pickupArea: document.getElementById('fb-chat-monitor-listing-pickup').value,
+    notes: document.getElementById('fb-chat-monitor-listing-notes').value,
+    title: listing.title
+  });
+  showSimpleAlert('Listing settings saved', 'success');
+}
+
+/**
+ * Shows the instructions of the selected role rendered for the open chat's listing
+ */
+async function previewPrompt() {
+  const preview = document.getElementById('fb-chat-monitor-prompt-preview');
+  const role = document.getElementById('fb-chat-monitor-template-role').value;
+  if (!preview || !window.promptTemplates) return;
+
+  preview.style.display = 'block';
+  preview.textContent = 'Rendering...';
+
+  try {
+    const listing = await getCurrentListing();
+    const rendered = await window.promptTemplates.preview(role, listing);
+    const sources = {
+      template: 'template above',
+      assistant: 'instructions of the OpenAI assistant',
+      none: 'no instructions found'
+    };
+
+    const parts = [
+      `Listing: ${listing ? (listing.title || window.promptTemplates.getListingId(listing)) : 'none (open a chat about a listing)'}`,
+      `Source: ${sources[rendered.source]}`,
+      '',
+      'INSTRUCTIONS:',
+      rendered.instructions || '(empty)'
+    ];
+    if (rendered.additionalInstructions) {
+      parts.push('', 'ADDITIONAL INSTRUCTIONS:', rendered.additionalInstructions);
+    }
+    if (rendered.missing.length) {
+      parts.push('', `No value for: ${rendered.missing.join(', ')}`);
+    }
+    preview.textContent = parts.join('\n');
+  } catch (error) {
+    preview.textContent = `Could not render the prompt: ${error.message}`;
+  }
+}
+
+/**
+ * Lists the knowledge documents and the sync status
+ */
+function renderKnowledge() {
+  const list = document.getElementById('fb-chat-monitor-knowledge-list');
+  const status = document.getElementById('fb-chat-monitor-knowledge-status');
+  if (!list || !status || !window.knowledgeBase) return;
+
+  const info = window.knowledgeBase.getStatus();
+  let statusText = `${info.documents} document${info.documents === 1 ? '' : 's'}. `;
+  if (!info.fileSearch) {
+    statusText += 'File search needs the OpenAI provider: matching snippets are added to the prompt instead.';
+  } else if (info.syncing) {
+    statusText += 'Syncing...';
+  } else if (info.lastSyncError) {
+    statusText += `Last sync failed: ${info.lastSyncError}`;
+  } else if (info.pending) {
+    statusText += 'Changes not synced yet.';
+  } else if (info.lastSyncAt) {
+    statusText += `Synced ${formatDateTime(info.lastSyncAt)}, linked to ${info.linkedAssistants} assistant${info.linkedAssistants === 1 ? '' : 's'}.`;
+  }
+  info.skippedAssistants.forEach(({ assistantId, vectorStoreIds }) => {
+    statusText += ` Not linked to ${assistantId}: it already uses vector store ${vectorStoreIds.join(', ')} (remove it from the assistant to link the knowledge base).`;
+  });
+  status.textContent = statusText;
+  status.style.color = info.lastSyncError ? '#dc3545' : (info.skippedAssistants.length ? '#b8860b' : '#666');
+
+  list.innerHTML = '';
+  window.knowledgeBase.getDocuments().forEach(doc => {
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; align-items: center; gap: 5px; font-size: 13px; padding: 3px 0; border-bottom: 1px solid #eee;';
+
+    const title = document.createElement('span');
+    title.style.flex = '1';
+    title.textContent = `${doc.title}${doc.fileId ? '' : ' (not synced)'}`;
+    row.appendChild(title);
+
+    const edit = document.createElement('button');
+    edit.className = 'fb-chat-monitor-button fb-chat-monitor-button-secondary';
+    edit.textContent = 'Edit';
+    edit.addEventListener('click', () => editKnowledgeDocument(doc));
+    row.appendChild(edit);
+
+    const remove = document.createElement('button');
+    remove.className = 'fb-chat-monitor-button fb-chat-monitor-button-danger';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', () => {
+      if (!confirm(`Delete "${doc.title}"?`)) return;
+      window.knowledgeBase.deleteDocument(doc.id);
+      if (document.getElementById('fb-chat-monitor-knowledge-id').value === doc.id) editKnowledgeDocument(null);
+      renderKnowledge();
+    });
+    row.appendChild(remove);
+
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Loads a knowledge document into the editor (null clears it for a new one)
+ * @param {Object|null} doc - Document
+ */
+function editKnowledgeDocument(doc) {
+  document.getElementById('fb-chat-monitor-knowledge-id').value = doc?.id || '';
+  document.getElementById('fb-chat-monitor-knowledge-title').value = doc?.title || '';
+  document.getElementById('fb-chat-monitor-knowledge-content').value = doc?.content || '';
+}
+
+/**
+ * Saves the document in the editor; the knowledge base re-syncs by itself
+ */
+function saveKnowledgeDocument() {
+  if (!window.knowledgeBase) return;
+  try {
+    const doc = window.knowledgeBase.saveDocument({
+      id: document.getElementById('fb-chat-monitor-knowledge-id').value || null,
+      title: document.getElementById('fb-chat-monitor-knowledge-title').value,
+      content: document.getElementById('fb-chat-monitor-knowledge-content').value
+    });
+    editKnowledgeDocument(doc);
+    showSimpleAlert(`"${doc.title}" saved`, 'success');
+    renderKnowledge();
+  } catch (error) {
+    showSimpleAlert(error.message, 'warning');
+  }
+}
+
+/**
+ * Imports the files picked in the hidden file input
+ * @param {Event} event - Change event
+ */
+async function importKnowledgeFiles(event) {
+  const files = [...(event.target.files || [])];
+  event.target.value = '';
+
+  let imported = 0;
+  for (const file of files) {
+    try {
+      await window.knowledgeBase.importFile(file);
+      imported++;
+    } catch (error) {
+      logger.error(`Could not import ${file.name}`, {}, error);
+      showSimpleAlert(`Could not import ${file.name}: ${error.message}`, 'error');
+    }
+  }
+  if (imported) showSimpleAlert(`${imported} document${imported > 1 ? 's' : ''} imported`, 'success');
+  renderKnowledge();
+}
+
+/**
+ * Syncs the knowledge documents now instead of waiting for the automatic sync
+ */
+async function syncKnowledge() {
+  const button = document.getElementById('fb-chat-monitor-sync-knowledge');
+  if (!window.knowledgeBase.canSync()) {
+    showSimpleAlert('File search needs the OpenAI provider and endpoint', 'warning');
+    return;
+  }
+
+  button.disabled = true;
+  button.textContent = 'Syncing...';
+  try {
+    const result = await window.knowledgeBase.sync();
+    showSimpleAlert(`Knowledge synced (${result.uploaded} uploaded, ${result.removed} removed)`, 'success');
+  } catch (error) {
+    showSimpleAlert(`Knowledge sync failed: ${error.message}`, 'error');
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Sync Now';
+    renderKnowledge();
+  }
+}
+
+/**
+ * Switches the variant inputs between assistant IDs and instruction versions
+ */
+function updateExperimentVariantInputs() {
+  const isAssistant = document.getElementById('fb-chat-monitor-experiment-type').value === 'assistant';
+  ['a', 'b'].forEach(key => {
+    const input = document.getElementById(`fb-chat-monitor-experiment-${key}`);
+    input.rows = isAssistant ? 1 : 5;
+    input.placeholder = isAssistant ? 'Assistant ID (asst_...)' : 'Instructions (placeholders allowed)';
+  });
+}
+
+/**
+ * Starts an experiment from the form of the Assistants tab
+ */
+function startExperiment() {
+  if (!window.experimentManager) return;
+
+  const role = document.getElementById('fb-chat-monitor-experiment-role').value;
+  const running = window.experimentManager.getActiveExperiment(role);
+  if (running && !confirm(`"${running.name}" is running for the ${role} role and will be stopped. Continue?`)) return;
+
+  try {
+    const experiment = window.experimentManager.startExperiment({
+      name: document.getElementById('fb-chat-monitor-experiment-name').value,
+      role,
+      type: document.getElementById('fb-chat-monitor-experiment-type').value,
+      variants: {
+        A: document.getElementById('fb-chat-monitor-experiment-a').value,
+        B: document.getElementById('fb-chat-monitor-experiment-b').value
+      },
+      splitB: document.getElementById('fb-chat-monitor-experiment-split').value
+    });
+    ['name', 'a', 'b'].forEach(key => { document.getElementById(`fb-chat-monitor-experiment-${key}`).value = ''; });
+    showSimpleAlert(`Experiment "${experiment.name}" started`, 'success');
+    renderExperiments();
+  } catch (error) {
+    showSimpleAlert(`Could not start the experiment: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Lists the experiments with their per-variant report
+ */
+function renderExperiments() {
+  const list = document.getElementById('fb-chat-monitor-experiments-list');
+  if (!list || !window.experimentManager) return;
+
+  list.innerHTML = '';
+  const experiments = window.experimentManager.getExperiments();
+  if (!experiments.length) {
+    const empty = document.createElement('div');
+    empty.style.cssText = 'margin-top: 10px; font-size: 12px; color: #666;';
+    empty.textContent = 'No experiments yet';
+    list.appendChild(empty);
+    return;
+  }
+
+  const percent = (count, total) => (total ? `${Math.round((count / total) * 100)}%` : '-');
+  const describe = (experiment, key) => {
+    const value = experiment.variants[key];
+    if (!value) return 'current';
+    return experiment.type === 'assistant' ? value : `${value.substring(0, 40)}${value.length > 40 ? '...' : ''}`;
+  };
+
+  experiments.forEach(experiment => {
+    const report = window.experimentManager.getReport(experiment.id);
+    const box = document.createElement('div');
+    box.className = 'fb-chat-monitor-experiment';
+
+    const title = document.createElement('div');
+    title.style.fontWeight = 'bold';
+    title.textContent = `${experiment.name} (${experiment.role}, ${experiment.active ? 'running' : 'stopped'})`;
+    box.appendChild(title);
+
+    const table = document.createElement('table');
+    const header = table.insertRow();
+    ['Variant', 'Chats', 'Replies', 'Buyer replied', 'Meeting', 'Sold', 'Abandoned'].forEach(label => {
+      const cell = document.createElement('th');
+      cell.textContent = label;
+      header.appendChild(cell);
+    });
+    Object.entries(report).forEach(([key, row]) => {
+      const tr = table.insertRow();
+      [
+        `${key}: ${describe(experiment, key)}`,
+        row.threads,
+        row.replies,
+        percent(row.buyerReplied, row.threads),
+        percent(row.meetingAgreed, row.threads),
+        percent(row.sold, row.threads),
+        percent(row.abandoned, row.threads)
+      ].forEach(value => {
+        tr.insertCell().textContent = value;
+      });
+    });
+    box.appendChild(table);
+
+    const actions = [
+      experiment.active ? ['Stop', 'fb-chat-monitor-button-secondary', () => {
+        window.experimentManager.stopExperiment(experiment.id);
+        renderExperiments();
+      }] : null,
+      ['Export CSV', 'fb-chat-monitor-button-secondary', () => exportExperimentCsv(experiment)],
+      ['Delete', 'fb-chat-monitor-button-danger', () => {
+        if (!confirm(`Delete "${experiment.name}" and its results?`)) return;
+        window.experimentManager.deleteExperiment(experiment.id);
+        renderExperiments();
+      }]
+    ].filter(Boolean);
+    actions.forEach(([label, className, onClick]) => {
+      const button = document.createElement('button');
+      button.className = `fb-chat-monitor-button ${className}`;
+      button.style.marginRight = '5px';
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      box.appendChild(button);
+    });
+
+    list.appendChild(box);
+  });
+}
+
+/**
+ * Downloads the per-chat results of an experiment as CSV
+ * @param {Object} experiment - Experiment definition
+ */
+function exportExperimentCsv(experiment) {
+  try {
+    const csv = window.experimentManager.exportCsv(experiment.id);
+    const dataBlob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(dataBlob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `fb-chat-monitor-experiment-${experiment.name.replace(/[^\w-]+/g, '_')}-${new Date().toISOString().slice(0, 10)}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  } catch (error) {
+    logger.error('Error exporting experiment', {}, error);
+    showSimpleAlert(`Error exporting experiment: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Populates the assistant selects using the data stored in Tampermonkey.
+ * This allows showing the previously selected assistants when reloading the page,
+ * without depending on the API or the "Refresh Assistants" button.
+ */
+function populateAssistantsFromStorage() {
+  try {
+    // Get the selects
+    const sellerSelect = document.getElementById('fb-chat-monitor-seller-assistant');
+    const buyerSelect = document.getElementById('fb-chat-monitor-buyer-assistant');
+    if (!sellerSelect || !buyerSelect) return;
+
+    // Read the assistants from Tampermonkey storage
+    let assistants = null;
+    if (typeof GM_getValue === 'function') {
+      assistants = GM_getValue('FB_CHAT_MONITOR_FB_CHAT_ASSISTANTS', null);
+    }
+    if (!assistants && typeof localStorage !== 'undefined') {
+      const raw = localStorage.getItem('FB_CHAT_MONITOR_FB_CHAT_ASSISTANTS');
+      if (raw) {
+        try { assistants = JSON.parse(raw); } catch { }
+      }
+    }
+    if (!assistants) return;
+
+    // Clear selects
+    sellerSelect.innerHTML = '';
+    buyerSelect.innerHTML = '';
 
     // Seller
     if (assistants.seller && assistants.seller.id) {
@@ -1406,6 +2427,117 @@ function saveConfig() {
       }
     }
 
+    // Save the AI provider
+    const providerSelect = document.getElementById('fb-chat-monitor-provider');
+    if (providerSelect && window.CONFIG.saveProvider) {
+      const provider = providerSelect.value;
+      const url = document.getElementById('fb-chat-monitor-provider-url').value.trim();
+      const settings = {
+        apiKey: document.getElementById('fb-chat-monitor-provider-key').value.trim() || null,
+        model: document.getElementById('fb-chat-monitor-provider-model').value.trim()
+      };
+      if (provider === 'anthropic') settings.baseUrl = url;
+      if (provider === 'local-http') settings.url = url;
+      window.CONFIG.saveProvider(provider, provider === 'openai' ? null : settings);
+    }
+
+    // Save the endpoint profile (base URL, auth scheme, models)
+    const endpointProfileSelect = document.getElementById('fb-chat-monitor-endpoint-profile');
+    if (endpointProfileSelect && window.CONFIG.saveEndpointProfile) {
+      const models = parseModelList(document.getElementById('fb-chat-monitor-endpoint-models').value);
+      const saved = window.CONFIG.saveEndpointProfile(endpointProfileSelect.value, {
+        baseUrl: document.getElementById('fb-chat-monitor-endpoint-url').value.trim(),
+        authScheme: document.getElementById('fb-chat-monitor-endpoint-auth').value,
+        apiKey: document.getElementById('fb-chat-monitor-endpoint-key').value.trim() || null,
+        transport: document.getElementById('fb-chat-monitor-endpoint-transport').value,
+        models
+      });
+      const selectedModel = document.getElementById('fb-chat-monitor-endpoint-model').value;
+      if (saved && selectedModel && window.CONFIG.saveModel) {
+        window.CONFIG.saveModel(selectedModel);
+      }
+      if (saved && window.openaiManager) {
+        window.openaiManager.initialize();
+      }
+    }
+
+    // Save the response engine (Assistants API vs Chat Completions)
+    const responseEngineSelect = document.getElementById('fb-chat-monitor-response-engine');
+    if (responseEngineSelect) {
+      const useAssistantAPI = responseEngineSelect.value !== 'completions';
+      if (window.CONFIG.saveUseAssistantAPI) {
+        window.CONFIG.saveUseAssistantAPI(useAssistantAPI);
+      } else {
+        window.CONFIG.AI.useAssistantAPI = useAssistantAPI;
+        GM_setValue('FB_CHAT_USE_ASSISTANT_API', useAssistantAPI);
+      }
+    }
+
+    // Save the structured reply settings
+    const structuredRepliesSelect = document.getElementById('fb-chat-monitor-structured-replies');
+    const minConfidenceInput = document.getElementById('fb-chat-monitor-min-confidence');
+    if (structuredRepliesSelect && window.CONFIG.saveStructuredReplies) {
+      window.CONFIG.saveStructuredReplies({
+        enabled: structuredRepliesSelect.value !== 'off',
+        minConfidence: minConfidenceInput ? minConfidenceInput.value : undefined
+      });
+    }
+
+    // Save the safety gate settings
+    const safetyGateSelect = document.getElementById('fb-chat-monitor-safety-gate');
+    if (safetyGateSelect && window.CONFIG.saveSafetyGate) {
+      window.CONFIG.saveSafetyGate({
+        enabled: safetyGateSelect.value !== 'off',
+        moderation: document.getElementById('fb-chat-monitor-safety-moderation').checked,
+        checkFloorPrice: document.getElementById('fb-chat-monitor-safety-floor').checked,
+        maxLength: document.getElementById('fb-chat-monitor-safety-max-length').value,
+        rules: {
+          phoneNumbers: document.getElementById('fb-chat-monitor-safety-phones').checked,
+          shipFirst: document.getElementById('fb-chat-monitor-safety-ship-first').checked,
+          offPlatformPayment: document.getElementById('fb-chat-monitor-safety-payments').checked
+        },
+        blocklist: document.getElementById('fb-chat-monitor-safety-blocklist').value.split('\n')
+      });
+    }
+
+    // Save the language settings
+    const languageDetectionSelect = document.getElementById('fb-chat-monitor-language-detection');
+    if (languageDetectionSelect && window.CONFIG.saveLanguage) {
+      window.CONFIG.saveLanguage({
+        enabled: languageDetectionSelect.value !== 'off',
+        replyInBuyerLanguage: document.getElementById('fb-chat-monitor-language-reply').checked,
+        translateIncoming: document.getElementById('fb-chat-monitor-language-incoming').checked,
+        translateDrafts: document.getElementById('fb-chat-monitor-language-drafts').checked,
+        userLanguage: document.getElementById('fb-chat-monitor-user-language').value
+      });
+    }
+
+    // Save the personal data redaction settings
+    const redactPiiSelect = document.getElementById('fb-chat-monitor-redact-pii');
+    if (redactPiiSelect && window.CONFIG.savePrivacy) {
+      window.CONFIG.savePrivacy({
+        redactPII: redactPiiSelect.value !== 'off',
+        names: document.getElementById('fb-chat-monitor-redact-names').checked,
+        emails: document.getElementById('fb-chat-monitor-redact-emails').checked,
+        phones: document.getElementById('fb-chat-monitor-redact-phones').checked,
+        addresses: document.getElementById('fb-chat-monitor-redact-addresses').checked,
+        locations: document.getElementById('fb-chat-monitor-redact-locations').checked
+      });
+    }
+
+    // Save the spend caps
+    const dailyCapInput = document.getElementById('fb-chat-monitor-daily-cap');
+    const monthlyCapInput = document.getElementById('fb-chat-monitor-monthly-cap');
+    if (dailyCapInput && monthlyCapInput && window.CONFIG.saveUsageCaps) {
+      window.CONFIG.saveUsageCaps({ daily: dailyCapInput.value, monthly: monthlyCapInput.value });
+    }
+
+    // Save what the floating generate button does (draft picker or single reply)
+    const generateButtonModeSelect = document.getElementById('fb-chat-monitor-generate-button-mode');
+    if (generateButtonModeSelect && window.CONFIG.saveDraftVariantsEnabled) {
+      window.CONFIG.saveDraftVariantsEnabled(generateButtonModeSelect.value === 'drafts');
+    }
+
     // Save the operation mode
     GM_setValue('CONFIG_operationMode', window.CONFIG.operationMode || 'manual');
     GM_setValue('CONFIG_autoSendMessages', window.CONFIG.autoSendMessages || false);
@@ -1448,6 +2580,45 @@ function loadConfig() {
 
     // Load API key if it exists
     if (!window.CONFIG.AI) window.CONFIG.AI = {};
+    const savedProvider = GM_getValue('FB_CHAT_PROVIDER', null);
+    if (savedProvider && window.CONFIG.applyStoredProvider) {
+      window.CONFIG.applyStoredProvider(savedProvider, GM_getValue('FB_CHAT_PROVIDER_SETTINGS', null));
+    }
+    const savedEndpointProfiles = GM_getValue('FB_CHAT_ENDPOINT_PROFILES', null);
+    if (savedEndpointProfiles && window.CONFIG.applyStoredEndpointProfiles) {
+      window.CONFIG.applyStoredEndpointProfiles(savedEndpointProfiles);
+    }
+    const savedModel = GM_getValue('FB_CHAT_MODEL', null);
+    if (savedModel) window.CONFIG.AI.model = savedModel;
+    const savedUseAssistantAPI = GM_getValue('FB_CHAT_USE_ASSISTANT_API', true);
+    window.CONFIG.AI.useAssistantAPI = savedUseAssistantAPI !== false && savedUseAssistantAPI !== 'false';
+    const savedStructuredReplies = GM_getValue('FB_CHAT_STRUCTURED_REPLIES', null);
+    if (savedStructuredReplies && window.CONFIG.applyStoredStructuredReplies) {
+      window.CONFIG.applyStoredStructuredReplies(savedStructuredReplies);
+    }
+    const savedUsageCaps = GM_getValue('FB_CHAT_USAGE_CAPS', null);
+    if (savedUsageCaps && window.CONFIG.applyStoredUsageCaps) {
+      window.CONFIG.applyStoredUsageCaps(savedUsageCaps);
+    }
+    const savedPromptTemplates = GM_getValue('FB_CHAT_PROMPT_TEMPLATES', null);
+    if (savedPromptTemplates && window.CONFIG.applyStoredPromptTemplates) {
+      window.CONFIG.applyStoredPromptTemplates(savedPromptTemplates);
+    }
+    const savedSafetyGate = GM_getValue('FB_CHAT_SAFETY_GATE', null);
+    if (savedSafetyGate && window.CONFIG.applyStoredSafetyGate) {
+      window.CONFIG.applyStoredSafetyGate(savedSafetyGate);
+    }
+    const savedLanguage = GM_getValue('FB_CHAT_LANGUAGE', null);
+    if (savedLanguage && window.CONFIG.applyStoredLanguage) {
+      window.CONFIG.applyStoredLanguage(savedLanguage);
+    }
+    const savedPrivacy = GM_getValue('FB_CHAT_PRIVACY', null);
+    if (savedPrivacy && window.CONFIG.applyStoredPrivacy) {
+      window.CONFIG.applyStoredPrivacy(savedPrivacy);
+    }
+    const savedDraftVariants = GM_getValue('FB_CHAT_DRAFT_VARIANTS', true);
+    window.CONFIG.AI.draftVariants.enabled = savedDraftVariants !== false && savedDraftVariants !== 'false';
+
     window.CONFIG.AI.apiKey = GM_getValue('CONFIG_AI_apiKey', '');
 
     logger.log('Configuration loaded from persistent storage');
@@ -1483,6 +2654,147 @@ function updateUIWithLoadedConfig() {
       }
     }
   }
+
+  // Update the provider fields
+  if (document.getElementById('fb-chat-monitor-provider')) {
+    document.getElementById('fb-chat-monitor-provider').value = window.CONFIG.AI?.provider || 'openai';
+    fillProviderFields(window.CONFIG.AI?.provider || 'openai');
+  }
+
+  // Update the endpoint profile fields
+  if (document.getElementById('fb-chat-monitor-endpoint-profile') && window.CONFIG.AI?.endpoint) {
+    document.getElementById('fb-chat-monitor-endpoint-profile').value = window.CONFIG.AI.endpoint.activeProfile;
+    fillEndpointProfileFields(window.CONFIG.AI.endpoint.activeProfile);
+  }
+
+  // Update the response engine selector
+  const responseEngineSelect = document.getElementById('fb-chat-monitor-response-engine');
+  if (responseEngineSelect) {
+    responseEngineSelect.value = window.CONFIG.AI?.useAssistantAPI === false ? 'completions' : 'assistants';
+  }
+
+  // Update the structured reply settings
+  const structuredRepliesSelect = document.getElementById('fb-chat-monitor-structured-replies');
+  if (structuredRepliesSelect) {
+    structuredRepliesSelect.value = window.CONFIG.AI?.structuredReplies?.enabled === false ? 'off' : 'on';
+  }
+  const minConfidenceInput = document.getElementById('fb-chat-monitor-min-confidence');
+  if (minConfidenceInput) {
+    minConfidenceInput.value = window.CONFIG.AI?.structuredReplies?.minConfidence ?? 0.6;
+  }
+
+  // Update the safety gate settings
+  const safetyGate = window.CONFIG.AI?.safetyGate;
+  const safetyGateSelect = document.getElementById('fb-chat-monitor-safety-gate');
+  if (safetyGateSelect && safetyGate) {
+    safetyGateSelect.value = safetyGate.enabled === false ? 'off' : 'on';
+    document.getElementById('fb-chat-monitor-safety-moderation').checked = safetyGate.moderation !== false;
+    document.getElementById('fb-chat-monitor-safety-floor').checked = safetyGate.checkFloorPrice !== false;
+    document.getElementById('fb-chat-monitor-safety-phones').checked = safetyGate.rules?.phoneNumbers !== false;
+    document.getElementById('fb-chat-monitor-safety-ship-first').checked = safetyGate.rules?.shipFirst !== false;
+    document.getElementById('fb-chat-monitor-safety-payments').checked = safetyGate.rules?.offPlatformPayment !== false;
+    document.getElementById('fb-chat-monitor-safety-max-length').value = safetyGate.maxLength ?? 600;
+    document.getElementById('fb-chat-monitor-safety-blocklist').value = (safetyGate.blocklist || []).join('\n');
+  }
+
+  // Update the language settings
+  const language = window.CONFIG.AI?.language;
+  const languageDetectionSelect = document.getElementById('fb-chat-monitor-language-detection');
+  if (languageDetectionSelect && language) {
+    languageDetectionSelect.value = language.enabled === false ? 'off' : 'on';
+    document.getElementById('fb-chat-monitor-language-reply').checked = language.replyInBuyerLanguage !== false;
+    document.getElementById('fb-chat-monitor-language-incoming').checked = language.translateIncoming !== false;
+    document.getElementById('fb-chat-monitor-language-drafts').checked = language.translateDrafts !== false;
+    document.getElementById('fb-chat-monitor-user-language').value = language.userLanguage || '';
+  }
+
+  // Update the personal data redaction settings
+  const privacy = window.CONFIG.AI?.privacy;
+  const redactPiiSelect = document.getElementById('fb-chat-monitor-redact-pii');
+  if (redactPiiSelect && privacy) {
+    redactPiiSelect.value = privacy.redactPII === false ? 'off' : 'on';
+    document.getElementById('fb-chat-monitor-redact-names').checked = privacy.names !== false;
+    document.getElementById('fb-chat-monitor-redact-emails').checked = privacy.emails !== false;
+    document.getElementById('fb-chat-monitor-redact-phones').checked = privacy.phones !== false;
+    document.getElementById('fb-chat-monitor-redact-addresses').checked = privacy.addresses !== false;
+    document.getElementById('fb-chat-monitor-redact-locations').checked = privacy.locations !== false;
+  }
+
+  // Update the generate button mode selector
+  const generateButtonModeSelect = document.getElementById('fb-chat-monitor-generate-button-mode');
+  if (generateButtonModeSelect) {
+    generateButtonModeSelect.value = window.CONFIG.AI?.draftVariants?.enabled ? 'drafts' : 'single';
+  }
+
+  // Update the spend caps
+  const dailyCapInput = document.getElementById('fb-chat-monitor-daily-cap');
+  if (dailyCapInput) {
+    dailyCapInput.value = window.CONFIG.AI?.usage?.caps?.daily || 0;
+  }
+  const monthlyCapInput = document.getElementById('fb-chat-monitor-monthly-cap');
+  if (monthlyCapInput) {
+    monthlyCapInput.value = window.CONFIG.AI?.usage?.caps?.monthly || 0;
+  }
+}
+
+/**
+ * Shows the settings of a non-OpenAI provider in the Config tab
+ * @param {string} provider - Provider name
+ */
+function fillProviderFields(provider) {
+  const container = document.getElementById('fb-chat-monitor-provider-settings');
+  if (!container) return;
+
+  if (provider === 'openai') {
+    container.style.display = 'none';
+    return;
+  }
+
+  const settings = CONFIG.AI?.providers?.[provider] || {};
+  container.style.display = 'block';
+  document.getElementById('fb-chat-monitor-provider-url').value = (provider === 'anthropic' ? settings.baseUrl : settings.url) || '';
+  document.getElementById('fb-chat-monitor-provider-key').value = settings.apiKey || '';
+  document.getElementById('fb-chat-monitor-provider-model').value = settings.model || '';
+}
+
+/**
+ * Splits a comma separated model list
+ * @param {string} value - Raw input value
+ * @returns {Array<string>} Model names
+ */
+function parseModelList(value) {
+  return (value || '').split(',').map(m => m.trim()).filter(Boolean);
+}
+
+/**
+ * Fills the model selector with the given models, keeping the current model selected
+ * @param {Array<string>} models - Model names
+ */
+function fillEndpointModelSelect(models) {
+  const modelSelect = document.getElementById('fb-chat-monitor-endpoint-model');
+  if (!modelSelect) return;
+  modelSelect.innerHTML = models.map(model =>
+    `<option value="${model}" ${model === CONFIG.AI.model ? 'selected' : ''}>${model}</option>`).join('');
+}
+
+/**
+ * Fills the endpoint fields of the Config tab with a stored profile
+ * @param {string} profileKey - Profile key in CONFIG.AI.endpoint.profiles
+ */
+function fillEndpointProfileFields(profileKey) {
+  const profile = CONFIG.AI?.endpoint?.profiles?.[profileKey];
+  if (!profile) return;
+
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.value = value;
+  };
+  setValue('fb-chat-monitor-endpoint-url', profile.baseUrl || '');
+  setValue('fb-chat-monitor-endpoint-auth', profile.authScheme || 'bearer');
+  setValue('fb-chat-monitor-endpoint-key', profile.apiKey || '');
+  setValue('fb-chat-monitor-endpoint-transport', profile.transport || 'fetch');
+  setValue('fb-chat-monitor-endpoint-models', (profile.models || []).join(', '));
+  fillEndpointModelSelect(profile.models || []);
 }
 
 /**
@@ -1603,6 +2915,8 @@ function refreshHistory() {
 
     // Get history
     const history = getConversationHistory();
+    renderDraftStats(history);
+    populateExportChats();
 
     if (!history || history.length === 0) {
       historyList.innerHTML = '<tr><td colspan="4" style="text-align: center;">No conversation history</td></tr>';
@@ -1627,6 +2941,39 @@ function refreshHistory() {
       modeBadge.className = `fb-chat-monitor-badge fb-chat-monitor-badge-${item.mode}`;
       modeCell.appendChild(modeBadge);
 
+      // Intent detected by the structured reply envelope
+      if (item.envelope?.intent) {
+        const intentBadge = document.createElement('span');
+        intentBadge.textContent = item.envelope.intent;
+        intentBadge.className = 'fb-chat-monitor-badge fb-chat-monitor-badge-intent';
+        intentBadge.title = [
+          item.envelope.confidence !== null ? `Confidence: ${Math.round(item.envelope.confidence * 100)}%` : '',
+          item.envelope.offerAmount !== null ? `Offer: ${item.envelope.offerAmount}` : '',
+          item.envelope.needsHuman ? 'Needs human review' : '',
+          item.envelope.actions?.length ? `Suggested: ${item.envelope.actions.join(', ')}` : '',
+          item.refused ? `Not sent: ${item.refused}` : ''
+        ].filter(Boolean).join('\n');
+        modeCell.appendChild(intentBadge);
+      }
+
+      // Draft chosen in the picker
+      if (item.draft) {
+        const draftBadge = document.createElement('span');
+        draftBadge.textContent = item.draft.label || item.draft.style;
+        draftBadge.className = 'fb-chat-monitor-badge fb-chat-monitor-badge-draft';
+        draftBadge.title = `Draft chosen among: ${(item.draft.offered || []).join(', ')}`;
+        modeCell.appendChild(draftBadge);
+      }
+
+      // Kept as a draft by the safety gate
+      if (item.blocked) {
+        const blockedBadge = document.createElement('span');
+        blockedBadge.textContent = 'blocked';
+        blockedBadge.className = 'fb-chat-monitor-badge fb-chat-monitor-badge-blocked';
+        blockedBadge.title = `Not sent: ${item.blocked}`;
+        modeCell.appendChild(blockedBadge);
+      }
+
       // Content column with the generated response and click event for redirection
       const contentCell = document.createElement('td');
       contentCell.style.cursor = 'pointer'; // Indicate that it is clickable
@@ -1638,37 +2985,7 @@ function refreshHistory() {
 
       // Add click event to redirect to the chat
       if (item.context && item.context.chatId) {
-        contentCell.addEventListener('click', () => {
-          try {
-            // Search for the chat in the chat list by ID
-            const chatId = item.context.chatId;
-
-            // Search for the chat element in the chat list
-            const chatElement = findChatElementById(chatId);
-
-            if (chatElement) {
-              // Scroll to make it visible
-              chatElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
-
-              // Notify the user
-              showSimpleAlert('Opening chat...', 'info');
-
-              // Wait a moment and click
-              setTimeout(() => {
-                chatElement.click();
-              }, 500);
-            } else {
-              // Fallback: if we don't find the element, use direct navigation
-              // but warn the user that the page will be refreshed
-              if (confirm('Chat not found in the current list. Do you want to navigate directly? (This will refresh the page)')) {
-                const chatUrl = `https://www.facebook.com/messages/t/${chatId}/`;
-                window.location.href = chatUrl;
-              }
-            }
-          } catch (e) {
-            showSimpleAlert('Could not navigate to chat: ' + e.message, 'error');
-          }
-        });
+        contentCell.addEventListener('click', () => openChatById(item.context.chatId));
 
         // Tooltip to indicate the action
         contentCell.title = 'Click to open this conversation';
@@ -1703,6 +3020,60 @@ function refreshHistory() {
   }
 }
 
+/**
+ * Shows which draft styles are chosen most often in the picker
+ * @param {Array} history - Response history entries
+ */
+function renderDraftStats(history) {
+  const container = document.getElementById('fb-chat-monitor-draft-stats');
+  if (!container) return;
+
+  const counts = {};
+  (history || []).forEach(item => {
+    if (!item.draft) return;
+    const label = item.draft.label || item.draft.style;
+    counts[label] = (counts[label] || 0) + 1;
+  });
+
+  const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  container.textContent = entries.length
+    ? `Preferred drafts: ${entries.map(([label, count]) => `${label} (${count})`).join(', ')}`
+    : '';
+}
+
+/**
+ * Opens a conversation: clicks it in the chat list, or navigates to it after confirming
+ * @param {string} chatId - ID of the chat to open
+ */
+function openChatById(chatId) {
+  try {
+    // Search for the chat element in the chat list
+    const chatElement = findChatElementById(chatId);
+
+    if (chatElement) {
+      // Scroll to make it visible
+      chatElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+      // Notify the user
+      showSimpleAlert('Opening chat...', 'info');
+
+      // Wait a moment and click
+      setTimeout(() => {
+        chatElement.click();
+      }, 500);
+    } else {
+      // Fallback: if we don't find the element, use direct navigation
+      // but warn the user that the page will be refreshed
+      if (confirm('Chat not found in the current list. Do you want to navigate directly? (This will refresh the page)')) {
+        const chatUrl = `https://www.facebook.com/messages/t/${chatId}/`;
+        window.location.href = chatUrl;
+      }
+    }
+  } catch (e) {
+    showSimpleAlert('Could not navigate to chat: ' + e.message, 'error');
+  }
+}
+
 /**
  * Searches for a chat element by ID in the chat list
  * @param {string} chatId - ID of the chat to search for
@@ -1711,11 +3082,11 @@ function refreshHistory() {
 function findChatElementById(chatId) {
   try {
     // Search in the chat list using the configuration selectors
-    const chatContainer = domUtils.findElement(CONFIG.selectors.chatList.container);
+    const chatContainer = selectorHealth.find('chatList.container');
     if (!chatContainer) return null;
 
     // Get all chat elements
-    const chatItems = domUtils.findAllElements(CONFIG.selectors.chatList.chatItem, chatContainer);
+    const chatItems = selectorHealth.findAll('chatList.chatItem', chatContainer);
 
     // Search for the chat with the corresponding ID
     for (const chatItem of chatItems) {
@@ -1780,6 +3151,189 @@ function exportHistory() {
   }
 }
 
+/**
+ * Fills the chat select of the export: the open chat first, then the processed ones
+ */
+function populateExportChats() {
+  const select = document.getElementById('fb-chat-monitor-export-chat-id');
+  if (!select || !window.chatExporter) return;
+
+  const previous = select.value;
+  const currentChatId = window.chatManager?.currentChatId;
+  const conversations = window.chatExporter.listConversations();
+  select.innerHTML = '';
+
+  if (currentChatId && !conversations.some(item => item.chatId === currentChatId)) {
+    conversations.unshift({ chatId: currentChatId, title: `Chat ${currentChatId}`, messageCount: null, updatedAt: Date.now() });
+  }
+  if (conversations.length === 0) {
+    select.innerHTML = '<option value="">No processed conversations yet</option>';
+    return;
+  }
+
+  conversations.forEach(item => {
+    const option = document.createElement('option');
+    option.value = item.chatId;
+    option.textContent = `${item.chatId === currentChatId ? '(open) ' : ''}${item.title}` +
+      (item.messageCount !== null ? ` · ${item.messageCount} messages` : '');
+    select.appendChild(option);
+  });
+  select.value = conversations.some(item => item.chatId === previous) ? previous : (currentChatId || conversations[0].chatId);
+}
+
+/**
+ * Downloads the selected conversation in the selected format
+ */
+function exportChat() {
+  try {
+    const chatId = document.getElementById('fb-chat-monitor-export-chat-id').value;
+    const format = document.getElementById('fb-chat-monitor-export-chat-format').value;
+    if (!chatId) {
+      showSimpleAlert('Process a conversation first to export it', 'warning');
+      return;
+    }
+
+    const { content, mimeType, fileName } = window.chatExporter.exportConversation(chatId, format);
+    const dataBlob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(dataBlob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    showSimpleAlert('Chat exported successfully', 'success');
+  } catch (error) {
+    logger.error('Error exporting chat', {}, error);
+    showSimpleAlert(`Error exporting chat: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Shows the archive size and fills the listing filter
+ */
+async function refreshArchive() {
+  const stats = document.getElementById('fb-chat-monitor-archive-stats');
+  if (!stats) return;
+
+  if (!window.conversationArchive?.isAvailable()) {
+    stats.textContent = 'The archive needs IndexedDB, which this browser does not allow here.';
+    return;
+  }
+
+  try {
+    const { conversations, messages, products } = await window.conversationArchive.getStats();
+    stats.textContent = `${conversations} conversations, ${messages} messages and ${products} listings archived in this browser`;
+
+    const listingSelect = document.getElementById('fb-chat-monitor-archive-listing');
+    const previous = listingSelect.value;
+    const listings = await window.conversationArchive.listListings();
+    listingSelect.innerHTML = '<option value="">Any listing</option>';
+    listings.forEach(listing => {
+      const option = document.createElement('option');
+      option.value = listing.productId;
+      option.textContent = listing.title;
+      listingSelect.appendChild(option);
+    });
+    listingSelect.value = listings.some(listing => listing.productId === previous) ? previous : '';
+
+    await searchArchive();
+  } catch (error) {
+    logger.error('Error loading the archive', {}, error);
+    stats.textContent = `Error loading the archive: ${error.message}`;
+  }
+}
+
+/**
+ * Searches the archive with the query and filters of the Archive tab
+ */
+async function searchArchive() {
+  const resultsList = document.getElementById('fb-chat-monitor-archive-results');
+  if (!resultsList || !window.conversationArchive?.isAvailable()) return;
+
+  // Date inputs are local days: from the start of the first to the end of the last
+  const from = document.getElementById('fb-chat-monitor-archive-from').value;
+  const to = document.getElementById('fb-chat-monitor-archive-to').value;
+  const filters = {
+    query: document.getElementById('fb-chat-monitor-archive-query').value,
+    role: document.getElementById('fb-chat-monitor-archive-role').value || null,
+    productId: document.getElementById('fb-chat-monitor-archive-listing').value || null,
+    from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+    to: to ? new Date(`${to}T23:59:59.999`).getTime() : null,
+    hasAudio: document.getElementById('fb-chat-monitor-archive-audio').checked
+  };
+
+  try {
+    const results = await window.conversationArchive.search(filters);
+    renderArchiveResults(results);
+  } catch (error) {
+    logger.error('Error searching the archive', {}, error);
+    resultsList.innerHTML = '<tr><td colspan="3" style="text-align: center;">Error searching the archive</td></tr>';
+  }
+}
+
+/**
+ * Renders archive search results; clicking one opens its chat
+ * @param {Array} results - Results of conversationArchive.search
+ */
+function renderArchiveResults(results) {
+  const resultsList = document.getElementById('fb-chat-monitor-archive-results');
+  if (results.length === 0) {
+    resultsList.innerHTML = '<tr><td colspan="3" style="text-align: center;">No archived messages match</td></tr>';
+    return;
+  }
+
+  resultsList.innerHTML = '';
+  results.forEach(result => {
+    const row = document.createElement('tr');
+    row.style.cursor = 'pointer';
+    row.title = 'Click to open this conversation';
+    row.addEventListener('click', () => openChatById(result.chatId));
+
+    const timeCell = document.createElement('td');
+    timeCell.textContent = result.timestamp ? formatDateTime(result.timestamp) : '-';
+
+    const chatCell = document.createElement('td');
+    if (result.role) {
+      const roleBadge = document.createElement('span');
+      roleBadge.textContent = result.role === 'seller' ? 'Seller' : 'Buyer';
+      roleBadge.className = `fb-chat-monitor-badge fb-chat-monitor-badge-${result.role}`;
+      chatCell.appendChild(roleBadge);
+    }
+    chatCell.appendChild(document.createTextNode(
+      ` ${[result.productTitle, result.contactName].filter(Boolean).join(' · ') || `Chat ${result.chatId}`}`
+    ));
+
+    const messageCell = document.createElement('td');
+    const sender = result.sentByUs ? 'You' : (result.senderName || result.contactName || 'Them');
+    messageCell.textContent = `${result.hasAudio ? '🎤 ' : ''}${sender}: ${result.snippet}`;
+    messageCell.style.color = '#2196F3'; // Blue color to indicate that it is clickable
+
+    row.appendChild(timeCell);
+    row.appendChild(chatCell);
+    row.appendChild(messageCell);
+    resultsList.appendChild(row);
+  });
+}
+
+/**
+ * Deletes the whole conversation archive after confirming
+ */
+async function clearArchive() {
+  if (!window.conversationArchive?.isAvailable()) return;
+  if (!confirm('Are you sure you want to delete every archived conversation?')) return;
+
+  try {
+    await window.conversationArchive.clear();
+    await refreshArchive();
+    showSimpleAlert('Conversation archive cleared', 'success');
+  } catch (error) {
+    logger.error('Error clearing the archive', {}, error);
+    showSimpleAlert(`Error clearing the archive: ${error.message}`, 'error');
+  }
+}
+
 /**
  * Get conversation history from storage
  * @returns {Array} Conversation history
@@ -1886,6 +3440,7 @@ function createFloatingResponseButton() {
   button.id = 'fbChatMonitorQuickResponse';
   button.classList.add('fb-chat-monitor-floating-button');
   button.textContent = '✨ Generate Response';
+  button.dataset.state = 'idle';
 
   // Styles to position near the message input field
   button.style.position = 'fixed';
@@ -1905,15 +3460,24 @@ function createFloatingResponseButton() {
 
   // Hover effect
   button.addEventListener('mouseenter', () => {
-    button.style.backgroundColor = '#166fe5';
+    button.style.backgroundColor = button.dataset.state === 'generating' ? '#c62828' : '#166fe5';
   });
   button.addEventListener('mouseleave', () => {
-    button.style.backgroundColor = '#1877f2';
+    button.style.backgroundColor = button.dataset.state === 'generating' ? '#e53935' : '#1877f2';
   });
 
-  // Generate response on click
+  // Generate response on click (or cancel the one in progress)
   button.addEventListener('click', (e) => {
     e.stopPropagation();
+    if (button.dataset.state === 'generating') {
+      window.chatManager?.cancelResponseGeneration();
+      return;
+    }
+    // Draft picker: several candidates, only the chosen one is inserted
+    if (window.CONFIG?.AI?.draftVariants?.enabled && typeof window.chatManager?.generateVariantsForCurrentChat === 'function') {
+      generateDraftsForCurrentChat();
+      return;
+    }
     // Use the same function as the original button
     if (window.chatManager && typeof window.chatManager.generateResponseForCurrentChat === 'function') {
       window.chatManager.generateResponseForCurrentChat();
@@ -1923,9 +3487,197 @@ function createFloatingResponseButton() {
     }
   });
 
+  // Follow the generation progress published by chatManager
+  if (window.eventCoordinator) {
+    window.eventCoordinator.on('responseStreamStarted', () => setFloatingButtonProgress(button, 0));
+    window.eventCoordinator.on('responseStreamProgress', (data) => setFloatingButtonProgress(button, data.chars));
+    window.eventCoordinator.on('responseStreamEnded', () => setFloatingButtonProgress(button, null));
+    window.eventCoordinator.on('responseStreamStarted', () => closeReplyTranslation());
+    window.eventCoordinator.on('replyTranslated', (data) => showReplyTranslation(data));
+  }
+
   return button;
 }
 
+/**
+ * Shows the generation progress on the floating button, which doubles as the cancel control
+ * @param {HTMLElement} button - Floating response button
+ * @param {number|null} chars - Characters received so far, or null when the generation ended
+ */
+function setFloatingButtonProgress(button, chars) {
+  if (chars === null) {
+    button.dataset.state = 'idle';
+    button.textContent = '✨ Generate Response';
+    button.title = '';
+    button.style.backgroundColor = '#1877f2';
+    return;
+  }
+
+  button.dataset.state = 'generating';
+  button.textContent = chars > 0
+    ? `⏹ Cancel · ${chars} chars`
+    : '⏹ Cancel · Generating...';
+  button.title = 'Click to stop generating the response';
+  button.style.backgroundColor = '#e53935';
+}
+
+/**
+ * Generates draft variants for the current chat and shows them in the draft picker
+ */
+async function generateDraftsForCurrentChat() {
+  const result = await window.chatManager.generateVariantsForCurrentChat();
+  if (result) {
+    showDraftPicker(result.context, result.variants);
+  }
+}
+
+/**
+ * Shows the draft variants as selectable cards over the chat.
+ * Only the chosen one is inserted (through chatManager.applyDraftVariant).
+ * @param {Object} context - Chat context the drafts were generated for
+ * @param {Array<{style: string, label: string, text: string}>} variants - Drafts to choose from
+ */
+function showDraftPicker(context, variants) {
+  closeDraftPicker();
+  closeReplyTranslation();
+
+  const picker = document.createElement('div');
+  picker.id = 'fbChatMonitorDraftPicker';
+  picker.className = 'fb-chat-monitor-draft-picker';
+
+  // Place it just above the floating button
+  const buttonBottom = parseInt(uiState.floatingResponseButton?.style.bottom, 10) || 20;
+  picker.style.bottom = `${buttonBottom + 45}px`;
+
+  const header = document.createElement('div');
+  header.className = 'fb-chat-monitor-draft-picker-header';
+  header.innerHTML = '<span>Choose a draft</span>';
+
+  const closeButton = document.createElement('button');
+  closeButton.className = 'fb-chat-monitor-draft-picker-close';
+  closeButton.textContent = '✕';
+  closeButton.title = 'Discard drafts';
+  closeButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    closeDraftPicker();
+  });
+  header.appendChild(closeButton);
+  picker.appendChild(header);
+
+  const translationTargets = [];
+  variants.forEach(variant => {
+    const card = document.createElement('div');
+    card.className = 'fb-chat-monitor-draft-card';
+
+    const label = document.createElement('div');
+    label.className = 'fb-chat-monitor-draft-card-label';
+    label.textContent = variant.label;
+
+    const text = document.createElement('div');
+    text.className = 'fb-chat-monitor-draft-card-text';
+    text.textContent = variant.text;
+
+    card.appendChild(label);
+    card.appendChild(text);
+    translationTargets.push(card);
+    card.title = 'Click to insert this draft';
+    card.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (window.chatManager.applyDraftVariant(context, variant, variants)) {
+        closeDraftPicker();
+      }
+    });
+
+    picker.appendChild(card);
+  });
+
+  document.body.appendChild(picker);
+  uiState.draftPicker = picker;
+
+  // Escape discards the drafts
+  uiState.draftPickerKeyHandler = (e) => {
+    if (e.key === 'Escape') closeDraftPicker();
+  };
+  document.addEventListener('keydown', uiState.draftPickerKeyHandler);
+
+  // Drafts in the buyer's language get a translation into the user's own
+  const languageManager = window.languageManager;
+  if (languageManager && languageManager.getSettings().translateDrafts && languageManager.needsTranslation(context.chatId)) {
+    languageManager.translate(variants.map(variant => variant.text), languageManager.getUserLanguage(), context.chatId)
+      .then(translations => {
+        translations.forEach((translation, index) => {
+          if (!translation || !translationTargets[index].isConnected) return;
+          const translationElement = document.createElement('div');
+          translationElement.className = 'fb-chat-monitor-draft-card-translation';
+          translationElement.textContent = translation;
+          translationTargets[index].appendChild(translationElement);
+        });
+      })
+      .catch(error => logger.warn(`Could not translate the drafts: ${error.message}`));
+  }
+}
+
+/**
+ * Shows the translation of the generated reply above the floating button
+ * @param {Object} data - {chatId, text, translation, from, to} from LanguageManager
+ */
+function showReplyTranslation(data) {
+  closeReplyTranslation();
+  if (!data || data.chatId !== window.chatManager?.currentChatId || uiState.draftPicker) return;
+
+  const box = document.createElement('div');
+  box.className = 'fb-chat-monitor-reply-translation';
+  const buttonBottom = parseInt(uiState.floatingResponseButton?.style.bottom, 10) || 20;
+  box.style.bottom = `${buttonBottom + 45}px`;
+
+  const header = document.createElement('div');
+  header.className = 'fb-chat-monitor-draft-picker-header';
+  const title = document.createElement('span');
+  title.textContent = `Reply in ${window.languageManager.getLanguageName(data.from)}, translated`;
+  const closeButton = document.createElement('button');
+  closeButton.className = 'fb-chat-monitor-draft-picker-close';
+  closeButton.textContent = '✕';
+  closeButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    closeReplyTranslation();
+  });
+  header.appendChild(title);
+  header.appendChild(closeButton);
+
+  const text = document.createElement('div');
+  text.className = 'fb-chat-monitor-draft-card-text';
+  text.textContent = data.translation;
+
+  box.appendChild(header);
+  box.appendChild(text);
+  document.body.appendChild(box);
+  uiState.replyTranslation = box;
+}
+
+/**
+ * Closes the reply translation if it is shown
+ */
+function closeReplyTranslation() {
+  if (uiState.replyTranslation) {
+    uiState.replyTranslation.remove();
+    uiState.replyTranslation = null;
+  }
+}
+
+/**
+ * Closes the draft picker if it is open
+ */
+function closeDraftPicker() {
+  if (uiState.draftPicker) {
+    uiState.draftPicker.remove();
+    uiState.draftPicker = null;
+  }
+  if (uiState.draftPickerKeyHandler) {
+    document.removeEventListener('keydown', uiState.draftPickerKeyHandler);
+    uiState.draftPickerKeyHandler = null;
+  }
+}
+
 /**
  * Updates the visibility of the floating response generation button
  * based on the current state (manual mode and closed panel)
@@ -1950,8 +3702,8 @@ function updateFloatingResponseButtonVisibility() {
   // Reposition the button to appear near the chat input field
   if (shouldShow) {
     // Find the input field or send button to better position the floating button
-    const inputField = document.querySelector(CONFIG.selectors.activeChat.messageInput);
-    const sendButton = domUtils.findElement(CONFIG.selectors.activeChat.sendButton);
+    const inputField = selectorHealth.find('activeChat.messageInput');
+    const sendButton = inputField ? null : selectorHealth.find('activeChat.sendButton');
 
     if (inputField || sendButton) {
       const referenceElement = inputField || sendButton;
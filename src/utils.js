@@ -1119,6 +1119,28 @@ const pageUtils = {
   }
 };
 
+// --- CSV Utility ---
+const csvUtils = {
+  /**
+   * One CSV cell. Text starting like a formula (=, +, -, @, tab, CR) gets a leading ' so spreadsheets
+   * show it instead of running it: exported cells hold what buyers wrote.
+   * @param {*} value
+   * @returns {string}
+   */
+  escapeCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  },
+  /**
+   * @param {Array<Array>} rows - Header and rows
+   * @returns {string} CSV
+   */
+  toCsv(rows) {
+    return rows.map(row => row.map(value => this.escapeCell(value)).join(',')).join('\n');
+  }
+};
+
 // --- General Utility Functions ---
 function showSimpleAlert(message, type = 'info', options = {}) {
   return logger.notify(message, type, options);
@@ -1142,6 +1164,7 @@ window.userActivityTracker = userActivityTracker;
 window.retryUtils = retryUtils;
 window.timeUtils = timeUtils;
 window.pageUtils = pageUtils;
+window.csvUtils = csvUtils;
 window.showSimpleAlert = showSimpleAlert;
 window.delay = delay;
 window.insertTextDirectly = insertTextDirectly;
@@ -11,6 +11,10 @@
 // @grant        GM_deleteValue
 // @grant        GM_listValues
 // @connect      api.openai.com
+// @connect      api.anthropic.com
+// @connect      localhost
+// @connect      127.0.0.1
+// @connect      *
 // @connect      facebook.com
 // @connect      messenger.com
 // @connect      fbcdn.net
@@ -0,0 +1,111 @@
+/**
+ * Tests for the per-conversation export (ChatExporter)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { withExtractedFixture, readFixture, toPlain } = require('./harness');
+
+/**
+ * Records an extracted fixture as processed, the way chatManager does after an extraction
+ * @param {Window} window - Page window
+ * @param {Object} result - Extraction result
+ * @returns {Object} The chatExporter
+ */
+function recordProcessed(window, result) {
+  window.chatExporter.record('fixture', {
+    messages: result,
+    isSeller: true,
+    productDetails: { id: '900000000000001', title: 'Oak dining table', price: '$120' }
+  });
+  return window.chatExporter;
+}
+
+test('the export has senders, block timestamps, attachments and the product', async () => {
+  await withExtractedFixture('seller-english-media', ({ window, result }) => {
+    const chatExporter = recordProcessed(window, result);
+    const data = toPlain(chatExporter.buildExport('fixture'));
+    const { expected } = readFixture('seller-english-media');
+
+    assert.strictEqual(data.chat.role, 'seller');
+    assert.strictEqual(data.product.title, 'Oak dining table');
+    assert.deepStrictEqual(data.messages.map(message => message.id), expected.messages.map(message => message.id));
+    assert.deepStrictEqual(data.messages[0], {
+      id: expected.messages[0].id,
+      timestamp: '2024-10-08T00:23:00.000Z',
+      sender: 'them',
+      senderName: 'Alex Doe',
+      type: 'unknown',
+      text: 'Hi, is the table still available?',
+      edited: false,
+      unsent: false,
+      reactions: [],
+      audio: null,
+      images: [],
+      video: null,
+      files: [],
+      location: null
+    });
+    assert.deepStrictEqual(data.messages[2].images, ['https://scontent.example.test/photo-scratch.jpg']);
+    assert.deepStrictEqual(data.messages[5].files, [{ name: 'table-measures.pdf', url: 'https://www.facebook.com/attachment.php?id=1' }]);
+    assert.strictEqual(data.messages[4].location.latitude, 40.4168);
+    assert.strictEqual(chatExporter.listConversations()[0].messageCount, 7);
+  });
+});
+
+test('drafts are paired with the message we send afterwards', async () => {
+  await withExtractedFixture('seller-english-media', ({ window, result }) => {
+    const chatExporter = recordProcessed(window, result);
+    const context = { chatId: 'fixture', role: 'seller' };
+    window.chatManager.logResponseToHistory(context, 'seller', 'Yes, I can do 110, pick up tomorrow?', false);
+    window.eventCoordinator.emit('messageAdded', {
+      chatId: 'fixture',
+      message: { id: 'msg_fixture_x', sentByUs: true, content: { text: 'I can do 115, pick up tomorrow?' } }
+    });
+
+    const [draft] = toPlain(chatExporter.buildExport('fixture').drafts);
+    assert.strictEqual(draft.draft, 'Yes, I can do 110, pick up tomorrow?');
+    assert.strictEqual(draft.sentText, 'I can do 115, pick up tomorrow?');
+    assert.strictEqual(draft.changedBeforeSending, true);
+    assert.strictEqual(draft.sentAutomatically, false);
+  });
+});
+
+test('CSV, Markdown and HTML render every message and escape their content', async () => {
+  await withExtractedFixture('seller-reactions-edits', ({ window, result }) => {
+    const chatExporter = recordProcessed(window, result);
+    window.chatManager.logResponseToHistory({ chatId: 'fixture' }, 'seller', 'Sure <b>60</b> works, "deal"', true);
+
+    const csv = chatExporter.exportConversation('fixture', 'csv');
+    const rows = csv.content.split('\n');
+    assert.strictEqual(csv.mimeType, 'text/csv');
+    assert.match(csv.fileName, /^fb-chat-monitor-chat-fixture-\d{4}-\d{2}-\d{2}\.csv$/);
+    assert.strictEqual(rows.length, 1 + 5 + 1);
+    assert.match(rows[2], /^message,2025-03-20T18:30:00.000Z,us,,unknown,"Yes, it is",0,0,👍 Sam Roe,/);
+    assert.match(rows[6], /^draft,.*,"Sure <b>60<\/b> works, ""deal""",/);
+
+    const markdown = chatExporter.exportConversation('fixture', 'markdown').content;
+    assert.match(markdown, /\*\*Sam Roe:\*\* I'll pay 60 \(edited\) \[Reactions: 😮\]/);
+    assert.match(markdown, /\*\*Sam Roe:\*\* \[Message unsent\]/);
+
+    const html = chatExporter.exportConversation('fixture', 'html').content;
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.doesNotMatch(html, /<script|<b>60/);
+    assert.match(html, /Sure &lt;b&gt;60&lt;\/b&gt; works, &quot;deal&quot;/);
+    assert.throws(() => chatExporter.exportConversation('fixture', 'pdf'), /Unknown export format/);
+  });
+});
+
+test('CSV cells that would run as spreadsheet formulas are neutralised', async () => {
+  await withExtractedFixture('seller-english-media', ({ window, result }) => {
+    const chatExporter = recordProcessed(window, result);
+    window.chatManager.logResponseToHistory({ chatId: 'fixture' }, 'seller', '=HYPERLINK("http://evil.test","Pay here")', false);
+
+    const rows = chatExporter.exportConversation('fixture', 'csv').content.split('\n');
+    assert.match(rows[rows.length - 1], /,"'=HYPERLINK\(""http:\/\/evil\.test"",""Pay here""\)",/);
+    ['+1', '-1', '@SUM(A1)', '\tx', '\rx'].forEach(text =>
+      assert.ok(window.csvUtils.escapeCell(text).replace(/^"/, '').startsWith(`'${text[0]}`), JSON.stringify(text)));
+    assert.strictEqual(window.csvUtils.escapeCell(-5), '-5');
+    assert.strictEqual(window.csvUtils.escapeCell('Hi, there'), '"Hi, there"');
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for the IndexedDB conversation archive (ConversationArchive): records, words and filters,
+ * then the stores themselves on an in-memory IndexedDB (fake-indexeddb).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { withExtractedFixture, readFixture, toPlain } = require('./harness');
+
+const PRODUCT = { id: '900000000000001', title: 'Oak dining table', price: '$120' };
+
+/**
+ * Archive records of an extraction, as archiveChat builds them
+ * @param {Window} window - Page window
+ * @param {Object} result - Extraction result
+ * @returns {Array<Object>}
+ */
+function toRecords(window, result) {
+  const archive = window.conversationArchive;
+  return toPlain(result.messages.map(message =>
+    archive.toMessageRecord('fixture', message, archive.getMessageTimestamp(message, result.timeBlocks))));
+}
+
+test('words are lowercased, without accents and unique', async () => {
+  await withExtractedFixture('buyer-spanish', ({ window }) => {
+    const archive = window.conversationArchive;
+    assert.deepStrictEqual(toPlain(archive.tokenize('¿Sigue DISPONIBLE? Está en 5 días, sí, disponible')),
+      ['sigue', 'disponible', 'esta', 'en', '5', 'dias', 'si']);
+    assert.strictEqual(archive.isAvailable(), false);
+  });
+});
+
+test('archived messages keep sender, block timestamp and attachments, and are searchable', async () => {
+  await withExtractedFixture('seller-english-media', ({ window, result }) => {
+    const archive = window.conversationArchive;
+    const records = toRecords(window, result);
+    const { expected } = readFixture('seller-english-media');
+    assert.deepStrictEqual(records.map(record => record.id), expected.messages.map(message => message.id));
+
+    const [first] = records;
+    assert.strictEqual(first.senderName, 'Alex Doe');
+    assert.strictEqual(new Date(first.timestamp).toISOString(), '2024-10-08T00:23:00.000Z');
+    assert.strictEqual(first.sortTime, first.timestamp);
+    assert.ok(first.tokens.includes('available'));
+    assert.deepStrictEqual(records[5].files, [{ name: 'table-measures.pdf', url: 'https://www.facebook.com/attachment.php?id=1' }]);
+    assert.ok(records[5].tokens.includes('pdf'));
+
+    const seller = { role: 'seller', productId: '900000000000001' };
+    const match = (query, filters = {}) => records
+      .filter(record => archive.matches(record, seller, archive.tokenize(query), filters))
+      .map(record => record.id);
+
+    assert.deepStrictEqual(match('avail'), [first.id, records[1].id]);
+    assert.deepStrictEqual(match('STILL avail'), [first.id]);
+    assert.deepStrictEqual(match('still', { role: 'buyer' }), []);
+    assert.deepStrictEqual(match('still', { productId: '900000000000001' }), [first.id]);
+    assert.deepStrictEqual(match('still', { from: first.timestamp + 1 }), []);
+    assert.deepStrictEqual(match('still', { to: first.timestamp }), [first.id]);
+    assert.deepStrictEqual(match('', { hasAudio: true }), records.filter(record => record.hasAudio).map(record => record.id));
+  });
+});
+
+test('snippets are cut around the first search word', async () => {
+  await withExtractedFixture('buyer-spanish', ({ window }) => {
+    const archive = window.conversationArchive;
+    const text = `${'Hola '.repeat(40)}¿el envío está incluido? ${'gracias '.repeat(30)}`.trim();
+    const snippet = archive.buildSnippet(text, archive.tokenize('envio'));
+    assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+    assert.match(snippet, /envío está incluido/);
+    assert.strictEqual(archive.buildSnippet('Short text', ['short']), 'Short text');
+  });
+});
+
+test('archive, search, a late transcription and a re-archive after an edit', async () => {
+  await withExtractedFixture('seller-english-media', async ({ window, document, chatManager, wrapper, result }) => {
+    const archive = window.conversationArchive;
+    assert.strictEqual(await archive.archiveChat('fixture', { messages: result, isSeller: true, productDetails: PRODUCT }), true);
+    assert.deepStrictEqual(toPlain(await archive.getStats()), { conversations: 1, messages: 7, products: 1 });
+    assert.deepStrictEqual(toPlain(await archive.listListings()), [{ productId: '900000000000001', title: 'Oak dining table' }]);
+    assert.strictEqual((await archive.getProduct('900000000000001')).price, '$120');
+
+    const [found] = toPlain(await archive.search({ query: 'still avail' }));
+    assert.strictEqual(found.id, result.messages[0].id);
+    assert.strictEqual(found.role, 'seller');
+    assert.strictEqual(found.productTitle, 'Oak dining table');
+    assert.strictEqual(found.snippet, 'Hi, is the table still available?');
+    assert.deepStrictEqual(toPlain(await archive.search({ query: 'still', role: 'buyer' })), []);
+
+    // The voice message is transcribed after the extraction
+    const audioId = result.messages[3].id;
+    assert.strictEqual(await archive.updateTranscription(audioId, 'Can you hold it until Friday?'), true);
+    assert.strictEqual(await archive.updateTranscription('msg_fixture_missing', 'Hello'), false);
+    const [audio] = toPlain(await archive.search({ query: 'friday' }));
+    assert.strictEqual(audio.id, audioId);
+    assert.strictEqual(audio.snippet, '[Audio: Can you hold it until Friday?]');
+
+    // The buyer edits their last message; the next extraction archives it again
+    const rows = wrapper.querySelectorAll('[role="row"]');
+    const lastRow = rows[rows.length - 1];
+    lastRow.querySelector('span[dir="auto"]').textContent = 'Great, I can pick it up tomorrow at 7';
+    lastRow.insertAdjacentHTML('beforeend', '<div><span dir="auto">Edited</span></div>');
+    const reextracted = await chatManager.extractChatHistory(wrapper);
+    await archive.archiveChat('fixture', { messages: reextracted, isSeller: true, productDetails: PRODUCT });
+
+    const tomorrow = toPlain(await archive.search({ query: 'tomorrow' }));
+    assert.deepStrictEqual(tomorrow.map(item => [item.text, item.edited]).sort(), [
+      ['Great, I can pick it up tomorrow at 6', false],
+      ['Great, I can pick it up tomorrow at 7', true]
+    ]);
+    assert.strictEqual((await archive.getStats()).messages, 8);
+    // The new extraction has no transcription; the archived one is kept
+    assert.deepStrictEqual(toPlain(await archive.search({ query: 'friday' })).map(item => item.id), [audioId]);
+    assert.deepStrictEqual(toPlain(await archive.search({ hasAudio: true })).map(item => item.id), [audioId]);
+    assert.strictEqual(document.querySelectorAll('[data-message-id]').length, 7);
+  }, { indexedDB: true });
+});
+
+test('browsing without words lists messages without a date too, and clear empties the archive', async () => {
+  await withExtractedFixture('buyer-partial-history', async ({ window, result }) => {
+    const archive = window.conversationArchive;
+    await archive.archiveChat('fixture', { messages: result, isSeller: false });
+    const ids = toPlain(result.messages.map(message => message.id));
+
+    const all = toPlain(await archive.search({}));
+    assert.deepStrictEqual(all.map(item => item.id).sort(), [...ids].sort());
+    // Undated messages sort by when they were archived: today, so before the dated block of 2025
+    assert.deepStrictEqual(all.slice(0, 3).map(item => item.timestamp), [null, null, null]);
+    assert.strictEqual((await archive.search({ limit: 2 })).length, 2);
+
+    const blockTime = result.timeBlocks[0].timestamp;
+    const dated = toPlain(await archive.search({ from: blockTime - 60000, to: blockTime + 60000 }));
+    assert.deepStrictEqual(dated.map(item => item.id).sort(), ids.slice(3).sort());
+    assert.strictEqual((await archive.search({ query: 'ok' })).length, 2);
+
+    await archive.clear();
+    assert.deepStrictEqual(toPlain(await archive.getStats()), { conversations: 0, messages: 0, products: 0 });
+    assert.deepStrictEqual(toPlain(await archive.search({})), []);
+  }, { indexedDB: true });
+});
@@ -0,0 +1,235 @@
+/**
+ * Unit tests for the DOM detectors used by the extraction
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { withExtractedFixture, toPlain } = require('./harness');
+
+function emptyMessage() {
+  return { id: 'msg_test_0', sentByUs: false, content: { text: '', type: 'unknown', media: {} } };
+}
+
+test('isSystemMessage recognizes system lines and keeps real messages', async () => {
+  await withExtractedFixture('', ({ chatManager }) => {
+    [
+      'You started this chat.',
+      'Alex started this chat. View buyer profile',
+      'Tú inició el chat.',
+      'You marked the listing as sold.',
+      'Compartiste una ubicación.',
+      '9:12 AM',
+      '10/8/24, 12:23 AM'
+    ].forEach(text => assert.strictEqual(chatManager.isSystemMessage(text), true, text));
+
+    [
+      '',
+      'Hi, is the table still available?',
+      '¿Aceptas 200?',
+      'I can pick it up tomorrow at 6'
+    ].forEach(text => assert.strictEqual(chatManager.isSystemMessage(text), false, text));
+  });
+});
+
+test('getListingStatusChange reads sold and pending marks, and the extraction keeps system lines', async () => {
+  await withExtractedFixture('seller-english-media', ({ chatManager, result }) => {
+    assert.deepStrictEqual(toPlain(result.systemMessages), ['Alex started this chat. View buyer profile']);
+
+    [
+      ['You marked the listing as sold.', 'sold'],
+      ['Alex marked the listing as sold.', 'sold'],
+      ['Marcaste este artículo como vendido.', 'sold'],
+      ['Casey sold Road bike helmet.', 'sold'],
+      ['Alex marked the listing as Pending.', 'pending'],
+      ['Marcó este artículo como pendiente', 'pending'],
+      ['Alex marked the listing as Available.', 'available'],
+      ['Alex started this chat. View buyer profile', null],
+      ['Payment sent.', null]
+    ].forEach(([text, status]) => assert.strictEqual(chatManager.getListingStatusChange(text), status, text));
+  });
+});
+
+test('isMessageSentByUs follows the row indicators in priority order', async () => {
+  await withExtractedFixture(`
+    <div role="row" id="own-class"><span>a</span></div>
+    <div role="row" id="foreign-class" class="x1yc453h"><span>b</span></div>
+    <div role="row" id="both-classes" class="x1ja2u2z x1yc453h"><span>c</span></div>
+    <div role="row" id="gridcell"><div role="gridcell" data-scope="messages_table"><span>d</span></div></div>
+    <div role="row" id="you-sent"><div aria-label="You sent"><span>e</span></div></div>
+    <div role="row" id="avatar"><img class="x1rg5ohu" alt="Alex Doe" src="https://scontent.example.test/a.jpg"><span>f</span></div>
+    <div role="row" id="open-photo"><img class="x1rg5ohu" alt="Open photo" src="https://scontent.example.test/b.jpg"><span>g</span></div>
+    <div role="row" id="h5"><h5><span>You sent</span></h5></div>
+    <div role="row" id="nothing"><span id="inner">h</span></div>
+  `, ({ document, chatManager }) => {
+    document.getElementById('own-class').classList.add('x1ja2u2z');
+    const sentByUs = id => chatManager.isMessageSentByUs(document.getElementById(id));
+
+    assert.strictEqual(sentByUs('own-class'), true);
+    assert.strictEqual(sentByUs('foreign-class'), false);
+    assert.strictEqual(sentByUs('both-classes'), true);
+    assert.strictEqual(sentByUs('gridcell'), true);
+    assert.strictEqual(sentByUs('you-sent'), true);
+    assert.strictEqual(sentByUs('avatar'), false);
+    assert.strictEqual(sentByUs('open-photo'), false);
+    assert.strictEqual(sentByUs('h5'), true);
+    assert.strictEqual(sentByUs('nothing'), false);
+    // Inner elements are resolved to their row
+    assert.strictEqual(chatManager.isMessageSentByUs(document.getElementById('inner')), false);
+    assert.strictEqual(chatManager.isMessageSentByUs(null), false);
+  });
+});
+
+test('determineIfSeller reads the seller and buyer indicators', async () => {
+  await withExtractedFixture(`
+    <div id="seller"><div aria-label="Marcar como vendido"></div></div>
+    <div id="buyer"><a aria-label="View seller profile" href="#"></a></div>
+    <div id="both"><div aria-label="Mark as pending"></div><a aria-label="View listing" href="#"></a></div>
+    <div id="product-link"><a href="https://www.facebook.com/marketplace/item/1/">Item</a></div>
+    <div id="empty"></div>
+  `, ({ document, chatManager }) => {
+    const isSeller = id => chatManager.determineIfSeller(document.getElementById(id));
+
+    assert.strictEqual(isSeller('seller'), true);
+    assert.strictEqual(isSeller('buyer'), false);
+    // Seller indicators win
+    assert.strictEqual(isSeller('both'), true);
+    assert.strictEqual(isSeller('product-link'), false);
+    assert.strictEqual(isSeller('empty'), false);
+  });
+});
+
+test('detectAndAddImageContent skips avatars, emojis and inline data', async () => {
+  await withExtractedFixture(`
+    <div role="row" id="row">
+      <img class="x1rg5ohu" alt="Alex Doe" width="28" height="28" src="https://scontent.example.test/avatar.jpg">
+      <img alt="smile" src="https://static.example.test/images/emoji.php/v9/smile.png">
+      <img alt="inline" src="data:image/png;base64,AAAA">
+      <a href="https://www.facebook.com/messenger_media/?attachment_id=1">
+        <img class="x1rg5ohu" alt="Photo" width="320" height="240" src="https://scontent.example.test/photo.jpg">
+      </a>
+      <div style="background-image: url('https://scontent.example.test/background.jpg')"></div>
+    </div>
+  `, ({ document, chatManager }) => {
+    const message = emptyMessage();
+    chatManager.detectAndAddImageContent(document.getElementById('row'), message);
+
+    assert.strictEqual(message.content.type, 'image');
+    assert.deepStrictEqual(toPlain(message.content.imageUrls), [
+      'https://scontent.example.test/photo.jpg',
+      'https://scontent.example.test/background.jpg'
+    ]);
+    assert.deepStrictEqual(toPlain(message.content.media.images[0]), {
+      url: 'https://scontent.example.test/photo.jpg',
+      alt: 'Photo',
+      width: 320,
+      height: 240
+    });
+  });
+});
+
+test('detectAndAddAudioContent marks voice messages for transcription', async () => {
+  await withExtractedFixture(`
+    <div role="row" id="voice"><div aria-label="Play" role="button"></div><span class="x193iq5w">1:05</span></div>
+    <div role="row" id="direct"><div aria-label="Play" role="button"></div><audio src="https://cdn.example.test/voice.mp4"></audio></div>
+    <div role="row" id="text"><span dir="auto">No audio here</span></div>
+  `, ({ document, chatManager }) => {
+    const voice = emptyMessage();
+    chatManager.detectAndAddAudioContent(document.getElementById('voice'), voice);
+    assert.strictEqual(voice.content.hasAudio, true);
+    assert.strictEqual(voice.content.audioDuration, '1:05');
+    assert.strictEqual(voice.content.transcribedAudio, '[Transcription Pending]');
+    assert.match(voice.content.audioMarkerId, /^audio_\d+_\w+$/);
+    assert.strictEqual(
+      document.querySelector('#voice [role="button"]').getAttribute('data-audio-marker-id'),
+      voice.content.audioMarkerId
+    );
+
+    const direct = emptyMessage();
+    chatManager.detectAndAddAudioContent(document.getElementById('direct'), direct);
+    assert.strictEqual(direct.content.audioUrl, 'https://cdn.example.test/voice.mp4');
+    assert.strictEqual(direct.content.audioMarkerId, undefined);
+
+    const text = emptyMessage();
+    chatManager.detectAndAddAudioContent(document.getElementById('text'), text);
+    assert.strictEqual(text.content.hasAudio, undefined);
+  });
+});
+
+test('detectAndAddVideoContent reads videos, video links and players', async () => {
+  await withExtractedFixture(`
+    <div role="row" id="video"><video src="https://video.example.test/clip.mp4" poster="https://video.example.test/clip.jpg"></video></div>
+    <div role="row" id="link"><a href="https://www.facebook.com/video_redirect/?src=clip">Video</a></div>
+    <div role="row" id="player"><div aria-label="Play video" role="button" style="background-image: url('https://video.example.test/thumb.jpg')"></div></div>
+  `, ({ document, chatManager }) => {
+    const video = emptyMessage();
+    chatManager.detectAndAddVideoContent(document.getElementById('video'), video);
+    assert.strictEqual(video.content.type, 'video');
+    assert.strictEqual(video.content.media.video.url, 'https://video.example.test/clip.mp4');
+    assert.strictEqual(video.content.media.video.thumbnail, 'https://video.example.test/clip.jpg');
+
+    const link = emptyMessage();
+    chatManager.detectAndAddVideoContent(document.getElementById('link'), link);
+    assert.strictEqual(link.content.media.video.type, 'video_link');
+
+    const player = emptyMessage();
+    chatManager.detectAndAddVideoContent(document.getElementById('player'), player);
+    assert.deepStrictEqual(toPlain(player.content.media.video), {
+      exists: true,
+      url: null,
+      type: 'video_thumbnail',
+      thumbnail: 'https://video.example.test/thumb.jpg',
+      label: 'Play video'
+    });
+  });
+});
+
+test('detectAndAddFileContent names and types attachments', async () => {
+  await withExtractedFixture(`
+    <div role="row" id="files">
+      <a href="https://www.facebook.com/attachment.php?id=1" download="invoice.pdf">invoice.pdf</a>
+      <a href="https://www.facebook.com/attachment.php?id=2">Photos of the table.zip</a>
+    </div>
+  `, ({ document, chatManager }) => {
+    const message = emptyMessage();
+    chatManager.detectAndAddFileContent(document.getElementById('files'), message);
+
+    assert.strictEqual(message.content.type, 'file');
+    assert.deepStrictEqual(toPlain(message.content.media.files), [
+      { url: 'https://www.facebook.com/attachment.php?id=1', name: 'invoice.pdf', type: 'pdf' },
+      { url: 'https://www.facebook.com/attachment.php?id=2', name: 'Photos of the table.zip', type: 'archive' }
+    ]);
+  });
+});
+
+test('detectAndAddLocationContent reads map links and coordinates', async () => {
+  await withExtractedFixture(`
+    <div role="row" id="link"><a href="https://www.google.com/maps/place/@19.4326,-99.1332,15z">Zócalo</a></div>
+    <div role="row" id="map"><div data-testid="map_container"><a href="https://maps.example.test/maps?q=40.4168,-3.7038">Open</a></div></div>
+  `, ({ document, chatManager }) => {
+    const link = emptyMessage();
+    chatManager.detectAndAddLocationContent(document.getElementById('link'), link);
+    assert.strictEqual(link.content.type, 'location');
+    assert.deepStrictEqual(toPlain(link.content.media.location), {
+      url: 'https://www.google.com/maps/place/@19.4326,-99.1332,15z',
+      label: 'Zócalo',
+      coordinates: { latitude: 19.4326, longitude: -99.1332 }
+    });
+
+    const map = emptyMessage();
+    chatManager.detectAndAddLocationContent(document.getElementById('map'), map);
+    assert.deepStrictEqual(toPlain(map.content.media.location.coordinates), { latitude: 40.4168, longitude: -3.7038 });
+  });
+});
+
+test('parseUnsentMessage and parseReactionLabel read both languages', async () => {
+  await withExtractedFixture('', ({ chatManager }) => {
+    assert.deepStrictEqual(toPlain(chatManager.parseUnsentMessage('You unsent a message')), { byUs: true });
+    assert.deepStrictEqual(toPlain(chatManager.parseUnsentMessage('Anulaste el envío de un mensaje')), { byUs: true });
+    assert.deepStrictEqual(toPlain(chatManager.parseUnsentMessage('María López anuló el envío de un mensaje')),
+      { byUs: false, name: 'María López' });
+    assert.strictEqual(chatManager.parseUnsentMessage('I unsent the package yesterday'), null);
+
+    assert.deepStrictEqual(toPlain(chatManager.parseReactionLabel('Reaccionaste con ❤; María López reaccionó con 😂')),
+      [{ emoji: '❤', by: 'us' }, { emoji: '😂', by: 'María López' }]);
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * Extraction snapshots: each fixture page must give exactly the locked messages and time blocks.
+ * `UPDATE_FIXTURES=1 npm test` rewrites the expected files after a deliberate change (review the diff).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { extractFixture, listFixtures, readFixture } = require('./harness');
+
+for (const name of listFixtures()) {
+  test(`extracts ${name}`, async () => {
+    const { html, expected, expectedPath } = readFixture(name);
+    const actual = await extractFixture(html);
+
+    if (process.env.UPDATE_FIXTURES || !expected) {
+      fs.writeFileSync(expectedPath, `${JSON.stringify(actual, null, 2)}\n`);
+      if (!expected) assert.fail(`No expected result for ${name}: wrote ${expectedPath}, review it and run again`);
+      return;
+    }
+
+    assert.deepStrictEqual(actual, expected);
+  });
+}
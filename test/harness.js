@@ -0,0 +1,217 @@
+/**
+ * DOM fixture harness
+ *
+ * Loads the extraction code (config, utils, EventCoordinator, MessageIdentity, SelectorHealth, chatManager,
+ * LiveChatModel, ChatExporter, ConversationArchive) into a jsdom window holding a saved Messenger snapshot,
+ * the same way the build concatenates it into the userscript
+ * (one IIFE), with in-memory GM_* shims. Nothing is sent anywhere: OpenAI code is only loaded on request
+ * (the files option), for the modules that check text locally (SafetyGate, PiiRedactor).
+ *
+ * Fixtures live in test/fixtures/<name>.html next to <name>.expected.json (the locked extraction result).
+ * Run `npm test`; after a deliberate change, `UPDATE_FIXTURES=1 npm test` rewrites the expected files.
+ * `FIXTURE_DEBUG=1` forwards the window console (extraction logs) to the terminal.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+// Dates are parsed in local time: pin the zone so the timestamps in the fixtures are stable
+process.env.TZ = 'UTC';
+
+const SRC_DIR = path.join(__dirname, '../src');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DEFAULT_URL = 'https://www.facebook.com/marketplace/t/1000000000000001/';
+
+// Same order as scripts/build.js, limited to what extraction needs
+const SOURCE_FILES = [
+  'config.js',
+  'utils.js',
+  'core/EventCoordinator.js',
+  'core/MessageIdentity.js',
+  'core/SelectorHealth.js',
+  'chatManager.js',
+  'core/LiveChatModel.js',
+  'core/ChatExporter.js',
+  'core/ConversationArchive.js'
+];
+
+/**
+ * GM_* storage shims backed by a Map
+ * @param {Object} [values] - Initial GM values
+ * @returns {Object} Functions to install on the window
+ */
+function createGmShims(values = {}) {
+  const store = new Map(Object.entries(values));
+  return {
+    GM_getValue: (key, defaultValue) => (store.has(key) ? store.get(key) : defaultValue),
+    GM_setValue: (key, value) => { store.set(key, value); },
+    GM_deleteValue: (key) => { store.delete(key); },
+    GM_listValues: () => [...store.keys()],
+    GM_addStyle: () => {},
+    GM_xmlhttpRequest: () => { throw new Error('GM_xmlhttpRequest is not available in fixture tests'); }
+  };
+}
+
+/**
+ * Creates a window with the given markup and the extraction code loaded
+ * @param {string} html - Page markup
+ * @param {Object} [options]
+ * @param {string} [options.url] - Page URL (gives the chat ID to the URL-based helpers)
+ * @param {string} [options.chatId] - ID set as the current chat (message IDs are built from it)
+ * @param {Object} [options.gmValues] - Initial GM storage
+ * @param {boolean} [options.indexedDB] - Give the window an empty in-memory IndexedDB (jsdom has none)
+ * @param {Array<string>} [options.files] - More src files to load after the extraction code
+ * @returns {{window: Window, chatManager: Object, close: Function}}
+ */
+function loadChatManager(html, options = {}) {
+  const virtualConsole = new VirtualConsole();
+  if (process.env.FIXTURE_DEBUG) virtualConsole.sendTo(console);
+
+  const dom = new JSDOM(html, {
+    url: options.url || DEFAULT_URL,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+  Object.assign(window, createGmShims(options.gmValues));
+  if (options.indexedDB) {
+    window.indexedDB = new IDBFactory();
+    window.IDBKeyRange = IDBKeyRange;
+  }
+
+  const code = [...SOURCE_FILES, ...(options.files || [])]
+    .map(file => fs.readFileSync(path.join(SRC_DIR, file), 'utf8'))
+    .join('\n\n');
+  window.eval(`(function () {\n\n${code}\n\n})();`);
+
+  const chatManager = window.chatManager;
+  chatManager.currentChatId = options.chatId || 'fixture';
+
+  return {
+    window,
+    chatManager,
+    // Stops the chatManager intervals so the test process can exit
+    close: () => window.close()
+  };
+}
+
+/**
+ * Runs the extraction on a fixture page: role, messages and time blocks, as the chat flow gets them
+ * @param {string} html - Page markup
+ * @param {Object} [options] - See loadChatManager
+ * @returns {Promise<{isSeller: boolean, messages: Array, timeBlocks: Array}>} Serializable result
+ */
+async function extractFixture(html, options = {}) {
+  const { window, chatManager, close } = loadChatManager(html, options);
+  try {
+    const selectors = window.CONFIG.selectors.activeChat;
+    const chatContainer = window.domUtils.findElement(selectors.container);
+    const messagesWrapper = window.domUtils.findElement(selectors.messageWrapper);
+    if (!chatContainer || !messagesWrapper) {
+      throw new Error('The fixture has no active chat container or message wrapper');
+    }
+
+    const result = await chatManager.extractChatHistory(messagesWrapper);
+    return normalizeResult({
+      isSeller: chatManager.determineIfSeller(chatContainer),
+      messages: result.messages,
+      timeBlocks: result.timeBlocks
+    });
+  } finally {
+    close();
+  }
+}
+
+/**
+ * Loads a page, extracts its chat when it has one, and runs a test body on it (closing the window after)
+ * @param {string} source - Fixture name, a full page, or body markup
+ * @param {Function} fn - Receives {window, document, chatManager, selectorHealth, wrapper, result};
+ *   wrapper and result are null when the page has no message wrapper
+ * @param {Object} [options] - See loadChatManager
+ * @returns {Promise<void>}
+ */
+async function withExtractedFixture(source, fn, options = {}) {
+  let html = source;
+  if (/^[\w-]+$/.test(source)) html = readFixture(source).html;
+  else if (!/^\s*<!DOCTYPE/i.test(source)) html = `<!DOCTYPE html><html><body>${source}</body></html>`;
+
+  const { window, chatManager, close } = loadChatManager(html, options);
+  try {
+    const wrapper = window.domUtils.findElement(window.CONFIG.selectors.activeChat.messageWrapper);
+    const result = wrapper ? await chatManager.extractChatHistory(wrapper) : null;
+    await fn({ window, document: window.document, chatManager, selectorHealth: window.selectorHealth, wrapper, result });
+  } finally {
+    close();
+  }
+}
+
+/**
+ * Copies a value from the window realm into plain Node objects (deepStrictEqual compares prototypes)
+ * @param {*} value - JSON-serializable value
+ * @returns {*}
+ */
+function toPlain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Makes an extraction result comparable: drops DOM references and random audio markers
+ * @param {{isSeller: boolean, messages: Array, timeBlocks: Array}} result
+ * @returns {Object}
+ */
+function normalizeResult({ isSeller, messages, timeBlocks }) {
+  const normalizeMessage = message => {
+    const copy = toPlain(message);
+    if (copy.content?.audioMarkerId) copy.content.audioMarkerId = '<audio marker>';
+    return copy;
+  };
+
+  return toPlain({
+    isSeller,
+    messages: messages.map(normalizeMessage),
+    timeBlocks: timeBlocks.map(block => ({
+      index: block.index,
+      text: block.text,
+      timestamp: block.timestamp,
+      date: block.timestamp ? new Date(block.timestamp).toISOString() : null,
+      messageIds: block.messages.map(message => message.id)
+    }))
+  });
+}
+
+/**
+ * Fixture names (HTML files in test/fixtures)
+ * @returns {Array<string>}
+ */
+function listFixtures() {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.html'))
+    .map(file => file.replace(/\.html$/, ''))
+    .sort();
+}
+
+/**
+ * @param {string} name - Fixture name
+ * @returns {{html: string, expectedPath: string, expected: Object|null}}
+ */
+function readFixture(name) {
+  const expectedPath = path.join(FIXTURES_DIR, `${name}.expected.json`);
+  return {
+    html: fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8'),
+    expectedPath,
+    expected: fs.existsSync(expectedPath) ? JSON.parse(fs.readFileSync(expectedPath, 'utf8')) : null
+  };
+}
+
+module.exports = {
+  loadChatManager,
+  extractFixture,
+  withExtractedFixture,
+  normalizeResult,
+  toPlain,
+  listFixtures,
+  readFixture
+};
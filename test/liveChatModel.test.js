@@ -0,0 +1,151 @@
+/**
+ * Tests for the live capture of new message rows (LiveChatModel)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { withExtractedFixture, readFixture, toPlain } = require('./harness');
+
+const INCOMING_ROW = `
+  <img class="x1rg5ohu" alt="María López" width="28" height="28" src="https://scontent.example.test/avatar-maria.jpg">
+  <div><span dir="auto">Te la dejo en 220</span></div>`;
+
+/**
+ * Collects the payloads of an event
+ * @param {Window} window - Page window
+ * @param {string} eventName - eventCoordinator event
+ * @returns {Array} Filled as the event is emitted
+ */
+function recordEvents(window, eventName) {
+  const events = [];
+  window.eventCoordinator.on(eventName, data => events.push(toPlain(data)));
+  return events;
+}
+
+function appendRow(document, parent, html, className = '') {
+  const row = document.createElement('div');
+  row.setAttribute('role', 'row');
+  row.className = className;
+  row.innerHTML = html;
+  parent.appendChild(row);
+  return row;
+}
+
+// MutationObserver callbacks run as microtasks
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('extraction seeds a live model of the chat', async () => {
+  await withExtractedFixture('buyer-spanish', ({ window, chatManager }) => {
+    const { liveChatModel } = window;
+    assert.strictEqual(liveChatModel.isLive('fixture'), true);
+    const snapshot = liveChatModel.getSnapshot('fixture');
+    assert.deepStrictEqual(toPlain(snapshot.messages.map(message => message.id)),
+      readFixture('buyer-spanish').expected.messages.map(message => message.id));
+    assert.strictEqual(chatManager.messageRows.size, 4);
+  });
+});
+
+test('a new row is parsed once and published as messageAdded after the flush delay', async () => {
+  await withExtractedFixture('buyer-spanish', async ({ window, document, wrapper, chatManager }) => {
+    const { liveChatModel } = window;
+    const added = recordEvents(window, 'messageAdded');
+    const row = appendRow(document, wrapper, INCOMING_ROW);
+    await new Promise(resolve => setTimeout(resolve, liveChatModel.flushDelay + 50));
+
+    assert.strictEqual(added.length, 1);
+    assert.strictEqual(added[0].chatId, 'fixture');
+    assert.match(added[0].message.id, /^msg_fixture_[0-9a-z]+$/);
+    assert.strictEqual(added[0].message.sentByUs, false);
+    assert.strictEqual(added[0].message.content.text, 'Te la dejo en 220');
+    assert.strictEqual(row.dataset.messageId, added[0].message.id);
+    assert.strictEqual(chatManager.messageRows.get(added[0].message.id), row);
+
+    // Touching the same row again does not add it twice
+    row.querySelector('div').appendChild(document.createElement('span'));
+    await settle();
+    assert.strictEqual(liveChatModel.getSnapshot('fixture').messages.length, 5);
+    assert.strictEqual(added.length, 1);
+  });
+});
+
+test('our own nodes and older history above the known rows are ignored', async () => {
+  await withExtractedFixture('buyer-spanish', async ({ window, document, wrapper }) => {
+    const { liveChatModel } = window;
+    const added = recordEvents(window, 'messageAdded');
+    const lastRow = wrapper.querySelectorAll('[role="row"]')[6];
+    const note = document.createElement('div');
+    note.className = 'fb-chat-monitor-translation';
+    note.innerHTML = '<span dir="auto">Will you take 200?</span>';
+    lastRow.appendChild(note);
+
+    const olderRow = document.createElement('div');
+    olderRow.setAttribute('role', 'row');
+    olderRow.innerHTML = '<div><span dir="auto">Mensaje antiguo</span></div>';
+    wrapper.insertBefore(olderRow, wrapper.querySelector('[role="row"]'));
+
+    await settle();
+    assert.strictEqual(liveChatModel.getSnapshot('fixture').messages.length, 4);
+    assert.strictEqual(added.length, 0);
+  });
+});
+
+test('a date separator opens a new time block for the following messages', async () => {
+  await withExtractedFixture('buyer-spanish', async ({ window, document, wrapper }) => {
+    const { liveChatModel } = window;
+    appendRow(document, wrapper, '<div data-scope="date_break"><span>3/16/25, 10:00 AM</span></div>', 'x78zum5');
+    appendRow(document, wrapper, INCOMING_ROW);
+    await settle();
+
+    const snapshot = toPlain(liveChatModel.getSnapshot('fixture'));
+    const lastBlock = snapshot.timeBlocks[snapshot.timeBlocks.length - 1];
+    const message = snapshot.messages[snapshot.messages.length - 1];
+    assert.strictEqual(lastBlock.text, '3/16/25, 10:00 AM');
+    assert.strictEqual(new Date(lastBlock.timestamp).toISOString(), '2025-03-16T10:00:00.000Z');
+    assert.strictEqual(message.content.text, 'Te la dejo en 220');
+    assert.strictEqual(message.timeBlockIndex, lastBlock.index);
+    assert.deepStrictEqual(lastBlock.messages.map(item => item.id), [message.id]);
+  });
+});
+
+test('edits, unsends and reactions on known rows are published as messageUpdated, keeping the ID', async () => {
+  await withExtractedFixture('seller-reactions-edits', async ({ window, document, wrapper }) => {
+    const { liveChatModel } = window;
+    const updated = recordEvents(window, 'messageUpdated');
+    const rows = wrapper.querySelectorAll('[role="row"]');
+    const ids = readFixture('seller-reactions-edits').expected.messages.map(message => message.id);
+
+    // "I'll pay 60" edited again
+    rows[3].querySelector('span[dir="auto"]').textContent = "I'll pay 50";
+    await new Promise(resolve => setTimeout(resolve, liveChatModel.flushDelay + 50));
+
+    // A new reaction, and the first message unsent
+    rows[2].insertAdjacentHTML('beforeend',
+      '<div role="button" aria-label="You reacted with ❤"><span dir="auto">❤</span></div>');
+    rows[1].innerHTML = '<div><span dir="auto">Sam Roe unsent a message</span></div>';
+    await settle();
+    const snapshot = toPlain(liveChatModel.getSnapshot('fixture'));
+
+    assert.deepStrictEqual(updated.map(({ change, message }) => [change, message.id]),
+      [['edited', ids[2]], ['reactions', ids[1]], ['unsent', ids[0]]]);
+    assert.strictEqual(updated[0].message.content.text, "I'll pay 50");
+    assert.strictEqual(updated[0].message.content.previousText, "I'll pay 60");
+    assert.deepStrictEqual(updated[1].message.content.reactions,
+      [{ emoji: '👍', by: 'Sam Roe' }, { emoji: '❤', by: 'us' }]);
+    assert.strictEqual(snapshot.messages[0].content.unsent, true);
+    assert.strictEqual(snapshot.messages.length, 5);
+  });
+});
+
+test('detaching stops the capture and asks for a full extraction', async () => {
+  await withExtractedFixture('buyer-spanish', async ({ window, document, wrapper }) => {
+    const { liveChatModel } = window;
+    const added = recordEvents(window, 'messageAdded');
+    liveChatModel.detach();
+    appendRow(document, wrapper, INCOMING_ROW);
+    await settle();
+
+    assert.strictEqual(liveChatModel.isLive('fixture'), false);
+    assert.strictEqual(liveChatModel.getSnapshot('fixture'), null);
+    assert.strictEqual(added.length, 0);
+  });
+});
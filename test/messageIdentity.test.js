@@ -0,0 +1,104 @@
+/**
+ * Tests for the stable message IDs (MessageIdentity)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadChatManager, extractFixture, listFixtures, readFixture } = require('./harness');
+
+const OLDER_BLOCK = `
+          <div role="row" class="x78zum5">
+            <div data-scope="date_break"><span>3/14/25, 6:00 PM</span></div>
+          </div>
+          <div role="row">
+            <div role="gridcell" data-scope="messages_table"><span dir="auto">Hola, ¿sigue disponible la bicicleta?</span></div>
+          </div>`;
+
+function message(text, sentByUs = false, media = {}) {
+  return { sentByUs, content: { text, type: 'unknown', media } };
+}
+
+test('the same chat gets the same IDs on every load, with or without older history above', async () => {
+  const { html, expected } = readFixture('buyer-spanish');
+  const reloaded = await extractFixture(html);
+  assert.deepStrictEqual(reloaded.messages.map(item => item.id), expected.messages.map(item => item.id));
+
+  // Older history loaded by scrolling shifts every row, not the IDs
+  const withHistory = await extractFixture(html.replace('<div role="row" class="x78zum5">', `${OLDER_BLOCK}\n<div role="row" class="x78zum5">`));
+  assert.strictEqual(withHistory.messages.length, expected.messages.length + 1);
+  assert.deepStrictEqual(withHistory.messages.slice(1).map(item => item.id), expected.messages.map(item => item.id));
+});
+
+test('identical messages of a block get different IDs, and the same ones in another block', async () => {
+  const { window, close } = loadChatManager('<!DOCTYPE html><html><body></body></html>');
+  try {
+    const { messageIdentity } = window;
+    const monday = { text: '3/10/25, 2:11 PM', timestamp: Date.UTC(2025, 2, 10, 14, 11) };
+    const tuesday = { text: '3/11/25, 9:00 AM', timestamp: Date.UTC(2025, 2, 11, 9, 0) };
+
+    const nextId = messageIdentity.createSequence('42');
+    const first = nextId(message('ok'), monday);
+    const second = nextId(message('ok'), monday);
+    const fromUs = nextId(message('ok', true), monday);
+    const nextDay = nextId(message('ok'), tuesday);
+
+    assert.strictEqual(new Set([first, second, fromUs, nextDay]).size, 4);
+    assert.match(first, /^msg_42_[0-9a-z]+$/);
+    assert.strictEqual(messageIdentity.createId('42', message('ok'), monday, 1), second);
+  } finally {
+    close();
+  }
+});
+
+test('the ID ignores case, spacing, signed CDN queries and the label of the time block', async () => {
+  const { window, close } = loadChatManager('<!DOCTYPE html><html><body></body></html>');
+  try {
+    const { messageIdentity } = window;
+    const photo = query => ({ images: [{ url: `https://scontent.example.test/v/t1/123_n.jpg?${query}`, alt: '' }] });
+
+    assert.strictEqual(
+      messageIdentity.createId('42', message('Is  it available?', false, photo('oh=1&oe=2'))),
+      messageIdentity.createId('42', message(' is it available? ', false, photo('oh=3&oe=4')))
+    );
+    assert.strictEqual(
+      messageIdentity.getBlockKey({ text: 'Mon 2:11 PM', timestamp: Date.UTC(2025, 2, 10, 14, 11, 20) }),
+      messageIdentity.getBlockKey({ text: '3/10/25, 2:11 PM', timestamp: Date.UTC(2025, 2, 10, 14, 11) })
+    );
+  } finally {
+    close();
+  }
+});
+
+test('a row met before the extraction gets the ID the extraction gives it', async () => {
+  const { html, expected } = readFixture('buyer-spanish');
+  const { window, close } = loadChatManager(html);
+  try {
+    const rows = window.document.querySelectorAll('[role="row"]');
+    const videoRow = rows[5];
+    assert.strictEqual(window.messageIdentity.getRowId(videoRow), expected.messages[2].id);
+    assert.strictEqual(window.messageIdentity.getRowId(rows[1]), null);
+  } finally {
+    close();
+  }
+});
+
+for (const name of listFixtures()) {
+  test(`every row of ${name} gets the extraction's ID before it is extracted`, async () => {
+    const { html } = readFixture(name);
+    const extracted = await extractFixture(html);
+    const { window, close } = loadChatManager(html);
+    try {
+      const rows = [...window.document.querySelectorAll('[role="row"]')];
+      const ids = rows.map(row => window.messageIdentity.getRowId(row)).filter(Boolean);
+      assert.deepStrictEqual(ids, extracted.messages.map(item => item.id));
+    } finally {
+      close();
+    }
+  });
+}
+
+test('messages above the first date divider belong to no time block', async () => {
+  const { expected } = readFixture('buyer-partial-history');
+  assert.deepStrictEqual(expected.messages.map(item => item.timeBlockIndex), [null, null, null, 0, 0, 0]);
+  assert.notStrictEqual(expected.messages[2].id, expected.messages[5].id);
+});
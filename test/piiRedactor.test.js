@@ -0,0 +1,76 @@
+/**
+ * Tests for the personal data redaction (PiiRedactor): detectors, names and re-hydration
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { withExtractedFixture } = require('./harness');
+
+const OPTIONS = { files: ['core/openai/PiiRedactor.js'] };
+
+test('phones are found in their usual formats, plain numbers split by spaces are not', async () => {
+  await withExtractedFixture('', ({ window }) => {
+    const redactor = window.piiRedactor;
+    [
+      ['Call me at 305-555-1234', 'Call me at [PHONE_1]'],
+      ['Call me at (305) 555-1234', 'Call me at [PHONE_1]'],
+      ['Call me at 305 555 1234', 'Call me at [PHONE_1]'],
+      ['Call me at 305.555.1234', 'Call me at [PHONE_1]'],
+      ['Call me at +1 305 555 1234', 'Call me at [PHONE_1]'],
+      ['Llámame al +34 612 345 678', 'Llámame al [PHONE_1]'],
+      ['Llámame al 612 345 678', 'Llámame al [PHONE_1]'],
+      ['Llámame al 612 34 56 78', 'Llámame al [PHONE_1]'],
+      ['Llámame al 612345678', 'Llámame al [PHONE_1]']
+    ].forEach(([text, expected], index) => assert.strictEqual(redactor.redactText(text, `phones-${index}`), expected, text));
+
+    [
+      'Prices are 200 300 400 depending on the size',
+      'Order 12 345 678 was shipped',
+      'Sizes 38 40 42 44 46',
+      'It is 1200 or 1500 with delivery',
+      'Listing 900000000000001'
+    ].forEach(text => assert.strictEqual(redactor.redactText(text, 'numbers'), text, text));
+  }, OPTIONS);
+});
+
+test('emails, addresses and locations get stable placeholders', async () => {
+  await withExtractedFixture('', ({ window }) => {
+    const redactor = window.piiRedactor;
+    assert.strictEqual(
+      redactor.redactText('Write to alex.doe+fb@example.com or ALEX.DOE+fb@example.com', 'chat'),
+      'Write to [EMAIL_1] or [EMAIL_1]');
+    assert.strictEqual(redactor.redactText('Pick it up at 42 Oak Street, Apt 3', 'chat'), 'Pick it up at [ADDRESS_1]');
+    assert.strictEqual(redactor.redactText('Estoy en Calle Mayor 12', 'chat'), 'Estoy en [ADDRESS_2]');
+    assert.strictEqual(
+      redactor.redactText('Here: https://maps.app.goo.gl/abc123 (40.41678, -3.70379)', 'chat'),
+      'Here: [LOCATION_1] ([LOCATION_2])');
+    assert.strictEqual(redactor.rehydrate('Is [ADDRESS_1] ok? Mail [EMAIL_1]', 'chat'),
+      'Is 42 Oak Street, Apt 3 ok? Mail alex.doe+fb@example.com');
+  }, OPTIONS);
+});
+
+test('name parts are only redacted as written, the full name in any case', async () => {
+  await withExtractedFixture('', ({ window }) => {
+    const redactor = window.piiRedactor;
+    redactor.registerContactName('will', 'Will Rose', 'seller');
+    assert.strictEqual(redactor.redactText('Hi Will, I will pick it up. WILL ROSE here', 'will'),
+      'Hi [BUYER_NAME], I will pick it up. [BUYER_NAME] here');
+    assert.strictEqual(redactor.redactText('The rose bush is not included, Rose', 'will'),
+      'The rose bush is not included, [BUYER_NAME]');
+
+    redactor.registerContactName('ana', 'Ana Mesa', 'buyer');
+    assert.strictEqual(redactor.redactText('Hola Ana, ¿la mesa de comedor sigue? Saludos, ana mesa', 'ana'),
+      'Hola [SELLER_NAME], ¿la mesa de comedor sigue? Saludos, [SELLER_NAME]');
+    assert.strictEqual(redactor.rehydrate('Hola [SELLER_NAME], sí', 'ana'), 'Hola Ana, sí');
+  }, OPTIONS);
+});
+
+test('group participants are redacted like the contact', async () => {
+  await withExtractedFixture('', ({ window }) => {
+    const redactor = window.piiRedactor;
+    redactor.registerParticipants('group', ['Casey Moore', 'Jordan Lee']);
+    assert.strictEqual(redactor.redactText('Casey and Jordan both asked, moore or less', 'group'),
+      '[PARTICIPANT_1] and [PARTICIPANT_2] both asked, moore or less');
+    assert.strictEqual(redactor.rehydrate('Thanks [PARTICIPANT_2]', 'group'), 'Thanks Jordan');
+  }, OPTIONS);
+});
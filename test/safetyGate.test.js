@@ -0,0 +1,77 @@
+/**
+ * Tests for the local checks of the safety gate (SafetyGate): amounts and the floor price
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { withExtractedFixture, toPlain } = require('./harness');
+
+const OPTIONS = { files: ['core/openai/SafetyGate.js'] };
+
+/**
+ * Floor price reasons of a seller reply, with the listing floor set to the given price
+ * @param {Window} window - Page window
+ * @param {string} text - Reply text
+ * @param {number} floorPrice - Floor price of the listing
+ * @returns {Array<string>}
+ */
+function floorReasons(window, text, floorPrice) {
+  window.promptTemplates = {
+    getListingId: () => '900000000000001',
+    getListingSettings: () => ({ floorPrice })
+  };
+  const gate = window.safetyGate;
+  return toPlain(gate.checkFloorPrice(text, { role: 'seller', productDetails: {} }, gate.getSettings()));
+}
+
+test('amounts are read with a currency, or bare after price wording', async () => {
+  await withExtractedFixture('', ({ window }) => {
+    const amounts = text => toPlain(window.safetyGate.extractAmounts(text));
+
+    assert.deepStrictEqual(amounts('It is $120, or 1.200 euros with delivery'), [120, 1200]);
+    assert.deepStrictEqual(amounts('I can do 60'), [60]);
+    assert.deepStrictEqual(amounts('ok 45 and it\'s yours'), [45]);
+    assert.deepStrictEqual(amounts('Te lo dejo en 50'), [50]);
+    assert.deepStrictEqual(amounts('Lo vendo por 75.50'), [75.5]);
+    assert.deepStrictEqual(amounts('Sorry, 80 is the lowest'), [80]);
+    assert.deepStrictEqual(amounts('I\'ll take it for 2 days'), []);
+    assert.deepStrictEqual(amounts('I can do 6pm, or 7:30 tomorrow'), []);
+    assert.deepStrictEqual(amounts('Te lo guardo por 3 horas'), []);
+    assert.deepStrictEqual(amounts('I have 2 chairs and 4 legs'), []);
+  }, OPTIONS);
+});
+
+test('the floor price only counts the prices the reply proposes or accepts', async () => {
+  await withExtractedFixture('', ({ window }) => {
+    assert.deepStrictEqual(floorReasons(window, 'Sorry, 80 is the lowest', 80), []);
+    assert.deepStrictEqual(floorReasons(window, 'It\'s $80 firm, I can\'t do $40', 80), []);
+    assert.deepStrictEqual(floorReasons(window, '40 is too low, but I can do 85', 80), []);
+    assert.deepStrictEqual(floorReasons(window, 'No puedo dejarlo en 40. Te lo dejo en 90', 80), []);
+
+    assert.deepStrictEqual(floorReasons(window, 'I can do 60', 80), ['Price below the floor of 80 (60)']);
+    assert.deepStrictEqual(floorReasons(window, 'ok 45 and it\'s yours', 80), ['Price below the floor of 80 (45)']);
+    assert.deepStrictEqual(floorReasons(window, 'Te lo dejo en 50', 80), ['Price below the floor of 80 (50)']);
+    assert.deepStrictEqual(floorReasons(window, 'I can\'t do $40, but $60 works', 80), ['Price below the floor of 80 (60)']);
+    assert.deepStrictEqual(floorReasons(window, 'Sorry, 70 is the lowest', 80), ['Price below the floor of 80 (70)']);
+  }, OPTIONS);
+});
+
+test('the floor price is only checked in seller chats with a floor set', async () => {
+  await withExtractedFixture('', ({ window }) => {
+    const gate = window.safetyGate;
+    assert.deepStrictEqual(floorReasons(window, 'I can do 60', null), []);
+    assert.deepStrictEqual(toPlain(gate.checkFloorPrice('I can do 60', { role: 'buyer' }, gate.getSettings())), []);
+  }, OPTIONS);
+});
+
+test('the phone rule blocks phone numbers but not prices split by spaces', async () => {
+  await withExtractedFixture('', ({ window }) => {
+    const gate = window.safetyGate;
+    const settings = { ...gate.getSettings(), blocklist: [] };
+    assert.deepStrictEqual(toPlain(gate.checkBlocklist('Text me at 305-555-1234', settings)),
+      ['Contains phone number ("305-555-1234")']);
+    assert.deepStrictEqual(toPlain(gate.checkBlocklist('Llámame al 612 345 678', settings)),
+      ['Contains phone number ("612 345 678")']);
+    assert.deepStrictEqual(toPlain(gate.checkBlocklist('They are 200 300 400 depending on the size', settings)), []);
+  }, OPTIONS);
+});
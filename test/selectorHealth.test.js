@@ -0,0 +1,116 @@
+/**
+ * Selector health: ranked fallbacks, statistics, drift alerts and promotion
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { withExtractedFixture, toPlain } = require('./harness');
+
+test('splits selector lists on top-level commas only', async () => {
+  await withExtractedFixture('', ({ selectorHealth }) => {
+    assert.deepStrictEqual(
+      toPlain(selectorHealth.splitSelectorList('div[aria-label="a, b"], span:not(.x, .y) , p')),
+      ['div[aria-label="a, b"]', 'span:not(.x, .y)', 'p']
+    );
+    assert.deepStrictEqual(toPlain(selectorHealth.getCandidates('activeChat.messageInput')), [
+      'div[contenteditable="true"][role="textbox"]',
+      'div[aria-label="Message"]',
+      'p.xat24cr.xdj266r'
+    ]);
+  });
+});
+
+test('records which candidate matched', async () => {
+  await withExtractedFixture('<div aria-label="Message">draft</div>', ({ document, selectorHealth }) => {
+    assert.strictEqual(selectorHealth.find('activeChat.messageInput'), document.querySelector('[aria-label="Message"]'));
+
+    const [item] = selectorHealth.getReport();
+    assert.strictEqual(item.key, 'activeChat.messageInput');
+    assert.strictEqual(item.critical, true);
+    assert.strictEqual(item.status, 'degraded');
+    assert.strictEqual(item.activeSelector, 'div[aria-label="Message"]');
+    assert.deepStrictEqual(toPlain(item.candidates.map(({ selector, hits, misses }) => ({ selector, hits, misses }))), [
+      { selector: 'div[contenteditable="true"][role="textbox"]', hits: 0, misses: 1 },
+      { selector: 'div[aria-label="Message"]', hits: 1, misses: 0 },
+      { selector: 'p.xat24cr.xdj266r', hits: 0, misses: 0 }
+    ]);
+  });
+});
+
+test('promotes a working fallback when the first candidate keeps missing', async () => {
+  await withExtractedFixture('<div aria-label="Message">draft</div>', ({ window, selectorHealth }) => {
+    const promoted = [];
+    window.eventCoordinator.on('selectorPromoted', data => promoted.push(data.selector));
+    const { promoteAfter } = selectorHealth.getSettings();
+
+    for (let i = 0; i < promoteAfter; i++) selectorHealth.find('activeChat.messageInput');
+
+    assert.deepStrictEqual(promoted, ['div[aria-label="Message"]']);
+    assert.strictEqual(selectorHealth.getCandidates('activeChat.messageInput')[0], 'div[aria-label="Message"]');
+    assert.strictEqual(selectorHealth.getReport()[0].status, 'ok');
+  });
+});
+
+test('keeps the CONFIG order when auto promotion is off', async () => {
+  await withExtractedFixture('<div aria-label="Message">draft</div>', ({ window, selectorHealth }) => {
+    window.CONFIG.selectorHealth.autoPromote = false;
+    for (let i = 0; i < 10; i++) selectorHealth.find('activeChat.messageInput');
+    assert.strictEqual(selectorHealth.getCandidates('activeChat.messageInput')[0], 'div[contenteditable="true"][role="textbox"]');
+  });
+});
+
+test('raises a single drift alert for a critical selector and reports the recovery', async () => {
+  await withExtractedFixture('', ({ window, document, selectorHealth }) => {
+    const events = [];
+    window.eventCoordinator.on('selectorDrift', data => events.push(['drift', data.key, data.consecutiveFailures]));
+    window.eventCoordinator.on('selectorRecovered', data => events.push(['recovered', data.key, data.selector]));
+    const { alertAfter } = selectorHealth.getSettings();
+
+    for (let i = 0; i < alertAfter + 2; i++) assert.strictEqual(selectorHealth.find('activeChat.sendButton'), null);
+    assert.deepStrictEqual(events, [['drift', 'activeChat.sendButton', alertAfter]]);
+    assert.strictEqual(selectorHealth.getReport()[0].status, 'failing');
+
+    document.body.innerHTML = '<div aria-label="Press enter to send" role="button"></div>';
+    assert.ok(selectorHealth.find('activeChat.sendButton'));
+    assert.deepStrictEqual(events[1], ['recovered', 'activeChat.sendButton', 'div[aria-label="Press enter to send"]']);
+  });
+});
+
+test('does not alert for selectors that are not critical', async () => {
+  await withExtractedFixture('', ({ window, selectorHealth }) => {
+    let alerts = 0;
+    window.eventCoordinator.on('selectorDrift', () => alerts++);
+    for (let i = 0; i < 10; i++) selectorHealth.find('activeChat.scrollbar');
+    assert.strictEqual(alerts, 0);
+  });
+});
+
+test('flags candidates that stopped matching as stale', async () => {
+  await withExtractedFixture('<div role="main"><a href="/marketplace/t/1/" role="link">Chat</a></div>', ({ document, selectorHealth }) => {
+    const { staleAfter } = selectorHealth.getSettings();
+    assert.strictEqual(selectorHealth.findAll('chatList.chatItem').length, 1);
+
+    document.body.innerHTML = '<div role="main"></div>';
+    for (let i = 0; i < staleAfter; i++) selectorHealth.findAll('chatList.chatItem');
+
+    const [item] = selectorHealth.getReport();
+    assert.strictEqual(item.status, 'failing');
+    assert.strictEqual(item.candidates[0].stale, true);
+    assert.strictEqual(item.activeSelector, null);
+  });
+});
+
+test('keeps the ranking across reloads and drops it on reset', async () => {
+  await withExtractedFixture('<div aria-label="Message">draft</div>', ({ window, selectorHealth }) => {
+    for (let i = 0; i < selectorHealth.getSettings().promoteAfter; i++) selectorHealth.find('activeChat.messageInput');
+    // Writes are debounced: save now instead of waiting
+    window.storageUtils.set(selectorHealth.storageKey, selectorHealth.state);
+
+    const reloaded = new selectorHealth.constructor();
+    assert.strictEqual(reloaded.getCandidates('activeChat.messageInput')[0], 'div[aria-label="Message"]');
+
+    reloaded.reset();
+    assert.strictEqual(new selectorHealth.constructor().getCandidates('activeChat.messageInput')[0],
+      'div[contenteditable="true"][role="textbox"]');
+  });
+});